@@ -48,7 +48,7 @@ class GameProvider extends ChangeNotifier {
       final endOfDayUTC = endOfDayEST.add(const Duration(hours: 5));
 
       final snapshot = await _firestore
-          .collection('games')
+          .collection('public_games')
           .where(
             'start_time',
             isGreaterThanOrEqualTo: Timestamp.fromDate(startOfDayUTC),
@@ -68,7 +68,7 @@ class GameProvider extends ChangeNotifier {
 
         // Retry query after ingestion
         final retrySnapshot = await _firestore
-            .collection('games')
+            .collection('public_games')
             .where(
               'start_time',
               isGreaterThanOrEqualTo: Timestamp.fromDate(startOfDayUTC),
@@ -136,7 +136,7 @@ class GameProvider extends ChangeNotifier {
 
     // Listen to Firestore for real-time updates
     _gameStreamSubscription =
-        _firestore.collection('games').doc(gameId).snapshots().listen(
+        _firestore.collection('public_games').doc(gameId).snapshots().listen(
       (snapshot) {
         if (snapshot.exists) {
           _selectedGame = Game.fromFirestore(snapshot.data()!, snapshot.id);
@@ -167,13 +167,7 @@ class GameProvider extends ChangeNotifier {
       final callable = _functions.httpsCallable('updateGame');
       await callable.call({'gameId': gameId});
     } catch (e) {
-      // Silently handle rate limiting errors (update too frequent)
-      final errorMessage = e.toString().toLowerCase();
-      if (!errorMessage.contains('too frequent') &&
-          !errorMessage.contains('minimum 2 seconds')) {
-        // Only print non-rate-limit errors
-        debugPrint('Error calling updateGame function: $e');
-      }
+      debugPrint('Error calling updateGame function: $e');
       // Firestore listener will handle updates regardless
     }
   }
@@ -56,7 +56,7 @@ class _TeamScreenState extends State<TeamScreen> {
       final games = <Game>[];
 
       for (final gameId in recentGameIds) {
-        final doc = await _firestore.collection('games').doc(gameId).get();
+        final doc = await _firestore.collection('public_games').doc(gameId).get();
         if (doc.exists) {
           games.add(Game.fromFirestore(doc.data()!, doc.id));
         }
@@ -1,32 +1,319 @@
-// Script to run the ingestData function
-// Set environment variables for Firestore emulator
-process.env.FIRESTORE_EMULATOR_HOST = 'localhost:8080';
-process.env.FIREBASE_AUTH_EMULATOR_HOST = 'localhost:9099';
+// Command-line interface for ingestData
+//
+// Examples (when running via npm, args come after the script name):
+//   npm run ingest                                         # today's games
+//   npm run ingest -- --date=2025-01-15                    # one NHL game date
+//   npm run ingest -- --backfill=2023                      # every season from 2023-24 to now
+//   npm run ingest -- --season=20232024,20242025           # whole seasons
+//   npm run ingest -- --from=2024-10-01 --to=2024-12-31    # a date range
+//   npm run ingest -- --season=2024 --game-type=playoffs   # one game type only
+//   npm run ingest -- --backfill=2015 --dry-run            # show what would change
+//   npm run ingest -- --backfill=2015 --resume             # continue a failed backfill
+//   npm run ingest -- --teams-only
+//   npm run ingest -- --rebuild-aggregates
+//   npm run ingest -- --rebuild-public-games
+//   npm run ingest -- --rebuild-leaders
+//   npm run ingest -- --rebuild-shot-maps
+//   npm run ingest -- --rebuild-playoffs --season=20232024,20242025
 
-const { ingestData } = require('../src/index');
+const fs = require('fs');
+const path = require('path');
 
-console.log(process.argv);
+const DEFAULT_CHECKPOINT_FILE = path.join(__dirname, '..', '.ingest-checkpoint.json');
 
-// Parse command line arguments
-// When running via npm, args come after the script name
-// Example: npm run ingest -- --backfill=2023
-const args = process.argv.slice(2);
-const backfillArg = args.find(arg => arg.startsWith('backfill='));
-const backfillYear = backfillArg ? parseInt(backfillArg.split('=')[1]) : null;
+const GAME_TYPE_NAMES = {
+  preseason: 1,
+  regular: 2,
+  playoffs: 3,
+};
 
-console.log('Starting NHL data ingestion...\n');
+// Number of dry-run changes printed before summarizing the rest
+const DIFF_PRINT_LIMIT = 50;
 
-if (backfillYear) {
-  console.log(`Backfill mode enabled: Starting from ${backfillYear} season\n`);
+const USAGE = `Usage: npm run ingest -- [options]
+
+  --date=YYYY-MM-DD          Ingest one NHL game date (default: today)
+  --from=YYYY-MM-DD          First game date of a range
+  --to=YYYY-MM-DD            Last game date of a range (default: today)
+  --season=YYYYYYYY[,...]    Whole seasons, e.g. 20232024 (a start year like 2023 also works)
+  --backfill=YYYY            Every season from YYYY to the current one
+  --game-type=TYPE[,...]     preseason, regular and/or playoffs
+  --teams-only               Only sync teams
+  --dry-run                  Print what would change without writing
+  --resume                   Continue a range from the last saved checkpoint
+  --checkpoint-file=PATH     Where checkpoints are kept (default: backend/.ingest-checkpoint.json)
+  --batch-size=N             Games written per batch (default: 500)
+  --rebuild-aggregates       Rebuild team season aggregates from stored games
+  --rebuild-public-games     Rebuild the client-readable public_games copies of stored games
+  --rebuild-leaders          Rebuild the season leaderboards from stored goals
+  --rebuild-shot-maps        Cache the shot maps of final games that don't have one yet
+  --rebuild-playoffs         Rebuild the playoff series of the --season seasons from stored games
+  --help                     Show this message`;
+
+/**
+ * Parse command line arguments into ingestion options
+ * Accepts --name=value, --name value and the older bare name=value form
+ * @param {Array<string>} argv - Arguments after the script name
+ */
+function parseArgs(argv) {
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^(?:--)?([a-z-]+)(?:=(.*))?$/);
+
+    if (!match) {
+      throw new Error(`Unrecognized argument: ${argv[i]}`);
+    }
+
+    const [, name, inlineValue] = match;
+    const nextIsValue = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--');
+
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (argv[i].startsWith('--') && nextIsValue && !['teams-only', 'dry-run', 'resume', 'rebuild-aggregates', 'rebuild-public-games', 'rebuild-leaders', 'rebuild-shot-maps', 'rebuild-playoffs', 'help'].includes(name)) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  const known = ['date', 'from', 'to', 'season', 'backfill', 'game-type', 'teams-only', 'dry-run', 'resume',
+    'checkpoint-file', 'batch-size', 'rebuild-aggregates', 'rebuild-public-games',
+    'rebuild-leaders', 'rebuild-shot-maps', 'rebuild-playoffs', 'help'];
+  const unknown = Object.keys(flags).filter((name) => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option: --${unknown[0]}`);
+  }
+
+  const options = {
+    help: Boolean(flags.help),
+    teamsOnly: Boolean(flags['teams-only']),
+    rebuildAggregates: Boolean(flags['rebuild-aggregates']),
+    rebuildPublicGames: Boolean(flags['rebuild-public-games']),
+    rebuildLeaders: Boolean(flags['rebuild-leaders']),
+    rebuildShotMaps: Boolean(flags['rebuild-shot-maps']),
+    rebuildPlayoffs: Boolean(flags['rebuild-playoffs']),
+    dryRun: Boolean(flags['dry-run']),
+    resume: Boolean(flags.resume),
+    checkpointFile: typeof flags['checkpoint-file'] === 'string' ? path.resolve(flags['checkpoint-file']) : DEFAULT_CHECKPOINT_FILE,
+  };
+
+  for (const name of ['date', 'from', 'to']) {
+    if (flags[name] !== undefined) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(flags[name])) {
+        throw new Error(`--${name} must be a date in the format YYYY-MM-DD`);
+      }
+      options[name] = flags[name];
+    }
+  }
+
+  if (options.from && options.to && options.from > options.to) {
+    throw new Error('--from must not be after --to');
+  }
+
+  if (flags.season !== undefined) {
+    options.seasons = String(flags.season).split(',').map((season) => {
+      if (/^\d{4}$/.test(season)) {
+        return `${season}${Number(season) + 1}`;
+      }
+      if (!/^\d{8}$/.test(season) || Number(season.substring(4)) !== Number(season.substring(0, 4)) + 1) {
+        throw new Error(`Invalid season: ${season} (expected e.g. 20242025)`);
+      }
+      return season;
+    });
+  }
+
+  if (flags.backfill !== undefined) {
+    if (!/^\d{4}$/.test(flags.backfill)) {
+      throw new Error('--backfill must be a year, e.g. 2023');
+    }
+    options.backfillYear = parseInt(flags.backfill);
+  }
+
+  if (flags['game-type'] !== undefined) {
+    options.gameTypes = String(flags['game-type']).split(',').map((type) => {
+      const gameType = GAME_TYPE_NAMES[type] || (Object.values(GAME_TYPE_NAMES).includes(Number(type)) && Number(type));
+      if (!gameType) {
+        throw new Error(`Invalid game type: ${type} (expected preseason, regular or playoffs)`);
+      }
+      return gameType;
+    });
+  }
+
+  if (flags['batch-size'] !== undefined) {
+    options.batchSize = parseInt(flags['batch-size']);
+    if (!(options.batchSize >= 1 && options.batchSize <= 500)) {
+      throw new Error('--batch-size must be between 1 and 500');
+    }
+  }
+
+  if (options.date && (options.from || options.to || options.seasons || options.backfillYear)) {
+    throw new Error('--date cannot be combined with --from, --to, --season or --backfill');
+  }
+
+  if (options.rebuildPlayoffs && !options.seasons) {
+    throw new Error('--rebuild-playoffs requires --season');
+  }
+
+  if (options.resume && !(options.from || options.to || options.seasons || options.backfillYear)) {
+    throw new Error('--resume only applies to --from/--to, --season or --backfill runs');
+  }
+
+  return options;
+}
+
+/**
+ * Read a saved checkpoint, or null if there isn't one
+ */
+function readCheckpoint(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
 }
 
-ingestData({ backfillYear })
-  .then((result) => {
-    console.log('Ingestion successful!');
-    console.log(`\nSummary: ${result.gamesCreated} games created, ${result.gamesSkipped} games skipped`);
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error('Ingestion failed:', error);
-    process.exit(1);
+/**
+ * Print the dry-run diff, grouped by action
+ */
+function printDiff(diff) {
+  for (const entry of diff.slice(0, DIFF_PRINT_LIMIT)) {
+    if (entry.action === 'create') {
+      console.log(`  + ${entry.gameId}`);
+    } else {
+      const changes = Object.entries(entry.changes)
+        .map(([field, [before, after]]) => `${field} ${before} -> ${after}`)
+        .join(', ');
+      console.log(`  ~ ${entry.gameId}: ${changes}`);
+    }
+  }
+
+  if (diff.length > DIFF_PRINT_LIMIT) {
+    console.log(`  ... and ${diff.length - DIFF_PRINT_LIMIT} more`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Point the Admin SDK at the emulators before it is loaded
+  process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+  process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099';
+
+  const { ingestData, updateTeams, rebuildTeamAggregates, rebuildPublicGames, rebuildLeaders, rebuildShotMaps, rebuildPlayoffSeries } = require('../src/index');
+
+  if (options.rebuildAggregates) {
+    // Rebuild team aggregates for games stored before the aggregate trigger existed
+    console.log('Rebuilding team aggregates...\n');
+    const result = await rebuildTeamAggregates();
+    console.log(`Rebuild successful! ${result.gamesProcessed} games processed`);
+    return;
+  }
+
+  if (options.rebuildPublicGames) {
+    // Copy games stored before the public_games trigger existed
+    console.log('Rebuilding public games...\n');
+    const result = await rebuildPublicGames();
+    console.log(`Rebuild successful! ${result.gamesProcessed} games processed`);
+    return;
+  }
+
+  if (options.rebuildLeaders) {
+    // Count goals stored before the leaderboard trigger existed
+    console.log('Rebuilding leaderboards...\n');
+    const result = await rebuildLeaders();
+    console.log(`Rebuild successful! ${result.gamesProcessed} games processed`);
+    return;
+  }
+
+  if (options.rebuildShotMaps) {
+    // Cache shot maps of games that went final before the shot map trigger existed
+    console.log('Rebuilding shot maps...\n');
+    const result = await rebuildShotMaps();
+    console.log(`Rebuild successful! ${result.gamesProcessed} games processed, ${result.gamesFetched} fetched`);
+    return;
+  }
+
+  if (options.rebuildPlayoffs) {
+    // Build the series of seasons stored before the playoff series trigger existed
+    for (const season of options.seasons) {
+      console.log(`Rebuilding playoff series for ${season}...`);
+      const series = await rebuildPlayoffSeries(season);
+      console.log(`Rebuild successful! ${series.length} series`);
+    }
+    return;
+  }
+
+  if (options.teamsOnly) {
+    console.log(`Syncing teams${options.dryRun ? ' (dry run)' : ''}...\n`);
+    const result = await updateTeams({ dryRun: options.dryRun });
+    const prefix = options.dryRun ? 'would be ' : '';
+    console.log(`${result.teamsFound} teams found`);
+    for (const [label, teams] of [['created', result.teamsCreated], ['updated', result.teamsUpdated], ['removed as duplicates', result.teamsRemoved]]) {
+      console.log(`  ${teams.length} ${prefix}${label}${teams.length > 0 ? `: ${teams.join(', ')}` : ''}`);
+    }
+    console.log(`Franchises: ${result.franchisesCreated.length} ${prefix}created, ${result.franchisesUpdated.length} ${prefix}updated`);
+    return;
+  }
+
+  let checkpoint = null;
+  if (options.resume) {
+    checkpoint = readCheckpoint(options.checkpointFile);
+    console.log(checkpoint ?
+      `Resuming from checkpoint saved ${checkpoint.savedAt} (after game ${checkpoint.lastGameId})\n` :
+      'No checkpoint found, starting from the beginning\n');
+  }
+
+  console.log('Starting NHL data ingestion...\n');
+
+  const result = await ingestData({
+    backfillYear: options.backfillYear,
+    seasons: options.seasons,
+    from: options.from,
+    to: options.to,
+    date: options.date,
+    gameTypes: options.gameTypes,
+    dryRun: options.dryRun,
+    batchSize: options.batchSize,
+    checkpoint,
+    onCheckpoint: async (next) => {
+      fs.writeFileSync(options.checkpointFile, JSON.stringify(next, null, 2));
+    },
   });
+
+  if (result.dryRun) {
+    console.log('Dry run - nothing was written. Changes:');
+    printDiff(result.diff);
+    console.log(`\nSummary: ${result.gamesCreated} games would be created, ${result.gamesUpdated} updated, ${result.gamesSkipped} unchanged, ${result.teamsCreated} teams would be created`);
+    if (result.failedSeasons.length > 0) {
+      throw new Error(`Could not fetch seasons ${result.failedSeasons.join(', ')}`);
+    }
+    return;
+  }
+
+  // The checkpoint lists the failed seasons, so keep it for --resume
+  if (result.failedSeasons.length > 0) {
+    console.log(`\nSummary: ${result.gamesCreated} games created, ${result.gamesUpdated} games updated, ${result.gamesSkipped} games skipped`);
+    throw new Error(`Could not fetch seasons ${result.failedSeasons.join(', ')}; run again with --resume to retry them`);
+  }
+
+  // The run finished, so there is nothing left to resume
+  if (fs.existsSync(options.checkpointFile)) {
+    fs.unlinkSync(options.checkpointFile);
+  }
+
+  console.log('Ingestion successful!');
+  console.log(`\nSummary: ${result.gamesCreated} games created, ${result.gamesUpdated} games updated, ${result.gamesSkipped} games skipped`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Ingestion failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -1,6 +1,12 @@
-const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onCall, onRequest, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onDocumentWritten, onDocumentUpdated } = require("firebase-functions/v2/firestore");
+const crypto = require("crypto");
 const admin = require("firebase-admin");
-const { Timestamp, FieldValue } = require("firebase-admin/firestore");
+const { Timestamp, FieldValue, FieldPath } = require("firebase-admin/firestore");
+const { nhlApi } = require("./nhlApi");
+const { notifier } = require("./notifications");
+const { webhookClient, generateWebhookSecret } = require("./webhooks");
 
 // Initialize with demo project for emulator
 admin.initializeApp({
@@ -9,64 +15,236 @@ admin.initializeApp({
 
 const db = admin.firestore();
 
+// Successor franchises the NHL lists as new franchises although they took over
+// a relocated team's hockey operations; the NHL franchise data doesn't link them
+const FRANCHISE_SUCCESSIONS = [
+  { predecessor: 28, successor: 40, season: "20242025" }, // Arizona Coyotes -> Utah
+];
+
+/**
+ * Helper function: Fields that differ between a stored document and its reconciled version
+ * @param {Object|undefined} existing - Stored document data
+ * @param {Object} next - Reconciled document data
+ * @returns {Object} changes keyed by field name with from/to values
+ */
+function diffDocumentFields(existing = {}, next) {
+  const changes = {};
+  
+  for (const [field, value] of Object.entries(next)) {
+    if (JSON.stringify(existing[field] ?? null) !== JSON.stringify(value)) {
+      changes[field] = [existing[field] ?? null, value];
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Helper function: Team documents as they should be stored, keyed by abbreviation
+ * The Stats API lists a renamed team again under a new ID with the same triCode
+ * and franchise; the highest ID is the current entry and earlier names are kept
+ * in former_names. Entries without a franchise (all-star teams) are ignored.
+ * When franchises share a triCode only one is stored: the one already stored
+ * under it, otherwise the one with the most recent entry.
+ * @param {Array<Object>} statsTeams - Teams from the Stats API
+ * @param {Map<string, Object>} existingTeams - Stored teams keyed by abbreviation
+ */
+function buildTeamDocs(statsTeams, existingTeams) {
+  const byTriCode = new Map();
+  
+  for (const team of [...statsTeams].sort((a, b) => a.id - b.id)) {
+    if (!team.franchiseId) {
+      continue;
+    }
+    
+    const byFranchise = byTriCode.get(team.triCode) || new Map();
+    byFranchise.set(team.franchiseId, [...(byFranchise.get(team.franchiseId) || []), team]);
+    byTriCode.set(team.triCode, byFranchise);
+  }
+  
+  const teamDocs = new Map();
+  
+  for (const [triCode, byFranchise] of byTriCode) {
+    const groups = [...byFranchise.values()]
+      .sort((a, b) => a[a.length - 1].id - b[b.length - 1].id);
+    const stored = existingTeams.get(triCode);
+    const entries = groups.find((group) => group[0].franchiseId === stored?.franchise_id) ||
+      groups[groups.length - 1];
+    const current = entries[entries.length - 1];
+    
+    if (groups.length > 1) {
+      const skipped = groups.filter((group) => group !== entries).map((group) => group[0].franchiseId);
+      console.warn(`Abbreviation ${triCode} is shared by franchises ${current.franchiseId} and ${skipped.join(", ")}; ` +
+        `keeping ${current.franchiseId}`);
+    }
+    
+    // Names stored for another franchise aren't carried over
+    const existing = !stored?.franchise_id || stored.franchise_id === current.franchiseId ? stored : null;
+    const formerNames = new Set(existing?.former_names || []);
+    
+    for (const entry of entries.slice(0, -1)) {
+      formerNames.add(entry.fullName);
+    }
+    if (existing?.team_name && existing.team_name !== current.fullName) {
+      formerNames.add(existing.team_name);
+    }
+    formerNames.delete(current.fullName);
+    
+    teamDocs.set(triCode, {
+      team_id: triCode,
+      team_name: current.fullName,
+      abbreviation: triCode,
+      franchise_id: current.franchiseId,
+      stats_team_id: current.id,
+      logourl: `https://assets.nhle.com/logos/nhl/svg/${triCode}_light.svg`,
+      former_names: [...formerNames],
+    });
+  }
+  
+  return teamDocs;
+}
+
+/**
+ * Helper function: Franchise documents as they should be stored, keyed by franchise ID
+ * @param {Array<Object>} statsFranchises - Franchises from the Stats API
+ * @param {Map<string, Object>} teamDocs - Reconciled teams from buildTeamDocs
+ */
+function buildFranchiseDocs(statsFranchises, teamDocs) {
+  const franchiseDocs = new Map();
+  const teams = [...teamDocs.values()].sort((a, b) => a.stats_team_id - b.stats_team_id);
+  
+  for (const franchise of statsFranchises) {
+    const predecessor = FRANCHISE_SUCCESSIONS.find((succession) => succession.successor === franchise.id);
+    const successor = FRANCHISE_SUCCESSIONS.find((succession) => succession.predecessor === franchise.id);
+    const franchiseTeams = teams.filter((team) => team.franchise_id === franchise.id);
+    const currentTeam = franchiseTeams.find((team) => team.stats_team_id === franchise.mostRecentTeamId) ||
+      franchiseTeams[franchiseTeams.length - 1];
+    
+    franchiseDocs.set(franchise.id.toString(), {
+      franchise_id: franchise.id,
+      name: franchise.fullName,
+      first_season: franchise.firstSeasonId ? franchise.firstSeasonId.toString() : null,
+      last_season: franchise.lastSeasonId ? franchise.lastSeasonId.toString() : null,
+      active: !franchise.lastSeasonId,
+      current_team: currentTeam?.abbreviation || null,
+      teams: franchiseTeams.map((team) => team.abbreviation),
+      predecessor_franchise_id: predecessor?.predecessor ?? null,
+      successor_franchise_id: successor?.successor ?? null,
+      succession_season: (predecessor || successor)?.season ?? null,
+    });
+  }
+  
+  return franchiseDocs;
+}
+
 /**
- * Helper function: Update teams from Stats API (includes all historical teams)
+ * Helper function: Reconcile the teams and franchises collections with the Stats API
+ * Teams are keyed by abbreviation and franchises by franchise ID, so repeated
+ * syncs never create duplicates. Changed fields are updated, and team documents
+ * stored under any other ID (older syncs used random IDs) are removed.
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dryRun - Report what would change without writing
  */
-async function updateTeams() {
+async function updateTeams(options = {}) {
   try {
-    // Retry logic for rate limiting
-    let retries = 3;
-    let teamsResponse;
-    
-    while (retries > 0) {
-      teamsResponse = await fetch("https://api.nhle.com/stats/rest/en/team");
-      
-      if (teamsResponse.status === 429) {
-        const retryAfter = parseInt(teamsResponse.headers.get('retry-after') || '60');
-        console.log(`Rate limited. Waiting ${retryAfter} seconds before retry...`);
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-        retries--;
-        continue;
+    // Client retries rate-limited requests, honoring Retry-After
+    const [teamsData, franchisesData] = await Promise.all([
+      nhlApi.getStatsTeams(),
+      nhlApi.getStatsFranchises(),
+    ]);
+    
+    const teams = teamsData.data || [];
+    const [storedTeams, storedFranchises] = await Promise.all([
+      db.collection("teams").get(),
+      db.collection("franchises").get(),
+    ]);
+    
+    const existingTeams = new Map();
+    const duplicateRefs = [];
+    for (const doc of storedTeams.docs) {
+      const abbreviation = doc.data().abbreviation;
+      if (doc.id === abbreviation) {
+        existingTeams.set(abbreviation, doc.data());
+      } else {
+        duplicateRefs.push(doc.ref);
+        if (!existingTeams.has(abbreviation)) {
+          existingTeams.set(abbreviation, doc.data());
+        }
       }
+    }
+    
+    const storedTeamsById = new Map(storedTeams.docs.map((doc) => [doc.id, doc.data()]));
+    const existingFranchises = new Map(storedFranchises.docs.map((doc) => [doc.id, doc.data()]));
+    const teamDocs = buildTeamDocs(teams, existingTeams);
+    const franchiseDocs = buildFranchiseDocs(franchisesData.data || [], teamDocs);
+    
+    const teamsCreated = [];
+    const teamsUpdated = [];
+    const franchisesCreated = [];
+    const franchisesUpdated = [];
+    const writes = [];
+    
+    for (const [triCode, teamDoc] of teamDocs) {
+      const stored = storedTeamsById.get(triCode);
+      const changes = diffDocumentFields(stored, teamDoc);
       
-      if (!teamsResponse.ok) {
-        throw new Error(`Failed to fetch teams: ${teamsResponse.status} ${teamsResponse.statusText}`);
+      if (!stored) {
+        teamsCreated.push(triCode);
+      } else if (Object.keys(changes).length > 0) {
+        teamsUpdated.push(triCode);
+        console.log(`Team ${triCode} changed: ${Object.keys(changes).join(", ")}`);
+      } else {
+        continue;
       }
       
-      break;
+      writes.push([db.collection("teams").doc(triCode), teamDoc]);
     }
     
-    if (teamsResponse.status === 429) {
-      throw new Error('Failed to fetch teams after multiple retries due to rate limiting');
+    for (const [franchiseId, franchiseDoc] of franchiseDocs) {
+      const changes = diffDocumentFields(existingFranchises.get(franchiseId), franchiseDoc);
+      
+      if (!existingFranchises.has(franchiseId)) {
+        franchisesCreated.push(franchiseDoc.franchise_id);
+      } else if (Object.keys(changes).length > 0) {
+        franchisesUpdated.push(franchiseDoc.franchise_id);
+      } else {
+        continue;
+      }
+      
+      writes.push([db.collection("franchises").doc(franchiseId), franchiseDoc]);
     }
-
-    const teamsData = await teamsResponse.json();
-
-    const teams = teamsData.data || [];
     
-    for (const team of teams) {
-      // Check if team already exists by abbreviation
-      const existingTeams = await db.collection("teams")
-        .where("abbreviation", "==", team.triCode)
-        .limit(1)
-        .get();
-      
-      if (existingTeams.empty) {
-        const teamRef = db.collection("teams").doc();
-        
-        await teamRef.set({
-          team_id: team.triCode,
-          team_name: team.fullName,
-          abbreviation: team.triCode,
-          franchise_id: team.franchiseId,
-          logourl: `https://assets.nhle.com/logos/nhl/svg/${team.triCode}_light.svg`,
-        });
+    // Duplicates are deleted after their replacements are written
+    const operations = [...writes, ...duplicateRefs.map((ref) => [ref, null])];
+    
+    if (!options.dryRun) {
+      for (let i = 0; i < operations.length; i += INGEST_BATCH_SIZE) {
+        const batch = db.batch();
         
-        console.log(`Team ${team.triCode} (${team.fullName}) created with ID: ${teamRef.id}`);
+        for (const [ref, data] of operations.slice(i, i + INGEST_BATCH_SIZE)) {
+          if (data) {
+            batch.set(ref, { ...data, updated_at: FieldValue.serverTimestamp() });
+          } else {
+            batch.delete(ref);
+          }
+        }
         
-        // Wait 100ms between team operations to avoid rate limiting
+        await batch.commit();
       }
     }
+    
+    console.log(`Teams: ${teamsCreated.length} created, ${teamsUpdated.length} updated, ${duplicateRefs.length} duplicates removed`);
+    
+    return {
+      success: true,
+      dryRun: Boolean(options.dryRun),
+      teamsFound: teams.length,
+      teamsCreated,
+      teamsUpdated,
+      teamsRemoved: duplicateRefs.map((ref) => ref.id),
+      franchisesCreated,
+      franchisesUpdated,
+    };
   } catch (error) {
     console.error("Error updating teams:", error);
     throw error;
@@ -74,8 +252,11 @@ async function updateTeams() {
 }
 
 /**
- * Helper function: Fetch team data with caching
- * Returns team stats including recent games, wins, losses, and total goals
+ * Helper function: Fetch team data from the per-season team aggregates
+ * Returns regular-season stats including recent games, wins, losses, and total
+ * goals, with playoff records reported separately.
+ * Aggregates are maintained by the updateTeamAggregates trigger, so this
+ * costs the same number of reads however many games are stored.
  * @param {string} teamId - Team abbreviation (e.g., 'TOR', 'MTL')
  */
 async function getTeamData(teamId) {
@@ -90,928 +271,6332 @@ async function getTeamData(teamId) {
       throw new Error(`Team ${teamId} not found`);
     }
     
-    const teamDoc = teamQuery.docs[0];
-    const teamData = teamDoc.data();
+    const teamData = teamQuery.docs[0].data();
     const franchiseId = teamData.franchise_id;
     
     if (!franchiseId || franchiseId === -1) {
       throw new Error(`Team ${teamId} has no valid franchise ID`);
     }
     
-    // Determine current season (e.g., "20242025" for 2024-2025 season)
-    const now = new Date();
-    const currentMonth = now.getMonth(); // 0-11
-    const currentYear = now.getFullYear();
-    
-    // NHL season runs from October (month 9) to June (month 5)
-    // If we're in Oct-Dec, season is currentYear to currentYear+1
-    // If we're in Jan-Sep, season is currentYear-1 to currentYear
-    const seasonStartYear = currentMonth >= 9 ? currentYear : currentYear - 1;
-    const currentSeason = `${seasonStartYear}${seasonStartYear + 1}`;
+    const currentSeason = await getLatestSeason();
     
-    // Check if cached season matches current season
-    const cachedSeason = teamData.season || null;
-    const seasonChanged = cachedSeason !== currentSeason;
+    const [seasonDoc, allTimeDoc, playoffDoc, allTimePlayoffDoc] = await db.getAll(
+      db.collection("team_seasons").doc(getTeamAggregateId(franchiseId, currentSeason)),
+      db.collection("team_seasons").doc(getTeamAggregateId(franchiseId, ALLTIME_SEASON)),
+      db.collection("team_seasons").doc(getTeamAggregateId(franchiseId, currentSeason, PLAYOFF_SCOPE)),
+      db.collection("team_seasons").doc(getTeamAggregateId(franchiseId, ALLTIME_SEASON, PLAYOFF_SCOPE))
+    );
     
-    // Check if we need to update cached data
-    let needsUpdate = true;
-    if (teamData.last_updated && !seasonChanged) {
-      const lastUpdated = teamData.last_updated.toDate();
-      
-      // Check if there are any FINAL games since last update
-      const recentGamesQuery = await db.collection("games")
-        .where("status", "==", "FINAL")
-        .where("start_time", ">", Timestamp.fromDate(lastUpdated))
-        .limit(1)
-        .get();
-      
-      needsUpdate = !recentGamesQuery.empty;
-    }
+    const seasonStats = seasonDoc.exists ? seasonDoc.data() : {};
+    const allTimeStats = allTimeDoc.exists ? allTimeDoc.data() : {};
     
-    if (!needsUpdate && teamData.season_recent_games) {
-      // Return cached data
+    // Playoff losses are all regulation or overtime losses, so there is no OTL column
+    const playoffRecord = (doc) => {
+      const stats = doc.exists ? doc.data() : {};
       return {
-        success: true,
-        teamId,
-        franchiseId,
-        teamName: teamData.team_name,
-        season: currentSeason,
-        recentGames: teamData.season_recent_games || [],
-        gamesPlayed: teamData.season_games_played || 0,
-        wins: teamData.season_wins || 0,
-        losses: teamData.season_losses || 0,
-        totalGoals: teamData.season_total_goals || 0,
-        allTimeGamesPlayed: teamData.alltime_games_played || 0,
-        allTimeWins: teamData.alltime_wins || 0,
-        allTimeLosses: teamData.alltime_losses || 0,
-        allTimeTotalGoals: teamData.alltime_total_goals || 0,
-        source: "cache",
+        gamesPlayed: stats.games_played || 0,
+        wins: stats.wins || 0,
+        losses: stats.losses || 0,
+        goalsFor: stats.goals_for || 0,
+        goalsAgainst: stats.goals_against || 0,
       };
+    };
+    
+    return {
+      success: true,
+      teamId,
+      franchiseId,
+      teamName: teamData.team_name,
+      season: currentSeason,
+      recentGames: (seasonStats.recent_games || []).map((game) => game.id),
+      gamesPlayed: seasonStats.games_played || 0,
+      wins: seasonStats.wins || 0,
+      losses: seasonStats.losses || 0,
+      otLosses: seasonStats.ot_losses || 0,
+      totalGoals: seasonStats.goals_for || 0,
+      goalsAgainst: seasonStats.goals_against || 0,
+      allTimeGamesPlayed: allTimeStats.games_played || 0,
+      allTimeWins: allTimeStats.wins || 0,
+      allTimeLosses: allTimeStats.losses || 0,
+      allTimeOtLosses: allTimeStats.ot_losses || 0,
+      allTimeTotalGoals: allTimeStats.goals_for || 0,
+      allTimeGoalsAgainst: allTimeStats.goals_against || 0,
+      playoffs: playoffRecord(playoffDoc),
+      allTimePlayoffs: playoffRecord(allTimePlayoffDoc),
+      source: "aggregates",
+    };
+  } catch (error) {
+    console.error(`Error fetching team data for ${teamId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: A franchise's lineage with stats combined across it
+ * Follows FRANCHISE_SUCCESSIONS links both ways, so Arizona and Utah are one
+ * lineage; relocations within one NHL franchise (e.g. Winnipeg -> Phoenix ->
+ * Arizona) are already covered by its teams list. Stats come from the all-time
+ * team_seasons aggregates of every franchise in the lineage.
+ * @param {Object} params - { teamId } (abbreviation) or { franchiseId }
+ */
+async function getFranchise(params = {}) {
+  try {
+    let franchiseId = Number(params.franchiseId);
+    
+    if (params.teamId) {
+      franchiseId = (await getTeamByAbbreviation(params.teamId)).franchise_id;
     }
     
-    // Fetch recent games (2 queries: home and away) for current season only
-    const seasonStartDate = new Date(seasonStartYear, 9, 1); // October 1st of season start year
-    const seasonStartTimestamp = Timestamp.fromDate(seasonStartDate);
+    const franchisesRef = db.collection("franchises");
+    const franchiseDoc = Number.isInteger(franchiseId) ? await franchisesRef.doc(franchiseId.toString()).get() : null;
     
-    const homeGamesQuery = await db.collection("games")
-      .where("home_data.franchise_id", "==", franchiseId)
-      .where("status", "==", "FINAL")
-      .where("start_time", ">=", seasonStartTimestamp)
-      .orderBy("start_time", "desc")
-      .limit(5)
-      .get();
+    if (!franchiseDoc?.exists) {
+      throw new Error(`Franchise ${params.teamId || params.franchiseId} not found`);
+    }
     
-    const awayGamesQuery = await db.collection("games")
-      .where("away_data.franchise_id", "==", franchiseId)
-      .where("status", "==", "FINAL")
-      .where("start_time", ">=", seasonStartTimestamp)
-      .orderBy("start_time", "desc")
-      .limit(5)
-      .get();
+    // Walk back to the oldest predecessor, then forward through every successor
+    const seen = new Set([franchiseDoc.id]);
+    let first = franchiseDoc.data();
+    while (first.predecessor_franchise_id && !seen.has(first.predecessor_franchise_id.toString())) {
+      seen.add(first.predecessor_franchise_id.toString());
+      const predecessorDoc = await franchisesRef.doc(first.predecessor_franchise_id.toString()).get();
+      if (!predecessorDoc.exists) break;
+      first = predecessorDoc.data();
+    }
     
-    // Combine and sort by start_time
-    const allGames = [];
-    homeGamesQuery.forEach((doc) => {
-      allGames.push({ id: doc.id, ...doc.data() });
-    });
-    awayGamesQuery.forEach((doc) => {
-      allGames.push({ id: doc.id, ...doc.data() });
+    const lineage = [first];
+    while (lineage[lineage.length - 1].successor_franchise_id) {
+      const successorId = lineage[lineage.length - 1].successor_franchise_id.toString();
+      if (lineage.some((franchise) => franchise.franchise_id.toString() === successorId)) break;
+      const successorDoc = await franchisesRef.doc(successorId).get();
+      if (!successorDoc.exists) break;
+      lineage.push(successorDoc.data());
+    }
+    
+    const aggregateRefs = lineage.flatMap((franchise) => [
+      db.collection("team_seasons").doc(getTeamAggregateId(franchise.franchise_id, ALLTIME_SEASON)),
+      db.collection("team_seasons").doc(getTeamAggregateId(franchise.franchise_id, ALLTIME_SEASON, PLAYOFF_SCOPE)),
+    ]);
+    const teamRefs = lineage.flatMap((franchise) => franchise.teams.map((teamId) => db.collection("teams").doc(teamId)));
+    const [aggregateDocs, teamDocs] = await Promise.all([
+      db.getAll(...aggregateRefs),
+      teamRefs.length > 0 ? db.getAll(...teamRefs) : [],
+    ]);
+    const teamsById = new Map(teamDocs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+    
+    const record = (stats = {}) => ({
+      gamesPlayed: stats.games_played || 0,
+      wins: stats.wins || 0,
+      losses: stats.losses || 0,
+      otLosses: stats.ot_losses || 0,
+      points: (stats.wins || 0) * 2 + (stats.ot_losses || 0),
+      goalsFor: stats.goals_for || 0,
+      goalsAgainst: stats.goals_against || 0,
     });
     
-    // Sort by start_time descending and take last 5
-    allGames.sort((a, b) => b.start_time.toDate() - a.start_time.toDate());
-    const recentGames = allGames.slice(0, 5);
+    // Playoff losses are all regulation or overtime losses, so there is no OTL column
+    const playoffRecord = (stats = {}) => {
+      const { otLosses, points, ...rest } = record(stats);
+      return rest;
+    };
     
-    // Calculate stats from ALL final games in current season (not just recent 5)
-    const allHomeGamesQuery = await db.collection("games")
-      .where("home_data.franchise_id", "==", franchiseId)
-      .where("status", "==", "FINAL")
-      .where("start_time", ">=", seasonStartTimestamp)
-      .get();
+    const sumStats = (docs) => {
+      const totals = {};
+      for (const doc of docs.filter((aggregateDoc) => aggregateDoc.exists)) {
+        for (const counter of AGGREGATE_COUNTERS) {
+          totals[counter] = (totals[counter] || 0) + (doc.data()[counter] || 0);
+        }
+      }
+      return totals;
+    };
     
-    const allAwayGamesQuery = await db.collection("games")
-      .where("away_data.franchise_id", "==", franchiseId)
-      .where("status", "==", "FINAL")
-      .where("start_time", ">=", seasonStartTimestamp)
-      .get();
+    const regularDocs = aggregateDocs.filter((doc, index) => index % 2 === 0);
+    const playoffDocs = aggregateDocs.filter((doc, index) => index % 2 === 1);
+    const last = lineage[lineage.length - 1];
+    
+    return {
+      success: true,
+      franchiseId,
+      name: last.name,
+      active: last.active,
+      firstSeason: first.first_season,
+      lastSeason: last.last_season,
+      lineage: lineage.map((franchise, index) => ({
+        franchiseId: franchise.franchise_id,
+        name: franchise.name,
+        firstSeason: franchise.first_season,
+        lastSeason: franchise.last_season,
+        active: franchise.active,
+        currentTeam: franchise.current_team,
+        successionSeason: index > 0 ? franchise.succession_season : null,
+        teams: franchise.teams.map((teamId) => ({
+          teamId,
+          teamName: teamsById.get(teamId)?.team_name || null,
+          formerNames: teamsById.get(teamId)?.former_names || [],
+        })),
+        regularSeason: record(regularDocs[index].exists ? regularDocs[index].data() : {}),
+        playoffs: playoffRecord(playoffDocs[index].exists ? playoffDocs[index].data() : {}),
+      })),
+      combined: {
+        regularSeason: record(sumStats(regularDocs)),
+        playoffs: playoffRecord(sumStats(playoffDocs)),
+      },
+    };
+  } catch (error) {
+    console.error("Error fetching franchise:", error);
+    throw error;
+  }
+}
+
+// Season key used for the all-time team aggregate documents
+const ALLTIME_SEASON = "alltime";
+
+// Number of recent games kept on each season aggregate
+const RECENT_GAMES_LIMIT = 5;
+
+// Counters summed into team aggregate documents
+const AGGREGATE_COUNTERS = ["games_played", "wins", "losses", "ot_losses", "goals_for", "goals_against"];
+
+// Game types used by the NHL APIs
+const PRESEASON_GAME_TYPE = 1;
+const REGULAR_SEASON_GAME_TYPE = 2;
+const PLAYOFF_GAME_TYPE = 3;
+
+// Aggregate scopes: regular-season documents have no suffix, playoff documents end in "_playoffs"
+const REGULAR_SEASON_SCOPE = "regular";
+const PLAYOFF_SCOPE = "playoffs";
+
+/**
+ * Helper function: Document ID for a team aggregate in the team_seasons collection
+ * @param {number} franchiseId - Franchise ID
+ * @param {string} season - Season string (e.g., "20242025") or "alltime"
+ * @param {string} scope - REGULAR_SEASON_SCOPE or PLAYOFF_SCOPE
+ */
+function getTeamAggregateId(franchiseId, season, scope = REGULAR_SEASON_SCOPE) {
+  return scope === PLAYOFF_SCOPE ? `${franchiseId}_${season}_${PLAYOFF_SCOPE}` : `${franchiseId}_${season}`;
+}
+
+/**
+ * Helper function: Get a game's type (1 preseason, 2 regular season, 3 playoffs)
+ * Older documents without game_type fall back to the API payload, then to the
+ * two digits after the season in the game ID (e.g. 2024030111 is a playoff game)
+ * @param {Object} gameData - Game document data
+ * @returns {number|null} Game type, or null if unknown
+ */
+function getGameType(gameData) {
+  const gameType = gameData.game_type ?? gameData.raw?.gameType;
+  
+  if (gameType !== undefined && gameType !== null) {
+    return Number(gameType);
+  }
+  
+  const gameId = (gameData.gameid || gameData.raw?.id || "").toString();
+  return /^\d{10}$/.test(gameId) ? Number(gameId.substring(4, 6)) : null;
+}
+
+/**
+ * Helper function: Get the season string (e.g., "20242025") a game belongs to
+ * @param {Object} gameData - Game document data
+ */
+function getGameSeason(gameData) {
+  const season = gameData.season || gameData.raw?.season;
+  
+  if (season) {
+    return season.toString();
+  }
+  
+  // Older documents without the NHL's season field
+  return getSeasonForDate(getGameDate(gameData));
+}
+
+/**
+ * Helper function: Work out what a FINAL game contributes to each team's aggregates
+ * @param {Object} gameData - Game document data (or null if deleted)
+ * @returns {Array<Object>} One entry per team with a valid franchise ID
+ */
+function getGameContributions(gameData) {
+  if (!gameData || gameData.status !== "FINAL") {
+    return [];
+  }
+  
+  const gameType = getGameType(gameData);
+  
+  // Preseason games don't count towards any record
+  if (gameType === PRESEASON_GAME_TYPE) {
+    return [];
+  }
+  
+  const isPlayoffs = gameType === PLAYOFF_GAME_TYPE;
+  const homeScore = gameData.home_data.team_score || 0;
+  const awayScore = gameData.away_data.team_score || 0;
+  const periodType = getLastPeriodType(gameData);
+  const season = getGameSeason(gameData);
+  
+  const sides = [
+    [gameData.home_data, homeScore, awayScore],
+    [gameData.away_data, awayScore, homeScore],
+  ];
+  
+  return sides
+    .filter(([teamData]) => teamData.franchise_id && teamData.franchise_id !== -1)
+    .map(([teamData, goalsFor, goalsAgainst]) => {
+      const won = goalsFor > goalsAgainst;
+      const otLoss = !won && periodType !== "REG" && !isPlayoffs;
+      return {
+        franchise_id: teamData.franchise_id,
+        season,
+        scope: isPlayoffs ? PLAYOFF_SCOPE : REGULAR_SEASON_SCOPE,
+        start_time: gameData.start_time,
+        games_played: 1,
+        wins: won ? 1 : 0,
+        losses: !won && !otLoss ? 1 : 0,
+        ot_losses: otLoss ? 1 : 0,
+        goals_for: goalsFor,
+        goals_against: goalsAgainst,
+      };
+    });
+}
+
+/**
+ * Helper function: Apply a game's change to the per-team, per-season aggregates
+ * The contributions already applied for each game are stored in team_season_games,
+ * so repeated trigger deliveries and score corrections only apply the difference
+ * @param {string} gameId - Game ID
+ * @param {Object|null} gameData - Current game document data, or null if deleted
+ */
+async function applyGameToTeamAggregates(gameId, gameData) {
+  const appliedRef = db.collection("team_season_games").doc(gameId);
+  const contributions = getGameContributions(gameData);
+  
+  await db.runTransaction(async (transaction) => {
+    const appliedDoc = await transaction.get(appliedRef);
+    const previous = appliedDoc.exists ? appliedDoc.data().contributions || [] : [];
     
-    let gamesPlayed = 0;
-    let wins = 0;
-    let losses = 0;
-    let totalGoals = 0;
+    const comparable = (entries) => JSON.stringify(entries.map(({ start_time, ...rest }) => rest));
+    if (comparable(previous) === comparable(contributions)) {
+      return;
+    }
     
-    // Process home games
-    allHomeGamesQuery.forEach((doc) => {
-      const game = doc.data();
-      gamesPlayed++;
-      const homeScore = game.home_data.team_score || 0;
-      const awayScore = game.away_data.team_score || 0;
-      totalGoals += homeScore;
+    // Collect every aggregate document touched by the old or new contributions
+    // (contributions recorded before playoffs were split out have no scope)
+    const scopeOf = (entry) => entry.scope || REGULAR_SEASON_SCOPE;
+    const aggregateIds = new Set();
+    for (const entry of [...previous, ...contributions]) {
+      aggregateIds.add(getTeamAggregateId(entry.franchise_id, entry.season, scopeOf(entry)));
+      aggregateIds.add(getTeamAggregateId(entry.franchise_id, ALLTIME_SEASON, scopeOf(entry)));
+    }
+    
+    const aggregateRefs = [...aggregateIds].map((id) => db.collection("team_seasons").doc(id));
+    const aggregateDocs = await transaction.getAll(...aggregateRefs);
+    
+    for (const aggregateDoc of aggregateDocs) {
+      const [franchiseId, season, scope = REGULAR_SEASON_SCOPE] = aggregateDoc.id.split("_");
+      const aggregate = aggregateDoc.exists ? aggregateDoc.data() : {
+        franchise_id: Number(franchiseId),
+        season,
+        scope,
+        recent_games: [],
+      };
       
-      if (homeScore > awayScore) {
-        wins++;
-      } else {
-        losses++;
+      const matches = (entry) =>
+        entry.franchise_id === aggregate.franchise_id &&
+        scopeOf(entry) === scope &&
+        (season === ALLTIME_SEASON || entry.season === season);
+      
+      for (const counter of AGGREGATE_COUNTERS) {
+        const removed = previous.filter(matches).reduce((sum, entry) => sum + entry[counter], 0);
+        const added = contributions.filter(matches).reduce((sum, entry) => sum + entry[counter], 0);
+        aggregate[counter] = (aggregate[counter] || 0) - removed + added;
       }
-    });
-    
-    // Process away games
-    allAwayGamesQuery.forEach((doc) => {
-      const game = doc.data();
-      gamesPlayed++;
-      const homeScore = game.home_data.team_score || 0;
-      const awayScore = game.away_data.team_score || 0;
-      totalGoals += awayScore;
       
-      if (awayScore > homeScore) {
-        wins++;
-      } else {
-        losses++;
+      if (season !== ALLTIME_SEASON) {
+        const recentGames = (aggregate.recent_games || []).filter((game) => game.id !== gameId);
+        const entry = contributions.find(matches);
+        if (entry) {
+          recentGames.push({ id: gameId, start_time: entry.start_time });
+        }
+        recentGames.sort((a, b) => b.start_time.toMillis() - a.start_time.toMillis());
+        aggregate.recent_games = recentGames.slice(0, RECENT_GAMES_LIMIT);
       }
-    });
-    
-    // Calculate all-time stats (across all seasons)
-    const allTimeHomeGamesQuery = await db.collection("games")
-      .where("home_data.franchise_id", "==", franchiseId)
-      .where("status", "==", "FINAL")
-      .get();
+      
+      aggregate.last_updated = FieldValue.serverTimestamp();
+      transaction.set(aggregateDoc.ref, aggregate);
+    }
     
-    const allTimeAwayGamesQuery = await db.collection("games")
-      .where("away_data.franchise_id", "==", franchiseId)
+    if (contributions.length > 0) {
+      transaction.set(appliedRef, { contributions });
+    } else {
+      transaction.delete(appliedRef);
+    }
+  });
+}
+
+/**
+ * Helper function: Rebuild the team aggregates from every stored game
+ * Needed once for games stored before the aggregate trigger existed
+ */
+async function rebuildTeamAggregates() {
+  try {
+    const gamesQuery = await db.collection("games")
       .where("status", "==", "FINAL")
       .get();
     
-    let allTimeGamesPlayed = 0;
-    let allTimeWins = 0;
-    let allTimeLosses = 0;
-    let allTimeTotalGoals = 0;
-    
-    // Process all-time home games
-    allTimeHomeGamesQuery.forEach((doc) => {
-      const game = doc.data();
-      allTimeGamesPlayed++;
-      const homeScore = game.home_data.team_score || 0;
-      const awayScore = game.away_data.team_score || 0;
-      allTimeTotalGoals += homeScore;
-      
-      if (homeScore > awayScore) {
-        allTimeWins++;
-      } else {
-        allTimeLosses++;
-      }
-    });
+    console.log(`Rebuilding team aggregates from ${gamesQuery.size} FINAL games...`);
     
-    // Process all-time away games
-    allTimeAwayGamesQuery.forEach((doc) => {
-      const game = doc.data();
-      allTimeGamesPlayed++;
-      const homeScore = game.home_data.team_score || 0;
-      const awayScore = game.away_data.team_score || 0;
-      allTimeTotalGoals += awayScore;
+    let processed = 0;
+    for (const doc of gamesQuery.docs) {
+      await applyGameToTeamAggregates(doc.id, doc.data());
+      processed++;
       
-      if (awayScore > homeScore) {
-        allTimeWins++;
-      } else {
-        allTimeLosses++;
+      if (processed % 500 === 0) {
+        console.log(`Progress: ${processed}/${gamesQuery.size} games`);
       }
-    });
-    
-    // Update team document with cached data only if there are actual changes
-    const recentGameIds = recentGames.map(g => g.id);
-    
-    // Check if there are any changes to the data
-    const hasChanges = 
-      JSON.stringify(teamData.season_recent_games || []) !== JSON.stringify(recentGameIds) ||
-      (teamData.season_games_played || 0) !== gamesPlayed ||
-      (teamData.season_wins || 0) !== wins ||
-      (teamData.season_losses || 0) !== losses ||
-      (teamData.season_total_goals || 0) !== totalGoals ||
-      (teamData.alltime_games_played || 0) !== allTimeGamesPlayed ||
-      (teamData.alltime_wins || 0) !== allTimeWins ||
-      (teamData.alltime_losses || 0) !== allTimeLosses ||
-      (teamData.alltime_total_goals || 0) !== allTimeTotalGoals ||
-      seasonChanged;
-    
-    if (hasChanges) {
-      await teamDoc.ref.update({
-        season: currentSeason,
-        season_recent_games: recentGameIds,
-        season_games_played: gamesPlayed,
-        season_wins: wins,
-        season_losses: losses,
-        season_total_goals: totalGoals,
-        alltime_games_played: allTimeGamesPlayed,
-        alltime_wins: allTimeWins,
-        alltime_losses: allTimeLosses,
-        alltime_total_goals: allTimeTotalGoals,
-        last_updated: FieldValue.serverTimestamp(),
-      });
     }
     
     return {
       success: true,
-      teamId,
-      franchiseId,
-      teamName: teamData.team_name,
-      season: currentSeason,
-      recentGames: recentGameIds,
-      gamesPlayed,
-      wins,
-      losses,
-      totalGoals,
-      allTimeGamesPlayed,
-      allTimeWins,
-      allTimeLosses,
-      allTimeTotalGoals,
-      source: "api",
+      gamesProcessed: processed,
     };
   } catch (error) {
-    console.error(`Error fetching team data for ${teamId}:`, error);
+    console.error("Error rebuilding team aggregates:", error);
     throw error;
   }
 }
 
+// Game fields clients may read, copied to public_games; everything else (raw API
+// payloads, poller and sync bookkeeping) stays server-side in games
+const PUBLIC_GAME_FIELDS = [
+  "gameid", "start_time", "game_date", "season", "game_type", "venue", "status",
+  "period_type", "home_data", "away_data", "goals", "box_score", "last_updated",
+];
+
 /**
- * Helper function: Create a new game document from either Schedule API or Stats API format
- * @param {Object} gameData - Game data from either API
- * @param {Object} options - Options object with optional teamLookup and gameDate
- * @param {boolean} setDB - Whether to write to database
+ * Helper function: Client-readable copy of a game document
+ * Adds the live period and clock from the score feed so clients don't need raw
+ * @param {Object} gameData - Game document data
+ * @returns {Object} Allow-listed fields only
  */
-async function createGame(gameData, options = {}, setDB = true) {
-  const gameId = gameData.id.toString();
+function getPublicGame(gameData) {
+  const publicGame = {};
   
-  // Detect API format based on presence of teamLookup
-  // If teamLookup is provided, we're using Stats API format
-  // Otherwise, we're using Schedule API format
-  const isStatsAPI = options.teamLookup !== undefined;
+  for (const field of PUBLIC_GAME_FIELDS) {
+    if (gameData[field] !== undefined) {
+      publicGame[field] = gameData[field];
+    }
+  }
   
-  let gameDoc;
+  const raw = gameData.raw || {};
+  publicGame.period = raw.periodDescriptor?.number || raw.period || null;
+  publicGame.clock = raw.clock ? {
+    time_remaining: raw.clock.timeRemaining || null,
+    running: raw.clock.running || false,
+    in_intermission: raw.clock.inIntermission || false,
+  } : null;
   
-  if (isStatsAPI) {
-    // Stats API format - uses teamLookup to map numeric IDs to team data
-    const { teamLookup } = options;
+  return publicGame;
+}
+
+/**
+ * Helper function: Mirror a game into public_games
+ * Skips the write when none of the public fields changed, e.g. a poll schedule update
+ * @param {string} gameId - Game ID
+ * @param {Object|null} before - Game document before the change
+ * @param {Object|null} after - Game document after the change, or null if deleted
+ */
+async function syncPublicGame(gameId, before, after) {
+  const publicRef = db.collection("public_games").doc(gameId);
+  
+  if (!after) {
+    await publicRef.delete();
+    return;
+  }
+  
+  const publicGame = getPublicGame(after);
+  
+  if (before && JSON.stringify(getPublicGame(before)) === JSON.stringify(publicGame)) {
+    return;
+  }
+  
+  await publicRef.set(publicGame);
+}
+
+/**
+ * Helper function: Rebuild public_games from every stored game
+ * Needed once for games stored before public_games existed
+ */
+async function rebuildPublicGames() {
+  try {
+    const gamesQuery = await db.collection("games").get();
     
-    const homeTeam = teamLookup.get(gameData.homeTeamId) || { triCode: "UNK", fullName: "Unknown" };
-    const awayTeam = teamLookup.get(gameData.visitingTeamId) || { triCode: "UNK", fullName: "Unknown" };
-    const startTime = Timestamp.fromDate(new Date(gameData.easternStartTime));
+    console.log(`Rebuilding public games from ${gamesQuery.size} games...`);
     
-    // Map gameStateId to readable status
-    const statusMap = {
-      1: "SCHEDULED",
-      2: "PREGAME", 
-      3: "LIVE",
-      4: "LIVE",
-      5: "LIVE",
-      6: "FINAL",
-      7: "FINAL"
-    };
+    for (let i = 0; i < gamesQuery.docs.length; i += INGEST_BATCH_SIZE) {
+      const batch = db.batch();
+      
+      for (const doc of gamesQuery.docs.slice(i, i + INGEST_BATCH_SIZE)) {
+        batch.set(db.collection("public_games").doc(doc.id), getPublicGame(doc.data()));
+      }
+      
+      await batch.commit();
+    }
     
-    gameDoc = {
-      gameid: gameId,
-      start_time: startTime,
-      home_data: {
-        team_id: homeTeam.triCode,
-        team_name: homeTeam.fullName,
-        team_score: gameData.homeScore || 0,
-        franchise_id: homeTeam.franchiseId || -1,
-      },
-      away_data: {
-        team_id: awayTeam.triCode,
-        team_name: awayTeam.fullName ,
-        team_score: gameData.visitingScore || 0,
-        franchise_id: awayTeam.franchiseId || -1,
-      },
-      status: statusMap[gameData.gameStateId] || "SCHEDULED",
-      raw: gameData,
+    return {
+      success: true,
+      gamesProcessed: gamesQuery.size,
     };
-  } else {
-    // Schedule API format - has embedded team data, fetch live scores
-    const { gameDate } = options;
-    const startTime = Timestamp.fromDate(new Date(gameData.startTimeUTC));
+  } catch (error) {
+    console.error("Error rebuilding public games:", error);
+    throw error;
+  }
+}
+
+/**
+ * Current NHL divisional alignment, keyed by team abbreviation.
+ * Used by the standings helpers to group teams into divisions and conferences.
+ */
+const DIVISIONS = {
+  BOS: "Atlantic", BUF: "Atlantic", DET: "Atlantic", FLA: "Atlantic",
+  MTL: "Atlantic", OTT: "Atlantic", TBL: "Atlantic", TOR: "Atlantic",
+  CAR: "Metropolitan", CBJ: "Metropolitan", NJD: "Metropolitan", NYI: "Metropolitan",
+  NYR: "Metropolitan", PHI: "Metropolitan", PIT: "Metropolitan", WSH: "Metropolitan",
+  ARI: "Central", CHI: "Central", COL: "Central", DAL: "Central",
+  MIN: "Central", NSH: "Central", STL: "Central", UTA: "Central", WPG: "Central",
+  ANA: "Pacific", CGY: "Pacific", EDM: "Pacific", LAK: "Pacific",
+  SEA: "Pacific", SJS: "Pacific", VAN: "Pacific", VGK: "Pacific",
+};
+
+const CONFERENCES = {
+  Atlantic: "Eastern",
+  Metropolitan: "Eastern",
+  Central: "Western",
+  Pacific: "Western",
+};
+
+// NHL game dates and season boundaries are defined in Eastern time
+const NHL_TIME_ZONE = "America/New_York";
+
+/**
+ * Helper function: Format an instant as a YYYY-MM-DD date in an IANA timezone
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA timezone (e.g., "America/Vancouver")
+ */
+function getDateInTimeZone(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Helper function: Offset of an IANA timezone from UTC at a given instant, in minutes
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ */
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  
+  const wallClockAsUtc = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"), part("second"));
+  return Math.round((wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Helper function: Convert a wall-clock time in an IANA timezone to a UTC instant
+ * @param {string} dateTime - "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]" with no offset
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} UTC instant
+ */
+function zonedTimeToUtc(dateTime, timeZone) {
+  const [datePart, timePart = "00:00:00"] = dateTime.split("T");
+  const [year, month, day] = datePart.split("-").map(Number);
+  const [hour, minute, second = 0] = timePart.split(":").map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  
+  // Re-check the offset at the result, in case the first guess crossed a DST change
+  const firstOffset = getTimeZoneOffsetMinutes(new Date(wallClockAsUtc), timeZone);
+  const firstGuess = wallClockAsUtc - firstOffset * 60000;
+  const offset = getTimeZoneOffsetMinutes(new Date(firstGuess), timeZone);
+  
+  return new Date(wallClockAsUtc - offset * 60000);
+}
+
+/**
+ * Helper function: Check that a string is a timezone Intl understands
+ * @param {string} timeZone - IANA timezone
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper function: Season a game date belongs to (e.g., "20242025")
+ * Preseason starts in September, so Sep-Dec belongs to the season starting
+ * this year and Jan-Aug to the season that started last year
+ * @param {string} date - Game date (YYYY-MM-DD)
+ */
+function getSeasonForDate(date) {
+  const [year, month] = date.split("-").map(Number);
+  const seasonStartYear = month >= 9 ? year : year - 1;
+  return `${seasonStartYear}${seasonStartYear + 1}`;
+}
+
+/**
+ * Helper function: Get the current NHL season string (e.g., "20242025") from the calendar
+ * Uses today's date in Eastern time, the same way game dates are mapped.
+ * Only a fallback for when no games are stored; see getLatestSeason
+ */
+function getCurrentSeason(now = new Date()) {
+  return getSeasonForDate(getDateInTimeZone(now, NHL_TIME_ZONE));
+}
+
+/**
+ * Helper function: Get the season of the most recent game that has started
+ * Uses the NHL's own season field on stored games, so preseason and late
+ * playoff games land in the right season whatever the calendar says
+ */
+async function getLatestSeason() {
+  const latestQuery = await db.collection("games")
+    .where("start_time", "<=", Timestamp.now())
+    .orderBy("start_time", "desc")
+    .limit(1)
+    .get();
+  
+  if (latestQuery.empty) {
+    return getCurrentSeason();
+  }
+  
+  return getGameSeason(latestQuery.docs[0].data());
+}
+
+/**
+ * Helper function: Map an NHL API game state onto the statuses stored in games
+ * The web APIs report "OFF" once a result is official, which we treat as FINAL
+ * @param {string} gameState - gameState from the schedule or score API
+ */
+function normalizeGameState(gameState) {
+  if (!gameState) {
+    return "SCHEDULED";
+  }
+  return gameState === "OFF" ? "FINAL" : gameState;
+}
+
+/**
+ * Helper function: Get the NHL game date (YYYY-MM-DD, Eastern time) for a game document
+ * Late games that run past midnight still belong to the date they started on
+ * @param {Object} gameData - Game document data
+ */
+function getGameDate(gameData) {
+  if (gameData.game_date || gameData.raw?.gameDate) {
+    return gameData.game_date || gameData.raw.gameDate;
+  }
+  
+  return getDateInTimeZone(gameData.start_time.toDate(), NHL_TIME_ZONE);
+}
+
+/**
+ * Helper function: Determine how a finished game was decided
+ * Prefers the stored period_type, falling back to whichever period
+ * information the source API left in the raw payload
+ * @param {Object} game - Game document data
+ * @returns {string} "REG", "OT" or "SO"
+ */
+function getLastPeriodType(game) {
+  if (game.period_type) {
+    return game.period_type;
+  }
+  
+  const raw = game.raw || {};
+  
+  if (raw.gameOutcome?.lastPeriodType) {
+    return raw.gameOutcome.lastPeriodType;
+  }
+  
+  if (raw.periodDescriptor?.periodType) {
+    return raw.periodDescriptor.periodType;
+  }
+  
+  // Stats API only has the period number: 4 is overtime, 5 is the regular-season shootout
+  const period = raw.period || 3;
+  if (period <= 3) {
+    return "REG";
+  }
+  return period === 5 && raw.gameType === 2 ? "SO" : "OT";
+}
+
+/**
+ * Helper function: Get the period type to store on a game document
+ * Games that haven't started have no period type yet
+ * @param {Object} raw - Game payload from any NHL API
+ * @param {string} status - Game status
+ * @returns {string|null} "REG", "OT", "SO" or null
+ */
+function getPeriodTypeForStatus(raw, status) {
+  const notStarted = ["SCHEDULED", "PREGAME", "FUT", "PRE"];
+  if (!status || notStarted.includes(status)) {
+    return null;
+  }
+  return getLastPeriodType({ raw });
+}
+
+/**
+ * Helper function: Get a display label for a period (e.g., "1st", "OT", "2OT", "SO")
+ * @param {Object} periodDescriptor - periodDescriptor from the play-by-play API
+ */
+function getPeriodLabel(periodDescriptor = {}) {
+  const number = periodDescriptor.number || 1;
+  const periodType = periodDescriptor.periodType || (number <= 3 ? "REG" : "OT");
+  
+  if (periodType === "SO") {
+    return "SO";
+  }
+  
+  if (periodType === "OT") {
+    // Playoff games can run several overtimes
+    const overtimeNumber = number - 3;
+    return overtimeNumber > 1 ? `${overtimeNumber}OT` : "OT";
+  }
+  
+  const suffixes = { 1: "1st", 2: "2nd", 3: "3rd" };
+  return suffixes[number] || `${number}th`;
+}
+
+/**
+ * Helper function: Minutes elapsed in a game before the given period starts
+ * Regulation periods are 20 minutes, regular-season overtime is 5 minutes
+ * and playoff overtime periods are 20 minutes
+ * @param {number} period - Period number (1-based)
+ * @param {number} gameType - NHL game type (2 = regular season, 3 = playoffs)
+ */
+function getMinutesBeforePeriod(period, gameType) {
+  let minutes = 0;
+  for (let p = 1; p < period; p++) {
+    minutes += p > 3 && gameType !== 3 ? 5 : 20;
+  }
+  return minutes;
+}
+
+/**
+ * Helper function: Build standings rows from a list of FINAL regular-season games
+ * Awards 2 points for a win and 1 for an overtime or shootout loss
+ * @param {Array<Object>} games - Game document data
+ * @returns {Object} records keyed by team abbreviation, plus head-to-head points
+ */
+function buildStandingsRecords(games) {
+  const records = {};
+  // headToHead[a][b] = points team a earned against team b
+  const headToHead = {};
+  
+  const getRecord = (teamData) => {
+    const teamId = teamData.team_id;
+    if (!records[teamId]) {
+      const division = DIVISIONS[teamId] || null;
+      records[teamId] = {
+        teamId,
+        teamName: teamData.team_name,
+        franchiseId: teamData.franchise_id,
+        division,
+        conference: division ? CONFERENCES[division] : null,
+        gamesPlayed: 0,
+        wins: 0,
+        losses: 0,
+        otLosses: 0,
+        points: 0,
+        regulationWins: 0,
+        regulationPlusOtWins: 0,
+        goalsFor: 0,
+        goalsAgainst: 0,
+      };
+      headToHead[teamId] = {};
+    }
+    return records[teamId];
+  };
+  
+  for (const game of games) {
+    const home = getRecord(game.home_data);
+    const away = getRecord(game.away_data);
+    const homeScore = game.home_data.team_score || 0;
+    const awayScore = game.away_data.team_score || 0;
+    const periodType = getLastPeriodType(game);
     
-    // Fetch current scores from API
-    const scoreResponse = await fetch(`https://api-web.nhle.com/v1/score/${gameDate}`);
-    const scoreData = await scoreResponse.json();
+    if (homeScore === awayScore) {
+      // Ties no longer exist; skip incomplete data rather than guess a winner
+      continue;
+    }
     
-    // Find the specific game in the games list
-    const games = scoreData.games || [];
-    const currentGame = games.find((g) => g.id.toString() === gameId);
+    const [winner, loser] = homeScore > awayScore ? [home, away] : [away, home];
     
-    // Use scores from API if found, otherwise default to 0
-    const awayScore = currentGame?.awayTeam?.score || 0;
-    const homeScore = currentGame?.homeTeam?.score || 0;
-
-    // Get franchise IDs from teams collection
-    const homeTeamDoc = await db.collection("teams")
-      .where("abbreviation", "==", gameData.homeTeam.abbrev)
-      .limit(1)
-      .get();
-    const awayTeamDoc = await db.collection("teams")
-      .where("abbreviation", "==", gameData.awayTeam.abbrev)
-      .limit(1)
-      .get();
+    home.gamesPlayed++;
+    away.gamesPlayed++;
+    home.goalsFor += homeScore;
+    home.goalsAgainst += awayScore;
+    away.goalsFor += awayScore;
+    away.goalsAgainst += homeScore;
     
-    const home_franchiseId = homeTeamDoc.docs[0]?.data()?.franchise_id || -1;
-    const away_franchiseId = awayTeamDoc.docs[0]?.data()?.franchise_id || -1;      
+    winner.wins++;
+    winner.points += 2;
+    if (periodType === "REG") {
+      winner.regulationWins++;
+    }
+    if (periodType !== "SO") {
+      winner.regulationPlusOtWins++;
+    }
     
-    gameDoc = {
-      gameid: gameId,
-      start_time: startTime,
-      home_data: {
-        team_id: gameData.homeTeam.abbrev,
-        team_name: gameData.homeTeam.commonName.default,
-        team_score: homeScore,
-        franchise_id: home_franchiseId,
-      },
-      away_data: {
-        team_id: gameData.awayTeam.abbrev,
-        team_name: gameData.awayTeam.commonName.default,
-        team_score: awayScore,
-        franchise_id: away_franchiseId,
-      },
-      status: gameData.gameState || "SCHEDULED",
-      raw: gameData,
-    };
+    if (periodType === "REG") {
+      loser.losses++;
+    } else {
+      loser.otLosses++;
+      loser.points += 1;
+    }
+    
+    headToHead[winner.teamId][loser.teamId] = (headToHead[winner.teamId][loser.teamId] || 0) + 2;
+    if (periodType !== "REG") {
+      headToHead[loser.teamId][winner.teamId] = (headToHead[loser.teamId][winner.teamId] || 0) + 1;
+    }
   }
   
-  if (setDB) {
-    await db.collection("games").doc(gameId).set(gameDoc);
-    console.log(`Game ${gameId} created`);
+  for (const record of Object.values(records)) {
+    record.goalDifferential = record.goalsFor - record.goalsAgainst;
+    record.pointsPct = record.gamesPlayed > 0
+      ? Number((record.points / (record.gamesPlayed * 2)).toFixed(3))
+      : 0;
   }
+  
+  return { records, headToHead };
+}
 
-  return {
-    gameId: gameId,
-    gameDoc: gameDoc,
-  };
+/**
+ * Helper function: Order standings rows using NHL tiebreakers
+ * Points percentage, then regulation wins, regulation-plus-overtime wins and wins.
+ * Teams still tied are separated by points earned against each other,
+ * then goal differential and goals for.
+ * @param {Array<Object>} rows - Standings rows from buildStandingsRecords
+ * @param {Object} headToHead - Head-to-head points from buildStandingsRecords
+ */
+function rankStandings(rows, headToHead) {
+  const baseCompare = (a, b) =>
+    b.pointsPct - a.pointsPct ||
+    b.points - a.points ||
+    b.regulationWins - a.regulationWins ||
+    b.regulationPlusOtWins - a.regulationPlusOtWins ||
+    b.wins - a.wins;
+  
+  const sorted = [...rows].sort(baseCompare);
+  const ranked = [];
+  
+  // Resolve each group of teams tied on the base criteria together,
+  // so head-to-head only counts games between the tied teams
+  let i = 0;
+  while (i < sorted.length) {
+    let j = i + 1;
+    while (j < sorted.length && baseCompare(sorted[i], sorted[j]) === 0) {
+      j++;
+    }
+    
+    const tied = sorted.slice(i, j);
+    if (tied.length > 1) {
+      const tiedIds = tied.map((row) => row.teamId);
+      const h2hPoints = (row) => tiedIds
+        .filter((id) => id !== row.teamId)
+        .reduce((sum, id) => sum + (headToHead[row.teamId]?.[id] || 0), 0);
+      
+      tied.sort((a, b) =>
+        h2hPoints(b) - h2hPoints(a) ||
+        b.goalDifferential - a.goalDifferential ||
+        b.goalsFor - a.goalsFor
+      );
+    }
+    
+    ranked.push(...tied);
+    i = j;
+  }
+  
+  return ranked.map((row, index) => ({ ...row, rank: index + 1 }));
 }
 
 /**
- * Standalone function to ingest game/team data
- * Call this with: npm run ingest
- * @param {Object} options - Ingestion options
- * @param {number} options.backfillYear - Optional year to start backfilling from (e.g., 2024)
+ * Helper function: Build division, conference, league and wild-card standings
+ * from FINAL regular-season games stored in the games collection
+ * @param {string} season - Season string (e.g., "20242025"), defaults to current season
  */
-async function ingestData(options = {}) {
+async function getStandings(season) {
   try {
-    console.log("Starting data ingestion...");
-
-    const { backfillYear } = options;
-    let gamesToProcess = [];
-    let dateRange = "";
-
-    if (backfillYear) {
-      // Backfill mode: use Stats API bulk fetch for efficiency
-      console.log(`\nBACKFILL MODE: Fetching games from ${backfillYear} season to present\n`);
-      
-      // Build team lookup map first
-      console.log('Building team lookup map...');
-      const teamsResponse = await fetch("https://api.nhle.com/stats/rest/en/team");
-      const teamsData = await teamsResponse.json();
-      const teamLookup = new Map();
-      for (const team of teamsData.data || []) {
-        teamLookup.set(team.id, { triCode: team.triCode, fullName: team.fullName, franchiseId: team.franchiseId });
-      }
-      console.log(`Loaded ${teamLookup.size} teams\n`);
+    season = season || await getLatestSeason();
+    const seasonStartYear = parseInt(season.substring(0, 4));
+    
+    // Regular seasons always fall between September and the following August
+    const gamesQuery = await db.collection("games")
+      .where("status", "==", "FINAL")
+      .where("start_time", ">=", Timestamp.fromDate(zonedTimeToUtc(`${seasonStartYear}-09-01`, NHL_TIME_ZONE)))
+      .where("start_time", "<", Timestamp.fromDate(zonedTimeToUtc(`${seasonStartYear + 1}-08-01`, NHL_TIME_ZONE)))
+      .get();
+    
+    const games = [];
+    gamesQuery.forEach((doc) => {
+      const game = doc.data();
+      const gameType = getGameType(game);
       
-      // Generate season strings from backfillYear to current year
-      const currentYear = new Date().getFullYear();
-      const seasons = [];
-      for (let year = backfillYear; year <= currentYear; year++) {
-        seasons.push(`${year}${year + 1}`);
-      }
+      // Only regular-season games count towards standings
+      if (gameType !== null && gameType !== REGULAR_SEASON_GAME_TYPE) return;
+      if (getGameSeason(game) !== season) return;
       
-      console.log(`Processing ${seasons.length} seasons: ${seasons.join(", ")}\n`);
-      dateRange = `${backfillYear}-${currentYear + 1} seasons`;
+      games.push(game);
+    });
+    
+    const { records, headToHead } = buildStandingsRecords(games);
+    const rows = Object.values(records);
+    
+    const league = rankStandings(rows, headToHead);
+    
+    const divisions = {};
+    for (const division of Object.keys(CONFERENCES)) {
+      divisions[division] = rankStandings(
+        rows.filter((row) => row.division === division),
+        headToHead
+      );
+    }
+    
+    const conferences = {};
+    const wildCard = {};
+    for (const conference of new Set(Object.values(CONFERENCES))) {
+      conferences[conference] = rankStandings(
+        rows.filter((row) => row.conference === conference),
+        headToHead
+      );
       
-      // Fetch all games for each season using Stats API
-      for (const season of seasons) {
-        console.log(`\nFetching season ${season}...`);
-        
-        try {
-          // Use Stats API with season filter - gets all games in one call
-          const gamesResponse = await fetch(
-            `https://api.nhle.com/stats/rest/en/game?cayenneExp=season=${season}&limit=-1`
-          );
-          
-          if (!gamesResponse.ok) {
-            console.warn(`  Failed to fetch season ${season}: ${gamesResponse.status}`);
-            continue;
-          }
-          
-          const gamesData = await gamesResponse.json();
-          const games = gamesData.data || [];
-          
-          console.log(`  Season ${season}: Found ${games.length} games`);
-          
-          // Add games with minimal data needed for processing
-          for (const game of games) {
-            gamesToProcess.push({
-              game,
-              gameDate: game.gameDate,
-              isStatsAPI: true,
-              teamLookup // Pass team lookup to each game for processing
-            });
-          }
-          
-        } catch (error) {
-          console.warn(`  Error fetching season ${season}:`, error.message);
-        }
+      // Top 3 in each division qualify; the next 2 best in the conference are wild cards
+      const divisionLeaders = {};
+      const leaderIds = new Set();
+      for (const [division, divisionConference] of Object.entries(CONFERENCES)) {
+        if (divisionConference !== conference) continue;
+        divisionLeaders[division] = divisions[division].slice(0, 3);
+        divisionLeaders[division].forEach((row) => leaderIds.add(row.teamId));
       }
       
-      console.log(`\nTotal games found: ${gamesToProcess.length}\n`);
-      
-    } else {
-      // Normal mode: fetch only today's games
-      const today = new Date();
-      const estOffset = -5; // EST is UTC-5
-      const estDate = new Date(today.getTime() + estOffset * 60 * 60 * 1000);
-      const dateString = estDate.toISOString().split("T")[0];
-      
-      console.log(`Fetching games for date: ${dateString}`);
-      dateRange = dateString;
-
-
-      const scheduleResponse = await fetch(
-        `https://api-web.nhle.com/v1/schedule/${dateString}`
+      const remaining = rankStandings(
+        rows.filter((row) => row.conference === conference && !leaderIds.has(row.teamId)),
+        headToHead
       );
-      const scheduleData = await scheduleResponse.json();
       
-      const gameWeek = scheduleData.gameWeek || [];
-      
-      for (const day of gameWeek) {
-        if (day.date === dateString && day.games) {
-          for (const game of day.games) {
-            gamesToProcess.push({
-              game,
-              gameDate: dateString
-            });
-          }
-        }
-      }
-      
-      console.log(`Found ${gamesToProcess.length} games for today`);
-    }
-    
-    // Ensure teams exist (do once at the beginning)
-    
-
-
-    console.log("\nEnsuring teams are up to date...");
-    await updateTeams();
-    
-    // Process each game
-    console.log(`\nProcessing ${gamesToProcess.length} games...\n`);
-    let created = 0;
-    let skipped = 0;
-    let updated = 0;
-    
-    if (backfillYear && gamesToProcess.length > 0 && gamesToProcess[0].isStatsAPI) {
-      // Batch processing for Stats API (bulk backfill)
-      const BATCH_SIZE = 500; // Firestore limit is 500 operations per batch
-      const batches = [];
-      
-      for (let i = 0; i < gamesToProcess.length; i += BATCH_SIZE) {
-        const batchGames = gamesToProcess.slice(i, i + BATCH_SIZE);
-        batches.push(batchGames);
-      }
-      
-      console.log(`Processing ${batches.length} batches of up to ${BATCH_SIZE} games each...\n`);
-      
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        const batch = db.batch();
-        const batchGames = batches[batchIndex];
-        
-        // Check which games don't exist and prepare batch write
-        for (const { game, teamLookup } of batchGames) {
-          const gameId = game.id.toString();
-          const gameRef = db.collection("games").doc(gameId);
-          const gameDoc = await gameRef.get();
-          
-          if (!gameDoc.exists) {
-            const { gameDoc: gameData } = await createGame(game, { teamLookup }, false);
-            batch.set(gameRef, gameData);
-            created++;
-          } else {
-            const existingData = gameDoc.data();
-            const existingStatus = existingData.status;
-            
-            // Check if game was SCHEDULED or LIVE - need to update
-            if (existingStatus === "SCHEDULED" || existingStatus === "LIVE" || existingStatus === "PREGAME" || existingStatus === "CRIT") {
-              const { gameDoc: gameData } = await createGame(game, { teamLookup }, false);
-              
-              // Check if status or scores changed
-              const statusChanged = existingStatus !== gameData.status;
-              const scoresChanged = 
-                existingData.home_data.team_score !== gameData.home_data.team_score ||
-                existingData.away_data.team_score !== gameData.away_data.team_score;
-              
-              if (statusChanged || scoresChanged) {
-                batch.update(gameRef, gameData);
-                updated++;
-              } else {
-                skipped++;
-              }
-            } else {
-              skipped++;
-            }
-          }
-        }
-        
-        // Commit the batch
-        await batch.commit();
-        
-        console.log(`Progress: ${Math.min((batchIndex + 1) * BATCH_SIZE, gamesToProcess.length)}/${gamesToProcess.length} games processed (${created} created, ${updated} updated, ${skipped} skipped)`);
-        
-        // Add delay between batches to avoid overwhelming emulator
-        if (batchIndex < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
-    } else {
-      // Individual processing for normal mode (Schedule API)
-      for (let i = 0; i < gamesToProcess.length; i++) {
-        const { game, gameDate } = gamesToProcess[i];
-        const gameId = game.id.toString();
-        
-        // Check if game exists in database
-        const gameRef = db.collection("games").doc(gameId);
-        const gameDoc = await gameRef.get();
-        
-        if (!gameDoc.exists) {
-          await createGame(game, { gameDate });
-          created++;
-        } else {
-          const existingData = gameDoc.data();
-          const existingStatus = existingData.status;
-          
-          // Only update if game is not FINAL
-          if (existingStatus !== "FINAL") {
-            const gameStartTime = new Date(game.startTimeUTC);
-            const now = new Date();
-            
-            // Only update if current time is at or after the scheduled start time
-            // (game should have started or be close to starting)
-            if (now >= gameStartTime) {
-              const { gameDoc: gameData } = await createGame(game, { gameDate }, false);
-              
-              // Check if status or scores changed
-              const statusChanged = existingStatus !== gameData.status;
-              const scoresChanged = 
-                existingData.home_data.team_score !== gameData.home_data.team_score ||
-                existingData.away_data.team_score !== gameData.away_data.team_score;
-              
-              if (statusChanged || scoresChanged) {
-                await gameRef.update(gameData);
-                updated++;
-              } else {
-                skipped++;
-              }
-            } else {
-              skipped++;
-            }
-          } else {
-            skipped++;
-          }
-        }
-      }
+      wildCard[conference] = {
+        divisionLeaders,
+        wildCards: remaining.slice(0, 2),
+        outside: remaining.slice(2),
+      };
     }
-
-    console.log("\n=== Data Ingestion Complete ===");
-    console.log(`Date Range: ${dateRange}`);
-    console.log(`Games Found: ${gamesToProcess.length}`);
-    console.log(`Games Created: ${created}`);
-    console.log(`Games Updated: ${updated}`);
-    console.log(`Games Skipped: ${skipped}`);
-    console.log("================================\n");
     
     return {
       success: true,
-      message: "Data ingestion completed",
-      dateRange,
-      gamesFound: gamesToProcess.length,
-      gamesCreated: created,
-      gamesUpdated: updated,
-      gamesSkipped: skipped,
+      season,
+      gamesCounted: games.length,
+      league,
+      conferences,
+      divisions,
+      wildCard,
+      source: "database",
     };
   } catch (error) {
-    console.error("Error during ingestion:", error);
+    console.error(`Error building standings for season ${season}:`, error);
     throw error;
   }
 }
 
+// Default number of recent meetings returned by fetchHeadToHead
+const HEAD_TO_HEAD_MEETINGS = 10;
+
+// Statuses of games that have not started yet
+const UPCOMING_GAME_STATUSES = ["SCHEDULED", "PREGAME", "FUT", "PRE"];
+
 /**
- * Helper function: Fetch goals from play-by-play API and store in game document
+ * Helper function: Look up a team document by abbreviation
+ * @param {string} abbreviation - Team abbreviation (e.g., "TOR")
  */
-async function fetchGameGoals(gameId) {
+async function getTeamByAbbreviation(abbreviation) {
+  const teamQuery = await db.collection("teams")
+    .where("abbreviation", "==", abbreviation)
+    .limit(1)
+    .get();
+  
+  if (teamQuery.empty) {
+    throw new Error(`Team ${abbreviation} not found`);
+  }
+  
+  const teamData = teamQuery.docs[0].data();
+  
+  if (!teamData.franchise_id || teamData.franchise_id === -1) {
+    throw new Error(`Team ${abbreviation} has no valid franchise ID`);
+  }
+  
+  return teamData;
+}
+
+/**
+ * Helper function: Empty head-to-head record between two franchises
+ */
+function emptyHeadToHeadRecord() {
+  const side = () => ({ wins: 0, losses: 0, otLosses: 0, goals: 0 });
+  return { gamesPlayed: 0, teamA: side(), teamB: side() };
+}
+
+/**
+ * Helper function: Add a FINAL game's result to a head-to-head record
+ * @param {Object} record - Record from emptyHeadToHeadRecord
+ * @param {Object} gameData - FINAL game document data
+ * @param {number} franchiseA - Franchise ID reported as teamA
+ */
+function addToHeadToHeadRecord(record, gameData, franchiseA) {
+  record.gamesPlayed++;
+  
+  for (const contribution of getGameContributions(gameData)) {
+    const side = contribution.franchise_id === franchiseA ? record.teamA : record.teamB;
+    side.wins += contribution.wins;
+    side.losses += contribution.losses;
+    side.otLosses += contribution.ot_losses;
+    side.goals += contribution.goals_for;
+  }
+}
+
+/**
+ * Helper function: Head-to-head history between two teams, matched by franchise
+ * so games played under a previous name or city are included
+ * @param {string} teamA - Team abbreviation
+ * @param {string} teamB - Team abbreviation
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Number of recent meetings to return
+ * @param {string} options.gameId - Scheduled game to preview instead of the next upcoming meeting
+ */
+async function getHeadToHead(teamA, teamB, options = {}) {
   try {
-    const gameRef = db.collection("games").doc(gameId);
+    const limit = options.limit || HEAD_TO_HEAD_MEETINGS;
+    const [teamAData, teamBData] = await Promise.all([
+      getTeamByAbbreviation(teamA),
+      getTeamByAbbreviation(teamB),
+    ]);
+    const franchiseA = teamAData.franchise_id;
+    const franchiseB = teamBData.franchise_id;
     
-    // Check if goals already exist
-    const gameDoc = await gameRef.get();
-    if (!gameDoc.exists) {
-      throw new Error(`Game ${gameId} not found`);
+    if (franchiseA === franchiseB) {
+      throw new Error(`${teamA} and ${teamB} are the same franchise`);
     }
     
-    const gameData = gameDoc.data();
-    
+    const gamesRef = db.collection("games");
+    const [teamAHomeQuery, teamBHomeQuery] = await Promise.all([
+      gamesRef.where("home_data.franchise_id", "==", franchiseA).where("away_data.franchise_id", "==", franchiseB).get(),
+      gamesRef.where("home_data.franchise_id", "==", franchiseB).where("away_data.franchise_id", "==", franchiseA).get(),
+    ]);
     
-    // If goals already exist, return them
-    if (gameData.status === "FINAL" && gameData.goals && Object.keys(gameData.goals).length > 0) {
-      return {
-        success: true,
-        gameId,
-        goals: gameData.goals,
-        source: "database",
-      };
-    }
-
+    const games = [...teamAHomeQuery.docs, ...teamBHomeQuery.docs]
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.start_time.toMillis() - a.start_time.toMillis());
     
-    // Fetch play-by-play data from API
-    const playByPlayResponse = await fetch(
-      `https://api-web.nhle.com/v1/gamecenter/${gameId}/play-by-play`
-    );
+    // Preseason games don't count towards records or recent meetings
+    const finalGames = games.filter((game) => game.status === "FINAL" && getGameType(game) !== PRESEASON_GAME_TYPE);
+    const allTime = emptyHeadToHeadRecord();
+    const seasons = {};
+    const splits = { teamAHome: emptyHeadToHeadRecord(), teamBHome: emptyHeadToHeadRecord() };
     
-    if (!playByPlayResponse.ok) {
-      throw new Error(`Failed to fetch play-by-play: ${playByPlayResponse.status}`);
+    for (const game of finalGames) {
+      const season = getGameSeason(game);
+      seasons[season] = seasons[season] || { season, ...emptyHeadToHeadRecord() };
+      
+      addToHeadToHeadRecord(allTime, game, franchiseA);
+      addToHeadToHeadRecord(seasons[season], game, franchiseA);
+      addToHeadToHeadRecord(
+        game.home_data.franchise_id === franchiseA ? splits.teamAHome : splits.teamBHome,
+        game,
+        franchiseA
+      );
     }
     
-    const playByPlayData = await playByPlayResponse.json();
-    const plays = playByPlayData.plays || [];
-    
-    // Filter for goal events (eventId 505)
-    const goalPlays = plays.filter((play) => play.typeDescKey === "goal");
+    const lastMeetings = finalGames.slice(0, limit).map((game) => ({
+      gameId: game.id,
+      start_time: game.start_time,
+      season: getGameSeason(game),
+      homeTeam: game.home_data.team_id,
+      awayTeam: game.away_data.team_id,
+      homeScore: game.home_data.team_score || 0,
+      awayScore: game.away_data.team_score || 0,
+      periodType: getLastPeriodType(game),
+    }));
     
-    // Sort goals by period and time
-    goalPlays.sort((a, b) => {
-      const periodA = a.periodDescriptor?.number || 1;
-      const periodB = b.periodDescriptor?.number || 1;
-      
-      if (periodA !== periodB) {
-        return periodA - periodB;
-      }
-      
-      // If same period, sort by time in period
-      const timeA = a.timeInPeriod || "00:00";
-      const timeB = b.timeInPeriod || "00:00";
-      
-      // Convert MM:SS to total seconds for comparison
-      const [minA, secA] = timeA.split(':').map(Number);
-      const [minB, secB] = timeB.split(':').map(Number);
-      const totalSecsA = minA * 60 + secA;
-      const totalSecsB = minB * 60 + secB;
-      
-      return totalSecsA - totalSecsB;
-    });
+    // Preview the requested game, or the next meeting that hasn't started
+    // (games are newest first, so the last upcoming one is the soonest)
+    const now = Date.now();
+    const previewGame = options.gameId ?
+      games.find((game) => game.id === options.gameId) :
+      games
+        .filter((game) => UPCOMING_GAME_STATUSES.includes(game.status) && game.start_time.toMillis() >= now)
+        .pop();
     
-    // Build goals object keyed by time
-    const goals = {};
-    let prevHomeScore = 0;
-    let prevAwayScore = 0;
+    if (options.gameId && !previewGame) {
+      throw new Error(`Game ${options.gameId} is not between ${teamA} and ${teamB}`);
+    }
     
-    for (const play of goalPlays) {
-      const timeInPeriod = play.timeInPeriod || "00:00";
-      const period = play.periodDescriptor?.number || 1;
-
-      // Determine current scores from play details
-      const homeScore = play.details.homeScore || 0;
-      const awayScore = play.details.awayScore || 0;
-
-      // Determine who scored by comparing to previous scores
-      const homeScored = homeScore > prevHomeScore;
-      const awayScored = awayScore > prevAwayScore;
-      
-      // Update previous scores for next iteration
-      prevHomeScore = homeScore;
-      prevAwayScore = awayScore;
-
-      // Get scorer, goalie, and assists
-      const details = play.details || {};
-      const scoringPlayerId = details.scoringPlayerId;
-      const goalieInNetId = details.goalieInNetId;
-      const assist1PlayerId = details.assist1PlayerId;
-      const assist2PlayerId = details.assist2PlayerId;
-      
-      // Get player names from rosterSpots
-      const rosterSpots = playByPlayData.rosterSpots || [];
-      const getPlayerName = (playerId) => {
-        if (!playerId) return null;
-        const player = rosterSpots.find((spot) => spot.playerId === playerId);
-        if (!player) return "Unknown";
-        const firstName = player.firstName?.default || "";
-        const lastName = player.lastName?.default || "";
-        if (!firstName || !lastName) return "Unknown";
-        return `${firstName.charAt(0)}. ${lastName}`;
-      };
-      
-      const scorerName = getPlayerName(scoringPlayerId);
-      const goalieName = getPlayerName(goalieInNetId);
-      const primaryAssist = getPlayerName(assist1PlayerId);
-      const secondaryAssist = getPlayerName(assist2PlayerId);
-      
-      // Calculate total in-game time
-      // Each period is 20 minutes, so add (period - 1) * 20 to the time in period
-      const [minutes, seconds] = timeInPeriod.split(':').map(Number);
-      const totalMinutes = (period - 1) * 20 + minutes;
-      const totalTimeFormatted = `${totalMinutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-      
-      // Store with period info to make time unique
-      const timeKey = `P${period}-${timeInPeriod}`;
+    let preview = null;
+    if (previewGame) {
+      const [homeForm, awayForm] = await Promise.all([
+        getTeamData(previewGame.home_data.team_id),
+        getTeamData(previewGame.away_data.team_id),
+      ]);
+      const form = (teamData) => ({
+        teamId: teamData.teamId,
+        teamName: teamData.teamName,
+        season: teamData.season,
+        gamesPlayed: teamData.gamesPlayed,
+        wins: teamData.wins,
+        losses: teamData.losses,
+        otLosses: teamData.otLosses,
+        goalsFor: teamData.totalGoals,
+        goalsAgainst: teamData.goalsAgainst,
+        recentGames: teamData.recentGames,
+      });
       
-      goals[timeKey] = {
-        scorer: scorerName,
-        goalie: goalieName,
-        primaryAssist: primaryAssist,
-        secondaryAssist: secondaryAssist,
-        period: period,
-        timeInPeriod: timeInPeriod,
-        totalTime: totalTimeFormatted,
-        isHome: homeScored,
+      preview = {
+        gameId: previewGame.id,
+        start_time: previewGame.start_time,
+        status: previewGame.status,
+        home: form(homeForm),
+        away: form(awayForm),
       };
     }
     
-    // Update game document with goals
-    await gameRef.update({ goals });
-    
     return {
       success: true,
-      gameId,
-      goals,
-      source: "api",
+      teamA: { teamId: teamA, franchiseId: franchiseA, teamName: teamAData.team_name },
+      teamB: { teamId: teamB, franchiseId: franchiseB, teamName: teamBData.team_name },
+      allTime,
+      seasons: Object.values(seasons).sort((a, b) => b.season.localeCompare(a.season)),
+      splits,
+      lastMeetings,
+      preview,
+      source: "database",
     };
   } catch (error) {
-    console.error(`Error fetching goals for game ${gameId}:`, error);
+    console.error(`Error fetching head-to-head for ${teamA} vs ${teamB}:`, error);
     throw error;
   }
-}
+}
+
+/**
+ * Helper function: Get the games that start on a local calendar day
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} timeZone - IANA timezone the date is in (e.g., "Europe/Helsinki")
+ */
+async function getGamesForDate(date, timeZone = NHL_TIME_ZONE) {
+  try {
+    const [year, month, day] = date.split("-").map(Number);
+    const nextDate = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split("T")[0];
+    const dayStart = zonedTimeToUtc(date, timeZone);
+    const dayEnd = zonedTimeToUtc(nextDate, timeZone);
+    
+    const gamesQuery = await db.collection("games")
+      .where("start_time", ">=", Timestamp.fromDate(dayStart))
+      .where("start_time", "<", Timestamp.fromDate(dayEnd))
+      .orderBy("start_time")
+      .get();
+    
+    const localTimeFormat = new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    
+    const games = gamesQuery.docs.map((doc) => {
+      const game = doc.data();
+      
+      return {
+        gameId: doc.id,
+        start_time: game.start_time,
+        local_start_time: localTimeFormat.format(game.start_time.toDate()),
+        game_date: getGameDate(game),
+        season: getGameSeason(game),
+        status: game.status,
+        period_type: game.period_type || null,
+        home_data: game.home_data,
+        away_data: game.away_data,
+      };
+    });
+    
+    return {
+      success: true,
+      date,
+      timeZone,
+      games,
+      source: "database",
+    };
+  } catch (error) {
+    console.error(`Error fetching games for ${date} (${timeZone}):`, error);
+    throw error;
+  }
+}
+
+// Playoff rounds and the series letters the NHL gives each round's series
+const PLAYOFF_ROUNDS = {
+  1: { name: "First Round", letters: "ABCDEFGH" },
+  2: { name: "Second Round", letters: "IJKL" },
+  3: { name: "Conference Final", letters: "MN" },
+  4: { name: "Stanley Cup Final", letters: "O" },
+};
+
+// Wins needed to take a best-of-seven series
+const PLAYOFF_WINS_NEEDED = 4;
+
+/**
+ * Helper function: Decode a playoff game ID
+ * Playoff IDs are season year, "03", "0", round, series and game number,
+ * e.g. 2024030214 is game 4 of the first second-round series of 2024-25
+ * @param {string|number} gameId - Game ID
+ * @returns {Object|null} Series info, or null if this isn't a playoff game ID
+ */
+function parsePlayoffGameId(gameId) {
+  const id = gameId.toString();
+  
+  if (!/^\d{4}030\d{3}$/.test(id)) {
+    return null;
+  }
+  
+  const round = Number(id[7]);
+  const seriesNumber = Number(id[8]);
+  const gameNumber = Number(id[9]);
+  const letters = PLAYOFF_ROUNDS[round]?.letters;
+  
+  if (!letters || seriesNumber < 1 || seriesNumber > letters.length || gameNumber < 1 || gameNumber > 7) {
+    return null;
+  }
+  
+  const startYear = Number(id.substring(0, 4));
+  
+  return {
+    season: `${startYear}${startYear + 1}`,
+    round,
+    seriesNumber,
+    seriesLetter: letters[seriesNumber - 1],
+    gameNumber,
+  };
+}
+
+/**
+ * Helper function: Work out a playoff series' state from its games
+ * Game 1's home team has home ice, so it is the top seed
+ * @param {Object} info - Series info from parsePlayoffGameId
+ * @param {Array<Object>} games - Game documents in the series, each with its id
+ * @param {Object} seeds - Seed labels (e.g. "D1", "WC2") keyed by team abbreviation
+ */
+function buildPlayoffSeries(info, games, seeds = {}) {
+  const sortedGames = [...games].sort((a, b) => a.id.localeCompare(b.id));
+  const firstGame = sortedGames[0];
+  const wins = {};
+  
+  for (const game of sortedGames) {
+    if (game.status !== "FINAL") continue;
+    
+    const homeScore = game.home_data.team_score || 0;
+    const awayScore = game.away_data.team_score || 0;
+    const winner = homeScore > awayScore ? game.home_data.team_id : game.away_data.team_id;
+    wins[winner] = (wins[winner] || 0) + 1;
+  }
+  
+  const seed = (teamData) => ({
+    team_id: teamData.team_id,
+    team_name: teamData.team_name || null,
+    franchise_id: teamData.franchise_id ?? null,
+    seed: seeds[teamData.team_id] || null,
+    wins: wins[teamData.team_id] || 0,
+  });
+  
+  const topSeed = seed(firstGame.home_data);
+  const bottomSeed = seed(firstGame.away_data);
+  const leader = topSeed.wins >= bottomSeed.wins ? topSeed : bottomSeed;
+  const trailer = leader === topSeed ? bottomSeed : topSeed;
+  const winner = leader.wins >= PLAYOFF_WINS_NEEDED ? leader.team_id : null;
+  
+  let status = "scheduled";
+  if (winner) {
+    status = "complete";
+  } else if (sortedGames.some((game) => !UPCOMING_GAME_STATUSES.includes(game.status))) {
+    status = "in_progress";
+  }
+  
+  let summary;
+  if (winner) {
+    summary = `${winner} wins ${leader.wins}-${trailer.wins}`;
+  } else if (leader.wins === trailer.wins) {
+    summary = `Series tied ${leader.wins}-${trailer.wins}`;
+  } else {
+    summary = `${leader.team_id} leads ${leader.wins}-${trailer.wins}`;
+  }
+  
+  return {
+    season: info.season,
+    series_letter: info.seriesLetter,
+    round: info.round,
+    round_name: PLAYOFF_ROUNDS[info.round].name,
+    series_number: info.seriesNumber,
+    top_seed: topSeed,
+    bottom_seed: bottomSeed,
+    wins_needed: PLAYOFF_WINS_NEEDED,
+    winner,
+    status,
+    summary,
+    games: sortedGames.map((game) => ({
+      gameId: game.id,
+      game_number: Number(game.id[9]),
+      start_time: game.start_time,
+      status: game.status,
+      home_team: game.home_data.team_id,
+      away_team: game.away_data.team_id,
+      home_score: game.home_data.team_score || 0,
+      away_score: game.away_data.team_score || 0,
+      period_type: game.status === "FINAL" ? getLastPeriodType(game) : null,
+    })),
+  };
+}
+
+/**
+ * Helper function: Playoff seed labels for a season from the regular-season standings
+ * Division qualifiers are D1-D3 and wild cards WC1-WC2
+ * @param {string} season - Season string (e.g., "20242025")
+ * @returns {Object} Seed labels keyed by team abbreviation
+ */
+async function getPlayoffSeeds(season) {
+  const standings = await getStandings(season);
+  const seeds = {};
+  
+  for (const conference of Object.values(standings.wildCard)) {
+    for (const leaders of Object.values(conference.divisionLeaders)) {
+      leaders.forEach((row, index) => {
+        seeds[row.teamId] = `D${index + 1}`;
+      });
+    }
+    conference.wildCards.forEach((row, index) => {
+      seeds[row.teamId] = `WC${index + 1}`;
+    });
+  }
+  
+  return seeds;
+}
+
+/**
+ * Helper function: Recompute and store the series a playoff game belongs to
+ * Seeds are worked out from the standings once and kept on the series document
+ * @param {string} gameId - Playoff game ID
+ * @returns {Object|null} Series data, or null if this isn't a playoff game
+ */
+async function updatePlayoffSeries(gameId) {
+  const info = parsePlayoffGameId(gameId);
+  
+  if (!info) {
+    return null;
+  }
+  
+  // All seven possible game IDs in the series are known up front
+  const seriesPrefix = gameId.toString().substring(0, 9);
+  const gameRefs = [1, 2, 3, 4, 5, 6, 7].map((gameNumber) => db.collection("games").doc(`${seriesPrefix}${gameNumber}`));
+  const seriesRef = db.collection("playoff_series").doc(`${info.season}_${info.seriesLetter}`);
+  
+  const [seriesDoc, ...gameDocs] = await db.getAll(seriesRef, ...gameRefs);
+  const games = gameDocs.filter((doc) => doc.exists).map((doc) => ({ id: doc.id, ...doc.data() }));
+  
+  if (games.length === 0) {
+    return null;
+  }
+  
+  const existing = seriesDoc.exists ? seriesDoc.data() : null;
+  const seeds = existing?.top_seed?.seed && existing?.bottom_seed?.seed ? {
+    [existing.top_seed.team_id]: existing.top_seed.seed,
+    [existing.bottom_seed.team_id]: existing.bottom_seed.seed,
+  } : await getPlayoffSeeds(info.season);
+  
+  const series = buildPlayoffSeries(info, games, seeds);
+  
+  await seriesRef.set({
+    ...series,
+    last_updated: FieldValue.serverTimestamp(),
+  });
+  
+  console.log(`Playoff series ${info.season} ${info.seriesLetter}: ${series.summary}`);
+  
+  return series;
+}
+
+/**
+ * Helper function: Rebuild every playoff series of a season from the stored games
+ * Needed once for seasons stored before the syncPlayoffSeries trigger existed
+ * @param {string} season - Season string (e.g., "20242025")
+ * @returns {Array<Object>} Series data
+ */
+async function rebuildPlayoffSeries(season) {
+  const startYear = season.substring(0, 4);
+  
+  // Playoff game IDs for a season all fall between {year}030000 and {year}040000
+  const gamesQuery = await db.collection("games")
+    .where(FieldPath.documentId(), ">=", `${startYear}030000`)
+    .where(FieldPath.documentId(), "<", `${startYear}040000`)
+    .get();
+  
+  const seriesGames = {};
+  const seriesInfo = {};
+  
+  gamesQuery.forEach((doc) => {
+    const info = parsePlayoffGameId(doc.id);
+    if (!info) return;
+    
+    seriesGames[info.seriesLetter] = seriesGames[info.seriesLetter] || [];
+    seriesGames[info.seriesLetter].push({ id: doc.id, ...doc.data() });
+    seriesInfo[info.seriesLetter] = info;
+  });
+  
+  if (Object.keys(seriesGames).length === 0) {
+    return [];
+  }
+  
+  const seeds = await getPlayoffSeeds(season);
+  const batch = db.batch();
+  const allSeries = [];
+  
+  for (const [seriesLetter, games] of Object.entries(seriesGames)) {
+    const series = buildPlayoffSeries(seriesInfo[seriesLetter], games, seeds);
+    batch.set(db.collection("playoff_series").doc(`${season}_${seriesLetter}`), {
+      ...series,
+      last_updated: FieldValue.serverTimestamp(),
+    });
+    allSeries.push(series);
+  }
+  
+  await batch.commit();
+  
+  return allSeries;
+}
+
+/**
+ * Helper function: Playoff bracket for a season, grouped by round
+ * Read-only: series are kept up to date by the syncPlayoffSeries trigger
+ * @param {string} season - Season string (e.g., "20242025")
+ */
+async function getPlayoffBracket(season) {
+  try {
+    season = season || await getLatestSeason();
+    
+    const seriesQuery = await db.collection("playoff_series")
+      .where("season", "==", season)
+      .get();
+    
+    const allSeries = seriesQuery.docs.map((doc) => {
+      const { last_updated, ...series } = doc.data();
+      return series;
+    });
+    
+    const rounds = Object.entries(PLAYOFF_ROUNDS).map(([round, { name }]) => ({
+      round: Number(round),
+      name,
+      series: allSeries
+        .filter((series) => series.round === Number(round))
+        .sort((a, b) => a.series_letter.localeCompare(b.series_letter)),
+    }));
+    
+    const final = rounds[rounds.length - 1].series[0];
+    
+    return {
+      success: true,
+      season,
+      rounds,
+      champion: final?.winner || null,
+    };
+  } catch (error) {
+    console.error(`Error fetching playoff bracket for season ${season}:`, error);
+    throw error;
+  }
+}
+
+// Output formats served by the teamSchedule endpoint
+const SCHEDULE_FORMATS = {
+  ics: { contentType: "text/calendar; charset=utf-8", extension: "ics" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+// Calendar events block out three hours per game
+const SCHEDULE_EVENT_HOURS = 3;
+
+// Domain part of calendar event UIDs; a game keeps the same UID across every export
+const SCHEDULE_UID_DOMAIN = "nhl-game-tracker";
+
+/**
+ * Helper function: Venue name of a game from the stored field or the API payload
+ */
+function getGameVenue(gameData) {
+  return gameData.venue || gameData.raw?.venue?.default || null;
+}
+
+/**
+ * Helper function: A team's season schedule from the games collection
+ * Games are matched by franchise_id, so both home and away games are found, and
+ * by game ID range rather than the season field, which older games don't have
+ * @param {Object} teamData - Team document (abbreviation, team_name, franchise_id)
+ * @param {string} season - Season string (e.g., "20242025")
+ * @returns {Array<Object>} Games sorted by start time, from the team's point of view
+ */
+async function getTeamSchedule(teamData, season) {
+  const franchiseId = teamData.franchise_id;
+  const startYear = Number(season.substring(0, 4));
+  
+  // Game IDs for a season all start with its first year
+  const seasonGames = (field) => db.collection("games")
+    .where(field, "==", franchiseId)
+    .where(FieldPath.documentId(), ">=", `${startYear}`)
+    .where(FieldPath.documentId(), "<", `${startYear + 1}`)
+    .get();
+  
+  const [homeQuery, awayQuery] = await Promise.all([
+    seasonGames("home_data.franchise_id"),
+    seasonGames("away_data.franchise_id"),
+  ]);
+  
+  const games = [...homeQuery.docs, ...awayQuery.docs].map((doc) => {
+    const game = doc.data();
+    const isHome = game.home_data.franchise_id === franchiseId;
+    const team = isHome ? game.home_data : game.away_data;
+    const opponent = isHome ? game.away_data : game.home_data;
+    const isFinal = game.status === "FINAL";
+    const periodType = isFinal ? getLastPeriodType(game) : null;
+    
+    let result = null;
+    if (isFinal) {
+      if ((team.team_score || 0) > (opponent.team_score || 0)) {
+        result = "W";
+      } else {
+        result = periodType === "REG" || getGameType({ gameid: doc.id, ...game }) === PLAYOFF_GAME_TYPE ? "L" : "OTL";
+      }
+    }
+    
+    return {
+      gameId: doc.id,
+      start_time: game.start_time.toDate().toISOString(),
+      game_date: getGameDate(game),
+      game_type: getGameType({ gameid: doc.id, ...game }),
+      status: game.status,
+      is_home: isHome,
+      home_team: game.home_data.team_id,
+      home_team_name: game.home_data.team_name || null,
+      away_team: game.away_data.team_id,
+      away_team_name: game.away_data.team_name || null,
+      home_score: isFinal ? game.home_data.team_score || 0 : null,
+      away_score: isFinal ? game.away_data.team_score || 0 : null,
+      period_type: periodType,
+      opponent: opponent.team_id,
+      result,
+      venue: getGameVenue(game),
+    };
+  });
+  
+  return games.sort((a, b) => a.start_time.localeCompare(b.start_time));
+}
+
+/**
+ * Helper function: Escape a value for an iCalendar text property (RFC 5545 3.3.11)
+ */
+function escapeIcsText(value) {
+  return value.toString()
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Helper function: Fold an iCalendar line to 75 octets, continuing with a leading space
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  
+  return parts.join("\r\n ");
+}
+
+/**
+ * Helper function: Format a date as an iCalendar UTC date-time (e.g. 20250116T000000Z)
+ */
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Helper function: Calendar event title, with the score once the game is final
+ * e.g. "MTL @ TOR" or "MTL 2 @ TOR 4 (Final/OT)"
+ */
+function getScheduleEventTitle(game) {
+  if (game.status !== "FINAL") {
+    return `${game.away_team} @ ${game.home_team}`;
+  }
+  
+  const finalLabel = game.period_type && game.period_type !== "REG" ? `Final/${game.period_type}` : "Final";
+  return `${game.away_team} ${game.away_score} @ ${game.home_team} ${game.home_score} (${finalLabel})`;
+}
+
+/**
+ * Helper function: Build an iCalendar feed of a team's schedule
+ * UIDs are derived from game IDs so calendar apps update events in place on refresh
+ * @param {Object} teamData - Team document
+ * @param {string} season - Season string (e.g., "20242025")
+ * @param {Array<Object>} games - Games from getTeamSchedule
+ * @param {Date} now - Time the feed was generated (DTSTAMP)
+ */
+function buildScheduleIcs(teamData, season, games, now = new Date()) {
+  const seasonLabel = `${season.substring(0, 4)}-${season.substring(4)}`;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${SCHEDULE_UID_DOMAIN}//Team Schedule//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(`${teamData.team_name} ${seasonLabel}`)}`,
+    "X-WR-TIMEZONE:UTC",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+  ];
+  
+  for (const game of games) {
+    const start = new Date(game.start_time);
+    const end = new Date(start.getTime() + SCHEDULE_EVENT_HOURS * 60 * 60 * 1000);
+    const description = [`${game.away_team_name || game.away_team} at ${game.home_team_name || game.home_team}`];
+    if (game.result) {
+      description.push(`${teamData.abbreviation}: ${game.result}`);
+    }
+    
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${game.gameId}@${SCHEDULE_UID_DOMAIN}`,
+      `DTSTAMP:${formatIcsDate(now)}`,
+      `DTSTART:${formatIcsDate(start)}`,
+      `DTEND:${formatIcsDate(end)}`,
+      `SUMMARY:${escapeIcsText(getScheduleEventTitle(game))}`,
+      `DESCRIPTION:${escapeIcsText(description.join("\n"))}`
+    );
+    if (game.venue) {
+      lines.push(`LOCATION:${escapeIcsText(game.venue)}`);
+    }
+    lines.push(
+      "STATUS:CONFIRMED",
+      "TRANSP:OPAQUE",
+      "END:VEVENT"
+    );
+  }
+  
+  lines.push("END:VCALENDAR");
+  
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Helper function: Quote a CSV field when it contains a delimiter, quote or newline
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  
+  const text = value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Helper function: Build a CSV of a team's schedule, one row per game
+ * @param {Array<Object>} games - Games from getTeamSchedule
+ */
+function buildScheduleCsv(games) {
+  const columns = [
+    "game_id", "game_date", "start_time_utc", "home_team", "away_team", "venue",
+    "status", "home_score", "away_score", "period_type", "result",
+  ];
+  const rows = games.map((game) => [
+    game.gameId, game.game_date, game.start_time, game.home_team, game.away_team, game.venue,
+    game.status, game.home_score, game.away_score, game.period_type, game.result,
+  ]);
+  
+  return [columns, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+/**
+ * Helper function: Render a team's season schedule in the requested format
+ * Errors carry an HTTP status for the teamSchedule endpoint
+ * @param {Object} params - { team (abbreviation) or franchiseId, season, format }
+ * @returns {Object} { contentType, filename, body }
+ */
+async function renderTeamSchedule(params = {}) {
+  const format = (params.format || "ics").toString().toLowerCase();
+  
+  if (!SCHEDULE_FORMATS[format]) {
+    const error = new Error(`format must be one of: ${Object.keys(SCHEDULE_FORMATS).join(", ")}`);
+    error.status = 400;
+    throw error;
+  }
+  
+  if (params.season !== undefined && !/^\d{8}$/.test(params.season.toString())) {
+    const error = new Error("season must be in the format YYYYYYYY (e.g., 20242025)");
+    error.status = 400;
+    throw error;
+  }
+  
+  let teamData;
+  if (params.franchiseId !== undefined) {
+    const franchiseId = Number(params.franchiseId);
+    const teamQuery = Number.isInteger(franchiseId) ? await db.collection("teams")
+      .where("franchise_id", "==", franchiseId)
+      .limit(1)
+      .get() : null;
+    
+    if (!teamQuery || teamQuery.empty) {
+      const error = new Error(`Franchise ${params.franchiseId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    teamData = teamQuery.docs[0].data();
+  } else if (params.team) {
+    try {
+      teamData = await getTeamByAbbreviation(params.team.toString().toUpperCase());
+    } catch (error) {
+      error.status = 404;
+      throw error;
+    }
+  } else {
+    const error = new Error("team or franchiseId is required");
+    error.status = 400;
+    throw error;
+  }
+  
+  const season = params.season ? params.season.toString() : await getLatestSeason();
+  const games = await getTeamSchedule(teamData, season);
+  const { contentType, extension } = SCHEDULE_FORMATS[format];
+  
+  let body;
+  if (format === "ics") {
+    body = buildScheduleIcs(teamData, season, games);
+  } else if (format === "csv") {
+    body = buildScheduleCsv(games);
+  } else {
+    body = JSON.stringify({
+      success: true,
+      team: teamData.abbreviation,
+      team_name: teamData.team_name,
+      franchise_id: teamData.franchise_id,
+      season,
+      games,
+    });
+  }
+  
+  return {
+    contentType,
+    filename: `${teamData.abbreviation}-${season}.${extension}`,
+    body,
+  };
+}
+
+/**
+ * Helper function: Regular-season record and playoff result for one team season
+ * @param {string} season - Season string (e.g., "20242025")
+ * @param {Array<Object>} games - Team schedule from getTeamSchedule
+ * @param {boolean} complete - Whether the season is over
+ * @returns {Object} Season record as stored in team_season_history
+ */
+function buildTeamSeasonRecord(season, games, complete) {
+  const finalGames = games.filter((game) => game.status === "FINAL");
+  const goals = (game) => {
+    const goalsFor = game.is_home ? game.home_score : game.away_score;
+    const goalsAgainst = game.is_home ? game.away_score : game.home_score;
+    return [goalsFor, goalsAgainst];
+  };
+  
+  const sumRecord = (seasonGames) => {
+    const record = { games_played: 0, wins: 0, losses: 0, ot_losses: 0, goals_for: 0, goals_against: 0 };
+    for (const game of seasonGames) {
+      const [goalsFor, goalsAgainst] = goals(game);
+      record.games_played++;
+      record.wins += game.result === "W" ? 1 : 0;
+      record.losses += game.result === "L" ? 1 : 0;
+      record.ot_losses += game.result === "OTL" ? 1 : 0;
+      record.goals_for += goalsFor;
+      record.goals_against += goalsAgainst;
+    }
+    return record;
+  };
+  
+  const regular = sumRecord(finalGames.filter((game) => game.game_type === REGULAR_SEASON_GAME_TYPE));
+  const playoffGames = finalGames.filter((game) => game.game_type === PLAYOFF_GAME_TYPE);
+  const { ot_losses, ...playoffs } = sumRecord(playoffGames);
+  
+  return {
+    season,
+    complete,
+    ...regular,
+    points: regular.wins * 2 + regular.ot_losses,
+    goal_differential: regular.goals_for - regular.goals_against,
+    playoffs,
+    playoff_result: getPlayoffResult(games.filter((game) => game.game_type === PLAYOFF_GAME_TYPE), complete),
+  };
+}
+
+/**
+ * Helper function: How far a team went in the playoffs
+ * Uses the team's deepest series, worked out from playoff game IDs
+ * @param {Array<Object>} playoffGames - Team's playoff games from getTeamSchedule
+ * @param {boolean} complete - Whether the season is over
+ * @returns {Object|null} { outcome, round, round_name, opponent, wins, losses, summary },
+ *   or null while a season without playoff games is still running
+ */
+function getPlayoffResult(playoffGames, complete) {
+  let deepest = null;
+  
+  for (const game of playoffGames) {
+    const info = parsePlayoffGameId(game.gameId);
+    if (info && (!deepest || info.round > deepest.round)) {
+      deepest = info;
+    }
+  }
+  
+  if (!deepest) {
+    return complete ? {
+      outcome: "missed",
+      round: null,
+      round_name: null,
+      opponent: null,
+      wins: 0,
+      losses: 0,
+      summary: "Missed playoffs",
+    } : null;
+  }
+  
+  const seriesGames = playoffGames.filter((game) => {
+    const info = parsePlayoffGameId(game.gameId);
+    return info && info.round === deepest.round && info.seriesLetter === deepest.seriesLetter;
+  });
+  const wins = seriesGames.filter((game) => game.result === "W").length;
+  const losses = seriesGames.filter((game) => game.result === "L").length;
+  const roundName = PLAYOFF_ROUNDS[deepest.round].name;
+  
+  let outcome = "in_progress";
+  let summary = `Playing in the ${roundName}`;
+  if (wins >= PLAYOFF_WINS_NEEDED && deepest.round === 4) {
+    outcome = "champion";
+    summary = "Won the Stanley Cup";
+  } else if (losses >= PLAYOFF_WINS_NEEDED) {
+    outcome = "eliminated";
+    summary = `Lost in the ${roundName}`;
+  } else if (wins >= PLAYOFF_WINS_NEEDED) {
+    // Won the series but the next round's games aren't stored yet
+    outcome = "advanced";
+    summary = `Won the ${roundName}`;
+  }
+  
+  return {
+    outcome,
+    round: deepest.round,
+    round_name: roundName,
+    opponent: seriesGames[0].opponent,
+    wins,
+    losses,
+    summary,
+  };
+}
+
+/**
+ * Helper function: Every season's record for a franchise, oldest first
+ * Seasons are found from the franchise's team_seasons aggregates. Each season's
+ * record is computed from stored games and cached in team_season_history, and
+ * recomputed only after the season's aggregates change
+ * @param {string} teamId - Team abbreviation (e.g., 'TOR')
+ */
+async function getTeamSeasonHistory(teamId) {
+  try {
+    const teamData = await getTeamByAbbreviation(teamId);
+    const franchiseId = teamData.franchise_id;
+    const latestSeason = await getLatestSeason();
+    
+    const aggregatesQuery = await db.collection("team_seasons")
+      .where("franchise_id", "==", franchiseId)
+      .get();
+    
+    // Latest aggregate change per season, across the regular-season and playoff scopes
+    const aggregateUpdates = new Map();
+    for (const doc of aggregatesQuery.docs) {
+      const aggregate = doc.data();
+      if (aggregate.season === ALLTIME_SEASON) continue;
+      
+      const updatedAt = aggregate.last_updated?.toMillis() || 0;
+      aggregateUpdates.set(aggregate.season, Math.max(aggregateUpdates.get(aggregate.season) || 0, updatedAt));
+    }
+    
+    const seasons = [...aggregateUpdates.keys()].sort();
+    const historyRefs = seasons.map((season) => db.collection("team_season_history").doc(`${franchiseId}_${season}`));
+    const historyDocs = historyRefs.length > 0 ? await db.getAll(...historyRefs) : [];
+    
+    let computed = 0;
+    const records = [];
+    
+    for (const [index, season] of seasons.entries()) {
+      const cached = historyDocs[index].exists ? historyDocs[index].data() : null;
+      
+      // Past seasons are recomputed too when a late or corrected game changes their aggregates
+      if (cached && cached.computed_at.toMillis() > aggregateUpdates.get(season)) {
+        records.push(cached);
+        continue;
+      }
+      
+      // Taken before reading games, so a game finishing mid-computation marks this record stale
+      const computedAt = Timestamp.now();
+      const games = await getTeamSchedule(teamData, season);
+      const record = {
+        franchise_id: franchiseId,
+        ...buildTeamSeasonRecord(season, games, season < latestSeason),
+        computed_at: computedAt,
+      };
+      
+      await historyRefs[index].set(record);
+      records.push(record);
+      computed++;
+    }
+    
+    return {
+      success: true,
+      teamId,
+      franchiseId,
+      teamName: teamData.team_name,
+      seasons: records.map((record) => ({
+        season: record.season,
+        complete: record.complete,
+        gamesPlayed: record.games_played,
+        wins: record.wins,
+        losses: record.losses,
+        otLosses: record.ot_losses,
+        points: record.points,
+        goalsFor: record.goals_for,
+        goalsAgainst: record.goals_against,
+        goalDifferential: record.goal_differential,
+        playoffs: {
+          gamesPlayed: record.playoffs.games_played,
+          wins: record.playoffs.wins,
+          losses: record.playoffs.losses,
+          goalsFor: record.playoffs.goals_for,
+          goalsAgainst: record.playoffs.goals_against,
+        },
+        playoffResult: record.playoff_result,
+      })),
+      seasonsComputed: computed,
+    };
+  } catch (error) {
+    console.error(`Error fetching season history for ${teamId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Create a new game document from either Schedule API or Stats API format
+ * @param {Object} gameData - Game data from either API
+ * @param {Object} options - Options object with optional teamLookup and gameDate
+ * @param {boolean} setDB - Whether to write to database
+ */
+async function createGame(gameData, options = {}, setDB = true) {
+  const gameId = gameData.id.toString();
+  
+  // Detect API format based on presence of teamLookup
+  // If teamLookup is provided, we're using Stats API format
+  // Otherwise, we're using Schedule API format
+  const isStatsAPI = options.teamLookup !== undefined;
+  
+  let gameDoc;
+  
+  if (isStatsAPI) {
+    // Stats API format - uses teamLookup to map numeric IDs to team data
+    const { teamLookup } = options;
+    
+    const homeTeam = teamLookup.get(gameData.homeTeamId) || { triCode: "UNK", fullName: "Unknown" };
+    const awayTeam = teamLookup.get(gameData.visitingTeamId) || { triCode: "UNK", fullName: "Unknown" };
+    // easternStartTime is Eastern wall-clock time with no offset
+    const startTime = Timestamp.fromDate(zonedTimeToUtc(gameData.easternStartTime, NHL_TIME_ZONE));
+    
+    // Map gameStateId to readable status
+    const statusMap = {
+      1: "SCHEDULED",
+      2: "PREGAME", 
+      3: "LIVE",
+      4: "LIVE",
+      5: "LIVE",
+      6: "FINAL",
+      7: "FINAL"
+    };
+    
+    gameDoc = {
+      gameid: gameId,
+      start_time: startTime,
+      game_date: gameData.gameDate || getDateInTimeZone(startTime.toDate(), NHL_TIME_ZONE),
+      season: gameData.season ? gameData.season.toString() : null,
+      game_type: gameData.gameType ?? null,
+      home_data: {
+        team_id: homeTeam.triCode,
+        team_name: homeTeam.fullName,
+        team_score: gameData.homeScore || 0,
+        franchise_id: homeTeam.franchiseId || -1,
+      },
+      away_data: {
+        team_id: awayTeam.triCode,
+        team_name: awayTeam.fullName ,
+        team_score: gameData.visitingScore || 0,
+        franchise_id: awayTeam.franchiseId || -1,
+      },
+      status: statusMap[gameData.gameStateId] || "SCHEDULED",
+      period_type: getPeriodTypeForStatus(gameData, statusMap[gameData.gameStateId]),
+      raw: gameData,
+    };
+  } else {
+    // Schedule API format - has embedded team data, fetch live scores
+    const { gameDate } = options;
+    const startTime = Timestamp.fromDate(new Date(gameData.startTimeUTC));
+    
+    // Fetch current scores from API
+    const scoreData = await nhlApi.getScore(gameDate);
+    
+    // Find the specific game in the games list
+    const games = scoreData.games || [];
+    const currentGame = games.find((g) => g.id.toString() === gameId);
+    
+    // Use scores from API if found, otherwise default to 0
+    const awayScore = currentGame?.awayTeam?.score || 0;
+    const homeScore = currentGame?.homeTeam?.score || 0;
+
+    // Get franchise IDs from teams collection
+    const homeTeamDoc = await db.collection("teams")
+      .where("abbreviation", "==", gameData.homeTeam.abbrev)
+      .limit(1)
+      .get();
+    const awayTeamDoc = await db.collection("teams")
+      .where("abbreviation", "==", gameData.awayTeam.abbrev)
+      .limit(1)
+      .get();
+    
+    const home_franchiseId = homeTeamDoc.docs[0]?.data()?.franchise_id || -1;
+    const away_franchiseId = awayTeamDoc.docs[0]?.data()?.franchise_id || -1;      
+    
+    gameDoc = {
+      gameid: gameId,
+      start_time: startTime,
+      game_date: gameDate || currentGame?.gameDate || getDateInTimeZone(startTime.toDate(), NHL_TIME_ZONE),
+      season: gameData.season ? gameData.season.toString() : null,
+      game_type: gameData.gameType ?? null,
+      venue: gameData.venue?.default || null,
+      home_data: {
+        team_id: gameData.homeTeam.abbrev,
+        team_name: gameData.homeTeam.commonName.default,
+        team_score: homeScore,
+        franchise_id: home_franchiseId,
+      },
+      away_data: {
+        team_id: gameData.awayTeam.abbrev,
+        team_name: gameData.awayTeam.commonName.default,
+        team_score: awayScore,
+        franchise_id: away_franchiseId,
+      },
+      status: normalizeGameState(gameData.gameState),
+      // Score API carries the live period descriptor; schedule API only has the final outcome
+      period_type: getPeriodTypeForStatus({ ...gameData, ...currentGame }, gameData.gameState),
+      raw: gameData,
+    };
+  }
+  
+  if (setDB) {
+    // Write the public copy alongside so it is readable as soon as this returns
+    const batch = db.batch();
+    batch.set(db.collection("games").doc(gameId), gameDoc);
+    batch.set(db.collection("public_games").doc(gameId), getPublicGame(gameDoc));
+    await batch.commit();
+    console.log(`Game ${gameId} created`);
+  }
+
+  return {
+    gameId: gameId,
+    gameDoc: gameDoc,
+  };
+}
+
+// Games written per Firestore batch during bulk ingestion (the limit is 500 operations)
+const INGEST_BATCH_SIZE = 500;
+
+/**
+ * Helper function: Compare a stored game with freshly built game data
+ * @returns {Object} Changed fields as [before, after] pairs
+ */
+function diffGameDocs(existingData, gameData) {
+  const changes = {};
+  
+  if (existingData.status !== gameData.status) {
+    changes.status = [existingData.status, gameData.status];
+  }
+  if (existingData.home_data?.team_score !== gameData.home_data.team_score) {
+    changes.home_score = [existingData.home_data?.team_score, gameData.home_data.team_score];
+  }
+  if (existingData.away_data?.team_score !== gameData.away_data.team_score) {
+    changes.away_score = [existingData.away_data?.team_score, gameData.away_data.team_score];
+  }
+  
+  return changes;
+}
+
+/**
+ * Standalone function to ingest game/team data
+ * Call this with: npm run ingest
+ *
+ * Without range options, ingests one NHL game date from the Schedule API.
+ * With backfillYear, seasons, from or to, ingests whole seasons from the Stats API,
+ * saving a checkpoint after every batch so a failed run can be resumed. Seasons
+ * whose games couldn't be fetched are listed in the result and the checkpoint,
+ * and are fetched again in full when the run is resumed.
+ * @param {Object} options - Ingestion options
+ * @param {number} options.backfillYear - Optional year to start backfilling from (e.g., 2024)
+ * @param {Array<string>} options.seasons - Seasons to ingest (e.g., ["20232024"])
+ * @param {string} options.from - First game date to ingest (YYYY-MM-DD)
+ * @param {string} options.to - Last game date to ingest (YYYY-MM-DD)
+ * @param {string} options.date - NHL game date for single-day ingestion, defaults to today
+ * @param {Array<number>} options.gameTypes - Game types to keep (1 preseason, 2 regular, 3 playoffs)
+ * @param {boolean} options.dryRun - Report what would change without writing anything
+ * @param {Object} options.checkpoint - Checkpoint from an earlier run of the same range to resume after
+ * @param {Function} options.onCheckpoint - Called with the new checkpoint after each committed batch
+ * @param {number} options.batchSize - Games per batch in bulk mode
+ */
+async function ingestData(options = {}) {
+  try {
+    console.log("Starting data ingestion...");
+
+    const { backfillYear, from, to, gameTypes, dryRun } = options;
+    const batchSize = options.batchSize || INGEST_BATCH_SIZE;
+    const isBulk = Boolean(backfillYear || options.seasons?.length || from || to);
+    const matchesGameType = (game) => !gameTypes?.length || gameTypes.includes(game.gameType);
+    let gamesToProcess = [];
+    let dateRange = "";
+    let runKey = null;
+    let lastGameId = 0;
+    let retrySeasons = [];
+    const failedSeasons = [];
+
+    if (dryRun) {
+      console.log("DRY RUN: nothing will be written\n");
+    }
+
+    if (isBulk) {
+      // Bulk mode: use Stats API bulk fetch for efficiency
+      let seasons = options.seasons?.length ? [...options.seasons].sort() : [];
+      
+      if (seasons.length === 0) {
+        const firstYear = backfillYear || (from && parseInt(getSeasonForDate(from).substring(0, 4)));
+        
+        if (!firstYear) {
+          throw new Error("A date range needs a start: pass from, seasons or backfillYear");
+        }
+        
+        const lastYear = parseInt((to ? getSeasonForDate(to) : getCurrentSeason()).substring(0, 4));
+        for (let year = firstYear; year <= lastYear; year++) {
+          seasons.push(`${year}${year + 1}`);
+        }
+      }
+      
+      dateRange = from || to ? `${from || seasons[0]} to ${to || "today"}` : `${seasons.join(", ")} seasons`;
+      console.log(`\nBULK MODE: Fetching games for ${dateRange}\n`);
+      
+      // A checkpoint only applies to the run that saved it
+      runKey = JSON.stringify({ seasons, from: from || null, to: to || null, gameTypes: gameTypes || null });
+      if (options.checkpoint) {
+        if (options.checkpoint.key !== runKey) {
+          throw new Error("Checkpoint was saved by a different ingestion run");
+        }
+        lastGameId = Number(options.checkpoint.lastGameId) || 0;
+        retrySeasons = options.checkpoint.failedSeasons || [];
+        console.log(`Resuming after game ${lastGameId}\n`);
+        if (retrySeasons.length > 0) {
+          console.log(`Retrying seasons that failed before: ${retrySeasons.join(", ")}\n`);
+        }
+      }
+      
+      // Build team lookup map first
+      console.log('Building team lookup map...');
+      const teamsData = await nhlApi.getStatsTeams();
+      const teamLookup = new Map();
+      for (const team of teamsData.data || []) {
+        teamLookup.set(team.id, { triCode: team.triCode, fullName: team.fullName, franchiseId: team.franchiseId });
+      }
+      console.log(`Loaded ${teamLookup.size} teams\n`);
+      
+      console.log(`Processing ${seasons.length} seasons: ${seasons.join(", ")}\n`);
+      
+      // Fetch all games for each season using Stats API
+      for (const season of seasons) {
+        // Game IDs start with the season's first year, so earlier seasons are already done,
+        // unless fetching them failed
+        const resumeAfterId = retrySeasons.includes(season) ? 0 : lastGameId;
+        const nextSeasonFirstId = (parseInt(season.substring(0, 4)) + 1) * 1000000;
+        if (resumeAfterId >= nextSeasonFirstId) {
+          console.log(`Skipping season ${season} (completed before checkpoint)`);
+          continue;
+        }
+        
+        console.log(`\nFetching season ${season}...`);
+        
+        try {
+          // Use Stats API with season filter - gets all games in one call
+          const gamesData = await nhlApi.getStatsGames(season);
+          const games = (gamesData.data || []).filter((game) =>
+            matchesGameType(game) &&
+            game.id > resumeAfterId &&
+            (!from || game.gameDate >= from) &&
+            (!to || game.gameDate <= to)
+          );
+          
+          console.log(`  Season ${season}: Found ${games.length} games`);
+          
+          // Add games with minimal data needed for processing
+          for (const game of games) {
+            gamesToProcess.push({
+              game,
+              gameDate: game.gameDate,
+              isStatsAPI: true,
+              teamLookup // Pass team lookup to each game for processing
+            });
+          }
+          
+        } catch (error) {
+          console.error(`  Error fetching season ${season}:`, error.message);
+          failedSeasons.push(season);
+        }
+      }
+      
+      // Checkpoints record the last game ID written, so process in ID order
+      gamesToProcess.sort((a, b) => a.game.id - b.game.id);
+      
+      console.log(`\nTotal games found: ${gamesToProcess.length}\n`);
+      
+    } else {
+      // Normal mode: fetch one NHL game date, today in Eastern time unless given
+      const dateString = options.date || getDateInTimeZone(new Date(), NHL_TIME_ZONE);
+      
+      console.log(`Fetching games for date: ${dateString}`);
+      dateRange = dateString;
+
+
+      const scheduleData = await nhlApi.getSchedule(dateString);
+      
+      const gameWeek = scheduleData.gameWeek || [];
+      
+      for (const day of gameWeek) {
+        if (day.date === dateString && day.games) {
+          for (const game of day.games.filter(matchesGameType)) {
+            gamesToProcess.push({
+              game,
+              gameDate: dateString
+            });
+          }
+        }
+      }
+      
+      console.log(`Found ${gamesToProcess.length} games for today`);
+    }
+    
+    // Ensure teams exist (do once at the beginning)
+    console.log("\nEnsuring teams are up to date...");
+    const teamsResult = await updateTeams({ dryRun });
+    
+    // Process each game
+    console.log(`\nProcessing ${gamesToProcess.length} games...\n`);
+    let created = 0;
+    let skipped = 0;
+    let updated = 0;
+    const diff = [];
+    
+    if (isBulk) {
+      // Batch processing for Stats API (bulk backfill)
+      const batchCount = Math.ceil(gamesToProcess.length / batchSize);
+      console.log(`Processing ${batchCount} batches of up to ${batchSize} games each...\n`);
+      
+      for (let start = 0; start < gamesToProcess.length; start += batchSize) {
+        const batch = db.batch();
+        const batchGames = gamesToProcess.slice(start, start + batchSize);
+        const existingDocs = await db.getAll(
+          ...batchGames.map(({ game }) => db.collection("games").doc(game.id.toString()))
+        );
+        
+        // Check which games don't exist or have changed and prepare batch write
+        for (const [index, { game, teamLookup }] of batchGames.entries()) {
+          const existingDoc = existingDocs[index];
+          const { gameId, gameDoc: gameData } = await createGame(game, { teamLookup }, false);
+          
+          if (!existingDoc.exists) {
+            batch.set(existingDoc.ref, gameData);
+            diff.push({ gameId, action: "create" });
+            created++;
+            continue;
+          }
+          
+          // FINAL games never change; anything else is updated if status or scores changed
+          const changes = existingDoc.data().status === "FINAL" ? {} : diffGameDocs(existingDoc.data(), gameData);
+          
+          if (Object.keys(changes).length > 0) {
+            batch.update(existingDoc.ref, gameData);
+            diff.push({ gameId, action: "update", changes });
+            updated++;
+          } else {
+            skipped++;
+          }
+        }
+        
+        if (!dryRun) {
+          await batch.commit();
+          
+          if (options.onCheckpoint) {
+            lastGameId = batchGames[batchGames.length - 1].game.id;
+            await options.onCheckpoint({
+              key: runKey,
+              lastGameId,
+              failedSeasons,
+              savedAt: new Date().toISOString(),
+            });
+          }
+        }
+        
+        console.log(`Progress: ${Math.min(start + batchSize, gamesToProcess.length)}/${gamesToProcess.length} games processed (${created} created, ${updated} updated, ${skipped} skipped)`);
+        
+        // Add delay between batches to avoid overwhelming emulator
+        if (!dryRun && start + batchSize < gamesToProcess.length) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
+      }
+    } else {
+      // Individual processing for normal mode (Schedule API)
+      for (let i = 0; i < gamesToProcess.length; i++) {
+        const { game, gameDate } = gamesToProcess[i];
+        const gameId = game.id.toString();
+        
+        // Check if game exists in database
+        const gameRef = db.collection("games").doc(gameId);
+        const gameDoc = await gameRef.get();
+        
+        if (!gameDoc.exists) {
+          await createGame(game, { gameDate }, !dryRun);
+          diff.push({ gameId, action: "create" });
+          created++;
+        } else {
+          const existingData = gameDoc.data();
+          const existingStatus = existingData.status;
+          
+          // Only update if game is not FINAL
+          if (existingStatus !== "FINAL") {
+            const gameStartTime = new Date(game.startTimeUTC);
+            const now = new Date();
+            
+            // Only update if current time is at or after the scheduled start time
+            // (game should have started or be close to starting)
+            if (now >= gameStartTime) {
+              const { gameDoc: gameData } = await createGame(game, { gameDate }, false);
+              
+              // Check if status or scores changed
+              const changes = diffGameDocs(existingData, gameData);
+              
+              if (Object.keys(changes).length > 0) {
+                if (!dryRun) {
+                  const batch = db.batch();
+                  batch.update(gameRef, gameData);
+                  batch.set(db.collection("public_games").doc(gameId), getPublicGame({ ...existingData, ...gameData }));
+                  await batch.commit();
+                }
+                diff.push({ gameId, action: "update", changes });
+                updated++;
+              } else {
+                skipped++;
+              }
+            } else {
+              skipped++;
+            }
+          } else {
+            skipped++;
+          }
+        }
+      }
+    }
+
+    // Keep a checkpoint for the failed seasons even when no batch was written
+    if (failedSeasons.length > 0 && !dryRun && options.onCheckpoint) {
+      await options.onCheckpoint({
+        key: runKey,
+        lastGameId,
+        failedSeasons,
+        savedAt: new Date().toISOString(),
+      });
+    }
+    
+    console.log(`\n=== Data Ingestion Complete${dryRun ? " (dry run)" : ""} ===`);
+    console.log(`Date Range: ${dateRange}`);
+    console.log(`Games Found: ${gamesToProcess.length}`);
+    console.log(`Games Created: ${created}`);
+    console.log(`Games Updated: ${updated}`);
+    console.log(`Games Skipped: ${skipped}`);
+    if (failedSeasons.length > 0) {
+      console.log(`Seasons Failed: ${failedSeasons.join(", ")}`);
+    }
+    console.log("================================\n");
+    
+    return {
+      success: true,
+      message: dryRun ? "Dry run completed, nothing was written" : "Data ingestion completed",
+      dateRange,
+      dryRun: Boolean(dryRun),
+      gamesFound: gamesToProcess.length,
+      gamesCreated: created,
+      gamesUpdated: updated,
+      gamesSkipped: skipped,
+      teamsCreated: teamsResult.teamsCreated.length,
+      teamsUpdated: teamsResult.teamsUpdated.length,
+      failedSeasons,
+      ...(dryRun ? { diff } : {}),
+    };
+  } catch (error) {
+    console.error("Error during ingestion:", error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Classify a goal from its play's situationCode
+ * situationCode digits are away goalie, away skaters, home skaters, home goalie.
+ * A team that pulled its goalie for an extra attacker is still at even strength;
+ * one skater against a lone goalie outside the shootout is a penalty shot
+ * @param {string} situationCode - situationCode from the play-by-play feed
+ * @param {boolean} isHome - Whether the home team scored
+ * @returns {Object} { situation, strength, emptyNet, penaltyShot }, all null if the code is missing
+ */
+function classifyGoalSituation(situationCode, isHome) {
+  if (!/^\d{4}$/.test(situationCode || "")) {
+    return { situation: null, strength: null, emptyNet: null, penaltyShot: null };
+  }
+  
+  const [awayGoalie, awaySkaters, homeSkaters, homeGoalie] = situationCode.split("").map(Number);
+  const scoring = isHome ? { skaters: homeSkaters, goalie: homeGoalie } : { skaters: awaySkaters, goalie: awayGoalie };
+  const defending = isHome ? { skaters: awaySkaters, goalie: awayGoalie } : { skaters: homeSkaters, goalie: homeGoalie };
+  
+  const penaltyShot = scoring.skaters === 1 && defending.skaters === 0;
+  const emptyNet = !penaltyShot && defending.goalie === 0;
+  
+  // Skaters beyond five who replaced their own goalie don't make a power play
+  const scoringSkaters = scoring.skaters - (scoring.goalie === 0 ? 1 : 0);
+  const defendingSkaters = defending.skaters - (defending.goalie === 0 ? 1 : 0);
+  
+  let strength = "EV";
+  if (scoringSkaters > defendingSkaters) {
+    strength = "PP";
+  } else if (scoringSkaters < defendingSkaters) {
+    strength = "SH";
+  }
+  
+  let situation = strength;
+  if (penaltyShot) {
+    situation = "PS";
+  } else if (emptyNet) {
+    situation = "EN";
+  }
+  
+  return { situation, strength: penaltyShot ? null : strength, emptyNet, penaltyShot };
+}
+
+/**
+ * Helper function: Key of the game-winning goal in a decided game's goals map
+ * The winner's goal that put them one ahead of the loser's final score;
+ * callers skip games that aren't FINAL or were won in a shootout
+ * @param {Object} goals - Goals map keyed by P{period}-{time}
+ * @param {number} homeScore - Final home score
+ * @param {number} awayScore - Final away score
+ * @returns {string|null} Goal key, or null
+ */
+function getGameWinningGoalKey(goals, homeScore, awayScore) {
+  if (homeScore === awayScore) {
+    return null;
+  }
+  
+  const homeWon = homeScore > awayScore;
+  const winningScore = Math.min(homeScore, awayScore) + 1;
+  const entry = Object.entries(goals).find(([, goal]) =>
+    goal.isHome === homeWon && (homeWon ? goal.homeScore : goal.awayScore) === winningScore
+  );
+  
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Helper function: Fetch goals from play-by-play API and store in game document
+ * The same play-by-play response also refreshes the game's shot map
+ * @param {string} gameId - Game ID
+ */
+async function fetchGameGoals(gameId) {
+  try {
+    const gameRef = db.collection("games").doc(gameId);
+    
+    // Check if goals already exist
+    const gameDoc = await gameRef.get();
+    if (!gameDoc.exists) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+    
+    const gameData = gameDoc.data();
+    
+    
+    // If the final goals already exist, return them
+    if (gameData.status === "FINAL" && gameData.goals_complete && gameData.goals && Object.keys(gameData.goals).length > 0) {
+      return {
+        success: true,
+        gameId,
+        goals: gameData.goals,
+        shootout: gameData.period_type === "SO" ? {
+          home: {
+            attempts: gameData.home_data.shootout_attempts || 0,
+            goals: gameData.home_data.shootout_goals || 0,
+          },
+          away: {
+            attempts: gameData.away_data.shootout_attempts || 0,
+            goals: gameData.away_data.shootout_goals || 0,
+          },
+        } : null,
+        source: "database",
+      };
+    }
+
+    
+    // Fetch play-by-play data from API
+    const playByPlayData = await nhlApi.getPlayByPlay(gameId);
+    const plays = playByPlayData.plays || [];
+    const gameType = playByPlayData.gameType || gameData.raw?.gameType;
+    
+    // Shootout attempts are not goals; they are tallied separately per team
+    const isShootout = (play) => play.periodDescriptor?.periodType === "SO";
+    
+    // Filter for goal events (eventId 505)
+    const goalPlays = plays.filter((play) => play.typeDescKey === "goal" && !isShootout(play));
+    
+    // Sort goals by period and time
+    goalPlays.sort((a, b) => {
+      const periodA = a.periodDescriptor?.number || 1;
+      const periodB = b.periodDescriptor?.number || 1;
+      
+      if (periodA !== periodB) {
+        return periodA - periodB;
+      }
+      
+      // If same period, sort by time in period
+      const timeA = a.timeInPeriod || "00:00";
+      const timeB = b.timeInPeriod || "00:00";
+      
+      // Convert MM:SS to total seconds for comparison
+      const [minA, secA] = timeA.split(':').map(Number);
+      const [minB, secB] = timeB.split(':').map(Number);
+      const totalSecsA = minA * 60 + secA;
+      const totalSecsB = minB * 60 + secB;
+      
+      return totalSecsA - totalSecsB;
+    });
+    
+    // Build goals object keyed by time
+    const goals = {};
+    let prevHomeScore = 0;
+    let prevAwayScore = 0;
+    
+    for (const play of goalPlays) {
+      const timeInPeriod = play.timeInPeriod || "00:00";
+      const period = play.periodDescriptor?.number || 1;
+      const periodType = play.periodDescriptor?.periodType || (period <= 3 ? "REG" : "OT");
+
+      // Determine current scores from play details
+      const homeScore = play.details.homeScore || 0;
+      const awayScore = play.details.awayScore || 0;
+
+      // Determine who scored by comparing to previous scores
+      const homeScored = homeScore > prevHomeScore;
+      const awayScored = awayScore > prevAwayScore;
+      
+      // Update previous scores for next iteration
+      prevHomeScore = homeScore;
+      prevAwayScore = awayScore;
+
+      // Get scorer, goalie, and assists
+      const details = play.details || {};
+      const scoringPlayerId = details.scoringPlayerId;
+      const goalieInNetId = details.goalieInNetId;
+      const assist1PlayerId = details.assist1PlayerId;
+      const assist2PlayerId = details.assist2PlayerId;
+      
+      // Get player names from rosterSpots
+      const rosterSpots = playByPlayData.rosterSpots || [];
+      const getPlayerName = (playerId) => {
+        if (!playerId) return null;
+        const player = rosterSpots.find((spot) => spot.playerId === playerId);
+        if (!player) return "Unknown";
+        const firstName = player.firstName?.default || "";
+        const lastName = player.lastName?.default || "";
+        if (!firstName || !lastName) return "Unknown";
+        return `${firstName.charAt(0)}. ${lastName}`;
+      };
+      
+      const scorerName = getPlayerName(scoringPlayerId);
+      const goalieName = getPlayerName(goalieInNetId);
+      const primaryAssist = getPlayerName(assist1PlayerId);
+      const secondaryAssist = getPlayerName(assist2PlayerId);
+      
+      // Calculate total in-game time from the lengths of the periods already played
+      const [minutes, seconds] = timeInPeriod.split(':').map(Number);
+      const totalMinutes = getMinutesBeforePeriod(period, gameType) + minutes;
+      const totalTimeFormatted = `${totalMinutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+      
+      // Store with period info to make time unique
+      const timeKey = `P${period}-${timeInPeriod}`;
+      
+      const { situation, strength, emptyNet, penaltyShot } = classifyGoalSituation(play.situationCode, homeScored);
+      
+      goals[timeKey] = {
+        scorer: scorerName,
+        goalie: goalieName,
+        primaryAssist: primaryAssist,
+        secondaryAssist: secondaryAssist,
+        scorerId: scoringPlayerId || null,
+        goalieId: goalieInNetId || null,
+        primaryAssistId: assist1PlayerId || null,
+        secondaryAssistId: assist2PlayerId || null,
+        period: period,
+        periodType: periodType,
+        periodLabel: getPeriodLabel(play.periodDescriptor),
+        timeInPeriod: timeInPeriod,
+        totalTime: totalTimeFormatted,
+        isHome: homeScored,
+        homeScore,
+        awayScore,
+        situationCode: play.situationCode || null,
+        situation,
+        strength,
+        emptyNet,
+        penaltyShot,
+        shotType: details.shotType || null,
+        xCoord: details.xCoord ?? null,
+        yCoord: details.yCoord ?? null,
+        zoneCode: details.zoneCode || null,
+        gameTying: homeScore === awayScore,
+        gameWinning: false,
+      };
+    }
+    
+    // Tally shootout attempts and goals per team
+    const shootoutPlays = plays.filter((play) =>
+      isShootout(play) &&
+      ["goal", "shot-on-goal", "missed-shot", "failed-shot-attempt"].includes(play.typeDescKey)
+    );
+    
+    // The game-winning goal is only known once the game is over; shootout wins have none
+    const isFinal = normalizeGameState(playByPlayData.gameState) === "FINAL";
+    const finalGoal = Object.values(goals).at(-1);
+    if (isFinal && shootoutPlays.length === 0 && finalGoal) {
+      const gameWinningGoalKey = getGameWinningGoalKey(goals, finalGoal.homeScore, finalGoal.awayScore);
+      if (gameWinningGoalKey) {
+        goals[gameWinningGoalKey].gameWinning = true;
+      }
+    }
+    
+    // Index everyone with a point so player game logs can be queried
+    const goalPlayerIds = new Set();
+    for (const goal of Object.values(goals)) {
+      [goal.scorerId, goal.primaryAssistId, goal.secondaryAssistId]
+        .filter(Boolean)
+        .forEach((playerId) => goalPlayerIds.add(playerId));
+    }
+    
+    const update = { goals, goal_player_ids: [...goalPlayerIds], goals_complete: isFinal };
+    let shootout = null;
+    
+    if (shootoutPlays.length > 0) {
+      const homeTeamId = playByPlayData.homeTeam?.id;
+      shootout = {
+        home: { attempts: 0, goals: 0 },
+        away: { attempts: 0, goals: 0 },
+      };
+      
+      for (const play of shootoutPlays) {
+        const side = play.details?.eventOwnerTeamId === homeTeamId ? "home" : "away";
+        shootout[side].attempts++;
+        if (play.typeDescKey === "goal") {
+          shootout[side].goals++;
+        }
+      }
+      
+      update["home_data.shootout_attempts"] = shootout.home.attempts;
+      update["home_data.shootout_goals"] = shootout.home.goals;
+      update["away_data.shootout_attempts"] = shootout.away.attempts;
+      update["away_data.shootout_goals"] = shootout.away.goals;
+      update.period_type = "SO";
+    }
+    
+    // Update game document with goals
+    await gameRef.update(update);
+    
+    await savePlayersFromRoster(playByPlayData, gameData);
+    await saveShotMap(gameId, playByPlayData);
+    
+    if (!gameData.box_score?.complete) {
+      await refreshBoxScoreQuietly(gameId);
+    }
+    
+    return {
+      success: true,
+      gameId,
+      goals,
+      shootout,
+      source: "api",
+    };
+  } catch (error) {
+    console.error(`Error fetching goals for game ${gameId}:`, error);
+    throw error;
+  }
+}
+
+// Play types drawn on shot maps; shootout attempts are left out
+const SHOT_EVENT_TYPES = ["goal", "shot-on-goal", "missed-shot", "blocked-shot"];
+
+// Shot map zones on normalized coordinates, where every team attacks the net at
+// x = 89 and +y is the shooter's left (the rink runs -100..100 by -42.5..42.5).
+// The first matching zone wins.
+const SHOT_ZONES = [
+  { zone: "behind_net", contains: (x) => x > 89 },
+  { zone: "inner_slot", contains: (x, y) => x >= 69 && Math.abs(y) <= 9 },
+  { zone: "high_slot", contains: (x, y) => x >= 54 && x < 69 && Math.abs(y) <= 20 },
+  { zone: "left_circle", contains: (x, y) => x >= 54 && y > 0 },
+  { zone: "right_circle", contains: (x) => x >= 54 },
+  { zone: "point", contains: (x) => x >= 25 },
+  { zone: "neutral_zone", contains: (x) => x >= -25 },
+  { zone: "defensive_zone", contains: () => true },
+];
+
+// Most games fetchShotMap combines for a team
+const SHOT_MAP_MAX_GAMES = 82;
+
+/**
+ * Helper function: Normalize a game's shot attempts from the play-by-play feed
+ * Shots are rotated so both teams attack towards positive x. The attacking end
+ * comes from homeTeamDefendingSide, or from the zone of the team's other shots
+ * in the same period when the feed leaves it out
+ * @param {Object} playByPlayData - Play-by-play API response
+ * @returns {Array<Object>} Shots in play order
+ */
+function normalizeShots(playByPlayData) {
+  const homeTeamId = playByPlayData.homeTeam?.id;
+  const awayTeamId = playByPlayData.awayTeam?.id;
+  const teamAbbrevs = {
+    [homeTeamId]: playByPlayData.homeTeam?.abbrev || null,
+    [awayTeamId]: playByPlayData.awayTeam?.abbrev || null,
+  };
+  const rosterTeams = new Map((playByPlayData.rosterSpots || []).map((spot) => [spot.playerId, spot.teamId]));
+  
+  const plays = (playByPlayData.plays || []).filter((play) =>
+    SHOT_EVENT_TYPES.includes(play.typeDescKey) &&
+    play.periodDescriptor?.periodType !== "SO" &&
+    typeof play.details?.xCoord === "number" &&
+    typeof play.details?.yCoord === "number"
+  );
+  
+  const shots = plays.map((play) => {
+    const details = play.details;
+    const shooterId = details.scoringPlayerId || details.shootingPlayerId || null;
+    
+    // Blocked shots belong to the blocking team in the feed
+    const ownerIsShooter = play.typeDescKey !== "blocked-shot";
+    const otherTeamId = details.eventOwnerTeamId === homeTeamId ? awayTeamId : homeTeamId;
+    const teamId = rosterTeams.get(shooterId) ?? (ownerIsShooter ? details.eventOwnerTeamId : otherTeamId);
+    const isHome = teamId === homeTeamId;
+    
+    let attacksRight = null;
+    if (["left", "right"].includes(play.homeTeamDefendingSide)) {
+      attacksRight = (play.homeTeamDefendingSide === "left") === isHome;
+    } else {
+      // zoneCode is from the event owner's point of view
+      const zoneCode = teamId === details.eventOwnerTeamId ? details.zoneCode : { O: "D", D: "O" }[details.zoneCode];
+      if (zoneCode === "O") attacksRight = details.xCoord > 0;
+      if (zoneCode === "D") attacksRight = details.xCoord < 0;
+    }
+    
+    return { play, shooterId, teamId, isHome, attacksRight };
+  });
+  
+  // Periods where the feed gave no side fall back to the team's other shots
+  const directions = new Map();
+  for (const shot of shots) {
+    const key = `${shot.play.periodDescriptor?.number}-${shot.isHome}`;
+    if (shot.attacksRight !== null && !directions.has(key)) {
+      directions.set(key, shot.attacksRight);
+    }
+  }
+  
+  const flip = (value) => (value === 0 ? 0 : -value);
+  
+  return shots.map(({ play, shooterId, teamId, isHome, attacksRight }) => {
+    const details = play.details;
+    const period = play.periodDescriptor?.number || 1;
+    const towardsRight = attacksRight ?? directions.get(`${period}-${isHome}`) ?? true;
+    const x = towardsRight ? details.xCoord : flip(details.xCoord);
+    const y = towardsRight ? details.yCoord : flip(details.yCoord);
+    
+    return {
+      event_id: play.eventId,
+      period,
+      time_in_period: play.timeInPeriod || null,
+      type: play.typeDescKey,
+      team_id: teamAbbrevs[teamId] || null,
+      is_home: isHome,
+      shooter_id: shooterId,
+      goalie_id: details.goalieInNetId || null,
+      shot_type: details.shotType || null,
+      situation_code: play.situationCode || null,
+      x,
+      y,
+      zone: SHOT_ZONES.find((entry) => entry.contains(x, y)).zone,
+    };
+  });
+}
+
+/**
+ * Helper function: Count shot attempts in total and per zone
+ * Shooting percentage is goals over shots on goal (goals included)
+ * @param {Array<Object>} shots - Normalized shots
+ */
+function summarizeShots(shots) {
+  const emptyCounts = () => ({ attempts: 0, shots_on_goal: 0, goals: 0, missed: 0, blocked: 0, shooting_pct: null });
+  const totals = emptyCounts();
+  const zones = Object.fromEntries(SHOT_ZONES.map(({ zone }) => [zone, emptyCounts()]));
+  
+  for (const shot of shots) {
+    for (const counts of [totals, zones[shot.zone]]) {
+      counts.attempts++;
+      counts.shots_on_goal += ["goal", "shot-on-goal"].includes(shot.type) ? 1 : 0;
+      counts.goals += shot.type === "goal" ? 1 : 0;
+      counts.missed += shot.type === "missed-shot" ? 1 : 0;
+      counts.blocked += shot.type === "blocked-shot" ? 1 : 0;
+    }
+  }
+  
+  for (const counts of [totals, ...Object.values(zones)]) {
+    counts.shooting_pct = counts.shots_on_goal > 0 ? Number((counts.goals / counts.shots_on_goal).toFixed(3)) : null;
+  }
+  
+  return { totals, zones };
+}
+
+/**
+ * Helper function: Store a game's normalized shots in shot_maps
+ * Called with the play-by-play fetchGameGoals or refreshShotMap already loaded;
+ * completed games are never fetched again
+ * @param {string} gameId - Game ID
+ * @param {Object} playByPlayData - Play-by-play API response
+ */
+async function saveShotMap(gameId, playByPlayData) {
+  const shotMap = {
+    game_id: gameId,
+    home_team: playByPlayData.homeTeam?.abbrev || null,
+    away_team: playByPlayData.awayTeam?.abbrev || null,
+    shots: normalizeShots(playByPlayData),
+    complete: normalizeGameState(playByPlayData.gameState) === "FINAL",
+    updated_at: FieldValue.serverTimestamp(),
+  };
+  
+  await db.collection("shot_maps").doc(gameId).set(shotMap);
+  
+  return shotMap;
+}
+
+/**
+ * Helper function: Fetch a game's play-by-play and store its shot map
+ * Touches nothing but shot_maps, unlike fetchGameGoals
+ * @param {string} gameId - Game ID
+ */
+async function refreshShotMap(gameId) {
+  const playByPlayData = await nhlApi.getPlayByPlay(gameId);
+  return saveShotMap(gameId, playByPlayData);
+}
+
+/**
+ * Helper function: A game's stored shot map, refreshed from the play-by-play until the game is complete
+ * @param {string} gameId - Game ID
+ */
+async function getGameShotMap(gameId) {
+  const shotMapDoc = await db.collection("shot_maps").doc(gameId).get();
+  
+  if (shotMapDoc.exists && shotMapDoc.data().complete) {
+    return { ...shotMapDoc.data(), source: "database" };
+  }
+  
+  const shotMap = await refreshShotMap(gameId);
+  return { ...shotMap, source: "api" };
+}
+
+/**
+ * Helper function: Cache a finished game's shot map unless it is already complete
+ * Called by the cacheShotMaps trigger so team shot maps never fetch play-by-play
+ * @param {string} gameId - Game ID
+ * @returns {boolean} Whether the play-by-play was fetched
+ */
+async function cacheFinalShotMap(gameId) {
+  const shotMapDoc = await db.collection("shot_maps").doc(gameId).get();
+  
+  if (shotMapDoc.exists && shotMapDoc.data().complete) {
+    return false;
+  }
+  
+  await refreshShotMap(gameId);
+  return true;
+}
+
+/**
+ * Helper function: Cache the shot maps of every FINAL game that doesn't have a complete one
+ * For games stored before the cacheShotMaps trigger existed; games are fetched
+ * one at a time, and a run that fails part way can simply be started again
+ */
+async function rebuildShotMaps() {
+  try {
+    const gamesQuery = await db.collection("games").where("status", "==", "FINAL").get();
+    
+    console.log(`Caching shot maps for ${gamesQuery.size} final games...`);
+    
+    let fetched = 0;
+    let processed = 0;
+    for (const doc of gamesQuery.docs) {
+      if (await cacheFinalShotMap(doc.id)) {
+        fetched++;
+      }
+      processed++;
+      
+      if (processed % 100 === 0) {
+        console.log(`Progress: ${processed}/${gamesQuery.size} games (${fetched} fetched)`);
+      }
+    }
+    
+    return {
+      success: true,
+      gamesProcessed: processed,
+      gamesFetched: fetched,
+    };
+  } catch (error) {
+    console.error("Error rebuilding shot maps:", error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Shot map for one game, or combined over a team's games
+ * Team shot maps cover FINAL games and only read cached shot maps; games
+ * without a complete shot map yet are listed in uncachedGameIds
+ * @param {Object} params - { gameId } or { team, season, lastGames }
+ * @param {string} params.gameId - One game, split into home and away
+ * @param {string} params.team - Team abbreviation, split into shots for and against
+ * @param {string} params.season - Season of the team's games (defaults to the latest season)
+ * @param {number} params.lastGames - Only the team's last N FINAL games; without a
+ *   season, the previous season's games fill in early in a season
+ */
+async function getShotMap(params = {}) {
+  try {
+    if (params.gameId) {
+      const shotMap = await getGameShotMap(params.gameId);
+      const side = (isHome) => {
+        const shots = shotMap.shots.filter((shot) => shot.is_home === isHome);
+        return { team_id: isHome ? shotMap.home_team : shotMap.away_team, shots, ...summarizeShots(shots) };
+      };
+      
+      return {
+        success: true,
+        gameId: params.gameId,
+        complete: shotMap.complete,
+        home: side(true),
+        away: side(false),
+        source: shotMap.source,
+      };
+    }
+    
+    const teamData = await getTeamByAbbreviation(params.team);
+    const season = params.season || await getLatestSeason();
+    
+    // Regular-season and playoff games that are over, oldest first
+    const finalGames = async (scheduleSeason) => (await getTeamSchedule(teamData, scheduleSeason)).filter((game) =>
+      game.status === "FINAL" && game.game_type !== PRESEASON_GAME_TYPE
+    );
+    
+    let games = await finalGames(season);
+    if (params.lastGames) {
+      if (!params.season && games.length < params.lastGames) {
+        const startYear = Number(season.substring(0, 4));
+        games = [...await finalGames(`${startYear - 1}${startYear}`), ...games];
+      }
+      games = games.slice(-params.lastGames);
+    }
+    games = games.slice(-SHOT_MAP_MAX_GAMES);
+    
+    const shotsFor = [];
+    const shotsAgainst = [];
+    const gameIds = [];
+    const uncachedGameIds = [];
+    
+    const shotMapDocs = games.length > 0
+      ? await db.getAll(...games.map((game) => db.collection("shot_maps").doc(game.gameId)))
+      : [];
+    
+    games.forEach((game, index) => {
+      const shotMap = shotMapDocs[index].exists ? shotMapDocs[index].data() : null;
+      
+      if (!shotMap?.complete) {
+        uncachedGameIds.push(game.gameId);
+        return;
+      }
+      
+      gameIds.push(game.gameId);
+      for (const shot of shotMap.shots) {
+        (shot.is_home === game.is_home ? shotsFor : shotsAgainst).push({ game_id: game.gameId, ...shot });
+      }
+    });
+    
+    return {
+      success: true,
+      team: teamData.abbreviation,
+      season,
+      gameIds,
+      uncachedGameIds,
+      for: { shots: shotsFor, ...summarizeShots(shotsFor) },
+      against: { shots: shotsAgainst, ...summarizeShots(shotsAgainst) },
+    };
+  } catch (error) {
+    console.error("Error fetching shot map:", error);
+    throw error;
+  }
+}
+
+// Firestore allows at most 500 writes per batch
+const EVENT_BATCH_SIZE = 400;
+
+// Optional play details copied onto stored events, keyed by event field
+const EVENT_DETAIL_FIELDS = {
+  x_coord: "xCoord",
+  y_coord: "yCoord",
+  zone_code: "zoneCode",
+  shot_type: "shotType",
+  reason: "reason",
+  secondary_reason: "secondaryReason",
+  penalty_type: "descKey",
+  penalty_severity: "typeCode",
+  penalty_duration: "duration",
+  home_score: "homeScore",
+  away_score: "awayScore",
+  home_sog: "homeSOG",
+  away_sog: "awaySOG",
+};
+
+/**
+ * Helper function: Normalize a play-by-play event for the events subcollection
+ * @param {Object} play - Play from the play-by-play API
+ * @param {Object} playByPlayData - Full play-by-play response, for teams and roster
+ * @returns {Object} Event document data
+ */
+function normalizePlayEvent(play, playByPlayData) {
+  const details = play.details || {};
+  const period = play.periodDescriptor?.number || null;
+  const timeInPeriod = play.timeInPeriod || null;
+  
+  let totalTime = null;
+  if (period && timeInPeriod) {
+    const [minutes, seconds] = timeInPeriod.split(':').map(Number);
+    const totalMinutes = getMinutesBeforePeriod(period, playByPlayData.gameType) + minutes;
+    totalTime = `${totalMinutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  }
+  
+  const ownerTeamId = details.eventOwnerTeamId;
+  let teamId = null;
+  let isHome = null;
+  if (ownerTeamId && ownerTeamId === playByPlayData.homeTeam?.id) {
+    teamId = playByPlayData.homeTeam.abbrev;
+    isHome = true;
+  } else if (ownerTeamId && ownerTeamId === playByPlayData.awayTeam?.id) {
+    teamId = playByPlayData.awayTeam.abbrev;
+    isHome = false;
+  }
+  
+  // Every player reference in the details, e.g. scoringPlayerId -> role "scoring"
+  const players = [];
+  for (const [key, playerId] of Object.entries(details)) {
+    if (!playerId || !/(PlayerId|InNetId)$/.test(key)) continue;
+    
+    const spot = (playByPlayData.rosterSpots || []).find((rosterSpot) => rosterSpot.playerId === playerId);
+    const firstName = spot?.firstName?.default || "";
+    const lastName = spot?.lastName?.default || "";
+    
+    players.push({
+      role: key.replace(/(PlayerId|Id)$/, ""),
+      id: playerId,
+      name: firstName && lastName ? `${firstName.charAt(0)}. ${lastName}` : "Unknown",
+    });
+  }
+  
+  const event = {
+    event_id: play.eventId,
+    sort_order: play.sortOrder ?? play.eventId,
+    type: play.typeDescKey || null,
+    type_code: play.typeCode ?? null,
+    period,
+    period_type: play.periodDescriptor?.periodType || null,
+    period_label: period ? getPeriodLabel(play.periodDescriptor) : null,
+    time_in_period: timeInPeriod,
+    time_remaining: play.timeRemaining || null,
+    total_time: totalTime,
+    situation_code: play.situationCode || null,
+    team_id: teamId,
+    is_home: isHome,
+    players,
+    player_ids: players.map((player) => player.id),
+  };
+  
+  for (const [field, detailKey] of Object.entries(EVENT_DETAIL_FIELDS)) {
+    if (details[detailKey] !== undefined) {
+      event[field] = details[detailKey];
+    }
+  }
+  
+  return event;
+}
+
+/**
+ * Helper function: Store new play-by-play events in games/{gameId}/events
+ * Only events after the game's last stored eventId are written while the game
+ * is live. Once it is FINAL the stored timeline is reconciled in full (corrected
+ * events rewritten, removed ones deleted) and the game is not fetched again.
+ * @param {string} gameId - Game ID
+ * @returns {Object} Sync summary
+ */
+async function syncGameEvents(gameId) {
+  const gameRef = db.collection("games").doc(gameId);
+  const gameDoc = await gameRef.get();
+  
+  if (!gameDoc.exists) {
+    throw new Error(`Game ${gameId} not found`);
+  }
+  
+  const gameData = gameDoc.data();
+  const lastEventId = gameData.last_event_id || 0;
+  
+  if (gameData.events_complete) {
+    return { newEvents: 0, updatedEvents: 0, removedEvents: 0, lastEventId, complete: true, source: "database" };
+  }
+  
+  const playByPlayData = await nhlApi.getPlayByPlay(gameId);
+  const plays = playByPlayData.plays || [];
+  const newPlays = plays.filter((play) => play.eventId > lastEventId);
+  const complete = normalizeGameState(playByPlayData.gameState) === "FINAL";
+  
+  // Event ID -> normalized event to write, or null to delete
+  const writes = new Map(newPlays.map((play) => [play.eventId.toString(), normalizePlayEvent(play, playByPlayData)]));
+  let updatedEvents = 0;
+  let removedEvents = 0;
+  
+  if (complete) {
+    const storedEvents = await gameRef.collection("events").get();
+    const finalEvents = new Map(plays.map((play) => [play.eventId.toString(), play]));
+    
+    for (const doc of storedEvents.docs) {
+      const play = finalEvents.get(doc.id);
+      
+      if (!play) {
+        writes.set(doc.id, null);
+        removedEvents++;
+      } else if (!writes.has(doc.id)) {
+        const event = normalizePlayEvent(play, playByPlayData);
+        
+        if (Object.keys(diffDocumentFields(doc.data(), event)).length > 0) {
+          writes.set(doc.id, event);
+          updatedEvents++;
+        }
+      }
+    }
+  }
+  
+  const operations = [...writes];
+  
+  for (let i = 0; i < operations.length; i += EVENT_BATCH_SIZE) {
+    const batch = db.batch();
+    
+    for (const [eventId, event] of operations.slice(i, i + EVENT_BATCH_SIZE)) {
+      const eventRef = gameRef.collection("events").doc(eventId);
+      if (event) {
+        batch.set(eventRef, event);
+      } else {
+        batch.delete(eventRef);
+      }
+    }
+    
+    await batch.commit();
+  }
+  
+  const newLastEventId = complete
+    ? plays.reduce((max, play) => Math.max(max, play.eventId), 0)
+    : newPlays.reduce((max, play) => Math.max(max, play.eventId), lastEventId);
+  
+  await gameRef.update({
+    last_event_id: newLastEventId,
+    events_complete: complete,
+    events_synced_at: Timestamp.now(),
+  });
+  
+  return {
+    newEvents: newPlays.length,
+    updatedEvents,
+    removedEvents,
+    lastEventId: newLastEventId,
+    complete,
+    source: "api",
+  };
+}
+
+/**
+ * Helper function: Sync and return a game's event timeline
+ * @param {string} gameId - Game ID
+ * @param {Object} options - Optional filters
+ * @param {Array<string>} options.types - Event types to include (e.g. ["goal", "penalty"])
+ * @param {number} options.period - Period number to include
+ */
+async function fetchGameEvents(gameId, options = {}) {
+  try {
+    const sync = await syncGameEvents(gameId);
+    
+    let query = db.collection("games").doc(gameId).collection("events");
+    
+    if (options.types && options.types.length > 0) {
+      query = query.where("type", "in", options.types);
+    }
+    
+    if (options.period) {
+      query = query.where("period", "==", options.period);
+    }
+    
+    const eventsQuery = await query.orderBy("sort_order").get();
+    const events = eventsQuery.docs.map((doc) => doc.data());
+    
+    return {
+      success: true,
+      gameId,
+      events,
+      newEvents: sync.newEvents,
+      updatedEvents: sync.updatedEvents,
+      removedEvents: sync.removedEvents,
+      lastEventId: sync.lastEventId,
+      complete: sync.complete,
+      source: sync.source,
+    };
+  } catch (error) {
+    console.error(`Error fetching events for game ${gameId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Persist every player in a game's roster to the players collection
+ * Current team, sweater number and headshot only change when this game is
+ * at least as recent as the last game stored for the player
+ * @param {Object} playByPlayData - Play-by-play API response
+ * @param {Object} gameData - Game document data
+ * @returns {number} Number of players saved
+ */
+async function savePlayersFromRoster(playByPlayData, gameData) {
+  const rosterSpots = (playByPlayData.rosterSpots || []).filter((spot) => spot.playerId);
+  
+  if (rosterSpots.length === 0) {
+    return 0;
+  }
+  
+  const teamAbbrevs = {
+    [playByPlayData.homeTeam?.id]: playByPlayData.homeTeam?.abbrev || gameData.home_data.team_id,
+    [playByPlayData.awayTeam?.id]: playByPlayData.awayTeam?.abbrev || gameData.away_data.team_id,
+  };
+  
+  const playerRefs = rosterSpots.map((spot) => db.collection("players").doc(spot.playerId.toString()));
+  const existingDocs = await db.getAll(...playerRefs);
+  const batch = db.batch();
+  
+  rosterSpots.forEach((spot, index) => {
+    const existing = existingDocs[index].exists ? existingDocs[index].data() : null;
+    const firstName = spot.firstName?.default || "";
+    const lastName = spot.lastName?.default || "";
+    
+    const player = {
+      player_id: spot.playerId,
+      first_name: firstName,
+      last_name: lastName,
+      full_name: `${firstName} ${lastName}`.trim(),
+      position: spot.positionCode || null,
+    };
+    
+    const isLatestGame = !existing?.last_game_time ||
+      existing.last_game_time.toMillis() <= gameData.start_time.toMillis();
+    
+    if (isLatestGame) {
+      Object.assign(player, {
+        sweater_number: spot.sweaterNumber ?? null,
+        headshot_url: spot.headshot || null,
+        current_team: teamAbbrevs[spot.teamId] || null,
+        last_game_id: gameData.gameid,
+        last_game_time: gameData.start_time,
+      });
+    }
+    
+    batch.set(playerRefs[index], player, { merge: true });
+  });
+  
+  await batch.commit();
+  
+  return rosterSpots.length;
+}
+
+/**
+ * Helper function: Fetch a player's profile and goal/assist log from stored games
+ * @param {string|number} playerId - NHL player ID
+ */
+async function getPlayerProfile(playerId) {
+  try {
+    const playerDoc = await db.collection("players").doc(playerId.toString()).get();
+    
+    if (!playerDoc.exists) {
+      throw new Error(`Player ${playerId} not found`);
+    }
+    
+    const player = playerDoc.data();
+    const id = Number(playerId);
+    
+    const gamesQuery = await db.collection("games")
+      .where("goal_player_ids", "array-contains", id)
+      .get();
+    
+    const gameLog = [];
+    
+    gamesQuery.forEach((doc) => {
+      const game = doc.data();
+      const entry = {
+        gameId: doc.id,
+        start_time: game.start_time,
+        team: null,
+        opponent: null,
+        isHome: null,
+        goals: 0,
+        primaryAssists: 0,
+        secondaryAssists: 0,
+      };
+      
+      for (const goal of Object.values(game.goals || {})) {
+        const involved =
+          (goal.scorerId === id && ++entry.goals) ||
+          (goal.primaryAssistId === id && ++entry.primaryAssists) ||
+          (goal.secondaryAssistId === id && ++entry.secondaryAssists);
+        
+        if (involved && entry.isHome === null) {
+          entry.isHome = goal.isHome;
+        }
+      }
+      
+      if (entry.isHome !== null) {
+        entry.team = entry.isHome ? game.home_data.team_id : game.away_data.team_id;
+        entry.opponent = entry.isHome ? game.away_data.team_id : game.home_data.team_id;
+      }
+      
+      entry.assists = entry.primaryAssists + entry.secondaryAssists;
+      entry.points = entry.goals + entry.assists;
+      gameLog.push(entry);
+    });
+    
+    gameLog.sort((a, b) => b.start_time.toMillis() - a.start_time.toMillis());
+    
+    // The log only has games with a goal or assist, so this isn't games played
+    const totals = gameLog.reduce((sum, entry) => ({
+      gamesWithPoints: sum.gamesWithPoints + 1,
+      goals: sum.goals + entry.goals,
+      assists: sum.assists + entry.assists,
+      points: sum.points + entry.points,
+    }), { gamesWithPoints: 0, goals: 0, assists: 0, points: 0 });
+    
+    return {
+      success: true,
+      playerId: id,
+      player: {
+        fullName: player.full_name,
+        firstName: player.first_name,
+        lastName: player.last_name,
+        position: player.position,
+        sweaterNumber: player.sweater_number ?? null,
+        headshotUrl: player.headshot_url || null,
+        currentTeam: player.current_team || null,
+      },
+      gameLog,
+      totals,
+      source: "database",
+    };
+  } catch (error) {
+    console.error(`Error fetching player ${playerId}:`, error);
+    throw error;
+  }
+}
+
+// Leaderboard categories: the player_season_stats field each one ranks by and
+// its sort order. Goalies are ranked by goals against per game, lowest first,
+// or by total goals against, most first.
+const LEADER_CATEGORIES = {
+  goals: { field: "goals", direction: "desc" },
+  assists: { field: "assists", direction: "desc" },
+  points: { field: "points", direction: "desc" },
+  power_play_goals: { field: "pp_goals", direction: "desc" },
+  game_winning_goals: { field: "gw_goals", direction: "desc" },
+  goals_against_average: { field: "goals_against_avg", direction: "asc", goalies: true },
+  goals_against: { field: "goals_against", direction: "desc", goalies: true },
+};
+
+// Games a goalie needs before goals_against_avg is stored and they appear on that board
+const LEADER_GOALIE_MIN_GAMES = 5;
+
+// Counters summed into player_season_stats documents
+const LEADER_COUNTERS = ["goals", "assists", "points", "pp_goals", "gw_goals", "goals_against", "goalie_games"];
+
+// Scope of the league-wide player_season_stats documents; team documents use the franchise ID
+const LEADER_ALL_TEAMS = "all";
+
+const LEADER_PAGE_SIZE = 25;
+const LEADER_MAX_PAGE_SIZE = 100;
+
+/**
+ * Helper function: What a game's goals contribute to each player's season stats
+ * Scorers and assists count for the scoring team and goals against for the goalie
+ * in net; goalie appearances come from the box score when it has been stored
+ * @param {Object|null} gameData - Game document data, or null if deleted
+ * @returns {Array<Object>} One entry per player
+ */
+function getLeaderContributions(gameData) {
+  if (!gameData || getGameType(gameData) === null) {
+    return [];
+  }
+  
+  const players = new Map();
+  const sides = { home: gameData.home_data, away: gameData.away_data };
+  const decided = gameData.status === "FINAL" && getLastPeriodType(gameData) !== "SO";
+  const gameWinningGoalKey = decided ?
+    getGameWinningGoalKey(gameData.goals || {}, gameData.home_data.team_score || 0, gameData.away_data.team_score || 0) : null;
+  
+  const contribution = (playerId, side, name) => {
+    if (!players.has(playerId)) {
+      const counters = Object.fromEntries(LEADER_COUNTERS.map((counter) => [counter, 0]));
+      players.set(playerId, {
+        player_id: playerId,
+        name: name || null,
+        team_id: sides[side].team_id,
+        franchise_id: sides[side].franchise_id ?? null,
+        goalie: false,
+        ...counters,
+      });
+    }
+    return players.get(playerId);
+  };
+  
+  for (const [goalKey, goal] of Object.entries(gameData.goals || {})) {
+    const scoringSide = goal.isHome ? "home" : "away";
+    const defendingSide = goal.isHome ? "away" : "home";
+    
+    if (goal.scorerId) {
+      const scorer = contribution(goal.scorerId, scoringSide, goal.scorer);
+      scorer.goals++;
+      scorer.points++;
+      scorer.pp_goals += classifyGoalSituation(goal.situationCode, goal.isHome).strength === "PP" ? 1 : 0;
+      scorer.gw_goals += goalKey === gameWinningGoalKey ? 1 : 0;
+    }
+    
+    for (const [assistId, assistName] of [[goal.primaryAssistId, goal.primaryAssist], [goal.secondaryAssistId, goal.secondaryAssist]]) {
+      if (assistId) {
+        const assist = contribution(assistId, scoringSide, assistName);
+        assist.assists++;
+        assist.points++;
+      }
+    }
+    
+    // Empty-net goals have no goalie
+    if (goal.goalieId) {
+      const goalie = contribution(goal.goalieId, defendingSide, goal.goalie);
+      goalie.goalie = true;
+      goalie.goals_against++;
+    }
+  }
+  
+  for (const side of ["home", "away"]) {
+    for (const goalieLine of gameData.box_score?.[side]?.goalies || []) {
+      if (goalieLine.toi && goalieLine.toi !== "00:00") {
+        const goalie = contribution(goalieLine.player_id, side, goalieLine.name);
+        goalie.goalie = true;
+        goalie.goalie_games = 1;
+      }
+    }
+  }
+  
+  // Goals counted before the box score arrived still mean the goalie played
+  for (const player of players.values()) {
+    if (player.goalie) {
+      player.goalie_games = 1;
+    }
+  }
+  
+  return [...players.values()].sort((a, b) => a.player_id - b.player_id);
+}
+
+/**
+ * Helper function: Document ID in player_season_stats
+ * @param {string} season - Season string (e.g., "20242025")
+ * @param {number} gameType - Game type
+ * @param {string|number} scope - LEADER_ALL_TEAMS or a franchise ID
+ * @param {number} playerId - NHL player ID
+ */
+function getPlayerSeasonStatsId(season, gameType, scope, playerId) {
+  return `${season}_${gameType}_${scope}_${playerId}`;
+}
+
+/**
+ * Helper function: Apply a game's goal changes to the leaderboards
+ * Works like applyGameToTeamAggregates: each game's applied contributions are
+ * kept in leader_games, so only the difference is applied and no other game is read
+ * @param {string} gameId - Game ID
+ * @param {Object|null} gameData - Current game document data, or null if deleted
+ */
+async function applyGameToLeaders(gameId, gameData) {
+  const appliedRef = db.collection("leader_games").doc(gameId);
+  const contributions = getLeaderContributions(gameData);
+  const season = gameData ? getGameSeason(gameData) : null;
+  const gameType = gameData ? getGameType(gameData) : null;
+  
+  await db.runTransaction(async (transaction) => {
+    const appliedDoc = await transaction.get(appliedRef);
+    const previous = appliedDoc.exists ? appliedDoc.data() : { contributions: [] };
+    
+    const unchanged = previous.contributions.length === 0 ? contributions.length === 0 :
+      previous.season === season && previous.game_type === gameType &&
+      JSON.stringify(previous.contributions) === JSON.stringify(contributions);
+    
+    if (unchanged) {
+      return;
+    }
+    
+    // Every stats document touched by the old or new contributions, league-wide and per team
+    const changes = new Map();
+    const addChange = (entrySeason, entryGameType, entry, sign) => {
+      for (const scope of [LEADER_ALL_TEAMS, entry.franchise_id]) {
+        if (scope === null || scope === undefined) continue;
+        
+        const id = getPlayerSeasonStatsId(entrySeason, entryGameType, scope, entry.player_id);
+        const change = changes.get(id) || {
+          season: entrySeason,
+          game_type: entryGameType,
+          scope: scope.toString(),
+          player_id: entry.player_id,
+          deltas: {},
+          latest: null,
+        };
+        
+        for (const counter of LEADER_COUNTERS) {
+          change.deltas[counter] = (change.deltas[counter] || 0) + sign * entry[counter];
+        }
+        if (sign > 0) {
+          change.latest = entry;
+        }
+        changes.set(id, change);
+      }
+    };
+    
+    for (const entry of previous.contributions) {
+      addChange(previous.season, previous.game_type, entry, -1);
+    }
+    for (const entry of contributions) {
+      addChange(season, gameType, entry, 1);
+    }
+    
+    const statsRefs = [...changes.keys()].map((id) => db.collection("player_season_stats").doc(id));
+    const statsDocs = statsRefs.length > 0 ? await transaction.getAll(...statsRefs) : [];
+    const startTime = gameData?.start_time || null;
+    
+    for (const statsDoc of statsDocs) {
+      const change = changes.get(statsDoc.id);
+      const stats = statsDoc.exists ? statsDoc.data() : {
+        season: change.season,
+        game_type: change.game_type,
+        scope: change.scope,
+        player_id: change.player_id,
+      };
+      
+      for (const counter of LEADER_COUNTERS) {
+        stats[counter] = (stats[counter] || 0) + change.deltas[counter];
+      }
+      
+      // Name and team follow the player's most recent game
+      const latest = change.latest;
+      if (latest && (!stats.last_game_time || !startTime || startTime.toMillis() >= stats.last_game_time.toMillis())) {
+        stats.name = latest.name;
+        stats.team_id = latest.team_id;
+        stats.franchise_id = latest.franchise_id;
+        stats.last_game_time = startTime;
+      }
+      
+      // Players left with nothing once a game is corrected drop off the boards
+      if (LEADER_COUNTERS.every((counter) => stats[counter] === 0)) {
+        transaction.delete(statsDoc.ref);
+        continue;
+      }
+      
+      stats.goalie = stats.goalie_games > 0;
+      if (stats.goalie_games >= LEADER_GOALIE_MIN_GAMES) {
+        stats.goals_against_avg = stats.goals_against / stats.goalie_games;
+      } else {
+        delete stats.goals_against_avg;
+      }
+      stats.last_updated = FieldValue.serverTimestamp();
+      
+      transaction.set(statsDoc.ref, stats);
+    }
+    
+    if (contributions.length > 0) {
+      transaction.set(appliedRef, { season, game_type: gameType, contributions });
+    } else {
+      transaction.delete(appliedRef);
+    }
+  });
+}
+
+/**
+ * Helper function: Rebuild the leaderboards from every stored game with goals
+ * Needed once for games stored before the leaderboard trigger existed
+ */
+async function rebuildLeaders() {
+  try {
+    const gamesQuery = await db.collection("games").get();
+    
+    console.log(`Rebuilding leaderboards from ${gamesQuery.size} games...`);
+    
+    let processed = 0;
+    for (const doc of gamesQuery.docs) {
+      await applyGameToLeaders(doc.id, { gameid: doc.id, ...doc.data() });
+      processed++;
+      
+      if (processed % 500 === 0) {
+        console.log(`Progress: ${processed}/${gamesQuery.size} games`);
+      }
+    }
+    
+    return {
+      success: true,
+      gamesProcessed: processed,
+    };
+  } catch (error) {
+    console.error("Error rebuilding leaderboards:", error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: One page of a season leaderboard
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.category - Key of LEADER_CATEGORIES (default "points")
+ * @param {string} options.season - Season string (defaults to the latest season)
+ * @param {string} options.team - Team abbreviation to limit the board to stats for that team
+ * @param {number} options.gameType - Game type (default regular season)
+ * @param {number} options.pageSize - Rows per page (default 25, at most 100)
+ * @param {string} options.pageToken - nextPageToken from the previous page
+ */
+async function getLeaders(options = {}) {
+  try {
+    const category = options.category || "points";
+    const { field, direction, goalies } = LEADER_CATEGORIES[category] || {};
+    
+    if (!field) {
+      throw new Error(`Unknown category ${category}; expected one of ${Object.keys(LEADER_CATEGORIES).join(", ")}`);
+    }
+    
+    const season = options.season || await getLatestSeason();
+    const gameType = options.gameType || REGULAR_SEASON_GAME_TYPE;
+    const pageSize = Math.min(options.pageSize || LEADER_PAGE_SIZE, LEADER_MAX_PAGE_SIZE);
+    const teamData = options.team ? await getTeamByAbbreviation(options.team) : null;
+    const scope = teamData ? teamData.franchise_id.toString() : LEADER_ALL_TEAMS;
+    
+    let cursor = null;
+    if (options.pageToken) {
+      try {
+        cursor = JSON.parse(Buffer.from(options.pageToken, "base64url").toString("utf8"));
+      } catch (error) {
+        cursor = null;
+      }
+      if (!Array.isArray(cursor) || cursor.length !== 3) {
+        throw new Error("Invalid pageToken");
+      }
+    }
+    
+    let query = db.collection("player_season_stats")
+      .where("season", "==", season)
+      .where("game_type", "==", gameType)
+      .where("scope", "==", scope);
+    
+    // Goalies are ranked among goalies (goals_against_avg is only stored once they
+    // have played enough games); skaters need at least one of the stat
+    query = goalies ? query.where("goalie", "==", true) : query.where(field, ">", 0);
+    query = query.orderBy(field, direction).orderBy(FieldPath.documentId(), direction);
+    
+    if (cursor) {
+      query = query.startAfter(cursor[0], cursor[1]);
+    }
+    
+    const statsQuery = await query.limit(pageSize + 1).get();
+    const docs = statsQuery.docs.slice(0, pageSize);
+    const firstRank = cursor ? cursor[2] : 1;
+    
+    // Full names and headshots from the players collection
+    const playerDocs = docs.length > 0 ?
+      await db.getAll(...docs.map((doc) => db.collection("players").doc(doc.data().player_id.toString()))) : [];
+    
+    const leaders = docs.map((doc, index) => {
+      const stats = doc.data();
+      const player = playerDocs[index].exists ? playerDocs[index].data() : {};
+      
+      return {
+        rank: firstRank + index,
+        playerId: stats.player_id,
+        name: player.full_name || stats.name,
+        headshotUrl: player.headshot_url || null,
+        position: player.position || (stats.goalie ? "G" : null),
+        teamId: stats.team_id,
+        value: stats[field],
+        goals: stats.goals,
+        assists: stats.assists,
+        points: stats.points,
+        powerPlayGoals: stats.pp_goals,
+        gameWinningGoals: stats.gw_goals,
+        goalsAgainst: stats.goals_against,
+        goalsAgainstAverage: stats.goals_against_avg ?? null,
+        gamesPlayed: stats.goalie ? stats.goalie_games : null,
+      };
+    });
+    
+    let nextPageToken = null;
+    if (statsQuery.docs.length > pageSize) {
+      const last = docs[docs.length - 1];
+      nextPageToken = Buffer.from(JSON.stringify([last.data()[field], last.id, firstRank + pageSize]))
+        .toString("base64url");
+    }
+    
+    return {
+      success: true,
+      category,
+      season,
+      gameType,
+      team: teamData ? teamData.abbreviation : null,
+      leaders,
+      nextPageToken,
+    };
+  } catch (error) {
+    console.error("Error fetching leaders:", error);
+    throw error;
+  }
+}
+
+// Game statuses with a box score worth storing
+const BOX_SCORE_STATUSES = ["LIVE", "CRIT", "FINAL"];
+
+// Minimum seconds between box score refreshes triggered by fetchGame during live games
+const BOX_SCORE_REFRESH_SECONDS = 30;
+
+/**
+ * Helper function: Parse a "made/total" box score value (e.g. "1/3" or "26/29")
+ * @returns {Array<number|null>} [made, total]
+ */
+function parseFraction(value) {
+  if (typeof value !== "string" || !value.includes("/")) {
+    return [null, null];
+  }
+  
+  const [made, total] = value.split("/").map(Number);
+  return [made, total];
+}
+
+/**
+ * Helper function: Normalize one team's skater and goalie lines from the box score
+ * @param {Object} teamStats - playerByGameStats.homeTeam or .awayTeam
+ */
+function normalizeBoxScorePlayers(teamStats = {}) {
+  const skaters = [...(teamStats.forwards || []), ...(teamStats.defense || [])].map((player) => ({
+    player_id: player.playerId,
+    name: player.name?.default || "Unknown",
+    sweater_number: player.sweaterNumber ?? null,
+    position: player.position || null,
+    goals: player.goals || 0,
+    assists: player.assists || 0,
+    points: player.points || 0,
+    plus_minus: player.plusMinus || 0,
+    pim: player.pim || 0,
+    hits: player.hits || 0,
+    sog: player.sog || 0,
+    blocks: player.blockedShots || 0,
+    pp_goals: player.powerPlayGoals || 0,
+    faceoff_pct: player.faceoffWinningPctg ?? null,
+    toi: player.toi || null,
+    shifts: player.shifts || 0,
+  }));
+  
+  const goalies = (teamStats.goalies || []).map((goalie) => {
+    const [saves, shotsAgainst] = parseFraction(goalie.saveShotsAgainst);
+    
+    return {
+      player_id: goalie.playerId,
+      name: goalie.name?.default || "Unknown",
+      sweater_number: goalie.sweaterNumber ?? null,
+      shots_against: goalie.shotsAgainst ?? shotsAgainst ?? 0,
+      saves: goalie.saves ?? saves ?? 0,
+      goals_against: goalie.goalsAgainst || 0,
+      save_pct: goalie.savePctg ?? null,
+      pim: goalie.pim || 0,
+      toi: goalie.toi || null,
+      starter: goalie.starter ?? null,
+      decision: goalie.decision || null,
+    };
+  });
+  
+  return { skaters, goalies };
+}
+
+/**
+ * Helper function: Build a game's box score from the gamecenter boxscore response
+ * Team totals come from teamGameStats when the payload has it; otherwise they
+ * are summed from the player lines and power-play chances and faceoff % are null
+ * @param {Object} boxScoreData - Box score API response
+ */
+function normalizeBoxScore(boxScoreData) {
+  const teamGameStats = boxScoreData.summary?.teamGameStats || boxScoreData.teamGameStats || [];
+  const boxScore = { complete: normalizeGameState(boxScoreData.gameState) === "FINAL" };
+  
+  for (const side of ["home", "away"]) {
+    const team = boxScoreData[`${side}Team`] || {};
+    const { skaters, goalies } = normalizeBoxScorePlayers(boxScoreData.playerByGameStats?.[`${side}Team`]);
+    const stat = (category) => teamGameStats.find((entry) => entry.category === category)?.[`${side}Value`];
+    const sum = (lines, field) => lines.reduce((total, line) => total + line[field], 0);
+    const [ppGoals, ppOpportunities] = parseFraction(stat("powerPlay"));
+    
+    boxScore[side] = {
+      team_id: team.abbrev || null,
+      totals: {
+        sog: stat("sog") ?? team.sog ?? sum(skaters, "sog"),
+        pp_goals: ppGoals ?? sum(skaters, "pp_goals"),
+        pp_opportunities: ppOpportunities,
+        faceoff_pct: stat("faceoffWinningPctg") ?? null,
+        pim: stat("pim") ?? sum(skaters, "pim") + sum(goalies, "pim"),
+        hits: stat("hits") ?? sum(skaters, "hits"),
+        blocks: stat("blockedShots") ?? sum(skaters, "blocks"),
+      },
+      skaters,
+      goalies,
+    };
+  }
+  
+  return boxScore;
+}
+
+/**
+ * Helper function: Fetch the box score from the API and store it on the game document
+ * @param {string} gameId - Game ID
+ * @returns {Object} Stored box score
+ */
+async function updateBoxScore(gameId) {
+  const boxScoreData = await nhlApi.getBoxScore(gameId);
+  const boxScore = {
+    ...normalizeBoxScore(boxScoreData),
+    last_updated: Timestamp.now(),
+  };
+  
+  await db.collection("games").doc(gameId).update({ box_score: boxScore });
+  
+  return boxScore;
+}
+
+/**
+ * Helper function: Whether fetchGame should refresh the stored box score
+ * @param {Object} gameData - Game document data before the update
+ * @param {string} status - Normalized status after the update
+ * @param {Date} now - Current time
+ */
+function shouldRefreshBoxScore(gameData, status, now = new Date()) {
+  if (!BOX_SCORE_STATUSES.includes(status)) {
+    return false;
+  }
+  
+  const boxScore = gameData.box_score;
+  
+  if (!boxScore?.last_updated) {
+    return true;
+  }
+  
+  if (status === "FINAL") {
+    return !boxScore.complete;
+  }
+  
+  return (now.getTime() - boxScore.last_updated.toMillis()) / 1000 >= BOX_SCORE_REFRESH_SECONDS;
+}
+
+/**
+ * Helper function: Refresh the box score without failing the caller
+ * Box scores are secondary to the score and goals, so errors are only logged
+ */
+async function refreshBoxScoreQuietly(gameId) {
+  try {
+    await updateBoxScore(gameId);
+  } catch (error) {
+    console.error(`Error updating box score for game ${gameId}:`, error);
+  }
+}
+
+/**
+ * Helper function: Fetch a game's box score, serving completed FINAL games from the database
+ * @param {string} gameId - Game ID
+ */
+async function fetchBoxScore(gameId) {
+  try {
+    const gameDoc = await db.collection("games").doc(gameId).get();
+    
+    if (!gameDoc.exists) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+    
+    const gameData = gameDoc.data();
+    let boxScore = gameData.box_score;
+    let source = "database";
+    
+    if (gameData.status !== "FINAL" || !boxScore?.complete) {
+      boxScore = await updateBoxScore(gameId);
+      source = "api";
+    }
+    
+    return {
+      success: true,
+      gameId,
+      home: boxScore.home,
+      away: boxScore.away,
+      complete: boxScore.complete,
+      source,
+    };
+  } catch (error) {
+    console.error(`Error fetching box score for game ${gameId}:`, error);
+    throw error;
+  }
+}
+
+// Game refresh leases: one caller refreshes a game from the score feed while
+// concurrent callers wait for it and share the stored result
+const GAME_LEASE_SECONDS = 15;
+const GAME_LEASE_POLL_MS = 250;
+
+// Time the lease holder gives the score feed, retries included; the rest of the
+// lease covers writing the result, so a slow API can't outlast the lease
+const GAME_REFRESH_BUDGET_MS = 10000;
+
+// Games refreshed this recently are served from the database
+const GAME_REFRESH_MIN_SECONDS = 2;
+
+// Refreshes in flight in this instance, keyed by game ID
+const gameRefreshes = new Map();
+
+/**
+ * Helper function: fetchGame result from a stored game document
+ * @param {string} gameId - Game ID
+ * @param {Object} gameData - Game document data
+ * @param {string} source - "database", or "shared" when another caller's refresh was reused
+ */
+function getStoredGameResult(gameId, gameData, source) {
+  return {
+    success: true,
+    gameId,
+    home_score: gameData.home_data.team_score || 0,
+    away_score: gameData.away_data.team_score || 0,
+    status: gameData.status,
+    period_type: gameData.period_type || null,
+    clock: gameData.raw?.clock || null,
+    source,
+  };
+}
+
+/**
+ * Helper function: Whether a game was refreshed within the minimum interval
+ * @param {Object} gameData - Game document data
+ * @param {Date} now - Current time
+ */
+function isGameRefreshFresh(gameData, now) {
+  if (!gameData.last_updated) {
+    return false;
+  }
+  
+  return (now.getTime() - gameData.last_updated.toDate().getTime()) / 1000 < GAME_REFRESH_MIN_SECONDS;
+}
+
+/**
+ * Helper function: Refresh lease document of a game
+ * Leases live outside the game document so taking and releasing one doesn't fire the game triggers
+ */
+function getGameLeaseRef(gameId) {
+  return db.collection("game_leases").doc(gameId);
+}
+
+/**
+ * Helper function: Try to take the refresh lease on a game
+ * The transaction only reads the game and writes its lease, so a retried attempt
+ * is harmless. An expired lease is reclaimed, e.g. after an instance crashed mid-refresh.
+ * @param {DocumentReference} gameRef - Game document
+ * @param {string} owner - Lease owner ID
+ * @param {Date} now - Current time
+ * @returns {Object} { state: "acquired" | "busy" | "done", gameData }
+ */
+async function acquireGameLease(gameRef, owner, now = new Date()) {
+  const leaseRef = getGameLeaseRef(gameRef.id);
+  
+  return db.runTransaction(async (transaction) => {
+    const [gameDoc, leaseDoc] = await transaction.getAll(gameRef, leaseRef);
+    
+    if (!gameDoc.exists) {
+      throw new Error(`Game ${gameRef.id} not found`);
+    }
+    
+    const gameData = gameDoc.data();
+    
+    if (gameData.status === "FINAL" || isGameRefreshFresh(gameData, now)) {
+      return { state: "done", gameData };
+    }
+    
+    const lease = leaseDoc.exists ? leaseDoc.data() : null;
+    
+    if (lease && lease.owner !== owner && lease.expires_at.toDate() > now) {
+      return { state: "busy", gameData };
+    }
+    
+    if (lease) {
+      console.warn(`Reclaiming expired refresh lease on game ${gameRef.id} from ${lease.owner}`);
+    }
+    
+    transaction.set(leaseRef, {
+      owner,
+      acquired_at: Timestamp.fromDate(now),
+      expires_at: Timestamp.fromMillis(now.getTime() + GAME_LEASE_SECONDS * 1000),
+    });
+    
+    return { state: "acquired", gameData };
+  });
+}
+
+/**
+ * Helper function: Check on a game while another caller holds its lease
+ * Plain reads, so waiters don't contend with the holder's commit; a transaction
+ * is only started once the lease is released or has expired
+ * @param {DocumentReference} gameRef - Game document
+ * @param {string} owner - Lease owner ID
+ * @param {Date} now - Current time
+ * @returns {Object} { state: "acquired" | "busy" | "done", gameData }
+ */
+async function checkGameLease(gameRef, owner, now = new Date()) {
+  const [gameDoc, leaseDoc] = await db.getAll(gameRef, getGameLeaseRef(gameRef.id));
+  
+  if (!gameDoc.exists) {
+    throw new Error(`Game ${gameRef.id} not found`);
+  }
+  
+  const gameData = gameDoc.data();
+  
+  if (gameData.status === "FINAL" || isGameRefreshFresh(gameData, now)) {
+    return { state: "done", gameData };
+  }
+  
+  if (leaseDoc.exists && leaseDoc.data().expires_at.toDate() > now) {
+    return { state: "busy", gameData };
+  }
+  
+  return acquireGameLease(gameRef, owner, now);
+}
+
+/**
+ * Helper function: Give up a refresh lease without changing the game
+ * Does nothing if the lease expired and was reclaimed by someone else
+ * @param {string} gameId - Game ID
+ * @param {string} owner - Lease owner ID
+ */
+async function releaseGameLease(gameId, owner) {
+  const leaseRef = getGameLeaseRef(gameId);
+  
+  await db.runTransaction(async (transaction) => {
+    const leaseDoc = await transaction.get(leaseRef);
+    
+    if (leaseDoc.data()?.owner === owner) {
+      transaction.delete(leaseRef);
+    }
+  });
+}
+
+/**
+ * Helper function: Refresh a game from the score feed while holding its lease
+ * @param {DocumentReference} gameRef - Game document
+ * @param {Object} gameData - Game document data read when the lease was taken
+ * @param {string} owner - Lease owner ID
+ * @returns {Object} { result, leaseLost } where leaseLost means the write was skipped
+ */
+async function refreshGameWithLease(gameRef, gameData, owner) {
+  const gameId = gameRef.id;
+  let updatedGame;
+  
+  try {
+    // Fetch latest score from API for the game's own date ("now" drops late games after midnight)
+    const scoreData = await nhlApi.getScore(getGameDate(gameData), { budgetMs: GAME_REFRESH_BUDGET_MS });
+    updatedGame = (scoreData.games || []).find((g) => g.id.toString() === gameId);
+    
+    if (!updatedGame) {
+      throw new Error(`Game ${gameId} not found in score API`);
+    }
+  } catch (error) {
+    await releaseGameLease(gameId, owner);
+    throw error;
+  }
+  
+  const status = normalizeGameState(updatedGame.gameState);
+  const periodType = getPeriodTypeForStatus(updatedGame, status);
+  
+  // Only the lease holder writes; a refresh that outlived its lease leaves the game to the new holder
+  const leaseRef = getGameLeaseRef(gameId);
+  const leaseLost = await db.runTransaction(async (transaction) => {
+    const leaseDoc = await transaction.get(leaseRef);
+    
+    if (leaseDoc.data()?.owner !== owner) {
+      return true;
+    }
+    
+    transaction.update(gameRef, {
+      "home_data.team_score": updatedGame.homeTeam.score || 0,
+      "away_data.team_score": updatedGame.awayTeam.score || 0,
+      status,
+      period_type: periodType,
+      raw: updatedGame,
+      last_updated: FieldValue.serverTimestamp(),
+    });
+    transaction.delete(leaseRef);
+    
+    return false;
+  });
+  
+  if (leaseLost) {
+    console.warn(`Refresh lease on game ${gameId} expired before the update was written`);
+  }
+  
+  const result = {
+    success: true,
+    gameId,
+    home_score: updatedGame.homeTeam.score || 0,
+    away_score: updatedGame.awayTeam.score || 0,
+    status,
+    period_type: periodType,
+    clock: updatedGame.clock || null,
+    source: "api",
+  };
+  
+  return { result, leaseLost };
+}
+
+/**
+ * Helper function: Fetch and update a specific game
+ * Concurrent calls for the same game share one score feed request: calls in
+ * this instance share the same promise, and calls in other instances wait for
+ * the lease holder and return the game it stored
+ * @param {string} gameId - Game ID
+ */
+async function fetchGame(gameId) {
+  if (gameRefreshes.has(gameId)) {
+    return gameRefreshes.get(gameId);
+  }
+  
+  const refresh = refreshGame(gameId).finally(() => gameRefreshes.delete(gameId));
+  gameRefreshes.set(gameId, refresh);
+  
+  return refresh;
+}
+
+/**
+ * Helper function: Refresh a game, taking its lease or waiting for the current holder
+ * @param {string} gameId - Game ID
+ */
+async function refreshGame(gameId) {
+  const gameRef = db.collection("games").doc(gameId);
+  
+  // First check game status
+  const gameDoc = await gameRef.get();
+  
+  if (!gameDoc.exists) {
+    throw new Error(`Game ${gameId} not found`);
+  }
+  
+  // Only skip API call if game is already FINAL
+  if (gameDoc.data().status === "FINAL") {
+    return getStoredGameResult(gameId, gameDoc.data(), "database");
+  }
+  
+  // Game is not final - check API for updates (SCHEDULED -> LIVE -> FINAL transitions)
+  const owner = crypto.randomUUID();
+  let waited = false;
+  let lease = await acquireGameLease(gameRef, owner);
+  
+  while (lease.state === "busy") {
+    waited = true;
+    await new Promise(resolve => setTimeout(resolve, GAME_LEASE_POLL_MS));
+    lease = await checkGameLease(gameRef, owner);
+  }
+  
+  if (lease.state === "done") {
+    return getStoredGameResult(gameId, lease.gameData, waited ? "shared" : "database");
+  }
+  
+  const gameData = lease.gameData;
+  const { result, leaseLost } = await refreshGameWithLease(gameRef, gameData, owner);
+  
+  if (leaseLost) {
+    return result;
+  }
+  
+  if (shouldRefreshBoxScore(gameData, result.status)) {
+    await refreshBoxScoreQuietly(gameId);
+  }
+  
+  return result;
+}
+
+// Statuses for games that have not reached FINAL and may still change
+const ACTIVE_GAME_STATUSES = ["SCHEDULED", "PREGAME", "FUT", "PRE", "LIVE", "CRIT"];
+
+// Live poller timing (seconds)
+const LIVE_POLL_INTERVAL = 10;
+const PREGAME_POLL_INTERVAL = 60;
+const MAX_POLL_INTERVAL = 300;
+const PREGAME_LOOKAHEAD_MINUTES = 15;
+
+// Games that started longer ago than this are no longer polled, even if they never
+// reached FINAL (e.g. postponed games); ingestion still picks up their final state
+const POLL_MAX_AGE_HOURS = 12;
+
+/**
+ * Helper function: Work out how long to wait before polling a game again
+ * Backs off before puck drop and during intermissions
+ * @param {Object} result - Per-game entry from updateGamesForDate
+ * @param {Date} startTime - Scheduled start time
+ * @param {Date} now - Current time
+ * @returns {number|null} Seconds until next poll, or null once the game is FINAL
+ */
+function getPollDelaySeconds(result, startTime, now) {
+  if (result.status === "FINAL") {
+    return null;
+  }
+  
+  if (!["LIVE", "CRIT"].includes(result.status)) {
+    // Not started yet - wait for puck drop, checking at least every few minutes
+    const secondsToStart = Math.round((startTime.getTime() - now.getTime()) / 1000);
+    return Math.min(Math.max(secondsToStart, PREGAME_POLL_INTERVAL), MAX_POLL_INTERVAL);
+  }
+  
+  if (result.clock?.inIntermission) {
+    // Check back shortly before the next period starts
+    const secondsRemaining = result.clock.secondsRemaining || 0;
+    return Math.min(Math.max(secondsRemaining - 30, LIVE_POLL_INTERVAL), MAX_POLL_INTERVAL);
+  }
+  
+  return LIVE_POLL_INTERVAL;
+}
+
+/**
+ * Helper function: Exponential backoff for a game whose poll keeps failing
+ * @param {number} baseSeconds - Delay after the first failure
+ * @param {number} failures - Consecutive failed polls, including this one
+ * @returns {number} Seconds until next poll, at most MAX_POLL_INTERVAL
+ */
+function getPollBackoffSeconds(baseSeconds, failures) {
+  return Math.min(baseSeconds * 2 ** Math.max(failures - 1, 0), MAX_POLL_INTERVAL);
+}
+
+/**
+ * Helper function: Compare a stored game with its entry in the score feed
+ * @param {Object} gameData - Game document data
+ * @param {Object} scoreGame - Game from the score API
+ * @returns {Object} changes keyed by field name with from/to values
+ */
+function diffScoreGame(gameData, scoreGame) {
+  const status = normalizeGameState(scoreGame.gameState);
+  const oldClock = gameData.raw?.clock || {};
+  const newClock = scoreGame.clock || {};
+  
+  const fields = {
+    home_score: [gameData.home_data.team_score || 0, scoreGame.homeTeam?.score || 0],
+    away_score: [gameData.away_data.team_score || 0, scoreGame.awayTeam?.score || 0],
+    status: [gameData.status, status],
+    period_type: [gameData.period_type || null, getPeriodTypeForStatus(scoreGame, status)],
+    period: [gameData.raw?.periodDescriptor?.number || null, scoreGame.periodDescriptor?.number || null],
+    clock: [
+      `${oldClock.timeRemaining || ""}${oldClock.inIntermission ? " INT" : ""}`,
+      `${newClock.timeRemaining || ""}${newClock.inIntermission ? " INT" : ""}`,
+    ],
+  };
+  
+  const changes = {};
+  for (const [field, [from, to]] of Object.entries(fields)) {
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Helper function: Update every stored game for a date from a single score feed call
+ * Only games whose score, status or clock changed are written
+ * @param {string} date - Game date (YYYY-MM-DD)
+ * @param {Object} options - Options object
+ * @param {Array<string>} options.gameIds - Optional game IDs to restrict the update to
+ * @returns {Object} Per-game change summary
+ */
+async function updateGamesForDate(date, options = {}) {
+  try {
+    const scoreData = await nhlApi.getScore(date);
+    const scoreGames = new Map();
+    for (const game of scoreData.games || []) {
+      scoreGames.set(game.id.toString(), game);
+    }
+    
+    const gameIds = options.gameIds || [...scoreGames.keys()];
+    if (gameIds.length === 0) {
+      return { success: true, date, gamesChecked: 0, gamesUpdated: 0, games: [] };
+    }
+    
+    const gameRefs = gameIds.map((gameId) => db.collection("games").doc(gameId));
+    const gameDocs = await db.getAll(...gameRefs);
+    
+    const batch = db.batch();
+    const games = [];
+    let gamesUpdated = 0;
+    
+    for (const gameDoc of gameDocs) {
+      const gameId = gameDoc.id;
+      const scoreGame = scoreGames.get(gameId);
+      
+      if (!gameDoc.exists || !scoreGame) {
+        games.push({
+          gameId,
+          found: gameDoc.exists,
+          inFeed: !!scoreGame,
+          changed: false,
+          changes: {},
+          status: gameDoc.exists ? gameDoc.data().status : null,
+          clock: null,
+        });
+        continue;
+      }
+      
+      const gameData = gameDoc.data();
+      const changes = diffScoreGame(gameData, scoreGame);
+      const changed = Object.keys(changes).length > 0;
+      const status = normalizeGameState(scoreGame.gameState);
+      
+      if (changed) {
+        batch.update(gameDoc.ref, {
+          "home_data.team_score": scoreGame.homeTeam?.score || 0,
+          "away_data.team_score": scoreGame.awayTeam?.score || 0,
+          status,
+          period_type: getPeriodTypeForStatus(scoreGame, status),
+          raw: scoreGame,
+          last_updated: FieldValue.serverTimestamp(),
+        });
+        gamesUpdated++;
+      }
+      
+      games.push({
+        gameId,
+        found: true,
+        inFeed: true,
+        changed,
+        changes,
+        status,
+        clock: scoreGame.clock || null,
+      });
+    }
+    
+    if (gamesUpdated > 0) {
+      await batch.commit();
+    }
+    
+    console.log(`Score feed ${date}: ${gamesUpdated}/${games.length} games updated`);
+    
+    return {
+      success: true,
+      date,
+      gamesChecked: games.length,
+      gamesUpdated,
+      games,
+    };
+  } catch (error) {
+    console.error(`Error updating games for ${date}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Poll schedule document of a game
+ * Kept outside the game document so polls that change nothing don't write the game
+ * or fire its triggers
+ */
+function getGamePollRef(gameId) {
+  return db.collection("game_polls").doc(gameId);
+}
+
+/**
+ * Helper function: Refresh every non-FINAL game that has started or is about to
+ * Fetches the score feed once per game date, and skips games until their
+ * next_poll_at time in game_polls so each game backs off independently. Failed
+ * polls back off exponentially and games older than POLL_MAX_AGE_HOURS are left
+ * to sweepStaleGames
+ * @returns {Object} Summary with per-game results and seconds until the next game is due
+ */
+async function pollLiveGames() {
+  const now = new Date();
+  const lookahead = new Date(now.getTime() + PREGAME_LOOKAHEAD_MINUTES * 60 * 1000);
+  const cutoff = new Date(now.getTime() - POLL_MAX_AGE_HOURS * 60 * 60 * 1000);
+  
+  const gamesQuery = await db.collection("games")
+    .where("status", "in", ACTIVE_GAME_STATUSES)
+    .where("start_time", ">=", Timestamp.fromDate(cutoff))
+    .where("start_time", "<=", Timestamp.fromDate(lookahead))
+    .get();
+  
+  const pollDocs = gamesQuery.empty ? [] : await db.getAll(...gamesQuery.docs.map((doc) => getGamePollRef(doc.id)));
+  const polls = new Map(pollDocs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+  
+  const results = [];
+  const dueByDate = new Map();
+  let nextPollSeconds = null;
+  
+  const scheduleNextPoll = (seconds) => {
+    if (seconds !== null) {
+      nextPollSeconds = nextPollSeconds === null ? seconds : Math.min(nextPollSeconds, seconds);
+    }
+  };
+  
+  for (const doc of gamesQuery.docs) {
+    const gameData = doc.data();
+    const poll = polls.get(doc.id);
+    
+    // Respect per-game backoff
+    if (poll?.next_poll_at && poll.next_poll_at.toDate() > now) {
+      scheduleNextPoll(Math.ceil((poll.next_poll_at.toDate().getTime() - now.getTime()) / 1000));
+      results.push({ gameId: doc.id, status: gameData.status, skipped: true });
+      continue;
+    }
+    
+    const gameDate = getGameDate(gameData);
+    if (!dueByDate.has(gameDate)) {
+      dueByDate.set(gameDate, []);
+    }
+    dueByDate.get(gameDate).push(doc);
+  }
+  
+  const pollBatch = db.batch();
+  
+  for (const [gameDate, docs] of dueByDate) {
+    let summaries = new Map();
+    let fetchError = null;
+    
+    try {
+      const result = await updateGamesForDate(gameDate, { gameIds: docs.map((doc) => doc.id) });
+      summaries = new Map(result.games.map((game) => [game.gameId, game]));
+    } catch (error) {
+      console.warn(`Live poll failed for ${gameDate}:`, error.message);
+      fetchError = error.message;
+    }
+    
+    for (const doc of docs) {
+      const gameData = doc.data();
+      const summary = summaries.get(doc.id);
+      const failures = fetchError || !summary?.inFeed ? (polls.get(doc.id)?.poll_failures || 0) + 1 : 0;
+      let delaySeconds;
+      
+      if (fetchError) {
+        delaySeconds = getPollBackoffSeconds(LIVE_POLL_INTERVAL, failures);
+      } else if (!summary?.inFeed) {
+        // Not in the feed yet (or anymore) - check again later
+        delaySeconds = getPollBackoffSeconds(PREGAME_POLL_INTERVAL, failures);
+      } else {
+        delaySeconds = getPollDelaySeconds(summary, gameData.start_time.toDate(), now);
+      }
+      
+      results.push({
+        gameId: doc.id,
+        status: summary?.status || gameData.status,
+        skipped: false,
+        changed: summary?.changed || false,
+        ...(fetchError ? { error: fetchError } : {}),
+      });
+      
+      if (delaySeconds === null) {
+        pollBatch.delete(getGamePollRef(doc.id));
+      } else {
+        pollBatch.set(getGamePollRef(doc.id), {
+          next_poll_at: Timestamp.fromDate(new Date(now.getTime() + delaySeconds * 1000)),
+          poll_failures: failures,
+        });
+      }
+      scheduleNextPoll(delaySeconds);
+    }
+  }
+  
+  if (dueByDate.size > 0) {
+    await pollBatch.commit();
+  }
+  
+  return {
+    success: true,
+    gamesChecked: results.length,
+    gamesPolled: results.filter((r) => !r.skipped).length,
+    results,
+    nextPollSeconds,
+  };
+}
+
+// How far back sweepStaleGames looks for games the live poller gave up on
+const STALE_GAME_SWEEP_DAYS = 7;
+
+/**
+ * Helper function: Bring games the live poller gave up on up to date
+ * Games still not FINAL POLL_MAX_AGE_HOURS after their start (e.g. the poller was
+ * down, or the game was postponed) are checked against the score feed once per date
+ * @param {Date} now - Current time
+ * @returns {Object} Summary with the games checked and updated and any dates that failed
+ */
+async function sweepStaleGames(now = new Date()) {
+  try {
+    const cutoff = new Date(now.getTime() - POLL_MAX_AGE_HOURS * 60 * 60 * 1000);
+    const oldest = new Date(now.getTime() - STALE_GAME_SWEEP_DAYS * 24 * 60 * 60 * 1000);
+    
+    const gamesQuery = await db.collection("games")
+      .where("status", "in", ACTIVE_GAME_STATUSES)
+      .where("start_time", ">=", Timestamp.fromDate(oldest))
+      .where("start_time", "<", Timestamp.fromDate(cutoff))
+      .get();
+    
+    const gameIdsByDate = new Map();
+    for (const doc of gamesQuery.docs) {
+      const gameDate = getGameDate(doc.data());
+      gameIdsByDate.set(gameDate, [...(gameIdsByDate.get(gameDate) || []), doc.id]);
+    }
+    
+    let gamesUpdated = 0;
+    const failedDates = [];
+    
+    for (const [gameDate, gameIds] of gameIdsByDate) {
+      try {
+        const result = await updateGamesForDate(gameDate, { gameIds });
+        gamesUpdated += result.gamesUpdated;
+      } catch (error) {
+        console.error(`Error sweeping stale games for ${gameDate}:`, error);
+        failedDates.push(gameDate);
+      }
+    }
+    
+    // The poller no longer looks at these games
+    if (!gamesQuery.empty) {
+      const batch = db.batch();
+      gamesQuery.docs.forEach((doc) => batch.delete(getGamePollRef(doc.id)));
+      await batch.commit();
+    }
+    
+    return {
+      success: true,
+      gamesChecked: gamesQuery.size,
+      gamesUpdated,
+      failedDates,
+    };
+  } catch (error) {
+    console.error("Error sweeping stale games:", error);
+    throw error;
+  }
+}
+
+// Event types a subscription can ask for
+const NOTIFICATION_EVENTS = ["start", "goal", "period_end", "final"];
+
+// Statuses of games in progress
+const LIVE_GAME_STATUSES = ["LIVE", "CRIT"];
+
+// Games that started longer ago than this are being backfilled, not played, so they notify nobody
+const NOTIFICATION_MAX_AGE_HOURS = 12;
+
+/**
+ * Helper function: Record a device's FCM token as belonging to a signed-in user
+ * A token belongs to the last user who registered it, so signing in as someone
+ * else on the same device moves its notifications to them
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} token - FCM registration token
+ */
+async function registerDeviceToken(userId, token) {
+  const tokenRef = db.collection("device_tokens").doc(getDeviceTokenId(token));
+  const existing = await tokenRef.get();
+  const sameUser = existing.exists && existing.data().user_id === userId;
+  
+  await tokenRef.set({
+    token,
+    user_id: userId,
+    created_at: sameUser ? existing.data().created_at : FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Helper function: Document ID of a device token in device_tokens
+ */
+function getDeviceTokenId(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Helper function: Subscriber and target of a subscription request
+ * @param {Object} params - { userId, team, gameId }
+ * @returns {Object} Subscription fields, keyed the same way for every request about the same pair
+ */
+async function resolveSubscription(params = {}) {
+  const { userId, team, gameId } = params;
+  
+  if (!userId) {
+    throw new Error("A signed-in user is required");
+  }
+  if (Boolean(team) === Boolean(gameId)) {
+    throw new Error("Subscribe to either a team or a game");
+  }
+  
+  const subscription = { subscriber_type: "user", subscriber: userId };
+  
+  if (team) {
+    // Teams are followed by franchise, so relocations keep their subscribers
+    const teamData = await getTeamByAbbreviation(team.toString().toUpperCase());
+    subscription.target_type = "team";
+    subscription.target = `team:${teamData.franchise_id}`;
+    subscription.team_id = teamData.abbreviation;
+  } else {
+    const gameDoc = await db.collection("games").doc(gameId.toString()).get();
+    if (!gameDoc.exists) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+    subscription.target_type = "game";
+    subscription.target = `game:${gameDoc.id}`;
+  }
+  
+  const id = crypto.createHash("sha256")
+    .update(`${subscription.subscriber_type}:${subscription.subscriber}|${subscription.target}`)
+    .digest("hex");
+  
+  return { id, subscription };
+}
+
+/**
+ * Helper function: Subscribe a signed-in user to a team's or game's notifications
+ * Subscribing again to the same team or game replaces the chosen events.
+ * A device token given with the request is registered to the user, and
+ * notifications go to every device registered to them.
+ * @param {Object} params - { userId, token, team or gameId, events }
+ */
+async function subscribeToNotifications(params = {}) {
+  try {
+    const events = params.events || NOTIFICATION_EVENTS;
+    const invalidEvents = events.filter((type) => !NOTIFICATION_EVENTS.includes(type));
+    
+    if (events.length === 0 || invalidEvents.length > 0) {
+      throw new Error(`events must be a non-empty list of: ${NOTIFICATION_EVENTS.join(", ")}`);
+    }
+    
+    const { id, subscription } = await resolveSubscription(params);
+    const subscriptionRef = db.collection("subscriptions").doc(id);
+    const existing = await subscriptionRef.get();
+    
+    if (params.token) {
+      await registerDeviceToken(params.userId, params.token);
+    }
+    
+    await subscriptionRef.set({
+      ...subscription,
+      events: [...new Set(events)],
+      created_at: existing.exists ? existing.data().created_at : FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp(),
+    });
+    
+    return {
+      success: true,
+      subscriptionId: id,
+      target: subscription.target,
+      events: [...new Set(events)],
+    };
+  } catch (error) {
+    console.error("Error subscribing to notifications:", error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Remove a user's subscription to a team or game
+ * @param {Object} params - { userId, team or gameId }
+ */
+async function unsubscribeFromNotifications(params = {}) {
+  try {
+    const { id } = await resolveSubscription(params);
+    const subscriptionRef = db.collection("subscriptions").doc(id);
+    const existing = await subscriptionRef.get();
+    
+    if (existing.exists) {
+      await subscriptionRef.delete();
+    }
+    
+    return { success: true, removed: existing.exists };
+  } catch (error) {
+    console.error("Error unsubscribing from notifications:", error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Score line for notification text (e.g. "MTL 1 - TOR 2")
+ */
+function getNotificationScoreLine(game) {
+  return `${game.away_data.team_id} ${game.away_data.team_score || 0} - ${game.home_data.team_id} ${game.home_data.team_score || 0}`;
+}
+
+/**
+ * Helper function: Work out which notifications a game update should send
+ * Goals are keyed by the score after the goal, so a goal seen first as a score
+ * change and later in the goals map is only announced once
+ * @param {string} gameId - Game ID
+ * @param {Object} before - Game document before the update
+ * @param {Object} after - Game document after the update
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Notifications: { key, type, title, body, data }
+ */
+function detectGameNotifications(gameId, before, after, now = new Date()) {
+  if (!before || !after) {
+    return [];
+  }
+  
+  const startTime = after.start_time?.toDate?.();
+  if (startTime && now.getTime() - startTime.getTime() > NOTIFICATION_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    return [];
+  }
+  
+  const notifications = [];
+  const matchup = `${after.away_data.team_id} @ ${after.home_data.team_id}`;
+  const scoreLine = getNotificationScoreLine(after);
+  const wasPlaying = UPCOMING_GAME_STATUSES.includes(before.status) || LIVE_GAME_STATUSES.includes(before.status);
+  const isLive = LIVE_GAME_STATUSES.includes(after.status);
+  const add = (type, key, title, body, data = {}) => {
+    notifications.push({ key, type, title, body, data: { gameId, type, ...data } });
+  };
+  
+  if (UPCOMING_GAME_STATUSES.includes(before.status) && (isLive || after.status === "FINAL")) {
+    add("start", "start", matchup, "The game has started");
+  }
+  
+  // Score changes come from the score feed, usually before play-by-play has the goal
+  const homeScore = after.home_data.team_score || 0;
+  const awayScore = after.away_data.team_score || 0;
+  const homeScored = homeScore > (before.home_data.team_score || 0);
+  const awayScored = awayScore > (before.away_data.team_score || 0);
+  
+  if (wasPlaying && (isLive || after.status === "FINAL") && (homeScored || awayScored)) {
+    // Both sides can score between two polls; the notification then names neither
+    let scoringTeam = null;
+    if (!(homeScored && awayScored)) {
+      scoringTeam = homeScored ? after.home_data.team_id : after.away_data.team_id;
+    }
+    add("goal", `goal_${homeScore}-${awayScore}`, scoringTeam ? `${scoringTeam} goal!` : "Goal!", scoreLine, {
+      teamId: scoringTeam,
+    });
+  }
+  
+  if (isLive) {
+    const previousGoals = before.goals || {};
+    
+    for (const [goalKey, goal] of Object.entries(after.goals || {})) {
+      if (previousGoals[goalKey]) continue;
+      
+      const scoringTeam = goal.isHome ? after.home_data.team_id : after.away_data.team_id;
+      const hasScore = goal.homeScore !== undefined && goal.awayScore !== undefined;
+      const key = hasScore ? `goal_${goal.homeScore}-${goal.awayScore}` : `goal_${goalKey}`;
+      const assists = [goal.primaryAssist, goal.secondaryAssist].filter(Boolean);
+      const scorerLine = `${goal.scorer || "Unknown"}${assists.length ? ` (${assists.join(", ")})` : ""}, ${goal.periodLabel} ${goal.timeInPeriod}`;
+      
+      add("goal", key, `${scoringTeam} goal!`, hasScore
+        ? `${scorerLine} - ${after.away_data.team_id} ${goal.awayScore} - ${after.home_data.team_id} ${goal.homeScore}`
+        : scorerLine, { teamId: scoringTeam, playerId: goal.scorerId });
+    }
+    
+    // The score feed's clock enters intermission when a period ends
+    const wasInIntermission = before.raw?.clock?.inIntermission || false;
+    const period = after.raw?.periodDescriptor?.number || after.raw?.period;
+    if (after.raw?.clock?.inIntermission && !wasInIntermission && period) {
+      const periodLabel = getPeriodLabel(after.raw.periodDescriptor || { number: period });
+      add("period_end", `period_end_${period}`, `End of ${periodLabel} - ${matchup}`, scoreLine, { period });
+    }
+  }
+  
+  if (before.status !== "FINAL" && after.status === "FINAL") {
+    const periodType = getLastPeriodType(after);
+    const finalLabel = periodType && periodType !== "REG" ? `Final/${periodType}` : "Final";
+    add("final", "final", `${finalLabel} - ${matchup}`, scoreLine);
+  }
+  
+  return notifications;
+}
+
+/**
+ * Helper function: Devices of the users subscribed to an event of a game or its teams
+ * A user following both the game and a team gets each device once
+ * @returns {Array<Object>} Recipients: { token, userId }, one per registered device
+ */
+async function getNotificationRecipients(gameId, gameData, type) {
+  const targets = [
+    `game:${gameId}`,
+    `team:${gameData.home_data.franchise_id}`,
+    `team:${gameData.away_data.franchise_id}`,
+  ];
+  
+  const subscriptionsQuery = await db.collection("subscriptions")
+    .where("target", "in", targets)
+    .where("events", "array-contains", type)
+    .get();
+  
+  const userIds = [...new Set(subscriptionsQuery.docs
+    .filter((doc) => doc.data().subscriber_type === "user")
+    .map((doc) => doc.data().subscriber))];
+  const recipients = [];
+  
+  // "in" queries take at most 30 values
+  for (let i = 0; i < userIds.length; i += 30) {
+    const tokensQuery = await db.collection("device_tokens")
+      .where("user_id", "in", userIds.slice(i, i + 30))
+      .get();
+    
+    tokensQuery.forEach((doc) => {
+      recipients.push({ token: doc.data().token, userId: doc.data().user_id });
+    });
+  }
+  
+  return recipients;
+}
+
+/**
+ * Helper function: Release the goal notification claims of goals that were taken back
+ * Goal notifications are keyed by the score after the goal, so when a score goes
+ * down (a goal is disallowed) the next goal reaching the same score must not
+ * find the old claim
+ * @param {string} gameId - Game ID
+ * @param {Object} after - Game document after the update
+ */
+async function releaseOverturnedGoalClaims(gameId, after) {
+  const homeScore = after.home_data.team_score || 0;
+  const awayScore = after.away_data.team_score || 0;
+  
+  const claimsQuery = await db.collection("notifications")
+    .where("game_id", "==", gameId)
+    .where("type", "==", "goal")
+    .get();
+  
+  const overturned = claimsQuery.docs.filter((doc) => {
+    const score = doc.id.match(/_goal_(\d+)-(\d+)$/);
+    return score && (Number(score[1]) > homeScore || Number(score[2]) > awayScore);
+  });
+  
+  if (overturned.length > 0) {
+    const batch = db.batch();
+    overturned.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
+
+/**
+ * Helper function: Send the notifications produced by a game update
+ * Each notification is claimed in the notifications collection before it is sent,
+ * so repeated trigger deliveries and goals seen twice never notify twice. A claim
+ * whose send fails is released and the error rethrown, so a retry of the trigger
+ * sends it
+ * @param {string} gameId - Game ID
+ * @param {Object} before - Game document before the update
+ * @param {Object} after - Game document after the update
+ * @returns {Array<Object>} Notifications sent
+ */
+async function sendGameNotifications(gameId, before, after) {
+  const sent = [];
+  let failure = null;
+  
+  if (before && after && ((after.home_data.team_score || 0) < (before.home_data.team_score || 0) ||
+    (after.away_data.team_score || 0) < (before.away_data.team_score || 0))) {
+    await releaseOverturnedGoalClaims(gameId, after);
+  }
+  
+  for (const notification of detectGameNotifications(gameId, before, after)) {
+    const notificationRef = db.collection("notifications").doc(`${gameId}_${notification.key}`);
+    
+    try {
+      await notificationRef.create({
+        game_id: gameId,
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        created_at: FieldValue.serverTimestamp(),
+      });
+    } catch (error) {
+      // ALREADY_EXISTS: another update already sent this one
+      if (error.code === 6) continue;
+      throw error;
+    }
+    
+    try {
+      const recipients = await getNotificationRecipients(gameId, after, notification.type);
+      let result = { successCount: 0, failureCount: 0, staleTokens: [] };
+      
+      if (recipients.length > 0) {
+        result = await notifier.send({ ...notification, gameId, recipients });
+      }
+      
+      await notificationRef.update({
+        recipients: recipients.length,
+        success_count: result.successCount,
+        failure_count: result.failureCount,
+        sent_at: FieldValue.serverTimestamp(),
+      });
+      
+      // Tokens FCM has rejected for good won't work for any other notification either
+      const staleTokens = result.staleTokens || [];
+      if (staleTokens.length > 0) {
+        const batch = db.batch();
+        staleTokens.forEach((token) => batch.delete(db.collection("device_tokens").doc(getDeviceTokenId(token))));
+        await batch.commit();
+      }
+      
+      sent.push({ ...notification, recipients: recipients.length });
+    } catch (error) {
+      console.error(`Error sending ${notification.key} notification for game ${gameId}:`, error);
+      await notificationRef.delete().catch(() => {});
+      failure = failure || error;
+    }
+  }
+  
+  if (failure) {
+    throw failure;
+  }
+  
+  return sent;
+}
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = ["goal", "status", "final"];
+
+// Seconds to wait before each retry of a failed delivery; after the last one it is dead-lettered
+const WEBHOOK_RETRY_DELAYS_SECONDS = [30, 120, 600, 1800, 7200];
+
+// Delivery attempts recorded in each delivery's log
+const WEBHOOK_LOG_LIMIT = 10;
+
+// Most due retries handled per run of the retry worker
+const WEBHOOK_RETRY_BATCH_SIZE = 50;
+
+/**
+ * Helper function: Register a webhook for game events
+ * The URL must resolve to a public address
+ * @param {Object} params - { url, events, secret, teams, ownerUid }
+ * @returns {Object} Webhook ID and secret; the secret is only returned here
+ */
+async function registerWebhook(params = {}) {
+  try {
+    let url;
+    try {
+      url = new URL(params.url);
+    } catch (error) {
+      throw new Error("url must be a valid http or https URL");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error("url must be a valid http or https URL");
+    }
+    
+    await webhookClient.checkUrl(url.toString());
+    
+    const events = params.events || WEBHOOK_EVENTS;
+    if (events.length === 0 || events.some((type) => !WEBHOOK_EVENTS.includes(type))) {
+      throw new Error(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+    
+    // Team filters are stored as franchise IDs so relocations keep matching
+    const franchiseIds = [];
+    for (const team of params.teams || []) {
+      const teamData = await getTeamByAbbreviation(team.toString().toUpperCase());
+      franchiseIds.push(teamData.franchise_id);
+    }
+    
+    const secret = params.secret || generateWebhookSecret();
+    const webhookRef = db.collection("webhooks").doc();
+    
+    await webhookRef.set({
+      url: url.toString(),
+      events: [...new Set(events)],
+      franchise_ids: [...new Set(franchiseIds)],
+      secret,
+      owner_uid: params.ownerUid || null,
+      active: true,
+      created_at: FieldValue.serverTimestamp(),
+    });
+    
+    return {
+      success: true,
+      webhookId: webhookRef.id,
+      url: url.toString(),
+      events: [...new Set(events)],
+      secret,
+    };
+  } catch (error) {
+    console.error("Error registering webhook:", error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: Remove a webhook; its delivery log is kept
+ * @param {string} webhookId - Webhook document ID
+ * @param {Object} requester - { userId, isAdmin } of the caller; only the owner or an admin may remove it.
+ *   Left out for trusted server-side calls
+ */
+async function deleteWebhook(webhookId, requester = null) {
+  const webhookRef = db.collection("webhooks").doc(webhookId);
+  const webhookDoc = await webhookRef.get();
+  
+  if (!webhookDoc.exists) {
+    throw new HttpsError('not-found', `Webhook ${webhookId} not found`);
+  }
+  
+  if (requester && !requester.isAdmin && webhookDoc.data().owner_uid !== requester.userId) {
+    throw new HttpsError('permission-denied', `Webhook ${webhookId} belongs to another user`);
+  }
+  
+  await webhookRef.delete();
+  
+  return { success: true, webhookId };
+}
+
+/**
+ * Helper function: Game summary sent in every webhook payload
+ */
+function getWebhookGameSummary(gameId, gameData) {
+  return {
+    gameId,
+    status: gameData.status,
+    period_type: gameData.period_type || null,
+    start_time: gameData.start_time?.toDate?.().toISOString() || null,
+    home: {
+      team_id: gameData.home_data.team_id,
+      franchise_id: gameData.home_data.franchise_id ?? null,
+      score: gameData.home_data.team_score || 0,
+    },
+    away: {
+      team_id: gameData.away_data.team_id,
+      franchise_id: gameData.away_data.franchise_id ?? null,
+      score: gameData.away_data.team_score || 0,
+    },
+  };
+}
+
+/**
+ * Helper function: Webhook events for one write to a game document
+ * Goals are keyed by the score after the goal, so a score change recorded by
+ * fetchGame and the same goal's details recorded later by fetchGameGoals are
+ * delivered once. Status changes are keyed by the transition and the write,
+ * so a game that goes back and forth between statuses is reported every time.
+ * @param {Object} before - Game document before the write (null when created)
+ * @param {Object} after - Game document after the write (null when deleted)
+ * @param {string} writeId - ID of the trigger event for this write; retries of the trigger share it
+ * @returns {Array<Object>} Events: { key, type, data }
+ */
+function getGameWebhookEvents(before, after, writeId) {
+  // Creating a game (including ingesting a finished one) and deleting one aren't news
+  if (!before || !after) {
+    return [];
+  }
+  
+  const events = [];
+  
+  // Goals of a finished game loaded for the first time are history, not news
+  const previousGoals = before.goals || {};
+  if (before.status !== "FINAL" || Object.keys(previousGoals).length > 0) {
+    Object.entries(after.goals || {})
+      .filter(([goalKey]) => !previousGoals[goalKey])
+      .forEach(([goalKey, goal]) => events.push({
+        key: goal.homeScore !== undefined && goal.awayScore !== undefined ?
+          `goal_${goal.homeScore}-${goal.awayScore}` : `goal_${goalKey}`,
+        type: "goal",
+        data: { goal: { key: goalKey, ...goal } },
+      }));
+  }
+  
+  const homeScore = after.home_data?.team_score || 0;
+  const awayScore = after.away_data?.team_score || 0;
+  const scoreKey = `goal_${homeScore}-${awayScore}`;
+  
+  if ((homeScore > (before.home_data?.team_score || 0) || awayScore > (before.away_data?.team_score || 0)) &&
+    !events.some((event) => event.key === scoreKey)) {
+    events.push({ key: scoreKey, type: "goal", data: { goal: null } });
+  }
+  
+  if (before.status !== after.status) {
+    events.push({
+      key: `status_${before.status}-${after.status}_${writeId}`,
+      type: "status",
+      data: { previous_status: before.status, status: after.status },
+    });
+  }
+  
+  if (before.status !== "FINAL" && after.status === "FINAL") {
+    events.push({ key: "final", type: "final", data: {} });
+  }
+  
+  return events;
+}
+
+/**
+ * Helper function: Record one attempt on a delivery and schedule what happens next
+ * Failed deliveries are retried with backoff, then copied to webhook_dead_letters
+ * @returns {Object} The delivery's new status
+ */
+async function attemptWebhookDelivery(webhookId, webhook, deliveryRef, delivery) {
+  const result = await webhookClient.deliver({
+    url: webhook.url,
+    secret: webhook.secret,
+    body: delivery.payload,
+    webhookId,
+    deliveryId: deliveryRef.id,
+    eventType: delivery.type,
+  });
+  
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = new Date();
+  const logEntry = {
+    attempt: attempts,
+    at: Timestamp.fromDate(now),
+    status_code: result.statusCode,
+    error: result.error,
+    duration_ms: result.durationMs,
+  };
+  
+  let status;
+  let nextAttemptAt = null;
+  
+  if (result.ok) {
+    status = "delivered";
+  } else if (attempts <= WEBHOOK_RETRY_DELAYS_SECONDS.length) {
+    status = "pending";
+    nextAttemptAt = Timestamp.fromDate(new Date(now.getTime() + WEBHOOK_RETRY_DELAYS_SECONDS[attempts - 1] * 1000));
+  } else {
+    status = "dead";
+  }
+  
+  await deliveryRef.update({
+    status,
+    attempts,
+    last_status_code: result.statusCode,
+    last_error: result.error,
+    next_attempt_at: nextAttemptAt,
+    log: [...(delivery.log || []), logEntry].slice(-WEBHOOK_LOG_LIMIT),
+    ...(result.ok ? { delivered_at: FieldValue.serverTimestamp() } : {}),
+  });
+  
+  if (status === "dead") {
+    await db.collection("webhook_dead_letters").doc(`${webhookId}_${deliveryRef.id}`).set({
+      webhook_id: webhookId,
+      delivery_id: deliveryRef.id,
+      url: webhook.url,
+      type: delivery.type,
+      game_id: delivery.game_id,
+      payload: delivery.payload,
+      attempts,
+      last_status_code: result.statusCode,
+      last_error: result.error,
+      dead_at: FieldValue.serverTimestamp(),
+    });
+    console.error(`Webhook ${webhookId} delivery ${deliveryRef.id} failed ${attempts} times; moved to dead letters`);
+  }
+  
+  return { status, attempts };
+}
+
+/**
+ * Helper function: Deliver game events to every webhook whose filters match
+ * Deliveries are logged under webhooks/{webhookId}/webhook_deliveries, keyed by
+ * game and event so each event reaches each webhook once
+ * @param {string} gameId - Game ID
+ * @param {Object} gameData - Game document after the change
+ * @param {Array<Object>} events - Events from getGameWebhookEvents
+ * @returns {Array<Object>} Deliveries attempted: { webhookId, deliveryId, status }
+ */
+async function dispatchWebhookEvents(gameId, gameData, events) {
+  if (events.length === 0) {
+    return [];
+  }
+  
+  const webhooksQuery = await db.collection("webhooks").where("active", "==", true).get();
+  if (webhooksQuery.empty) {
+    return [];
+  }
+  
+  const game = getWebhookGameSummary(gameId, gameData);
+  const gameFranchises = [game.home.franchise_id, game.away.franchise_id];
+  const attempts = [];
+  
+  for (const webhookDoc of webhooksQuery.docs) {
+    const webhook = webhookDoc.data();
+    const franchiseIds = webhook.franchise_ids || [];
+    
+    if (franchiseIds.length > 0 && !franchiseIds.some((id) => gameFranchises.includes(id))) {
+      continue;
+    }
+    
+    for (const event of events) {
+      if (!webhook.events.includes(event.type)) continue;
+      
+      const deliveryId = `${gameId}_${event.key}`;
+      const deliveryRef = webhookDoc.ref.collection("webhook_deliveries").doc(deliveryId);
+      const delivery = {
+        webhook_id: webhookDoc.id,
+        game_id: gameId,
+        type: event.type,
+        payload: JSON.stringify({
+          id: deliveryId,
+          type: event.type,
+          created_at: new Date().toISOString(),
+          game,
+          ...event.data,
+        }),
+        status: "pending",
+        attempts: 0,
+        log: [],
+        created_at: FieldValue.serverTimestamp(),
+        // Due straight away, so retryWebhookDeliveries picks it up if this run dies before the first attempt
+        next_attempt_at: Timestamp.now(),
+      };
+      
+      try {
+        await deliveryRef.create(delivery);
+      } catch (error) {
+        // ALREADY_EXISTS: this event was already sent to this webhook
+        if (error.code === 6) continue;
+        throw error;
+      }
+      
+      attempts.push(
+        attemptWebhookDelivery(webhookDoc.id, webhook, deliveryRef, delivery)
+          .then(({ status }) => ({ webhookId: webhookDoc.id, deliveryId, status }))
+      );
+    }
+  }
+  
+  return Promise.all(attempts);
+}
+
+/**
+ * Helper function: Release the goal deliveries of goals that were taken back
+ * Like releaseOverturnedGoalClaims: goal deliveries are keyed by the score after
+ * the goal, so a disallowed goal's delivery would otherwise swallow the next goal
+ * that reaches the same score
+ * @param {string} gameId - Game ID
+ * @param {Object} after - Game document after the write
+ */
+async function releaseOverturnedWebhookGoals(gameId, after) {
+  const homeScore = after.home_data.team_score || 0;
+  const awayScore = after.away_data.team_score || 0;
+  
+  const deliveriesQuery = await db.collectionGroup("webhook_deliveries")
+    .where("game_id", "==", gameId)
+    .where("type", "==", "goal")
+    .get();
+  
+  const overturned = deliveriesQuery.docs.filter((doc) => {
+    const score = doc.id.match(/_goal_(\d+)-(\d+)$/);
+    return score && (Number(score[1]) > homeScore || Number(score[2]) > awayScore);
+  });
+  
+  if (overturned.length > 0) {
+    const batch = db.batch();
+    overturned.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
+
+/**
+ * Helper function: Deliver the webhook events for one write to a game document
+ * Called by the sendGameWebhooks trigger, so every path that updates a game
+ * (callables, the live poller, ingestion) produces the same events
+ * @param {string} gameId - Game ID
+ * @param {Object} before - Game document before the write
+ * @param {Object} after - Game document after the write
+ * @param {string} writeId - ID of the trigger event
+ */
+async function dispatchGameWebhooks(gameId, before, after, writeId) {
+  if (before && after && ((after.home_data.team_score || 0) < (before.home_data.team_score || 0) ||
+    (after.away_data.team_score || 0) < (before.away_data.team_score || 0))) {
+    await releaseOverturnedWebhookGoals(gameId, after);
+  }
+  
+  return dispatchWebhookEvents(gameId, after, getGameWebhookEvents(before, after, writeId));
+}
+
+/**
+ * Helper function: Retry webhook deliveries whose backoff has elapsed
+ * Deliveries for deleted or deactivated webhooks are cancelled
+ * @param {Date} now - Current time
+ */
+async function retryWebhookDeliveries(now = new Date()) {
+  const dueQuery = await db.collectionGroup("webhook_deliveries")
+    .where("status", "==", "pending")
+    .where("next_attempt_at", "<=", Timestamp.fromDate(now))
+    .orderBy("next_attempt_at")
+    .limit(WEBHOOK_RETRY_BATCH_SIZE)
+    .get();
+  
+  const results = [];
+  
+  for (const deliveryDoc of dueQuery.docs) {
+    const webhookRef = deliveryDoc.ref.parent.parent;
+    const webhookDoc = await webhookRef.get();
+    
+    if (!webhookDoc.exists || !webhookDoc.data().active) {
+      await deliveryDoc.ref.update({ status: "cancelled", next_attempt_at: null });
+      results.push({ webhookId: webhookRef.id, deliveryId: deliveryDoc.id, status: "cancelled" });
+      continue;
+    }
+    
+    const { status } = await attemptWebhookDelivery(webhookRef.id, webhookDoc.data(), deliveryDoc.ref, deliveryDoc.data());
+    results.push({ webhookId: webhookRef.id, deliveryId: deliveryDoc.id, status });
+  }
+  
+  return { success: true, retried: results.length, results };
+}
+
+// Days of upcoming games returned by fetchMyFeed, including today
+const FEED_DEFAULT_DAYS = 7;
+const FEED_MAX_DAYS = 14;
+
+// Most teams a profile can favorite or mute
+const PROFILE_TEAM_LIMIT = 32;
+
+/**
+ * Helper function: Profile fields returned to clients, with defaults for new users
+ */
+function formatUserProfile(userId, profile = {}) {
+  return {
+    userId,
+    favoriteTeams: profile.favorite_teams || [],
+    mutedTeams: profile.muted_teams || [],
+    timeZone: profile.time_zone || NHL_TIME_ZONE,
+  };
+}
+
+/**
+ * Helper function: Read a user's profile
+ * Users without a stored profile get the defaults; nothing is written until they save one
+ * @param {string} userId - Firebase Auth UID
+ */
+async function getUserProfile(userId) {
+  const profileDoc = await db.collection("users").doc(userId).get();
+  
+  return formatUserProfile(userId, profileDoc.exists ? profileDoc.data() : {});
+}
+
+/**
+ * Helper function: Save a user's favorite teams, muted teams and timezone
+ * Only the fields given are changed; teams are stored by abbreviation
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object} changes - { favoriteTeams, mutedTeams, timeZone }
+ */
+async function updateUserProfile(userId, changes = {}) {
+  try {
+    const profileRef = db.collection("users").doc(userId);
+    const profileDoc = await profileRef.get();
+    const current = formatUserProfile(userId, profileDoc.exists ? profileDoc.data() : {});
+    const update = {};
+    
+    // Check every team exists; getTeamByAbbreviation throws for unknown teams
+    const resolveTeams = async (teams) => {
+      const abbreviations = [...new Set(teams.map((team) => team.toString().toUpperCase()))];
+      if (abbreviations.length > PROFILE_TEAM_LIMIT) {
+        throw new Error(`At most ${PROFILE_TEAM_LIMIT} teams can be listed`);
+      }
+      await Promise.all(abbreviations.map(getTeamByAbbreviation));
+      return abbreviations;
+    };
+    
+    if (changes.favoriteTeams !== undefined) {
+      update.favorite_teams = await resolveTeams(changes.favoriteTeams);
+    }
+    
+    if (changes.mutedTeams !== undefined) {
+      update.muted_teams = await resolveTeams(changes.mutedTeams);
+    }
+    
+    if (changes.timeZone !== undefined) {
+      if (!isValidTimeZone(changes.timeZone)) {
+        throw new Error(`Unknown timezone: ${changes.timeZone}`);
+      }
+      update.time_zone = changes.timeZone;
+    }
+    
+    const favorites = update.favorite_teams || current.favoriteTeams;
+    const muted = update.muted_teams || current.mutedTeams;
+    const conflicts = favorites.filter((team) => muted.includes(team));
+    if (conflicts.length > 0) {
+      throw new Error(`Teams can't be both favorite and muted: ${conflicts.join(", ")}`);
+    }
+    
+    await profileRef.set({
+      ...update,
+      ...(profileDoc.exists ? {} : { created_at: FieldValue.serverTimestamp() }),
+      updated_at: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    
+    return {
+      success: true,
+      ...formatUserProfile(userId, { ...(profileDoc.exists ? profileDoc.data() : {}), ...update }),
+    };
+  } catch (error) {
+    console.error(`Error updating profile for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function: A team's most recent regular-season result, from getTeamData's recent games
+ * @returns {Object|null} { gameId, start_time, opponent, is_home, team_score, opponent_score, period_type, result }
+ */
+async function getLatestTeamResult(teamData) {
+  const [latestGameId] = teamData.recentGames;
+  
+  if (!latestGameId) {
+    return null;
+  }
+  
+  const gameDoc = await db.collection("games").doc(latestGameId).get();
+  if (!gameDoc.exists) {
+    return null;
+  }
+  
+  const game = gameDoc.data();
+  const isHome = game.home_data.franchise_id === teamData.franchiseId;
+  const team = isHome ? game.home_data : game.away_data;
+  const opponent = isHome ? game.away_data : game.home_data;
+  const periodType = getLastPeriodType(game);
+  const won = (team.team_score || 0) > (opponent.team_score || 0);
+  
+  return {
+    gameId: latestGameId,
+    start_time: game.start_time,
+    opponent: opponent.team_id,
+    is_home: isHome,
+    team_score: team.team_score || 0,
+    opponent_score: opponent.team_score || 0,
+    period_type: periodType,
+    result: won ? "W" : (periodType === "REG" ? "L" : "OTL"),
+  };
+}
+
+/**
+ * Helper function: Today's and upcoming games for a user, favorites first
+ * Games of muted teams are left out unless the other side is a favorite
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object} options - { days, timeZone, now }
+ */
+async function getMyFeed(userId, options = {}) {
+  try {
+    const profile = await getUserProfile(userId);
+    const timeZone = options.timeZone || profile.timeZone;
+    const days = Math.min(options.days || FEED_DEFAULT_DAYS, FEED_MAX_DAYS);
+    const now = options.now || new Date();
+    
+    // The feed starts at midnight today in the user's timezone
+    const today = getDateInTimeZone(now, timeZone);
+    const [year, month, day] = today.split("-").map(Number);
+    const endDate = new Date(Date.UTC(year, month - 1, day + days)).toISOString().split("T")[0];
+    
+    const gamesQuery = await db.collection("games")
+      .where("start_time", ">=", Timestamp.fromDate(zonedTimeToUtc(today, timeZone)))
+      .where("start_time", "<", Timestamp.fromDate(zonedTimeToUtc(endDate, timeZone)))
+      .orderBy("start_time")
+      .get();
+    
+    const localTimeFormat = new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    
+    const favoriteRank = (teamId) => {
+      const index = profile.favoriteTeams.indexOf(teamId);
+      return index === -1 ? Infinity : index;
+    };
+    
+    const games = gamesQuery.docs
+      .map((doc) => {
+        const game = doc.data();
+        const teams = [game.home_data.team_id, game.away_data.team_id];
+        
+        return {
+          gameId: doc.id,
+          start_time: game.start_time,
+          local_date: getDateInTimeZone(game.start_time.toDate(), timeZone),
+          local_start_time: localTimeFormat.format(game.start_time.toDate()),
+          game_date: getGameDate(game),
+          status: game.status,
+          period_type: game.period_type || null,
+          home_data: game.home_data,
+          away_data: game.away_data,
+          favorite_teams: teams.filter((teamId) => profile.favoriteTeams.includes(teamId)),
+          rank: Math.min(...teams.map(favoriteRank)),
+          muted: teams.some((teamId) => profile.mutedTeams.includes(teamId)),
+        };
+      })
+      .filter((game) => !game.muted || game.favorite_teams.length > 0)
+      .sort((a, b) => {
+        if (a.rank !== b.rank) {
+          return a.rank - b.rank;
+        }
+        return a.start_time.toMillis() - b.start_time.toMillis();
+      })
+      .map(({ rank, muted, ...game }) => game);
+    
+    const favorites = await Promise.all(profile.favoriteTeams.map(async (teamId) => {
+      const teamData = await getTeamData(teamId);
+      
+      return {
+        teamId,
+        teamName: teamData.teamName,
+        season: teamData.season,
+        record: {
+          gamesPlayed: teamData.gamesPlayed,
+          wins: teamData.wins,
+          losses: teamData.losses,
+          otLosses: teamData.otLosses,
+        },
+        latestResult: await getLatestTeamResult(teamData),
+      };
+    }));
+    
+    return {
+      success: true,
+      userId,
+      timeZone,
+      from: today,
+      days,
+      favorites,
+      games,
+    };
+  } catch (error) {
+    console.error(`Error building feed for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Callable function to fetch goals for a specific game (v2)
+ * Call with: callable.call({'gameId': '2025020001'})
+ */
+exports.fetchGoals = onCall(async (request) => {
+  const gameId = request?.data?.gameId;
+  
+  if (!gameId) {
+    throw new HttpsError(
+      'invalid-argument',
+      'gameId parameter is required'
+    );
+  }
+  
+  console.log('Fetching goals for game:', gameId);
+  
+  const result = await fetchGameGoals(gameId);
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch a game's box score (v2)
+ * Call with: callable.call({'gameId': '2025020001'})
+ */
+exports.fetchBoxScore = onCall(async (request) => {
+  const gameId = request?.data?.gameId;
+  
+  if (!gameId) {
+    throw new HttpsError(
+      'invalid-argument',
+      'gameId parameter is required'
+    );
+  }
+  
+  console.log('Fetching box score for game:', gameId);
+  
+  const result = await fetchBoxScore(gameId);
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch a game's play-by-play event timeline (v2)
+ * Call with: callable.call({'gameId': '2025020001', 'types': ['goal', 'penalty'], 'period': 2})
+ */
+exports.fetchGameEvents = onCall(async (request) => {
+  const gameId = request?.data?.gameId;
+  const types = request?.data?.types;
+  const period = request?.data?.period;
+  
+  if (!gameId) {
+    throw new HttpsError(
+      'invalid-argument',
+      'gameId parameter is required'
+    );
+  }
+  
+  const typeList = typeof types === "string" ? [types] : types;
+  
+  if (typeList !== undefined && (!Array.isArray(typeList) || typeList.length > 30 ||
+      !typeList.every((type) => typeof type === "string"))) {
+    throw new HttpsError(
+      'invalid-argument',
+      'types must be an event type or a list of at most 30 event types'
+    );
+  }
+  
+  if (period !== undefined && (!Number.isInteger(period) || period < 1)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'period must be a positive integer'
+    );
+  }
+  
+  console.log('Fetching events for game:', gameId);
+  
+  const result = await fetchGameEvents(gameId, { types: typeList, period });
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch a player's profile and goal/assist log (v2)
+ * Call with: callable.call({'playerId': 8479318})
+ */
+exports.fetchPlayer = onCall(async (request) => {
+  const playerId = request?.data?.playerId;
+  
+  if (!playerId) {
+    throw new HttpsError(
+      'invalid-argument',
+      'playerId parameter is required'
+    );
+  }
+  
+  console.log('Fetching player:', playerId);
+  
+  const result = await getPlayerProfile(playerId);
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch and update a specific game (v2)
+ * Call with: callable.call({'gameId': '2025020001'})
+ */
+exports.updateGame = onCall(async (request) => {
+  const gameId = request?.data?.gameId;
+  
+  if (!gameId) {
+    throw new HttpsError(
+      'invalid-argument',
+      'gameId parameter is required'
+    );
+  }
+  
+  const result = await fetchGame(gameId);
+  
+  return result;
+});
+
+/**
+ * Callable function to update every game on a date from one score feed call (v2)
+ * Call with: callable.call({'date': '2025-01-15'})
+ */
+exports.updateGames = onCall(async (request) => {
+  const date = request?.data?.date;
+  
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'date parameter is required in the format YYYY-MM-DD'
+    );
+  }
+  
+  const result = await updateGamesForDate(date);
+  
+  return result;
+});
+
+/**
+ * Callable function to ingest today's games (v2)
+ * Call with: callable.call({})
+ */
+exports.ingestTodaysGames = onCall(async (request) => {
+  console.log('Ingesting today\'s games');
+  
+  const result = await ingestData();
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch team data (v2)
+ * Call with: callable.call({'teamId': 'TOR'})
+ */
+exports.fetchTeamData = onCall(async (request) => {
+  const teamId = request?.data?.teamId;
+  
+  if (!teamId) {
+    throw new HttpsError(
+      'invalid-argument',
+      'teamId parameter is required'
+    );
+  }
+  
+  console.log('Fetching team data for:', teamId);
+  
+  const result = await getTeamData(teamId);
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch a franchise's lineage with combined stats (v2)
+ * Call with: callable.call({'teamId': 'UTA'}) or callable.call({'franchiseId': 28})
+ */
+exports.fetchFranchise = onCall(async (request) => {
+  const { teamId, franchiseId } = request?.data || {};
+  
+  if (!teamId && franchiseId === undefined) {
+    throw new HttpsError(
+      'invalid-argument',
+      'teamId or franchiseId parameter is required'
+    );
+  }
+  
+  if (franchiseId !== undefined && !Number.isInteger(Number(franchiseId))) {
+    throw new HttpsError(
+      'invalid-argument',
+      'franchiseId must be a number'
+    );
+  }
+  
+  const result = await getFranchise({
+    teamId: teamId ? teamId.toString().toUpperCase() : undefined,
+    franchiseId,
+  });
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch a franchise's record for every stored season (v2)
+ * Call with: callable.call({'teamId': 'TOR'})
+ */
+exports.fetchTeamSeasonHistory = onCall(async (request) => {
+  const teamId = request?.data?.teamId;
+  
+  if (!teamId) {
+    throw new HttpsError(
+      'invalid-argument',
+      'teamId parameter is required'
+    );
+  }
+  
+  const result = await getTeamSeasonHistory(teamId.toString().toUpperCase());
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch a page of a season leaderboard (v2)
+ * Call with: callable.call({'category': 'goals', 'season': '20242025', 'team': 'TOR', 'gameType': 'playoffs', 'pageSize': 25})
+ * Every parameter is optional; pass the returned nextPageToken as pageToken for the next page
+ */
+exports.fetchLeaders = onCall(async (request) => {
+  const { category, season, team, gameType, pageSize, pageToken } = request?.data || {};
+  const gameTypes = { preseason: PRESEASON_GAME_TYPE, regular: REGULAR_SEASON_GAME_TYPE, playoffs: PLAYOFF_GAME_TYPE };
+  
+  if (category !== undefined && !LEADER_CATEGORIES[category]) {
+    throw new HttpsError(
+      'invalid-argument',
+      `category must be one of ${Object.keys(LEADER_CATEGORIES).join(', ')}`
+    );
+  }
+  
+  if (season !== undefined && !/^\d{8}$/.test(season.toString())) {
+    throw new HttpsError(
+      'invalid-argument',
+      'season must look like 20242025'
+    );
+  }
+  
+  const gameTypeNumber = gameTypes[gameType] ?? (gameType === undefined ? undefined : Number(gameType));
+  if (gameTypeNumber !== undefined && !Object.values(gameTypes).includes(gameTypeNumber)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'gameType must be preseason, regular, playoffs or 1-3'
+    );
+  }
+  
+  if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > LEADER_MAX_PAGE_SIZE)) {
+    throw new HttpsError(
+      'invalid-argument',
+      `pageSize must be an integer between 1 and ${LEADER_MAX_PAGE_SIZE}`
+    );
+  }
+  
+  if (pageToken !== undefined && typeof pageToken !== 'string') {
+    throw new HttpsError(
+      'invalid-argument',
+      'pageToken must be a string'
+    );
+  }
+  
+  const result = await getLeaders({
+    category,
+    season: season?.toString(),
+    team: team ? team.toString().toUpperCase() : undefined,
+    gameType: gameTypeNumber,
+    pageSize,
+    pageToken,
+  });
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch shot locations for a game or a team (v2)
+ * Call with: callable.call({'gameId': '2024020500'}),
+ * callable.call({'team': 'TOR', 'lastGames': 10}) or callable.call({'team': 'TOR', 'season': '20242025'})
+ */
+exports.fetchShotMap = onCall(async (request) => {
+  const { gameId, team, season, lastGames } = request?.data || {};
+  
+  if (!gameId && !team) {
+    throw new HttpsError(
+      'invalid-argument',
+      'gameId or team parameter is required'
+    );
+  }
+  
+  if (season !== undefined && !/^\d{8}$/.test(season.toString())) {
+    throw new HttpsError(
+      'invalid-argument',
+      'season must look like 20242025'
+    );
+  }
+  
+  if (lastGames !== undefined && (!Number.isInteger(lastGames) || lastGames < 1 || lastGames > SHOT_MAP_MAX_GAMES)) {
+    throw new HttpsError(
+      'invalid-argument',
+      `lastGames must be an integer between 1 and ${SHOT_MAP_MAX_GAMES}`
+    );
+  }
+  
+  const result = await getShotMap({
+    gameId: gameId ? gameId.toString() : undefined,
+    team: team ? team.toString().toUpperCase() : undefined,
+    season: season?.toString(),
+    lastGames,
+  });
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch head-to-head history and a matchup preview (v2)
+ * Call with: callable.call({'teamA': 'TOR', 'teamB': 'MTL', 'limit': 5, 'gameId': '2025020001'})
+ * limit and gameId are optional
+ */
+exports.fetchHeadToHead = onCall(async (request) => {
+  const { teamA, teamB, limit, gameId } = request?.data || {};
+  
+  if (!teamA || !teamB) {
+    throw new HttpsError(
+      'invalid-argument',
+      'teamA and teamB parameters are required'
+    );
+  }
+  
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 100)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'limit must be an integer between 1 and 100'
+    );
+  }
+  
+  console.log('Fetching head-to-head for:', teamA, teamB);
+  
+  const result = await getHeadToHead(teamA, teamB, { limit, gameId });
+  
+  return result;
+});
 
 /**
- * Helper function: Fetch and update a specific game with locking
+ * Callable function to fetch the games on a local calendar day (v2)
+ * Call with: callable.call({'date': '2025-01-15', 'timeZone': 'Europe/Helsinki'})
+ * timeZone defaults to America/New_York, the timezone of NHL game dates
  */
-async function fetchGame(gameId) {
-  const gameRef = db.collection("games").doc(gameId);
+exports.fetchGamesForDate = onCall(async (request) => {
+  const date = request?.data?.date;
+  const timeZone = request?.data?.timeZone || NHL_TIME_ZONE;
   
-  // First check game status
-  const gameDoc = await gameRef.get();
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'date parameter is required in the format YYYY-MM-DD'
+    );
+  }
   
-  if (!gameDoc.exists) {
-    throw new Error(`Game ${gameId} not found`);
+  if (!isValidTimeZone(timeZone)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'timeZone must be an IANA timezone (e.g., America/Toronto)'
+    );
   }
   
-  const gameData = gameDoc.data();
-  const gameStatus = gameData.status;
+  console.log('Fetching games for date:', date, timeZone);
   
-  // Only skip API call if game is already FINAL
-  if (gameStatus === "FINAL") {
-    return {
-      success: true,
-      gameId,
-      home_score: gameData.home_data.team_score || 0,
-      away_score: gameData.away_data.team_score || 0,
-      status: gameStatus,
-      source: "database",
-    };
+  const result = await getGamesForDate(date, timeZone);
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch a season's playoff bracket (v2)
+ * Call with: callable.call({'season': '20242025'}) - season is optional
+ */
+exports.fetchPlayoffBracket = onCall(async (request) => {
+  const season = request?.data?.season;
+  
+  if (season !== undefined && !/^\d{8}$/.test(season.toString())) {
+    throw new HttpsError(
+      'invalid-argument',
+      'season must be in the format YYYYYYYY (e.g., 20242025)'
+    );
   }
   
-  // Game is not final - check API for updates (SCHEDULED -> LIVE -> FINAL transitions)
-  return db.runTransaction(async (transaction) => {
-    const gameDoc = await transaction.get(gameRef);
-    
-    if (!gameDoc.exists) {
-      throw new Error(`Game ${gameId} not found`);
-    }
-    
-    const gameData = gameDoc.data();
-    
-    // Check last updated timestamp (2 seconds minimum between updates)
-    if (gameData?.last_updated) {
-      const lastUpdated = gameData.last_updated.toDate();
-      const now = new Date();
-      const timeDiff = (now.getTime() - lastUpdated.getTime()) / 1000;
-      
-      if (timeDiff < 2) {
-        throw new Error("Update too frequent - minimum 2 seconds between updates");
-      }
-    }
-    
-    // Check if locked
-    if (gameData?.locked) {
-      const error = new Error("Game is locked");
-      error.status = 409;
-      throw error;
-    }
-    
-    // Set lock
-    transaction.update(gameRef, { locked: true });
-    
-    // Fetch latest score from API
-    const scoreResponse = await fetch(`https://api-web.nhle.com/v1/score/now`);
+  console.log('Fetching playoff bracket for season:', season || 'current');
+  
+  const result = await getPlayoffBracket(season ? season.toString() : undefined);
+  
+  return result;
+});
 
-    const scoreData = await scoreResponse.json();
-    
-    // Find the game in the response
-    const games = scoreData.games || [];
-    const updatedGame = games.find((g) => g.id.toString() === gameId);
+/**
+ * HTTP function serving a team's season schedule as a calendar feed, CSV or JSON
+ * GET /teamSchedule?team=TOR&season=20242025&format=ics
+ * Use franchiseId=5 instead of team to follow a franchise; format is ics (default), csv or json
+ */
+exports.teamSchedule = onRequest(async (req, res) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.set("Allow", "GET, HEAD");
+    res.status(405).send("Method not allowed");
+    return;
+  }
+  
+  try {
+    const { contentType, filename, body } = await renderTeamSchedule(req.query);
     
-    if (!updatedGame) {
-      // Remove lock before throwing
-      transaction.update(gameRef, { locked: false });
-      throw new Error(`Game ${gameId} not found in score API`);
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `inline; filename="${filename}"`);
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).send(body);
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error serving team schedule:", error);
     }
-    
-    // Update game document
-    transaction.update(gameRef, {
-      "home_data.team_score": updatedGame.homeTeam.score || 0,
-      "away_data.team_score": updatedGame.awayTeam.score || 0,
-      status: updatedGame.gameState || "SCHEDULED",
-      raw: updatedGame,
-      last_updated: FieldValue.serverTimestamp(),
-      locked: false, // Remove lock
-    });
-    
-    return {
-      success: true,
-      gameId,
-      home_score: updatedGame.homeTeam.score || 0,
-      away_score: updatedGame.awayTeam.score || 0,
-      status: updatedGame.gameState,
-      source: "api",
-    };
-  });
-}
+    res.status(error.status || 500).send(error.status ? error.message : "Internal error");
+  }
+});
 
 /**
- * Callable function to fetch goals for a specific game (v2)
- * Call with: callable.call({'gameId': '2025020001'})
+ * Callable function to subscribe the signed-in user to game notifications (v2)
+ * Call with: callable.call({'token': fcmToken, 'team': 'TOR', 'events': ['goal', 'final']})
+ * or {'gameId': '2025020001'} instead of team; token registers this device to the user and is optional
  */
-exports.fetchGoals = onCall(async (request) => {
-  const gameId = request?.data?.gameId;
+exports.subscribeToNotifications = onCall(async (request) => {
+  const { token, team, gameId, events } = request?.data || {};
+  const userId = request?.auth?.uid;
   
-  if (!gameId) {
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Sign in to subscribe to notifications');
+  }
+  
+  if (token !== undefined && (typeof token !== 'string' || token.length === 0)) {
+    throw new HttpsError('invalid-argument', 'token must be an FCM registration token');
+  }
+  
+  if (Boolean(team) === Boolean(gameId)) {
+    throw new HttpsError('invalid-argument', 'Provide either team or gameId');
+  }
+  
+  if (events !== undefined && (!Array.isArray(events) || events.length === 0 ||
+    events.some((type) => !NOTIFICATION_EVENTS.includes(type)))) {
     throw new HttpsError(
       'invalid-argument',
-      'gameId parameter is required'
+      `events must be a non-empty list of: ${NOTIFICATION_EVENTS.join(', ')}`
     );
   }
   
-  console.log('Fetching goals for game:', gameId);
+  console.log('Subscribing to notifications for:', team || gameId);
   
-  const result = await fetchGameGoals(gameId);
+  const result = await subscribeToNotifications({ token, userId, team, gameId, events });
   
   return result;
 });
 
 /**
- * Callable function to fetch and update a specific game (v2)
- * Call with: callable.call({'gameId': '2025020001'})
+ * Callable function to remove one of the signed-in user's notification subscriptions (v2)
+ * Call with the same team or gameId used to subscribe
  */
-exports.updateGame = onCall(async (request) => {
-  const gameId = request?.data?.gameId;
+exports.unsubscribeFromNotifications = onCall(async (request) => {
+  const { team, gameId } = request?.data || {};
+  const userId = request?.auth?.uid;
   
-  if (!gameId) {
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Sign in to change notification subscriptions');
+  }
+  
+  if (Boolean(team) === Boolean(gameId)) {
+    throw new HttpsError('invalid-argument', 'Provide either team or gameId');
+  }
+  
+  const result = await unsubscribeFromNotifications({ userId, team, gameId });
+  
+  return result;
+});
+
+/**
+ * Callable function to register a webhook for game events (v2)
+ * Call with: callable.call({'url': 'https://example.com/hooks/nhl', 'events': ['goal', 'final'], 'teams': ['TOR']})
+ * events and teams are optional; a secret is generated when none is given
+ */
+exports.registerWebhook = onCall(async (request) => {
+  const userId = request?.auth?.uid;
+  const { url, events, secret, teams } = request?.data || {};
+  
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Sign in to register a webhook');
+  }
+  
+  if (!url || typeof url !== 'string') {
+    throw new HttpsError('invalid-argument', 'url is required');
+  }
+  
+  if (events !== undefined && (!Array.isArray(events) || events.length === 0 ||
+    events.some((type) => !WEBHOOK_EVENTS.includes(type)))) {
     throw new HttpsError(
       'invalid-argument',
-      'gameId parameter is required'
+      `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`
     );
   }
   
-  const result = await fetchGame(gameId);
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new HttpsError('invalid-argument', 'secret must be a string of at least 16 characters');
+  }
+  
+  if (teams !== undefined && !Array.isArray(teams)) {
+    throw new HttpsError('invalid-argument', 'teams must be a list of team abbreviations');
+  }
+  
+  console.log('Registering webhook for:', url);
+  
+  const result = await registerWebhook({ url, events, secret, teams, ownerUid: userId });
   
   return result;
 });
 
 /**
- * Callable function to ingest today's games (v2)
- * Call with: callable.call({})
+ * Callable function to remove a webhook (v2)
+ * Call with: callable.call({'webhookId': 'abc123'})
+ * Only the user who registered the webhook, or an admin, may remove it
  */
-exports.ingestTodaysGames = onCall(async (request) => {
-  console.log('Ingesting today\'s games');
+exports.deleteWebhook = onCall(async (request) => {
+  const userId = request?.auth?.uid;
+  const webhookId = request?.data?.webhookId;
   
-  const result = await ingestData();
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Sign in to remove a webhook');
+  }
+  
+  if (!webhookId) {
+    throw new HttpsError('invalid-argument', 'webhookId is required');
+  }
+  
+  const result = await deleteWebhook(webhookId, { userId, isAdmin: request.auth.token?.admin === true });
   
   return result;
 });
 
 /**
- * Callable function to fetch team data (v2)
- * Call with: callable.call({'teamId': 'TOR'})
+ * Callable function to read the signed-in user's profile (v2)
+ * Call with: callable.call()
  */
-exports.fetchTeamData = onCall(async (request) => {
-  const teamId = request?.data?.teamId;
+exports.fetchMyProfile = onCall(async (request) => {
+  const userId = request?.auth?.uid;
   
-  if (!teamId) {
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Sign in to read your profile');
+  }
+  
+  const result = await getUserProfile(userId);
+  
+  return { success: true, ...result };
+});
+
+/**
+ * Callable function to update the signed-in user's favorite and muted teams (v2)
+ * Call with: callable.call({'favoriteTeams': ['TOR', 'MTL'], 'mutedTeams': ['BOS'], 'timeZone': 'Europe/Helsinki'})
+ * Every field is optional; lists replace the stored ones
+ */
+exports.updateMyProfile = onCall(async (request) => {
+  const userId = request?.auth?.uid;
+  const { favoriteTeams, mutedTeams, timeZone } = request?.data || {};
+  
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Sign in to update your profile');
+  }
+  
+  for (const [name, teams] of [['favoriteTeams', favoriteTeams], ['mutedTeams', mutedTeams]]) {
+    if (teams !== undefined && (!Array.isArray(teams) || teams.some((team) => typeof team !== 'string'))) {
+      throw new HttpsError('invalid-argument', `${name} must be a list of team abbreviations`);
+    }
+  }
+  
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    throw new HttpsError('invalid-argument', 'timeZone must be an IANA timezone (e.g., Europe/Helsinki)');
+  }
+  
+  const result = await updateUserProfile(userId, { favoriteTeams, mutedTeams, timeZone });
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch the signed-in user's game feed (v2)
+ * Call with: callable.call({'days': 7, 'timeZone': 'Europe/Helsinki'}) - both optional
+ * Returns today's and upcoming games with favorites first, and each favorite's latest result
+ */
+exports.fetchMyFeed = onCall(async (request) => {
+  const userId = request?.auth?.uid;
+  const { days, timeZone } = request?.data || {};
+  
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Sign in to see your feed');
+  }
+  
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > FEED_MAX_DAYS)) {
+    throw new HttpsError('invalid-argument', `days must be between 1 and ${FEED_MAX_DAYS}`);
+  }
+  
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    throw new HttpsError('invalid-argument', 'timeZone must be an IANA timezone (e.g., Europe/Helsinki)');
+  }
+  
+  const result = await getMyFeed(userId, { days, timeZone });
+  
+  return result;
+});
+
+/**
+ * Callable function to fetch league standings (v2)
+ * Call with: callable.call({'season': '20242025'}) - season is optional
+ */
+exports.fetchStandings = onCall(async (request) => {
+  const season = request?.data?.season;
+  
+  if (season !== undefined && !/^\d{8}$/.test(season.toString())) {
     throw new HttpsError(
       'invalid-argument',
-      'teamId parameter is required'
+      'season must be in the format YYYYYYYY (e.g., 20242025)'
     );
   }
   
-  console.log('Fetching team data for:', teamId);
+  console.log('Fetching standings for season:', season || 'current');
   
-  const result = await getTeamData(teamId);
+  const result = await getStandings(season ? season.toString() : undefined);
   
   return result;
 });
 
+/**
+ * Scheduled function: Keep live games up to date without any client polling
+ * Runs every minute and keeps polling within the invocation while games are due,
+ * stopping as soon as every game is FINAL
+ */
+exports.liveGamePoller = onSchedule({ schedule: "every 1 minutes", timeoutSeconds: 90 }, async () => {
+  const deadline = Date.now() + 50 * 1000;
+  
+  while (Date.now() < deadline) {
+    const result = await pollLiveGames();
+    console.log(`Live poller: ${result.gamesPolled}/${result.gamesChecked} games polled`);
+    
+    // Nothing left to poll, or next game isn't due until the next invocation
+    if (result.nextPollSeconds === null || Date.now() + result.nextPollSeconds * 1000 >= deadline) {
+      break;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, result.nextPollSeconds * 1000));
+  }
+});
+
+/**
+ * Scheduled function: Daily catch-up for games the live poller stopped polling
+ * before they reached FINAL
+ */
+exports.staleGameSweeper = onSchedule({ schedule: "every day 06:00", timeZone: NHL_TIME_ZONE }, async () => {
+  const result = await sweepStaleGames();
+  
+  console.log(`Stale game sweep: ${result.gamesUpdated}/${result.gamesChecked} games updated`);
+});
+
+/**
+ * Scheduled function: Retries failed webhook deliveries once their backoff has elapsed
+ */
+exports.webhookRetryWorker = onSchedule("every 1 minutes", async () => {
+  const result = await retryWebhookDeliveries();
+  
+  if (result.retried > 0) {
+    console.log(`Webhook retry worker: ${result.retried} deliveries retried`);
+  }
+});
+
+/**
+ * Firestore trigger: Keep per-team, per-season aggregates in step with games
+ * Applies a game when it becomes FINAL and re-applies it when a final score is corrected
+ */
+exports.updateTeamAggregates = onDocumentWritten("games/{gameId}", async (event) => {
+  const before = event.data?.before?.data() || null;
+  const after = event.data?.after?.data() || null;
+  
+  const wasFinal = before?.status === "FINAL";
+  const isFinal = after?.status === "FINAL";
+  
+  // Only FINAL games count; live updates to unfinished games can be ignored
+  if (!wasFinal && !isFinal) {
+    return null;
+  }
+  
+  await applyGameToTeamAggregates(event.params.gameId, after);
+  
+  return null;
+});
+
+/**
+ * Firestore trigger: Keep the season leaderboards in step with each game's goals
+ * Only writes that change what the game contributes (goals, final status, goalie
+ * lines) touch player_season_stats; live clock updates are ignored
+ */
+exports.updateLeaderboards = onDocumentWritten("games/{gameId}", async (event) => {
+  const gameId = event.params.gameId;
+  const before = event.data?.before?.data() || null;
+  const after = event.data?.after?.data() || null;
+  
+  const contributions = (gameData) => {
+    const entries = gameData ? getLeaderContributions({ gameid: gameId, ...gameData }) : [];
+    return entries.length > 0 ? JSON.stringify([getGameSeason(gameData), getGameType(gameData), entries]) : "[]";
+  };
+  
+  if (contributions(before) === contributions(after)) {
+    return null;
+  }
+  
+  await applyGameToLeaders(gameId, after ? { gameid: gameId, ...after } : null);
+  
+  return null;
+});
+
+/**
+ * Firestore trigger: Cache a game's shot map when it becomes FINAL
+ * Newly created games (bulk ingestion of finished seasons) are left to
+ * npm run ingest -- --rebuild-shot-maps
+ */
+exports.cacheShotMaps = onDocumentWritten("games/{gameId}", async (event) => {
+  const before = event.data?.before?.data() || null;
+  const after = event.data?.after?.data() || null;
+  
+  if (!before || before.status === "FINAL" || after?.status !== "FINAL") {
+    return null;
+  }
+  
+  await cacheFinalShotMap(event.params.gameId);
+  
+  return null;
+});
+
+/**
+ * Firestore trigger: Update a playoff series when one of its games becomes FINAL
+ * or a final score is corrected, whichever path (poller, fetch, ingestion) wrote it
+ */
+exports.syncPlayoffSeries = onDocumentWritten({ document: "games/{gameId}", retry: true }, async (event) => {
+  const gameId = event.params.gameId;
+  const before = event.data?.before?.data() || null;
+  const after = event.data?.after?.data() || null;
+  
+  if (!parsePlayoffGameId(gameId) || after?.status !== "FINAL") {
+    return null;
+  }
+  
+  const sameResult = before?.status === "FINAL" &&
+    before.home_data?.team_score === after.home_data?.team_score &&
+    before.away_data?.team_score === after.away_data?.team_score;
+  
+  if (!sameResult) {
+    await updatePlayoffSeries(gameId);
+  }
+  
+  return null;
+});
+
 /**
  * Firestore trigger: Executes when a game document is created
  */
@@ -1027,30 +6612,116 @@ exports.fetchTeamData = onCall(async (request) => {
 //     return null;
 //   });
 
-// /**
-//  * Firestore trigger: Executes when a game document is updated
-//  */
-// exports.onGameUpdated = functions.firestore
-//   .document("games/{gameId}")
-//   .onUpdate(async (change, context) => {
-//     const before = change.before.data();
-//     const after = change.after.data();
-
-//     functions.logger.info(`Game updated: ${context.params.gameId}`);
-//     functions.logger.info("Before:", before);
-//     functions.logger.info("After:", after);
+/**
+ * Firestore trigger: Keep the client-readable copy of each game in public_games
+ */
+exports.syncPublicGames = onDocumentWritten("games/{gameId}", async (event) => {
+  const before = event.data?.before?.data() || null;
+  const after = event.data?.after?.data() || null;
+  
+  await syncPublicGame(event.params.gameId, before, after);
+  
+  return null;
+});
 
-//     // TODO: Add update processing logic here
+/**
+ * Firestore trigger: Deliver goal, status and final events to registered webhooks
+ * Failed deliveries are left for webhookRetryWorker
+ */
+exports.sendGameWebhooks = onDocumentWritten("games/{gameId}", async (event) => {
+  const before = event.data?.before?.data() || null;
+  const after = event.data?.after?.data() || null;
+  
+  await dispatchGameWebhooks(event.params.gameId, before, after, event.id);
+  
+  return null;
+});
 
-//     return null;
-//   });
+/**
+ * Firestore trigger: Executes when a game document is updated
+ * Sends start, goal, period end and final notifications to subscribers.
+ * Retried when a send fails; notifications already sent are claimed, and games
+ * older than NOTIFICATION_MAX_AGE_HOURS send nothing, so retries stop
+ */
+exports.onGameUpdated = onDocumentUpdated({ document: "games/{gameId}", retry: true }, async (event) => {
+  const before = event.data?.before?.data() || null;
+  const after = event.data?.after?.data() || null;
+  
+  await sendGameNotifications(event.params.gameId, before, after);
+  
+  return null;
+});
 
 // Export helper functions for use in other modules (for scripts like ingest.js)
 // Note: Cloud Functions are exported via exports.functionName above
 module.exports.db = db;
 module.exports.updateTeams = updateTeams;
 module.exports.getTeamData = getTeamData;
+module.exports.getFranchise = getFranchise;
+module.exports.rebuildTeamAggregates = rebuildTeamAggregates;
+module.exports.getTeamSeasonHistory = getTeamSeasonHistory;
+module.exports.applyGameToLeaders = applyGameToLeaders;
+module.exports.rebuildLeaders = rebuildLeaders;
+module.exports.getLeaders = getLeaders;
+module.exports.getShotMap = getShotMap;
+module.exports.cacheFinalShotMap = cacheFinalShotMap;
+module.exports.rebuildShotMaps = rebuildShotMaps;
+module.exports.syncPublicGame = syncPublicGame;
+module.exports.rebuildPublicGames = rebuildPublicGames;
+module.exports.getStandings = getStandings;
+module.exports.getHeadToHead = getHeadToHead;
+module.exports.getGamesForDate = getGamesForDate;
+module.exports.updatePlayoffSeries = updatePlayoffSeries;
+module.exports.rebuildPlayoffSeries = rebuildPlayoffSeries;
+module.exports.getPlayoffBracket = getPlayoffBracket;
+module.exports.renderTeamSchedule = renderTeamSchedule;
+module.exports.subscribeToNotifications = subscribeToNotifications;
+module.exports.unsubscribeFromNotifications = unsubscribeFromNotifications;
+module.exports.sendGameNotifications = sendGameNotifications;
+module.exports.registerWebhook = registerWebhook;
+module.exports.getUserProfile = getUserProfile;
+module.exports.updateUserProfile = updateUserProfile;
+module.exports.getMyFeed = getMyFeed;
+module.exports.deleteWebhook = deleteWebhook;
+module.exports.dispatchGameWebhooks = dispatchGameWebhooks;
+module.exports.retryWebhookDeliveries = retryWebhookDeliveries;
 module.exports.createGame = createGame;
 module.exports.fetchGame = fetchGame;
 module.exports.fetchGameGoals = fetchGameGoals;
+module.exports.getPlayerProfile = getPlayerProfile;
+module.exports.fetchGameEvents = fetchGameEvents;
+module.exports.fetchBoxScore = fetchBoxScore;
+module.exports.updateGamesForDate = updateGamesForDate;
+module.exports.pollLiveGames = pollLiveGames;
+module.exports.sweepStaleGames = sweepStaleGames;
 module.exports.ingestData = ingestData;
+
+// Pure helpers, exported for unit tests
+module.exports.normalizeGameState = normalizeGameState;
+module.exports.getLastPeriodType = getLastPeriodType;
+module.exports.getPeriodLabel = getPeriodLabel;
+module.exports.getMinutesBeforePeriod = getMinutesBeforePeriod;
+module.exports.buildStandingsRecords = buildStandingsRecords;
+module.exports.rankStandings = rankStandings;
+module.exports.getPollDelaySeconds = getPollDelaySeconds;
+module.exports.getPollBackoffSeconds = getPollBackoffSeconds;
+module.exports.getCurrentSeason = getCurrentSeason;
+module.exports.getSeasonForDate = getSeasonForDate;
+module.exports.getGameSeason = getGameSeason;
+module.exports.getGameType = getGameType;
+module.exports.parsePlayoffGameId = parsePlayoffGameId;
+module.exports.buildPlayoffSeries = buildPlayoffSeries;
+module.exports.buildScheduleIcs = buildScheduleIcs;
+module.exports.buildScheduleCsv = buildScheduleCsv;
+module.exports.detectGameNotifications = detectGameNotifications;
+module.exports.getPublicGame = getPublicGame;
+module.exports.classifyGoalSituation = classifyGoalSituation;
+module.exports.getGameWinningGoalKey = getGameWinningGoalKey;
+module.exports.getLeaderContributions = getLeaderContributions;
+module.exports.normalizeShots = normalizeShots;
+module.exports.summarizeShots = summarizeShots;
+module.exports.buildTeamSeasonRecord = buildTeamSeasonRecord;
+module.exports.zonedTimeToUtc = zonedTimeToUtc;
+module.exports.normalizePlayEvent = normalizePlayEvent;
+module.exports.normalizeBoxScore = normalizeBoxScore;
+module.exports.shouldRefreshBoxScore = shouldRefreshBoxScore;
@@ -0,0 +1,307 @@
+/**
+ * NHL API client
+ * Single place for every NHL endpoint the backend uses, with retries,
+ * exponential backoff, Retry-After handling and per-request timeouts.
+ * Base URLs and the fetch implementation are configurable so the whole
+ * backend can be pointed at a local stand-in server.
+ */
+
+const DEFAULT_OPTIONS = {
+  webBaseUrl: process.env.NHL_WEB_API_URL || "https://api-web.nhle.com/v1",
+  statsBaseUrl: process.env.NHL_STATS_API_URL || "https://api.nhle.com/stats/rest/en",
+  timeoutMs: 10000,
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 60000,
+};
+
+/**
+ * Base error for all NHL API failures
+ */
+class NhlApiError extends Error {
+  constructor(message, { url, status = null, cause } = {}) {
+    super(message);
+    this.name = "NhlApiError";
+    this.url = url;
+    this.status = status;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Non-2xx response that isn't worth (or ran out of) retrying
+ */
+class NhlApiHttpError extends NhlApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NhlApiHttpError";
+  }
+}
+
+/**
+ * Still rate limited (429) after every retry
+ */
+class NhlApiRateLimitError extends NhlApiHttpError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { ...options, status: 429 });
+    this.name = "NhlApiRateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Request didn't complete within the configured timeout
+ */
+class NhlApiTimeoutError extends NhlApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NhlApiTimeoutError";
+  }
+}
+
+/**
+ * Request failed before any response was received
+ */
+class NhlApiNetworkError extends NhlApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NhlApiNetworkError";
+  }
+}
+
+/**
+ * Response body wasn't the JSON shape the endpoint should return
+ */
+class NhlApiParseError extends NhlApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NhlApiParseError";
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(date - Date.now(), 0);
+  }
+
+  return null;
+}
+
+class NhlApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.webBaseUrl - Base URL for api-web.nhle.com endpoints
+   * @param {string} options.statsBaseUrl - Base URL for the Stats API
+   * @param {Function} options.fetchImpl - fetch implementation (defaults to global fetch)
+   * @param {number} options.timeoutMs - Per-request timeout
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - First backoff delay, doubled on each retry
+   * @param {number} options.maxDelayMs - Upper bound for any single wait
+   */
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Merge options over the current ones; unset options keep their value
+   * @param {Object} options - Same options as the constructor
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...this.options, ...options };
+    return this;
+  }
+
+  /**
+   * Fetch JSON with timeout, retries and backoff
+   * Retries on 429, 5xx, timeouts and network errors
+   * @param {string} url - Full request URL
+   * @param {Object} options - Per-call options
+   * @param {number} options.budgetMs - Upper bound for the whole call, retries and waits included
+   */
+  async request(url, { budgetMs } = {}) {
+    const { timeoutMs, maxRetries, baseDelayMs, maxDelayMs } = this.options;
+    const fetchImpl = this.options.fetchImpl || fetch;
+    const deadline = budgetMs ? Date.now() + budgetMs : Infinity;
+
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      let delayMs = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      let response;
+      let body;
+
+      const attemptTimeoutMs = Math.max(Math.min(timeoutMs, deadline - Date.now()), 0);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), attemptTimeoutMs);
+
+      // The timeout covers reading the body too, so a stalled stream can't hang the caller
+      try {
+        response = await fetchImpl(url, { signal: controller.signal });
+        if (response.ok) {
+          body = await response.text();
+        }
+      } catch (error) {
+        response = undefined;
+        lastError = error.name === "AbortError"
+          ? new NhlApiTimeoutError(`Request timed out after ${attemptTimeoutMs}ms: ${url}`, { url, cause: error })
+          : new NhlApiNetworkError(`Request failed: ${url}: ${error.message}`, { url, cause: error });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (response) {
+        if (response.ok) {
+          try {
+            return JSON.parse(body);
+          } catch (error) {
+            throw new NhlApiParseError(`Invalid JSON from ${url}`, { url, status: response.status, cause: error });
+          }
+        }
+
+        if (response.status === 429) {
+          const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+          if (retryAfterMs !== null) {
+            delayMs = Math.min(retryAfterMs, maxDelayMs);
+          }
+          lastError = new NhlApiRateLimitError(`Rate limited by ${url}`, { url, retryAfterMs });
+        } else if (response.status >= 500) {
+          lastError = new NhlApiHttpError(`Request to ${url} failed: ${response.status} ${response.statusText}`, {
+            url,
+            status: response.status,
+          });
+        } else {
+          // Other 4xx responses won't succeed on retry
+          throw new NhlApiHttpError(`Request to ${url} failed: ${response.status} ${response.statusText}`, {
+            url,
+            status: response.status,
+          });
+        }
+      }
+
+      // Out of budget: a retry couldn't finish in time
+      if (Date.now() + delayMs >= deadline) {
+        break;
+      }
+
+      if (attempt < maxRetries) {
+        console.log(`NHL API request failed (${lastError.message}). Retrying in ${delayMs}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Fetch JSON and check it has the expected array field
+   * @param {string} url - Full request URL
+   * @param {string} field - Field that must be an array if present
+   * @param {Object} options - Per-call options for request
+   */
+  async requestWithList(url, field, options) {
+    const data = await this.request(url, options);
+
+    if (!data || typeof data !== "object" || (data[field] !== undefined && !Array.isArray(data[field]))) {
+      throw new NhlApiParseError(`Unexpected response shape from ${url}: missing ${field} list`, { url });
+    }
+
+    return data;
+  }
+
+  /**
+   * Weekly schedule starting on a date
+   * @param {string} date - YYYY-MM-DD
+   */
+  getSchedule(date) {
+    return this.requestWithList(`${this.options.webBaseUrl}/schedule/${date}`, "gameWeek");
+  }
+
+  /**
+   * Scores for every game on a date
+   * @param {string} date - YYYY-MM-DD or "now"
+   * @param {Object} options - Per-call options, e.g. { budgetMs }
+   */
+  getScore(date = "now", options = {}) {
+    return this.requestWithList(`${this.options.webBaseUrl}/score/${date}`, "games", options);
+  }
+
+  /**
+   * Full play-by-play feed for a game
+   * @param {string} gameId - Game ID
+   */
+  getPlayByPlay(gameId) {
+    return this.requestWithList(`${this.options.webBaseUrl}/gamecenter/${gameId}/play-by-play`, "plays");
+  }
+
+  /**
+   * Box score with per-player skater and goalie lines for a game
+   * @param {string} gameId - Game ID
+   */
+  async getBoxScore(gameId) {
+    const url = `${this.options.webBaseUrl}/gamecenter/${gameId}/boxscore`;
+    const data = await this.request(url);
+
+    // playerByGameStats is missing before puck drop, but must be an object when present
+    if (!data || typeof data !== "object" || (data.playerByGameStats !== undefined &&
+        (typeof data.playerByGameStats !== "object" || data.playerByGameStats === null))) {
+      throw new NhlApiParseError(`Unexpected response shape from ${url}: missing playerByGameStats`, { url });
+    }
+
+    return data;
+  }
+
+  /**
+   * Every team, including historical franchises, from the Stats API
+   */
+  getStatsTeams() {
+    return this.requestWithList(`${this.options.statsBaseUrl}/team`, "data");
+  }
+
+  /**
+   * Every franchise, with its first and last season, from the Stats API
+   */
+  getStatsFranchises() {
+    return this.requestWithList(`${this.options.statsBaseUrl}/franchise`, "data");
+  }
+
+  /**
+   * Every game in a season from the Stats API
+   * @param {string} season - Season string (e.g., "20242025")
+   */
+  getStatsGames(season) {
+    return this.requestWithList(`${this.options.statsBaseUrl}/game?cayenneExp=season=${season}&limit=-1`, "data");
+  }
+}
+
+// Every NHL request the functions and the ingest script make goes through this
+// instance, so pointing its base URLs at a stand-in covers the whole backend
+const nhlApi = new NhlApiClient();
+
+module.exports = {
+  nhlApi,
+  NhlApiClient,
+  NhlApiError,
+  NhlApiHttpError,
+  NhlApiRateLimitError,
+  NhlApiTimeoutError,
+  NhlApiNetworkError,
+  NhlApiParseError,
+  parseRetryAfter,
+};
@@ -0,0 +1,140 @@
+/**
+ * Notification delivery
+ * Game notifications are handed to a transport: Firebase Cloud Messaging in
+ * production and an in-memory recorder in the emulator and tests. The shared
+ * notifier can be reconfigured with any object that has a send(message) method.
+ */
+
+const admin = require("firebase-admin");
+
+// FCM accepts at most 500 tokens per multicast request
+const FCM_MULTICAST_LIMIT = 500;
+
+// FCM error codes meaning the token will never work again
+const FCM_STALE_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+/**
+ * FCM data payloads only accept string values
+ */
+function toDataPayload(data = {}) {
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, value.toString()])
+  );
+}
+
+/**
+ * Sends notifications with Firebase Cloud Messaging
+ * Every recipient is a registered device token, sent to by multicast
+ */
+class FcmTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Object} options.messaging - Messaging instance (defaults to admin.messaging() on first send)
+   */
+  constructor(options = {}) {
+    this.messaging = options.messaging || null;
+  }
+
+  /**
+   * @param {Object} message - { title, body, data, recipients: [{ token, userId }] }
+   * @returns {Object} { successCount, failureCount, staleTokens }
+   */
+  async send(message) {
+    const messaging = this.messaging || admin.messaging();
+    const notification = { title: message.title, body: message.body };
+    const data = toDataPayload(message.data);
+    const tokens = [...new Set(message.recipients.map((recipient) => recipient.token).filter(Boolean))];
+
+    let successCount = 0;
+    let failureCount = 0;
+    const staleTokens = [];
+
+    for (let i = 0; i < tokens.length; i += FCM_MULTICAST_LIMIT) {
+      const chunk = tokens.slice(i, i + FCM_MULTICAST_LIMIT);
+      const response = await messaging.sendEachForMulticast({ tokens: chunk, notification, data });
+
+      successCount += response.successCount;
+      failureCount += response.failureCount;
+      response.responses.forEach((result, index) => {
+        if (!result.success && FCM_STALE_TOKEN_CODES.includes(result.error?.code)) {
+          staleTokens.push(chunk[index]);
+        }
+      });
+    }
+
+    return { successCount, failureCount, staleTokens };
+  }
+}
+
+/**
+ * Keeps every message in memory instead of sending it
+ * Used in the emulator and in tests, where FCM isn't available
+ */
+class RecordingTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push(message);
+    console.log(`[notification] ${message.title} - ${message.body} (${message.recipients.length} recipients)`);
+
+    return { successCount: message.recipients.length, failureCount: 0, staleTokens: [] };
+  }
+
+  /**
+   * Forget recorded messages
+   */
+  reset() {
+    this.sent = [];
+  }
+}
+
+/**
+ * Whether the code is running against the Firebase emulators
+ */
+function isEmulator() {
+  return process.env.FUNCTIONS_EMULATOR === "true" || Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+}
+
+class Notifier {
+  /**
+   * @param {Object} options - Notifier options
+   * @param {Object} options.transport - Object with an async send(message) method
+   */
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Replace the transport
+   * @param {Object} options - Same options as the constructor
+   */
+  configure(options = {}) {
+    this.transport = options.transport || this.transport || (isEmulator() ? new RecordingTransport() : new FcmTransport());
+    return this;
+  }
+
+  /**
+   * Deliver one notification to its recipients
+   * @param {Object} message - { key, type, gameId, title, body, data, recipients }
+   */
+  send(message) {
+    return this.transport.send(message);
+  }
+}
+
+// The notification trigger sends through this; FCM unless running in the emulator
+const notifier = new Notifier();
+
+module.exports = {
+  notifier,
+  Notifier,
+  FcmTransport,
+  RecordingTransport,
+};
@@ -0,0 +1,220 @@
+/**
+ * Outbound webhook delivery
+ * Signs JSON payloads with the webhook's secret and POSTs them with a timeout.
+ * Each call is a single attempt; retries and dead-lettering are scheduled by
+ * the caller from the returned result. URLs that resolve to loopback,
+ * private or link-local addresses are refused so a webhook can't be used to
+ * reach internal services. The fetch implementation is configurable so tests
+ * can point deliveries anywhere.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 5000,
+  userAgent: "nhl-game-tracker-webhooks/1.0",
+  allowPrivateAddresses: false,
+};
+
+// Addresses a webhook may not point at; IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6"));
+
+// Receivers should reject deliveries whose timestamp is further off than this
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * HMAC-SHA256 signature of a delivery, sent as "sha256=<hex>" in X-Webhook-Signature
+ * The timestamp is part of the signed content so a captured delivery can't be replayed later
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds, also sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a delivery's signature the way a receiver should
+ * @param {string} secret - Webhook secret
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {string} body - Raw request body
+ * @param {number} nowSeconds - Current Unix time in seconds
+ */
+function verifyWebhookSignature(secret, headers, body, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const timestamp = Number(headers["x-webhook-timestamp"]);
+  const signature = headers["x-webhook-signature"] || "";
+
+  if (!Number.isFinite(timestamp) || Math.abs(nowSeconds - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return true;
+  }
+
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Random secret for webhooks registered without one
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+class WebhookClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {Function} options.fetchImpl - fetch implementation (defaults to global fetch)
+   * @param {number} options.timeoutMs - Per-delivery timeout
+   * @param {string} options.userAgent - User-Agent header sent with deliveries
+   * @param {boolean} options.allowPrivateAddresses - Allow URLs on loopback and private networks (local testing only)
+   * @param {Function} options.lookupImpl - dns.promises.lookup replacement
+   */
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Change delivery settings such as the timeout or the private-address check
+   * @param {Object} options - Same options as the constructor
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...this.options, ...options };
+    return this;
+  }
+
+  /**
+   * Check that a webhook URL resolves only to public addresses
+   * Every resolved address is checked, so a host with one private record is refused
+   * @param {string} url - Webhook URL
+   * @throws {Error} When the host doesn't resolve or resolves to a private address
+   */
+  async checkUrl(url) {
+    if (this.options.allowPrivateAddresses) {
+      return;
+    }
+
+    const lookup = this.options.lookupImpl || dns.promises.lookup;
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [{ address: hostname }] : await lookup(hostname, { all: true });
+    } catch (error) {
+      throw new Error(`url host ${hostname} could not be resolved`);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`url host ${hostname} resolves to a private address`);
+    }
+  }
+
+  /**
+   * POST one signed delivery
+   * Any 2xx response counts as delivered; the URL is checked again first in case its DNS changed
+   * @param {Object} delivery - { url, secret, body, webhookId, deliveryId, eventType }
+   * @returns {Object} { ok, statusCode, error, durationMs }
+   */
+  async deliver({ url, secret, body, webhookId, deliveryId, eventType }) {
+    const { timeoutMs, userAgent } = this.options;
+    const fetchImpl = this.options.fetchImpl || fetch;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      await this.checkUrl(url);
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message, durationMs: Date.now() - startedAt };
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": userAgent,
+          "X-Webhook-Id": webhookId,
+          "X-Webhook-Delivery": deliveryId,
+          "X-Webhook-Event": eventType,
+          "X-Webhook-Timestamp": timestamp.toString(),
+          "X-Webhook-Signature": signWebhookPayload(secret, timestamp, body),
+        },
+        body,
+        signal: controller.signal,
+        redirect: "manual",
+      });
+
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => "");
+
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        statusCode: response.status,
+        error: response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: error.name === "AbortError" ? `Timed out after ${timeoutMs}ms` : error.message,
+        durationMs: Date.now() - startedAt,
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Used by registration checks, first deliveries and the retry worker alike
+const webhookClient = new WebhookClient();
+
+module.exports = {
+  webhookClient,
+  WebhookClient,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  generateWebhookSecret,
+  isPrivateAddress,
+  SIGNATURE_TOLERANCE_SECONDS,
+};
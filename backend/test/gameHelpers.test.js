@@ -0,0 +1,503 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Timestamp } = require("firebase-admin/firestore");
+
+const {
+  normalizeGameState,
+  getLastPeriodType,
+  getPeriodLabel,
+  getMinutesBeforePeriod,
+  buildStandingsRecords,
+  rankStandings,
+  getPollDelaySeconds,
+  getPollBackoffSeconds,
+  shouldRefreshBoxScore,
+  getCurrentSeason,
+  getSeasonForDate,
+  getGameSeason,
+  zonedTimeToUtc,
+  getGameType,
+  parsePlayoffGameId,
+  buildPlayoffSeries,
+  buildScheduleIcs,
+  buildScheduleCsv,
+  getPublicGame,
+  buildTeamSeasonRecord,
+  classifyGoalSituation,
+  getGameWinningGoalKey,
+  getLeaderContributions,
+  normalizeShots,
+  summarizeShots,
+} = require("../src/index");
+const { TEAMS, buildGame } = require("./helpers/games");
+
+const { TOR, MTL, BOS } = TEAMS;
+const BUF = ["BUF", 19];
+const DET = ["DET", 12];
+
+describe("game state helpers", () => {
+  it("treats OFF as FINAL", () => {
+    assert.equal(normalizeGameState("OFF"), "FINAL");
+    assert.equal(normalizeGameState("LIVE"), "LIVE");
+    assert.equal(normalizeGameState(undefined), "SCHEDULED");
+  });
+
+  it("reads the last period type from any API payload", () => {
+    assert.equal(getLastPeriodType({ raw: { gameOutcome: { lastPeriodType: "SO" } } }), "SO");
+    assert.equal(getLastPeriodType({ raw: { periodDescriptor: { number: 4, periodType: "OT" } } }), "OT");
+    assert.equal(getLastPeriodType({ raw: { period: 5, gameType: 2 } }), "SO");
+    assert.equal(getLastPeriodType({ raw: { period: 5, gameType: 3 } }), "OT");
+    assert.equal(getLastPeriodType({ raw: { period: 3 } }), "REG");
+  });
+
+  it("labels regulation, overtime and shootout periods", () => {
+    assert.equal(getPeriodLabel({ number: 1, periodType: "REG" }), "1st");
+    assert.equal(getPeriodLabel({ number: 3, periodType: "REG" }), "3rd");
+    assert.equal(getPeriodLabel({ number: 4, periodType: "OT" }), "OT");
+    assert.equal(getPeriodLabel({ number: 6, periodType: "OT" }), "3OT");
+    assert.equal(getPeriodLabel({ number: 5, periodType: "SO" }), "SO");
+  });
+
+  it("uses 5-minute regular-season overtime and 20-minute playoff overtime", () => {
+    assert.equal(getMinutesBeforePeriod(4, 2), 60);
+    assert.equal(getMinutesBeforePeriod(5, 2), 65);
+    assert.equal(getMinutesBeforePeriod(5, 3), 80);
+  });
+});
+
+describe("standings", () => {
+  it("awards points for wins and overtime losses", () => {
+    const { records } = buildStandingsRecords([
+      buildGame("2024020001", TOR, MTL, { score: [4, 2] }),
+      buildGame("2024020002", BOS, TOR, { score: [3, 2], period_type: "SO" }),
+      buildGame("2024020003", MTL, BOS, { score: [2, 1], period_type: "OT" }),
+    ]);
+
+    assert.deepEqual(
+      [records.TOR.wins, records.TOR.losses, records.TOR.otLosses, records.TOR.points],
+      [1, 0, 1, 3]
+    );
+    assert.equal(records.BOS.regulationPlusOtWins, 0);
+    assert.equal(records.MTL.regulationWins, 0);
+    assert.equal(records.MTL.regulationPlusOtWins, 1);
+    assert.equal(records.TOR.division, "Atlantic");
+    assert.equal(records.TOR.conference, "Eastern");
+  });
+
+  it("breaks ties on regulation wins, then head-to-head", () => {
+    // TOR and MTL both finish on 2 points from one win each; TOR's came in regulation
+    const { records, headToHead } = buildStandingsRecords([
+      buildGame("2024020001", TOR, BOS, { score: [3, 1] }),
+      buildGame("2024020002", MTL, BOS, { score: [3, 2], period_type: "SO" }),
+    ]);
+    const ranked = rankStandings(Object.values(records), headToHead);
+    assert.deepEqual(ranked.map((row) => row.teamId), ["TOR", "MTL", "BOS"]);
+
+    // TOR and MTL are level on every count but MTL has the better goal differential;
+    // TOR won the game between them
+    const tied = buildStandingsRecords([
+      buildGame("2024020001", TOR, MTL, { score: [2, 1] }),
+      buildGame("2024020002", MTL, BUF, { score: [6, 0] }),
+      buildGame("2024020003", DET, TOR, { score: [1, 0] }),
+    ]);
+    const tiedRanked = rankStandings(Object.values(tied.records), tied.headToHead);
+    assert.deepEqual(tiedRanked.map((row) => row.teamId), ["DET", "TOR", "MTL", "BUF"]);
+  });
+});
+
+describe("live poller backoff", () => {
+  const now = new Date("2025-01-16T00:00:00Z");
+
+  it("stops polling FINAL games", () => {
+    assert.equal(getPollDelaySeconds({ status: "FINAL" }, now, now), null);
+  });
+
+  it("backs off before puck drop", () => {
+    const startTime = new Date(now.getTime() + 10 * 60 * 1000);
+    assert.equal(getPollDelaySeconds({ status: "FUT" }, startTime, now), 300);
+    assert.equal(getPollDelaySeconds({ status: "PRE" }, now, now), 60);
+  });
+
+  it("backs off during intermissions", () => {
+    const clock = { inIntermission: true, secondsRemaining: 600 };
+    assert.equal(getPollDelaySeconds({ status: "LIVE", clock }, now, now), 300);
+    assert.equal(getPollDelaySeconds({ status: "LIVE", clock: { inIntermission: false } }, now, now), 10);
+  });
+
+  it("doubles the delay after each failed poll, up to five minutes", () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map((failures) => getPollBackoffSeconds(10, failures)), [10, 20, 40, 80, 160, 300]);
+    assert.equal(getPollBackoffSeconds(60, 4), 300);
+  });
+});
+
+describe("box score refresh", () => {
+  const now = new Date("2025-01-16T01:00:00Z");
+  const updatedAgo = (seconds) => Timestamp.fromMillis(now.getTime() - seconds * 1000);
+
+  it("skips games that have not started", () => {
+    assert.equal(shouldRefreshBoxScore({}, "FUT", now), false);
+    assert.equal(shouldRefreshBoxScore({}, "LIVE", now), true);
+  });
+
+  it("throttles live refreshes", () => {
+    assert.equal(shouldRefreshBoxScore({ box_score: { last_updated: updatedAgo(10) } }, "LIVE", now), false);
+    assert.equal(shouldRefreshBoxScore({ box_score: { last_updated: updatedAgo(30) } }, "LIVE", now), true);
+  });
+
+  it("refreshes a final game until its box score is complete", () => {
+    const partial = { box_score: { last_updated: updatedAgo(5), complete: false } };
+    const complete = { box_score: { last_updated: updatedAgo(5), complete: true } };
+    assert.equal(shouldRefreshBoxScore(partial, "FINAL", now), true);
+    assert.equal(shouldRefreshBoxScore(complete, "FINAL", now), false);
+  });
+});
+
+describe("dates and seasons", () => {
+  it("converts Eastern wall-clock times across daylight saving", () => {
+    assert.equal(zonedTimeToUtc("2025-01-15T19:00:00", "America/New_York").toISOString(), "2025-01-16T00:00:00.000Z");
+    assert.equal(zonedTimeToUtc("2024-10-26T19:00:00", "America/New_York").toISOString(), "2024-10-26T23:00:00.000Z");
+    assert.equal(zonedTimeToUtc("2025-03-09T03:00", "America/New_York").toISOString(), "2025-03-09T07:00:00.000Z");
+    assert.equal(zonedTimeToUtc("2025-01-16", "Europe/Helsinki").toISOString(), "2025-01-15T22:00:00.000Z");
+  });
+
+  it("starts the season on September 1 in Eastern time, like game dates", () => {
+    assert.equal(getCurrentSeason(new Date("2025-09-01T03:00:00Z")), "20242025");
+    assert.equal(getCurrentSeason(new Date("2025-09-01T05:00:00Z")), "20252026");
+    assert.equal(getCurrentSeason(new Date("2025-09-20T16:00:00Z")), getSeasonForDate("2025-09-20"));
+  });
+
+  it("prefers the NHL's season field over the start time", () => {
+    const startTime = Timestamp.fromDate(new Date("2025-09-25T23:00:00Z"));
+    assert.equal(getGameSeason({ season: "20252026", start_time: startTime }), "20252026");
+    assert.equal(getGameSeason({ raw: { season: 20242025 }, start_time: startTime }), "20242025");
+    assert.equal(getGameSeason({ start_time: startTime }), "20252026");
+  });
+});
+
+describe("playoffs", () => {
+  it("reads the game type from the game document or its ID", () => {
+    assert.equal(getGameType({ game_type: 3 }), 3);
+    assert.equal(getGameType({ raw: { gameType: 1 } }), 1);
+    assert.equal(getGameType({ gameid: "2024020500" }), 2);
+    assert.equal(getGameType({}), null);
+  });
+
+  it("decodes playoff game IDs", () => {
+    assert.deepEqual(parsePlayoffGameId("2024030214"), {
+      season: "20242025",
+      round: 2,
+      seriesNumber: 1,
+      seriesLetter: "I",
+      gameNumber: 4,
+    });
+    assert.equal(parsePlayoffGameId("2024030411").seriesLetter, "O");
+    assert.equal(parsePlayoffGameId("2024020214"), null);
+    assert.equal(parsePlayoffGameId("2024030191"), null);
+    assert.equal(parsePlayoffGameId("2024030118"), null);
+  });
+
+  it("tracks series wins and stops at four", () => {
+    const info = parsePlayoffGameId("2024030111");
+    const game = (id, home, away, homeScore, awayScore) => ({ id, ...buildGame(id, home, away, { score: [homeScore, awayScore] }) });
+    const games = [
+      game("2024030112", TOR, BOS, 1, 3),
+      game("2024030111", TOR, BOS, 2, 1),
+      { ...game("2024030113", BOS, TOR, 0, 0), status: "FUT" },
+    ];
+
+    const tied = buildPlayoffSeries(info, games, { TOR: "D1", BOS: "D2" });
+    assert.equal(tied.top_seed.team_id, "TOR");
+    assert.equal(tied.top_seed.seed, "D1");
+    assert.equal(tied.summary, "Series tied 1-1");
+    assert.equal(tied.status, "in_progress");
+    assert.deepEqual(tied.games.map((entry) => entry.game_number), [1, 2, 3]);
+
+    const sweep = buildPlayoffSeries(info, [
+      game("2024030111", TOR, BOS, 2, 1),
+      game("2024030112", TOR, BOS, 3, 1),
+      game("2024030113", BOS, TOR, 1, 4),
+      game("2024030114", BOS, TOR, 0, 2),
+    ]);
+    assert.equal(sweep.winner, "TOR");
+    assert.equal(sweep.summary, "TOR wins 4-0");
+    assert.equal(sweep.top_seed.seed, null);
+  });
+});
+
+describe("schedule export", () => {
+  const team = { abbreviation: "TOR", team_name: "Toronto Maple Leafs" };
+  const games = [
+    {
+      gameId: "2024020500",
+      start_time: "2025-01-16T00:00:00.000Z",
+      game_date: "2025-01-15",
+      status: "FINAL",
+      home_team: "TOR",
+      home_team_name: "Maple Leafs",
+      away_team: "MTL",
+      away_team_name: "Canadiens",
+      home_score: 4,
+      away_score: 2,
+      period_type: "OT",
+      result: "W",
+      venue: "Scotiabank Arena",
+    },
+    {
+      gameId: "2024020900",
+      start_time: "2025-02-01T00:00:00.000Z",
+      game_date: "2025-01-31",
+      status: "FUT",
+      home_team: "BOS",
+      away_team: "TOR",
+      home_score: null,
+      away_score: null,
+      period_type: null,
+      result: null,
+      venue: "TD Garden, Boston; MA",
+    },
+  ];
+
+  it("writes one event per game with a stable UID and the final score", () => {
+    const ics = buildScheduleIcs(team, "20242025", games, new Date("2025-01-20T12:00:00Z"));
+    const lines = ics.split("\r\n");
+
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    assert.equal(lines.filter((line) => line === "BEGIN:VEVENT").length, 2);
+    assert.ok(lines.includes("UID:2024020500@nhl-game-tracker"));
+    assert.ok(lines.includes("DTSTART:20250116T000000Z"));
+    assert.ok(lines.includes("DTEND:20250116T030000Z"));
+    assert.ok(lines.includes("SUMMARY:MTL 2 @ TOR 4 (Final/OT)"));
+    assert.ok(lines.includes("SUMMARY:TOR @ BOS"));
+    assert.ok(lines.includes("LOCATION:Scotiabank Arena"));
+    assert.ok(lines.includes("LOCATION:TD Garden\\, Boston\\; MA"));
+    assert.ok(lines.includes("X-WR-CALNAME:Toronto Maple Leafs 2024-2025"));
+  });
+
+  it("folds long lines at 75 octets", () => {
+    const longVenue = { ...games[1], venue: "A".repeat(120) };
+    const ics = buildScheduleIcs(team, "20242025", [longVenue]);
+
+    for (const line of ics.split("\r\n")) {
+      assert.ok(Buffer.byteLength(line) <= 75);
+    }
+    assert.ok(ics.includes(`LOCATION:${"A".repeat(66)}\r\n ${"A".repeat(54)}`));
+  });
+
+  it("quotes CSV fields that need it", () => {
+    const [header, first, second] = buildScheduleCsv(games).split("\r\n");
+
+    assert.equal(header, "game_id,game_date,start_time_utc,home_team,away_team,venue,status,home_score,away_score,period_type,result");
+    assert.equal(first, "2024020500,2025-01-15,2025-01-16T00:00:00.000Z,TOR,MTL,Scotiabank Arena,FINAL,4,2,OT,W");
+    assert.equal(second, '2024020900,2025-01-31,2025-02-01T00:00:00.000Z,BOS,TOR,"TD Garden, Boston; MA",FUT,,,,');
+  });
+});
+
+describe("public games", () => {
+  it("copies only public fields and derives the live clock", () => {
+    const publicGame = getPublicGame({
+      gameid: "2024020500",
+      status: "LIVE",
+      home_data: { team_id: "BOS", team_score: 2 },
+      away_data: { team_id: "TOR", team_score: 1 },
+      goals: {},
+      locked: true,
+      next_poll_at: Timestamp.now(),
+      last_event_id: 120,
+      goal_player_ids: [8478402],
+      raw: {
+        periodDescriptor: { number: 2, periodType: "REG" },
+        clock: { timeRemaining: "12:34", running: true, inIntermission: false },
+      },
+    });
+
+    assert.deepEqual(Object.keys(publicGame).sort(), [
+      "away_data", "clock", "gameid", "goals", "home_data", "period", "status",
+    ]);
+    assert.equal(publicGame.period, 2);
+    assert.deepEqual(publicGame.clock, { time_remaining: "12:34", running: true, in_intermission: false });
+  });
+
+  it("leaves period and clock empty before the game has a score feed", () => {
+    const publicGame = getPublicGame({ gameid: "2024020501", status: "FUT" });
+
+    assert.equal(publicGame.period, null);
+    assert.equal(publicGame.clock, null);
+  });
+});
+
+describe("season history", () => {
+  /**
+   * Team schedule entry for a FINAL game, from TOR's point of view
+   */
+  function scheduleGame(gameId, gameType, result, goalsFor, goalsAgainst, opponent = "BOS") {
+    return {
+      gameId,
+      game_type: gameType,
+      status: "FINAL",
+      is_home: true,
+      home_score: goalsFor,
+      away_score: goalsAgainst,
+      opponent,
+      result,
+    };
+  }
+
+  it("names a champion from the deepest series", () => {
+    const games = [
+      scheduleGame("2024020100", 2, "W", 3, 1),
+      scheduleGame("2024020200", 2, "OTL", 2, 3),
+      scheduleGame("2024030111", 3, "W", 2, 1, "OTT"),
+      ...[1, 2, 3, 4, 5].map((game) => scheduleGame(`202403041${game}`, 3, game === 2 ? "L" : "W", 4, 2, "EDM")),
+    ];
+
+    const record = buildTeamSeasonRecord("20242025", games, true);
+
+    assert.equal(record.points, 3);
+    assert.equal(record.playoffs.games_played, 6);
+    assert.equal(record.playoff_result.outcome, "champion");
+    assert.equal(record.playoff_result.opponent, "EDM");
+    assert.equal(record.playoff_result.summary, "Won the Stanley Cup");
+  });
+
+  it("reports a missed postseason only once the season is over", () => {
+    const games = [scheduleGame("2024020100", 2, "L", 1, 4)];
+
+    assert.equal(buildTeamSeasonRecord("20242025", games, true).playoff_result.outcome, "missed");
+    assert.equal(buildTeamSeasonRecord("20242025", games, false).playoff_result, null);
+  });
+});
+
+describe("leaderboards", () => {
+  /**
+   * Stored goal with the score after it went in
+   */
+  function goal(isHome, homeScore, awayScore, scorerId, situationCode = "1551", extra = {}) {
+    return {
+      isHome,
+      homeScore,
+      awayScore,
+      scorerId,
+      scorer: `S. ${scorerId}`,
+      primaryAssistId: null,
+      secondaryAssistId: null,
+      goalieId: isHome ? 2 : 1,
+      goalie: isHome ? "A. Goalie" : "H. Goalie",
+      situationCode,
+      ...extra,
+    };
+  }
+
+  it("classifies goals from the skater and goalie counts", () => {
+    assert.deepEqual(classifyGoalSituation("1551", true), { situation: "EV", strength: "EV", emptyNet: false, penaltyShot: false });
+    assert.equal(classifyGoalSituation("1451", true).situation, "PP");
+    assert.equal(classifyGoalSituation("1541", false).situation, "PP");
+    assert.equal(classifyGoalSituation("1541", true).situation, "SH");
+
+    // Empty net, and the extra attacker that replaced the goalie
+    assert.deepEqual(classifyGoalSituation("0651", true), { situation: "EN", strength: "EV", emptyNet: true, penaltyShot: false });
+    assert.equal(classifyGoalSituation("0651", false).situation, "EV");
+    assert.deepEqual(classifyGoalSituation("0551", true), { situation: "EN", strength: "PP", emptyNet: true, penaltyShot: false });
+    assert.equal(classifyGoalSituation("0641", true).strength, "SH");
+
+    assert.deepEqual(classifyGoalSituation("1010", true), { situation: "PS", strength: null, emptyNet: false, penaltyShot: true });
+    assert.equal(classifyGoalSituation(null, true).situation, null);
+  });
+
+  it("credits the winning goal that put the winner one ahead of the loser's final score", () => {
+    const goals = {
+      "P1-05:00": goal(true, 1, 0, 10),
+      "P1-10:00": goal(false, 1, 1, 20),
+      "P2-03:00": goal(true, 2, 1, 11),
+      "P2-08:00": goal(false, 2, 2, 21),
+      "P3-01:00": goal(true, 3, 2, 12),
+      "P3-19:00": goal(true, 4, 2, 10, "0651", { goalieId: null }),
+    };
+
+    assert.equal(getGameWinningGoalKey(goals, 4, 2), "P3-01:00");
+    assert.equal(getGameWinningGoalKey(goals, 2, 2), null);
+  });
+
+  it("splits a game's goals into per-player contributions", () => {
+    const game = buildGame("2024020500", TOR, BOS, { score: [2, 1] });
+    game.goals = {
+      "P1-05:00": goal(true, 1, 0, 10, "1451", { primaryAssistId: 11, primaryAssist: "A. Eleven" }),
+      "P2-10:00": goal(false, 1, 1, 20),
+      "P3-19:00": goal(true, 2, 1, 10, "0651", { goalieId: null, primaryAssistId: 11, secondaryAssistId: 12 }),
+    };
+    game.box_score = {
+      home: { goalies: [{ player_id: 1, name: "H. Goalie", toi: "60:00" }, { player_id: 3, name: "B. Backup", toi: "00:00" }] },
+      away: { goalies: [{ player_id: 2, name: "A. Goalie", toi: "58:10" }] },
+    };
+
+    const contributions = Object.fromEntries(getLeaderContributions(game).map((entry) => [entry.player_id, entry]));
+
+    assert.deepEqual(Object.keys(contributions).map(Number), [1, 2, 10, 11, 12, 20]);
+    assert.equal(contributions[10].goals, 2);
+    assert.equal(contributions[10].pp_goals, 1);
+    assert.equal(contributions[10].gw_goals, 1);
+    assert.equal(contributions[10].franchise_id, 5);
+    assert.equal(contributions[11].assists, 2);
+    assert.equal(contributions[11].points, 2);
+    assert.equal(contributions[20].franchise_id, 6);
+    assert.equal(contributions[2].goals_against, 1);
+    assert.equal(contributions[2].goalie, true);
+    assert.equal(contributions[1].goals_against, 1);
+    assert.equal(contributions[1].goalie_games, 1);
+  });
+});
+
+describe("shot maps", () => {
+  /**
+   * Play-by-play shot event
+   */
+  function shotPlay(eventId, period, type, details, homeTeamDefendingSide) {
+    return {
+      eventId,
+      periodDescriptor: { number: period, periodType: period === 5 ? "SO" : "REG" },
+      timeInPeriod: "10:00",
+      situationCode: "1551",
+      homeTeamDefendingSide,
+      typeDescKey: type,
+      details: { shotType: "wrist", ...details },
+    };
+  }
+
+  const playByPlay = {
+    gameState: "OFF",
+    homeTeam: { id: 1, abbrev: "HOM" },
+    awayTeam: { id: 2, abbrev: "AWY" },
+    rosterSpots: [{ playerId: 11, teamId: 1 }, { playerId: 21, teamId: 2 }],
+    plays: [
+      shotPlay(1, 1, "shot-on-goal", { eventOwnerTeamId: 1, shootingPlayerId: 11, xCoord: -70, yCoord: 5, zoneCode: "O" }, "right"),
+      shotPlay(2, 1, "missed-shot", { eventOwnerTeamId: 2, shootingPlayerId: 21, xCoord: 80, yCoord: 30, zoneCode: "O" }, "right"),
+      shotPlay(3, 2, "goal", { eventOwnerTeamId: 1, scoringPlayerId: 11, xCoord: 75, yCoord: -2, zoneCode: "O" }),
+      shotPlay(4, 2, "blocked-shot", { eventOwnerTeamId: 2, shootingPlayerId: 11, xCoord: 40, yCoord: 10, zoneCode: "D" }),
+      shotPlay(5, 2, "shot-on-goal", { eventOwnerTeamId: 2, shootingPlayerId: 21, xCoord: -80, yCoord: 0, zoneCode: "O" }),
+      shotPlay(6, 2, "shot-on-goal", { eventOwnerTeamId: 2, shootingPlayerId: 21, xCoord: -10, yCoord: 4, zoneCode: "N" }),
+      shotPlay(7, 5, "goal", { eventOwnerTeamId: 1, scoringPlayerId: 11, xCoord: 80, yCoord: 0, zoneCode: "O" }),
+    ],
+  };
+
+  it("turns every shot towards positive x and places it in a zone", () => {
+    const shots = normalizeShots(playByPlay);
+
+    assert.deepEqual(shots.map((shot) => [shot.event_id, shot.team_id, shot.x, shot.y, shot.zone]), [
+      [1, "HOM", 70, -5, "inner_slot"],
+      [2, "AWY", 80, 30, "left_circle"],
+      [3, "HOM", 75, -2, "inner_slot"],
+      [4, "HOM", 40, 10, "point"],
+      [5, "AWY", 80, 0, "inner_slot"],
+      [6, "AWY", 10, -4, "neutral_zone"],
+    ]);
+  });
+
+  it("counts attempts and shooting percentage per zone", () => {
+    const { totals, zones } = summarizeShots(normalizeShots(playByPlay).filter((shot) => shot.team_id === "HOM"));
+
+    assert.deepEqual(totals, { attempts: 3, shots_on_goal: 2, goals: 1, missed: 0, blocked: 1, shooting_pct: 0.5 });
+    assert.equal(zones.inner_slot.shooting_pct, 0.5);
+    assert.equal(zones.point.blocked, 1);
+    assert.equal(zones.point.shooting_pct, null);
+    assert.equal(zones.behind_net.attempts, 0);
+  });
+});
@@ -0,0 +1,1101 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+const { loadFixture } = require("./helpers/fakeNhlApi");
+const { skipWithoutEmulator } = require("./helpers/firestore");
+const { useFakeBackend } = require("./helpers/suite");
+const { TEAMS, insertGame } = require("./helpers/games");
+const { NhlApiParseError } = require("../src/nhlApi");
+const {
+  db,
+  updateTeams,
+  createGame,
+  fetchGame,
+  fetchGameGoals,
+  fetchGameEvents,
+  fetchBoxScore,
+  getPlayerProfile,
+  getHeadToHead,
+  getGamesForDate,
+  getTeamData,
+  getPlayoffBracket,
+  updatePlayoffSeries,
+  rebuildPlayoffSeries,
+  renderTeamSchedule,
+  rebuildTeamAggregates,
+  getTeamSeasonHistory,
+  syncPublicGame,
+  rebuildPublicGames,
+  getShotMap,
+  cacheFinalShotMap,
+  rebuildShotMaps,
+  pollLiveGames,
+  sweepStaleGames,
+} = require("../src/index");
+
+const SCORE_ROUTE = /^\/v1\/score\//;
+const PLAY_BY_PLAY_ROUTE = /play-by-play$/;
+const BOX_SCORE_ROUTE = /boxscore$/;
+
+const { TOR, MTL, BOS } = TEAMS;
+
+/**
+ * Create the two games from the recorded schedule, as ingestion would
+ */
+async function seedScheduledGames() {
+  await updateTeams();
+  const schedule = loadFixture("schedule-2025-01-15");
+  for (const game of schedule.gameWeek[0].games) {
+    await createGame(game, { gameDate: "2025-01-15" });
+  }
+}
+
+/**
+ * Clear last_updated so fetchGame's minimum update interval doesn't apply
+ */
+async function allowNextUpdate(gameId) {
+  await db.collection("games").doc(gameId).update({ last_updated: FieldValue.delete() });
+}
+
+/**
+ * Take both seeded games to FINAL
+ */
+async function finishGames(fakeApi) {
+  fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+  await fetchGame("2024020500");
+  await fetchGame("2024020501");
+}
+
+async function leaseExists(gameId) {
+  return (await db.collection("game_leases").doc(gameId).get()).exists;
+}
+
+async function getGame(gameId) {
+  return (await db.collection("games").doc(gameId).get()).data();
+}
+
+describe("games", { skip: skipWithoutEmulator }, () => {
+  const fakeApi = useFakeBackend();
+
+  beforeEach(async () => {
+    await seedScheduledGames();
+
+    // Only count requests made by the test itself
+    fakeApi.reset();
+  });
+
+  describe("createGame", () => {
+    it("creates scheduled games linked to franchises", async () => {
+      const game = await getGame("2024020500");
+
+      assert.equal(game.status, "FUT");
+      assert.equal(game.period_type, null);
+      assert.equal(game.home_data.team_id, "TOR");
+      assert.equal(game.home_data.franchise_id, 5);
+      assert.equal(game.away_data.franchise_id, 1);
+      assert.equal(game.home_data.team_score, 0);
+      assert.equal(game.game_date, "2025-01-15");
+      assert.equal(game.season, "20242025");
+    });
+  });
+
+  describe("getGamesForDate", () => {
+    it("returns games on the NHL's Eastern date by default", async () => {
+      const result = await getGamesForDate("2025-01-15");
+
+      assert.deepEqual(result.games.map((game) => game.gameId), ["2024020500", "2024020501"]);
+      assert.equal(result.games[0].local_start_time, "19:00");
+      assert.equal(result.games[1].game_date, "2025-01-15");
+    });
+
+    it("uses the requested timezone's local day", async () => {
+      const helsinki = await getGamesForDate("2025-01-16", "Europe/Helsinki");
+      assert.equal(helsinki.games.length, 2);
+      assert.equal(helsinki.games[0].local_start_time, "02:00");
+
+      const vancouver = await getGamesForDate("2025-01-15", "America/Vancouver");
+      assert.equal(vancouver.games.length, 2);
+      assert.equal(vancouver.games[1].local_start_time, "16:30");
+
+      assert.equal((await getGamesForDate("2025-01-15", "Europe/Helsinki")).games.length, 0);
+    });
+  });
+
+  describe("fetchGame", () => {
+    it("moves a game from scheduled to live to final", async () => {
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+      const live = await fetchGame("2024020500");
+
+      assert.equal(live.status, "LIVE");
+      assert.equal(live.home_score, 2);
+      assert.equal(live.away_score, 1);
+      assert.equal(live.period_type, "REG");
+
+      await allowNextUpdate("2024020500");
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+      const final = await fetchGame("2024020500");
+
+      assert.equal(final.status, "FINAL");
+      assert.equal(final.home_score, 4);
+      assert.equal(final.away_score, 2);
+
+      const game = await getGame("2024020500");
+      assert.equal(game.status, "FINAL");
+      assert.equal(game.refresh_lease, undefined);
+      assert.equal(await leaseExists("2024020500"), false);
+
+      // FINAL games are served from the database without calling the API
+      const requestsBefore = fakeApi.count(SCORE_ROUTE);
+      const cached = await fetchGame("2024020500");
+      assert.equal(cached.source, "database");
+      assert.equal(fakeApi.count(SCORE_ROUTE), requestsBefore);
+    });
+
+    it("records a shootout result", async () => {
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+      const result = await fetchGame("2024020501");
+
+      assert.equal(result.status, "FINAL");
+      assert.equal(result.period_type, "SO");
+      assert.equal(result.home_score, 3);
+      assert.equal(result.away_score, 2);
+    });
+
+    it("recovers from a 429 response", async () => {
+      fakeApi.setRoute(SCORE_ROUTE, [
+        { status: 429, headers: { "retry-after": "0" } },
+        { body: loadFixture("score-2025-01-15-live") },
+      ]);
+
+      const result = await fetchGame("2024020500");
+
+      assert.equal(result.status, "LIVE");
+      assert.equal(fakeApi.count(SCORE_ROUTE), 2);
+    });
+
+    it("leaves the game untouched on a malformed payload", async () => {
+      fakeApi.setRoute(SCORE_ROUTE, { body: "<html>Bad Gateway</html>" });
+
+      await assert.rejects(fetchGame("2024020500"), NhlApiParseError);
+
+      const game = await getGame("2024020500");
+      assert.equal(game.status, "FUT");
+      assert.equal(await leaseExists("2024020500"), false);
+    });
+
+    it("fails when the game is missing from the score feed", async () => {
+      fakeApi.setRoute(SCORE_ROUTE, { body: { games: [] } });
+
+      await assert.rejects(fetchGame("2024020500"), /not found in score API/);
+    });
+
+    it("serves a game refreshed moments ago from the database", async () => {
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+      await fetchGame("2024020500");
+
+      const again = await fetchGame("2024020500");
+
+      assert.equal(again.source, "database");
+      assert.equal(again.status, "LIVE");
+      assert.equal(fakeApi.count(SCORE_ROUTE), 1);
+    });
+
+    it("shares one refresh between concurrent callers", async () => {
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+
+      const results = await Promise.all([fetchGame("2024020500"), fetchGame("2024020500")]);
+
+      assert.deepEqual(results.map((result) => result.home_score), [2, 2]);
+      assert.equal(fakeApi.count(SCORE_ROUTE), 1);
+    });
+
+    it("waits for another instance's lease and returns the game it stored", async () => {
+      const now = Date.now();
+      await db.collection("game_leases").doc("2024020500").set({
+        owner: "other-instance",
+        acquired_at: Timestamp.fromMillis(now),
+        expires_at: Timestamp.fromMillis(now + 15000),
+      });
+
+      // The other instance finishes its refresh while fetchGame is waiting
+      const otherRefresh = new Promise((resolve) => setTimeout(resolve, 300)).then(async () => {
+        const batch = db.batch();
+        batch.update(db.collection("games").doc("2024020500"), {
+          status: "LIVE",
+          "home_data.team_score": 1,
+          last_updated: FieldValue.serverTimestamp(),
+        });
+        batch.delete(db.collection("game_leases").doc("2024020500"));
+        await batch.commit();
+      });
+
+      const [result] = await Promise.all([fetchGame("2024020500"), otherRefresh]);
+
+      assert.equal(result.source, "shared");
+      assert.equal(result.status, "LIVE");
+      assert.equal(result.home_score, 1);
+      assert.equal(fakeApi.count(SCORE_ROUTE), 0);
+    });
+
+    it("reclaims an expired lease", async () => {
+      await db.collection("game_leases").doc("2024020500").set({
+        owner: "crashed-instance",
+        acquired_at: Timestamp.fromMillis(Date.now() - 60000),
+        expires_at: Timestamp.fromMillis(Date.now() - 45000),
+      });
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+
+      const result = await fetchGame("2024020500");
+
+      assert.equal(result.source, "api");
+      assert.equal(result.status, "LIVE");
+
+      assert.equal(await leaseExists("2024020500"), false);
+    });
+  });
+
+  describe("fetchGameGoals", () => {
+    it("stores goals with names, assists and period labels", async () => {
+      await finishGames(fakeApi);
+
+      const result = await fetchGameGoals("2024020500");
+      const goals = result.goals;
+
+      assert.equal(result.source, "api");
+      assert.equal(Object.keys(goals).length, 6);
+      assert.deepEqual(
+        {
+          scorer: goals["P1-05:41"].scorer,
+          primaryAssist: goals["P1-05:41"].primaryAssist,
+          secondaryAssist: goals["P1-05:41"].secondaryAssist,
+          goalie: goals["P1-05:41"].goalie,
+          isHome: goals["P1-05:41"].isHome,
+        },
+        {
+          scorer: "A. Matthews",
+          primaryAssist: "M. Marner",
+          secondaryAssist: "M. Rielly",
+          goalie: "S. Montembeault",
+          isHome: true,
+        }
+      );
+      assert.equal(goals["P2-04:30"].isHome, false);
+      assert.equal(goals["P3-17:30"].periodLabel, "3rd");
+      assert.equal(goals["P3-17:30"].totalTime, "57:30");
+
+      // Empty-net goal has no goalie
+      assert.equal(goals["P3-19:10"].goalie, null);
+    });
+
+    it("classifies each goal's situation, shot and impact on the result", async () => {
+      await finishGames(fakeApi);
+
+      const { goals } = await fetchGameGoals("2024020500");
+      const situations = Object.values(goals).map((goal) => goal.situation);
+
+      assert.deepEqual(situations, ["EV", "PP", "EV", "EV", "EV", "EN"]);
+      assert.equal(goals["P1-10:05"].strength, "PP");
+      assert.equal(goals["P1-10:05"].shotType, "snap");
+      assert.deepEqual([goals["P1-10:05"].xCoord, goals["P1-10:05"].yCoord, goals["P1-10:05"].zoneCode], [75, 18, "O"]);
+      assert.equal(goals["P3-19:10"].emptyNet, true);
+      assert.deepEqual(
+        Object.keys(goals).filter((key) => goals[key].gameTying),
+        ["P3-11:00"]
+      );
+      assert.deepEqual(
+        Object.keys(goals).filter((key) => goals[key].gameWinning),
+        ["P3-17:30"]
+      );
+      assert.equal((await getGame("2024020500")).goals_complete, true);
+
+      // Shootout wins have no game-winning goal
+      const shootout = await fetchGameGoals("2024020501");
+      assert.ok(Object.values(shootout.goals).every((goal) => !goal.gameWinning));
+    });
+
+    it("marks the game-winning goal once a game stored while live is final", async () => {
+      await finishGames(fakeApi);
+      const live = loadFixture("play-by-play-2024020500");
+      fakeApi.setRoute(PLAY_BY_PLAY_ROUTE, { body: { ...live, gameState: "LIVE" } });
+      await db.collection("games").doc("2024020500").update({ status: "LIVE" });
+
+      const { goals } = await fetchGameGoals("2024020500");
+      assert.ok(Object.values(goals).every((goal) => !goal.gameWinning));
+      assert.equal((await getGame("2024020500")).goals_complete, false);
+
+      fakeApi.setFixture(PLAY_BY_PLAY_ROUTE, "play-by-play-2024020500");
+      await db.collection("games").doc("2024020500").update({ status: "FINAL" });
+
+      const final = await fetchGameGoals("2024020500");
+      assert.equal(final.source, "api");
+      assert.equal(final.goals["P3-17:30"].gameWinning, true);
+    });
+
+    it("handles players missing from the roster", async () => {
+      await finishGames(fakeApi);
+
+      const { goals } = await fetchGameGoals("2024020500");
+
+      assert.equal(goals["P2-04:30"].scorer, "C. Caufield");
+      assert.equal(goals["P2-04:30"].secondaryAssist, "Unknown");
+    });
+
+    it("serves FINAL games from the database", async () => {
+      await finishGames(fakeApi);
+      await fetchGameGoals("2024020500");
+
+      const cached = await fetchGameGoals("2024020500");
+
+      assert.equal(cached.source, "database");
+      assert.equal(fakeApi.count(PLAY_BY_PLAY_ROUTE), 1);
+    });
+
+    it("keeps shootout attempts out of the goals", async () => {
+      await finishGames(fakeApi);
+
+      const result = await fetchGameGoals("2024020501");
+
+      assert.equal(Object.keys(result.goals).length, 4);
+      assert.ok(Object.values(result.goals).every((goal) => goal.periodType !== "SO"));
+      assert.deepEqual(result.shootout, {
+        home: { attempts: 2, goals: 2 },
+        away: { attempts: 3, goals: 1 },
+      });
+
+      const game = await getGame("2024020501");
+      assert.equal(game.period_type, "SO");
+      assert.equal(game.home_data.shootout_goals, 2);
+      assert.equal(game.away_data.shootout_attempts, 3);
+    });
+
+    it("rejects a malformed play-by-play payload", async () => {
+      fakeApi.setRoute(PLAY_BY_PLAY_ROUTE, { body: { plays: "unavailable" } });
+
+      await assert.rejects(fetchGameGoals("2024020500"), NhlApiParseError);
+    });
+  });
+
+  describe("fetchBoxScore", () => {
+    it("stores team totals and player lines when a game goes final", async () => {
+      await finishGames(fakeApi);
+
+      const { box_score: boxScore } = await getGame("2024020500");
+
+      assert.equal(boxScore.complete, true);
+      assert.deepEqual(boxScore.home.totals, {
+        sog: 30,
+        pp_goals: 1,
+        pp_opportunities: 3,
+        faceoff_pct: 0.55,
+        pim: 4,
+        hits: 18,
+        blocks: 12,
+      });
+      assert.equal(boxScore.away.team_id, "MTL");
+      assert.equal(boxScore.away.totals.pp_opportunities, 2);
+
+      const matthews = boxScore.home.skaters.find((line) => line.player_id === 8479318);
+      assert.deepEqual([matthews.goals, matthews.assists, matthews.sog, matthews.toi], [2, 1, 8, "21:30"]);
+
+      const [woll] = boxScore.home.goalies;
+      assert.deepEqual([woll.shots_against, woll.saves, woll.goals_against, woll.decision], [25, 23, 2, "W"]);
+    });
+
+    it("sums team totals from player lines when teamGameStats is missing", async () => {
+      await finishGames(fakeApi);
+
+      const result = await fetchBoxScore("2024020501");
+
+      assert.equal(result.home.totals.sog, 30);
+      assert.equal(result.home.totals.pim, 4);
+      assert.equal(result.home.totals.hits, 11);
+      assert.equal(result.home.totals.pp_opportunities, null);
+      assert.equal(result.away.goalies[0].decision, "O");
+    });
+
+    it("serves FINAL games from the database", async () => {
+      await finishGames(fakeApi);
+      const requestsBefore = fakeApi.count(BOX_SCORE_ROUTE);
+
+      const result = await fetchBoxScore("2024020500");
+
+      assert.equal(result.source, "database");
+      assert.equal(fakeApi.count(BOX_SCORE_ROUTE), requestsBefore);
+    });
+
+    it("fetches box scores for games that are not final", async () => {
+      const result = await fetchBoxScore("2024020500");
+
+      assert.equal(result.source, "api");
+      assert.equal(result.home.totals.sog, 30);
+    });
+
+    it("keeps fetchGame working when the box score is unavailable", async () => {
+      fakeApi.setRoute(BOX_SCORE_ROUTE, { status: 404, body: {} });
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+
+      const result = await fetchGame("2024020500");
+
+      assert.equal(result.status, "LIVE");
+      assert.equal((await getGame("2024020500")).box_score, undefined);
+    });
+  });
+
+  describe("fetchGameEvents", () => {
+    /**
+     * Serve the recorded play-by-play cut off after a given event, as during a live game
+     */
+    function servePlaysUpTo(lastEventId) {
+      const playByPlay = loadFixture("play-by-play-2024020500");
+      playByPlay.gameState = "LIVE";
+      playByPlay.plays = playByPlay.plays.filter((play) => play.eventId <= lastEventId);
+      fakeApi.setRoute(PLAY_BY_PLAY_ROUTE, { body: playByPlay });
+    }
+
+    it("stores the full normalized timeline", async () => {
+      const result = await fetchGameEvents("2024020500");
+
+      assert.equal(result.events.length, 21);
+      assert.equal(result.complete, true);
+      assert.deepEqual(
+        result.events.slice(0, 3).map((event) => event.type),
+        ["period-start", "faceoff", "shot-on-goal"]
+      );
+
+      const penalty = result.events.find((event) => event.type === "penalty");
+      assert.equal(penalty.team_id, "MTL");
+      assert.equal(penalty.is_home, false);
+      assert.equal(penalty.penalty_type, "hooking");
+      assert.equal(penalty.penalty_duration, 2);
+      assert.deepEqual(
+        penalty.players.map((player) => [player.role, player.name]),
+        [["committedBy", "J. Slafkovsky"], ["drawnBy", "W. Nylander"]]
+      );
+
+      const goal = result.events.find((event) => event.event_id === 117);
+      assert.equal(goal.period_label, "3rd");
+      assert.equal(goal.total_time, "51:00");
+      assert.equal(goal.home_score, 2);
+    });
+
+    it("syncs only events after the last stored eventId", async () => {
+      servePlaysUpTo(110);
+      const live = await fetchGameEvents("2024020500");
+
+      assert.equal(live.newEvents, 10);
+      assert.equal(live.lastEventId, 110);
+      assert.equal(live.complete, false);
+
+      fakeApi.setFixture(PLAY_BY_PLAY_ROUTE, "play-by-play-2024020500");
+      const final = await fetchGameEvents("2024020500");
+
+      assert.equal(final.newEvents, 11);
+      assert.equal(final.events.length, 21);
+      assert.equal(final.complete, true);
+
+      // Completed timelines are served from the database
+      const cached = await fetchGameEvents("2024020500");
+      assert.equal(cached.source, "database");
+      assert.equal(fakeApi.count(PLAY_BY_PLAY_ROUTE), 2);
+    });
+
+    it("reconciles corrected and removed events once the game is final", async () => {
+      const live = loadFixture("play-by-play-2024020500");
+      live.gameState = "LIVE";
+      live.plays.push({ ...live.plays[2], eventId: 900, sortOrder: 900 });
+      live.plays.find((play) => play.eventId === 117).details.shotType = "slap";
+      fakeApi.setRoute(PLAY_BY_PLAY_ROUTE, { body: live });
+
+      assert.equal((await fetchGameEvents("2024020500")).events.length, 22);
+
+      fakeApi.setFixture(PLAY_BY_PLAY_ROUTE, "play-by-play-2024020500");
+      const final = await fetchGameEvents("2024020500");
+
+      assert.equal(final.newEvents, 0);
+      assert.equal(final.updatedEvents, 1);
+      assert.equal(final.removedEvents, 1);
+      assert.equal(final.events.length, 21);
+      assert.ok(!final.events.some((event) => event.event_id === 900));
+      assert.notEqual(final.events.find((event) => event.event_id === 117).shot_type, "slap");
+    });
+
+    it("stores nothing when the feed has no plays yet", async () => {
+      fakeApi.setRoute(PLAY_BY_PLAY_ROUTE, { body: { ...loadFixture("play-by-play-2024020500"), gameState: "FUT", plays: undefined } });
+
+      const result = await fetchGameEvents("2024020500");
+
+      assert.equal(result.newEvents, 0);
+      assert.deepEqual(result.events, []);
+      assert.equal(result.complete, false);
+    });
+
+    it("filters by event type and period", async () => {
+      const goals = await fetchGameEvents("2024020500", { types: ["goal"] });
+      assert.equal(goals.events.length, 6);
+
+      const secondPeriod = await fetchGameEvents("2024020500", {
+        types: ["goal", "shot-on-goal"],
+        period: 2,
+      });
+      assert.deepEqual(secondPeriod.events.map((event) => event.event_id), [113, 114]);
+    });
+  });
+
+  describe("getShotMap", () => {
+    it("splits a game's shots by team, both attacking the same way", async () => {
+      await finishGames(fakeApi);
+
+      const result = await getShotMap({ gameId: "2024020500" });
+
+      assert.equal(result.source, "api");
+      assert.equal(result.complete, true);
+      assert.equal(result.home.team_id, "TOR");
+      assert.deepEqual(result.home.totals, { attempts: 6, shots_on_goal: 6, goals: 4, missed: 0, blocked: 0, shooting_pct: 0.667 });
+      assert.deepEqual(result.away.totals, { attempts: 4, shots_on_goal: 2, goals: 2, missed: 1, blocked: 1, shooting_pct: 1 });
+
+      // Goals other than the empty-netter from the defensive zone are in the attacking half
+      const goals = [...result.home.shots, ...result.away.shots].filter((shot) => shot.type === "goal");
+      assert.deepEqual(goals.filter((shot) => shot.x < 0).map((shot) => shot.event_id), [
+        result.home.shots.find((shot) => shot.time_in_period === "19:10").event_id,
+      ]);
+      assert.equal(result.home.zones.inner_slot.goals, 2);
+
+      // Only the shot map is written, not the game's goals
+      assert.equal((await getGame("2024020500")).goals_complete, undefined);
+    });
+
+    it("reuses the play-by-play fetched for goals and caches completed games", async () => {
+      await finishGames(fakeApi);
+      await fetchGameGoals("2024020500");
+
+      const first = await getShotMap({ gameId: "2024020500" });
+      const second = await getShotMap({ gameId: "2024020500" });
+
+      assert.equal(first.source, "database");
+      assert.equal(second.source, "database");
+      assert.equal(fakeApi.count(PLAY_BY_PLAY_ROUTE), 1);
+    });
+
+    it("combines a team's cached games into shots for and against", async () => {
+      await finishGames(fakeApi);
+
+      // Nothing is fetched for a team; games without a cached shot map are listed
+      const uncached = await getShotMap({ team: "TOR", season: "20242025" });
+      assert.deepEqual(uncached.gameIds, []);
+      assert.deepEqual(uncached.uncachedGameIds, ["2024020500", "2024020501"]);
+      assert.equal(fakeApi.count(PLAY_BY_PLAY_ROUTE), 0);
+
+      // As the cacheShotMaps trigger does when the games go FINAL
+      await cacheFinalShotMap("2024020500");
+      await cacheFinalShotMap("2024020501");
+      assert.equal(await cacheFinalShotMap("2024020500"), false);
+
+      const games = await Promise.all(["2024020500", "2024020501"].map((gameId) => getShotMap({ gameId })));
+      const season = await getShotMap({ team: "TOR", season: "20242025" });
+      const last = await getShotMap({ team: "TOR", season: "20242025", lastGames: 1 });
+
+      // TOR is home in the first game and away in the second
+      const torAttempts = games[0].home.totals.attempts + games[1].away.totals.attempts;
+      const opponentAttempts = games[0].away.totals.attempts + games[1].home.totals.attempts;
+
+      assert.deepEqual(season.gameIds, ["2024020500", "2024020501"]);
+      assert.deepEqual(season.uncachedGameIds, []);
+      assert.equal(season.for.totals.attempts, torAttempts);
+      assert.equal(season.against.totals.attempts, opponentAttempts);
+      assert.ok(season.for.shots.every((shot) => shot.team_id === "TOR" && shot.game_id));
+      assert.deepEqual(last.gameIds, ["2024020501"]);
+      assert.equal(last.for.totals.attempts, games[1].away.totals.attempts);
+      assert.equal(fakeApi.count(PLAY_BY_PLAY_ROUTE), 2);
+    });
+
+    it("fills a team's last games from the previous season and leaves out live ones", async () => {
+      await finishGames(fakeApi);
+      await insertGame("2023020900", TOR, MTL, { score: [4, 1], startTime: "2024-04-10T23:00:00Z" });
+      await insertGame("2024020600", TOR, MTL, { status: "LIVE", score: [1, 0], startTime: "2025-01-20T00:00:00Z" });
+
+      const latest = await getShotMap({ team: "TOR", lastGames: 3 });
+      const season = await getShotMap({ team: "TOR", season: "20242025", lastGames: 3 });
+
+      assert.equal(latest.season, "20242025");
+      assert.deepEqual(latest.uncachedGameIds, ["2023020900", "2024020500", "2024020501"]);
+      assert.deepEqual(season.uncachedGameIds, ["2024020500", "2024020501"]);
+    });
+
+    it("caches the shot maps of final games that don't have one", async () => {
+      await finishGames(fakeApi);
+      await fetchGameGoals("2024020500");
+
+      const first = await rebuildShotMaps();
+      const second = await rebuildShotMaps();
+
+      assert.deepEqual([first.gamesProcessed, first.gamesFetched], [2, 1]);
+      assert.equal(second.gamesFetched, 0);
+      assert.equal(fakeApi.count(PLAY_BY_PLAY_ROUTE), 2);
+    });
+  });
+
+  describe("players", () => {
+    const MATTHEWS = 8479318;
+
+    it("stores roster players and goal player IDs", async () => {
+      await finishGames(fakeApi);
+      const { goals } = await fetchGameGoals("2024020500");
+
+      assert.equal(goals["P1-05:41"].scorerId, MATTHEWS);
+      assert.equal(goals["P1-05:41"].goalieId, 8478470);
+      assert.equal(goals["P3-19:10"].goalieId, null);
+
+      const player = (await db.collection("players").doc(String(MATTHEWS)).get()).data();
+      assert.equal(player.full_name, "Auston Matthews");
+      assert.equal(player.position, "C");
+      assert.equal(player.sweater_number, 34);
+      assert.equal(player.current_team, "TOR");
+
+      const game = await getGame("2024020500");
+      assert.ok(game.goal_player_ids.includes(MATTHEWS));
+      assert.ok(!game.goal_player_ids.includes(8478470));
+    });
+
+    it("builds a game-by-game goal and assist log", async () => {
+      await finishGames(fakeApi);
+      await fetchGameGoals("2024020500");
+      await fetchGameGoals("2024020501");
+
+      const result = await getPlayerProfile(MATTHEWS);
+
+      assert.equal(result.player.fullName, "Auston Matthews");
+      assert.deepEqual(
+        result.gameLog.map((entry) => [entry.gameId, entry.opponent, entry.goals, entry.assists]),
+        [
+          ["2024020501", "BOS", 0, 1],
+          ["2024020500", "MTL", 2, 1],
+        ]
+      );
+      assert.deepEqual(result.totals, { gamesWithPoints: 2, goals: 2, assists: 2, points: 4 });
+    });
+
+    it("rejects unknown players", async () => {
+      await assert.rejects(getPlayerProfile(1), /Player 1 not found/);
+    });
+  });
+
+  describe("getHeadToHead", () => {
+
+    beforeEach(async () => {
+      await finishGames(fakeApi);
+      await insertGame("2023020400", MTL, TOR, { score: [3, 2], startTime: "2023-12-02T00:00:00Z", period_type: "OT" });
+      await insertGame("2023020100", TOR, MTL, { score: [5, 1], startTime: "2023-10-12T00:00:00Z" });
+    });
+
+    it("returns all-time, per-season and home/away records", async () => {
+      const result = await getHeadToHead("TOR", "MTL");
+
+      assert.deepEqual(result.allTime, {
+        gamesPlayed: 3,
+        teamA: { wins: 2, losses: 0, otLosses: 1, goals: 11 },
+        teamB: { wins: 1, losses: 2, otLosses: 0, goals: 6 },
+      });
+      assert.deepEqual(
+        result.seasons.map((season) => [season.season, season.gamesPlayed, season.teamA.wins]),
+        [["20242025", 1, 1], ["20232024", 2, 1]]
+      );
+      assert.equal(result.splits.teamAHome.gamesPlayed, 2);
+      assert.equal(result.splits.teamBHome.teamB.wins, 1);
+    });
+
+    it("lists the most recent meetings first", async () => {
+      const result = await getHeadToHead("TOR", "MTL", { limit: 2 });
+
+      assert.deepEqual(result.lastMeetings.map((game) => game.gameId), ["2024020500", "2023020400"]);
+      assert.equal(result.lastMeetings[1].periodType, "OT");
+      assert.equal(result.preview, null);
+    });
+
+    it("matches relocated teams by franchise", async () => {
+      await insertGame("2013020100", ["PHX", 28], TOR, { score: [2, 1], startTime: "2013-11-01T00:00:00Z" });
+
+      const result = await getHeadToHead("ARI", "TOR");
+
+      assert.equal(result.allTime.gamesPlayed, 1);
+      assert.equal(result.allTime.teamA.wins, 1);
+      assert.equal(result.lastMeetings[0].homeTeam, "PHX");
+    });
+
+    it("leaves preseason games out of records and meetings", async () => {
+      await insertGame("2024010050", TOR, MTL, { score: [7, 0], startTime: "2024-09-25T00:00:00Z" });
+
+      const result = await getHeadToHead("TOR", "MTL");
+
+      assert.equal(result.allTime.gamesPlayed, 3);
+      assert.equal(result.allTime.teamA.goals, 11);
+      assert.ok(!result.lastMeetings.some((game) => game.gameId === "2024010050"));
+      assert.equal(result.seasons.find((season) => season.season === "20242025").gamesPlayed, 1);
+    });
+
+    it("previews an upcoming game with each side's form", async () => {
+      await insertGame("2024020900", MTL, TOR, {
+        status: "FUT",
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      });
+
+      const result = await getHeadToHead("TOR", "MTL");
+
+      assert.equal(result.preview.gameId, "2024020900");
+      assert.equal(result.preview.home.teamId, "MTL");
+      assert.equal(result.preview.away.teamId, "TOR");
+      assert.ok("wins" in result.preview.away);
+      assert.equal(result.allTime.gamesPlayed, 3);
+    });
+
+    it("rejects a preview game between other teams", async () => {
+      await assert.rejects(
+        getHeadToHead("TOR", "MTL", { gameId: "2024020501" }),
+        /is not between TOR and MTL/
+      );
+    });
+  });
+
+  describe("getTeamData", () => {
+    it("reports wins, regulation losses and OT/SO losses from aggregates", async () => {
+      await finishGames(fakeApi);
+      await rebuildTeamAggregates();
+
+      const result = await getTeamData("TOR");
+
+      assert.equal(result.source, "aggregates");
+      assert.equal(result.season, "20242025");
+      assert.equal(result.gamesPlayed, 2);
+      assert.equal(result.allTimeGamesPlayed, 2);
+      assert.equal(result.allTimeWins, 1);
+      assert.equal(result.allTimeLosses, 0);
+      assert.equal(result.allTimeOtLosses, 1);
+      assert.equal(result.allTimeTotalGoals, 6);
+    });
+
+    it("applies each game only once", async () => {
+      await finishGames(fakeApi);
+      await rebuildTeamAggregates();
+      await rebuildTeamAggregates();
+
+      const result = await getTeamData("BOS");
+
+      assert.equal(result.allTimeGamesPlayed, 1);
+      assert.equal(result.allTimeWins, 1);
+    });
+
+    it("keeps playoff games out of the regular-season record", async () => {
+      await finishGames(fakeApi);
+      await insertGame("2024030111", TOR, BOS, { score: [2, 1], startTime: "2025-04-20T23:00:00Z" });
+      await insertGame("2024010050", TOR, MTL, { score: [3, 2], startTime: "2024-09-28T23:00:00Z" });
+      await rebuildTeamAggregates();
+
+      const result = await getTeamData("TOR");
+
+      assert.equal(result.gamesPlayed, 2);
+      assert.equal(result.allTimeGamesPlayed, 2);
+      assert.deepEqual(result.playoffs, { gamesPlayed: 1, wins: 1, losses: 0, goalsFor: 2, goalsAgainst: 1 });
+      assert.equal(result.allTimePlayoffs.gamesPlayed, 1);
+    });
+
+    it("rejects unknown teams", async () => {
+      await assert.rejects(getTeamData("XXX"), /Team XXX not found/);
+    });
+  });
+
+  describe("getTeamSeasonHistory", () => {
+
+    beforeEach(async () => {
+      await insertGame("2023020100", TOR, MTL, { score: [5, 1], startTime: "2023-10-12T00:00:00Z" });
+      await insertGame("2023020400", MTL, TOR, { score: [3, 2], startTime: "2023-12-02T00:00:00Z", period_type: "OT" });
+      for (const game of [1, 2, 3, 4]) {
+        const home = game <= 2 ? BOS : TOR;
+        const away = game <= 2 ? TOR : BOS;
+        const [homeScore, awayScore] = game <= 2 ? [3, 1] : [2, 4];
+        await insertGame(`202303011${game}`, home, away, { score: [homeScore, awayScore], startTime: `2024-04-2${game}T23:00:00Z` });
+      }
+      await finishGames(fakeApi);
+      await rebuildTeamAggregates();
+    });
+
+    it("returns every season's record and playoff result", async () => {
+      const result = await getTeamSeasonHistory("TOR");
+
+      assert.deepEqual(result.seasons.map((season) => season.season), ["20232024", "20242025"]);
+
+      const [past, current] = result.seasons;
+      assert.equal(past.complete, true);
+      assert.equal(past.gamesPlayed, 2);
+      assert.equal(past.wins, 1);
+      assert.equal(past.otLosses, 1);
+      assert.equal(past.points, 3);
+      assert.equal(past.goalDifferential, 3);
+      assert.deepEqual(past.playoffs, { gamesPlayed: 4, wins: 0, losses: 4, goalsFor: 6, goalsAgainst: 14 });
+      assert.equal(past.playoffResult.outcome, "eliminated");
+      assert.equal(past.playoffResult.opponent, "BOS");
+      assert.equal(past.playoffResult.summary, "Lost in the First Round");
+
+      assert.equal(current.complete, false);
+      assert.equal(current.gamesPlayed, 2);
+      assert.equal(current.playoffResult, null);
+    });
+
+    it("caches seasons and recomputes the current one only after it changes", async () => {
+      assert.equal((await getTeamSeasonHistory("TOR")).seasonsComputed, 2);
+      assert.equal((await getTeamSeasonHistory("TOR")).seasonsComputed, 0);
+
+      await insertGame("2024020700", TOR, MTL, { score: [6, 0], startTime: "2025-02-01T00:00:00Z" });
+      await rebuildTeamAggregates();
+
+      const result = await getTeamSeasonHistory("TOR");
+
+      assert.equal(result.seasonsComputed, 1);
+      assert.equal(result.seasons[1].gamesPlayed, 3);
+    });
+
+    it("recomputes a past season when a game is added to it later", async () => {
+      await getTeamSeasonHistory("TOR");
+
+      await insertGame("2023020900", TOR, MTL, { score: [4, 0], startTime: "2024-03-01T00:00:00Z" });
+      await rebuildTeamAggregates();
+
+      const result = await getTeamSeasonHistory("TOR");
+
+      assert.equal(result.seasonsComputed, 1);
+      assert.equal(result.seasons[0].complete, true);
+      assert.equal(result.seasons[0].gamesPlayed, 3);
+      assert.equal(result.seasons[0].wins, 2);
+    });
+  });
+
+  describe("renderTeamSchedule", () => {
+    it("serves a team's home and away games as a calendar feed", async () => {
+      await finishGames(fakeApi);
+
+      const result = await renderTeamSchedule({ team: "tor", season: "20242025" });
+
+      assert.equal(result.contentType, "text/calendar; charset=utf-8");
+      assert.equal(result.filename, "TOR-20242025.ics");
+      assert.ok(result.body.includes("UID:2024020500@nhl-game-tracker"));
+      assert.ok(result.body.includes("SUMMARY:MTL 2 @ TOR 4 (Final)"));
+      assert.ok(result.body.includes("SUMMARY:TOR 2 @ BOS 3 (Final/SO)"));
+      assert.ok(result.body.includes("LOCATION:Scotiabank Arena"));
+    });
+
+    it("looks teams up by franchise and reports results from their side", async () => {
+      await finishGames(fakeApi);
+
+      const result = await renderTeamSchedule({ franchiseId: "5", format: "json" });
+      const schedule = JSON.parse(result.body);
+
+      assert.equal(schedule.team, "TOR");
+      assert.equal(schedule.season, "20242025");
+      assert.deepEqual(schedule.games.map((game) => [game.gameId, game.opponent, game.result]), [
+        ["2024020500", "MTL", "W"],
+        ["2024020501", "BOS", "OTL"],
+      ]);
+    });
+
+    it("includes games stored before the season field existed", async () => {
+      await insertGame("2024020600", TOR, MTL, { score: [3, 2], startTime: "2025-01-20T00:00:00Z" });
+      await db.collection("games").doc("2024020600").update({ season: FieldValue.delete() });
+      await insertGame("2023020600", TOR, MTL, { score: [1, 2], startTime: "2024-01-20T00:00:00Z" });
+
+      const result = await renderTeamSchedule({ team: "TOR", season: "20242025", format: "json" });
+      const schedule = JSON.parse(result.body);
+
+      assert.deepEqual(schedule.games.map((game) => game.gameId), ["2024020500", "2024020501", "2024020600"]);
+    });
+
+    it("serves CSV", async () => {
+      const result = await renderTeamSchedule({ team: "BOS", season: "20242025", format: "csv" });
+      const rows = result.body.trim().split("\r\n");
+
+      assert.equal(result.contentType, "text/csv; charset=utf-8");
+      assert.equal(rows.length, 2);
+      assert.ok(rows[1].startsWith("2024020501,2025-01-15,"));
+      assert.ok(rows[1].endsWith(",FUT,,,,"));
+    });
+
+    it("rejects bad parameters with an HTTP status", async () => {
+      await assert.rejects(renderTeamSchedule({ team: "TOR", format: "pdf" }), { status: 400 });
+      await assert.rejects(renderTeamSchedule({ team: "TOR", season: "2024" }), { status: 400 });
+      await assert.rejects(renderTeamSchedule({}), { status: 400 });
+      await assert.rejects(renderTeamSchedule({ team: "XXX" }), { status: 404 });
+      await assert.rejects(renderTeamSchedule({ franchiseId: "999" }), { status: 404 });
+    });
+  });
+
+  describe("playoffs", () => {
+
+    beforeEach(async () => {
+      // Regular-season results give the seeds; TOR finishes first in the Atlantic
+      await finishGames(fakeApi);
+      await insertGame("2024020600", MTL, BOS, { score: [4, 1], startTime: "2025-01-20T00:00:00Z" });
+      await insertGame("2024030111", TOR, BOS, { score: [2, 1], startTime: "2025-04-20T23:00:00Z" });
+      await insertGame("2024030112", TOR, BOS, { score: [1, 3], startTime: "2025-04-22T23:00:00Z" });
+      await insertGame("2024030113", BOS, TOR, { score: [2, 4], startTime: "2025-04-24T23:00:00Z", period_type: "OT" });
+    });
+
+    it("updates the series when a playoff game goes FINAL", async () => {
+      await insertGame("2024030114", BOS, TOR, {
+        status: "FUT",
+        startTime: "2025-04-26T23:00:00Z",
+        game_date: "2025-04-26",
+      });
+      fakeApi.setRoute(SCORE_ROUTE, {
+        body: {
+          games: [{
+            id: 2024030114,
+            gameType: 3,
+            gameState: "OFF",
+            homeTeam: { abbrev: "BOS", score: 1 },
+            awayTeam: { abbrev: "TOR", score: 3 },
+            gameOutcome: { lastPeriodType: "REG" },
+          }],
+        },
+      });
+
+      await fetchGame("2024030114");
+      // As the syncPlayoffSeries trigger would
+      await updatePlayoffSeries("2024030114");
+
+      const series = (await db.collection("playoff_series").doc("20242025_A").get()).data();
+      assert.equal(series.summary, "TOR leads 3-1");
+      assert.equal(series.status, "in_progress");
+      assert.equal(series.round_name, "First Round");
+      assert.equal(series.top_seed.team_id, "TOR");
+      assert.equal(series.top_seed.seed, "D1");
+      assert.equal(series.bottom_seed.wins, 1);
+      assert.deepEqual(series.games.map((game) => game.game_number), [1, 2, 3, 4]);
+      assert.equal(series.games[2].period_type, "OT");
+    });
+
+    it("builds the bracket and names the series winner", async () => {
+      await insertGame("2024030114", BOS, TOR, { score: [1, 3], startTime: "2025-04-26T23:00:00Z" });
+      await insertGame("2024030115", TOR, BOS, { score: [5, 2], startTime: "2025-04-28T23:00:00Z" });
+      await rebuildPlayoffSeries("20242025");
+
+      const result = await getPlayoffBracket("20242025");
+
+      assert.equal(result.champion, null);
+      assert.deepEqual(result.rounds.map((round) => round.series.length), [1, 0, 0, 0]);
+
+      const [series] = result.rounds[0].series;
+      assert.equal(series.winner, "TOR");
+      assert.equal(series.status, "complete");
+      assert.equal(series.summary, "TOR wins 4-1");
+      assert.equal(series.games.length, 5);
+    });
+
+    it("serves the bracket from stored series without rebuilding it", async () => {
+      const result = await getPlayoffBracket("20242025");
+
+      assert.ok(result.rounds.every((round) => round.series.length === 0));
+      assert.equal((await db.collection("playoff_series").get()).size, 0);
+    });
+
+    it("returns an empty bracket for a season without playoff games", async () => {
+      const result = await getPlayoffBracket("20232024");
+
+      assert.ok(result.rounds.every((round) => round.series.length === 0));
+    });
+  });
+
+  describe("pollLiveGames", () => {
+    async function getPoll(gameId) {
+      return (await db.collection("game_polls").doc(gameId).get()).data();
+    }
+
+    /**
+     * Move a stored game's start time relative to now, since the poller only looks at recent games
+     */
+    async function startGameAgo(gameId, hours) {
+      await db.collection("games").doc(gameId).update({
+        start_time: Timestamp.fromMillis(Date.now() - hours * 60 * 60 * 1000),
+      });
+    }
+
+    it("backs off exponentially while the score feed keeps failing", async () => {
+      await startGameAgo("2024020500", 1);
+      fakeApi.setRoute(SCORE_ROUTE, { body: "<html>Bad Gateway</html>" });
+
+      const first = await pollLiveGames();
+      assert.ok(first.results[0].error);
+      assert.equal(first.nextPollSeconds, 10);
+      assert.equal((await getPoll("2024020500")).poll_failures, 1);
+
+      await db.collection("game_polls").doc("2024020500").update({ next_poll_at: FieldValue.delete() });
+      const second = await pollLiveGames();
+      assert.equal(second.nextPollSeconds, 20);
+      assert.equal((await getPoll("2024020500")).poll_failures, 2);
+
+      // A successful poll resets the backoff
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+      await db.collection("game_polls").doc("2024020500").update({ next_poll_at: FieldValue.delete() });
+      await pollLiveGames();
+      assert.equal((await getPoll("2024020500")).poll_failures, 0);
+    });
+
+    it("keeps the poll schedule off games the feed didn't change", async () => {
+      await startGameAgo("2024020500", 1);
+      const before = await getGame("2024020500");
+
+      const result = await pollLiveGames();
+
+      assert.equal(result.results[0].changed, false);
+      assert.deepEqual(await getGame("2024020500"), before);
+      assert.ok((await getPoll("2024020500")).next_poll_at);
+    });
+
+    it("leaves games that started more than 12 hours ago alone", async () => {
+      await startGameAgo("2024020500", 13);
+      await startGameAgo("2024020501", 1);
+
+      const result = await pollLiveGames();
+
+      assert.deepEqual(result.results.map((game) => game.gameId), ["2024020501"]);
+    });
+
+    it("sweeps games the poller gave up on", async () => {
+      await startGameAgo("2024020500", 13);
+      await startGameAgo("2024020501", 1);
+      fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+
+      const result = await sweepStaleGames();
+
+      assert.equal(result.gamesChecked, 1);
+      assert.equal(result.gamesUpdated, 1);
+      assert.equal((await getGame("2024020500")).status, "FINAL");
+      assert.equal((await getGame("2024020501")).status, "FUT");
+    });
+  });
+
+  describe("public games", () => {
+    it("mirrors a game without server internals", async () => {
+      await db.collection("games").doc("2024020500").update({ locked: true });
+      const game = await getGame("2024020500");
+
+      await syncPublicGame("2024020500", null, game);
+
+      const publicGame = (await db.collection("public_games").doc("2024020500").get()).data();
+      assert.equal(publicGame.home_data.team_id, game.home_data.team_id);
+      assert.equal(publicGame.raw, undefined);
+      assert.equal(publicGame.locked, undefined);
+    });
+
+    it("deletes the public copy with the game", async () => {
+      await syncPublicGame("2024020500", null, await getGame("2024020500"));
+      await syncPublicGame("2024020500", await getGame("2024020500"), null);
+
+      assert.equal((await db.collection("public_games").doc("2024020500").get()).exists, false);
+    });
+
+    it("rebuilds public copies of every stored game", async () => {
+      const result = await rebuildPublicGames();
+
+      assert.equal(result.gamesProcessed, 2);
+      assert.equal((await db.collection("public_games").get()).size, 2);
+    });
+  });
+});
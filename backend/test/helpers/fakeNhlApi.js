@@ -0,0 +1,167 @@
+/**
+ * Local stand-in for the NHL APIs
+ * Serves recorded JSON fixtures from test/fixtures, with per-route overrides
+ * so tests can script status transitions, 429s and malformed payloads.
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+/**
+ * Load a fixture file by name (without .json)
+ * @param {string} name - Fixture name, e.g. "score-2025-01-15-live"
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf8"));
+}
+
+/**
+ * Load a fixture if it exists, otherwise return null
+ * @param {string} name - Fixture name
+ */
+function loadOptionalFixture(name) {
+  const file = path.join(FIXTURES_DIR, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * Default routes, matched against the request path in order
+ * Handlers return { status, body, headers } where body is an object or raw string
+ */
+const DEFAULT_ROUTES = [
+  {
+    pattern: /^\/v1\/schedule\/(\d{4}-\d{2}-\d{2})$/,
+    handler: ([, date]) => {
+      // Serve the recorded week for whichever date is requested
+      const schedule = loadFixture("schedule-2025-01-15");
+      schedule.gameWeek[0].date = date;
+      return { body: schedule };
+    },
+  },
+  {
+    pattern: /^\/v1\/score\/([\w-]+)$/,
+    handler: () => ({ body: loadFixture("score-2025-01-15-scheduled") }),
+  },
+  {
+    pattern: /^\/v1\/gamecenter\/(\d+)\/play-by-play$/,
+    handler: ([, gameId]) => {
+      const fixture = loadOptionalFixture(`play-by-play-${gameId}`);
+      return fixture ? { body: fixture } : { status: 404, body: {} };
+    },
+  },
+  {
+    pattern: /^\/v1\/gamecenter\/(\d+)\/boxscore$/,
+    handler: ([, gameId]) => {
+      const fixture = loadOptionalFixture(`boxscore-${gameId}`);
+      return fixture ? { body: fixture } : { status: 404, body: {} };
+    },
+  },
+  {
+    pattern: /^\/stats\/rest\/en\/team$/,
+    handler: () => ({ body: loadFixture("stats-team") }),
+  },
+  {
+    pattern: /^\/stats\/rest\/en\/franchise$/,
+    handler: () => ({ body: loadFixture("stats-franchise") }),
+  },
+  {
+    pattern: /^\/stats\/rest\/en\/game$/,
+    handler: (match, query) => {
+      const season = (query.get("cayenneExp") || "").replace("season=", "");
+      return { body: loadOptionalFixture(`stats-game-${season}`) || { data: [], total: 0 } };
+    },
+  },
+];
+
+class FakeNhlApi {
+  constructor() {
+    this.overrides = [];
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening on a random local port
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, "127.0.0.1", resolve));
+    const { port } = this.server.address();
+    this.baseUrl = `http://127.0.0.1:${port}`;
+    this.webBaseUrl = `${this.baseUrl}/v1`;
+    this.statsBaseUrl = `${this.baseUrl}/stats/rest/en`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Override a route. Responses can be a single response, a function, or an
+   * array that is served in order (the last entry repeats)
+   * @param {RegExp} pattern - Matched against the request path
+   * @param {Object|Function|Array} response - Response(s) to serve
+   */
+  setRoute(pattern, response) {
+    this.overrides.unshift({ pattern, responses: Array.isArray(response) ? [...response] : [response] });
+  }
+
+  /**
+   * Serve a fixture for every request matching a route
+   * @param {RegExp} pattern - Matched against the request path
+   * @param {string} fixture - Fixture name
+   */
+  setFixture(pattern, fixture) {
+    this.setRoute(pattern, { body: loadFixture(fixture) });
+  }
+
+  /**
+   * Drop all overrides and the request log
+   */
+  reset() {
+    this.overrides = [];
+    this.requests = [];
+  }
+
+  /**
+   * Number of requests whose path matched a pattern
+   * @param {RegExp} pattern - Matched against the request path
+   */
+  count(pattern) {
+    return this.requests.filter((request) => pattern.test(request)).length;
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    this.requests.push(url.pathname);
+
+    let response = { status: 404, body: { message: "No route" } };
+
+    const override = this.overrides.find(({ pattern }) => pattern.test(url.pathname));
+    if (override) {
+      const next = override.responses.length > 1 ? override.responses.shift() : override.responses[0];
+      response = typeof next === "function" ? next(url.pathname.match(override.pattern), url.searchParams) : next;
+    } else {
+      const route = DEFAULT_ROUTES.find(({ pattern }) => pattern.test(url.pathname));
+      if (route) {
+        response = route.handler(url.pathname.match(route.pattern), url.searchParams);
+      }
+    }
+
+    const { status = 200, body = {}, headers = {}, delayMs = 0 } = response;
+    const payload = typeof body === "string" ? body : JSON.stringify(body);
+
+    setTimeout(() => {
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(payload);
+    }, delayMs);
+  }
+}
+
+module.exports = {
+  FakeNhlApi,
+  loadFixture,
+};
@@ -0,0 +1,32 @@
+/**
+ * Firestore emulator helpers for tests
+ * Suites that need Firestore are skipped unless FIRESTORE_EMULATOR_HOST is set,
+ * e.g. when run through `npm run test:emulator`
+ */
+
+const PROJECT_ID = "quadlii-nhl-scores";
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+
+// Pass as the `skip` option of describe() for suites that need the emulator
+const skipWithoutEmulator = emulatorHost ? false : "requires the Firestore emulator (npm run test:emulator)";
+
+/**
+ * Delete every document in the emulator's default database
+ */
+async function clearFirestore() {
+  const response = await fetch(
+    `http://${emulatorHost}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: "DELETE" }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to clear Firestore emulator: ${response.status}`);
+  }
+}
+
+module.exports = {
+  PROJECT_ID,
+  skipWithoutEmulator,
+  clearFirestore,
+};
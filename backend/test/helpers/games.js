@@ -0,0 +1,59 @@
+/**
+ * Game documents for tests, shaped like the ones ingestion stores
+ * Teams are [abbreviation, franchiseId] pairs and abbreviations double as names.
+ */
+
+const { Timestamp } = require("firebase-admin/firestore");
+
+const { db } = require("../../src/index");
+
+// Teams in the recorded fixtures, plus Arizona's successor
+const TEAMS = {
+  TOR: ["TOR", 5],
+  MTL: ["MTL", 1],
+  BOS: ["BOS", 6],
+  ARI: ["ARI", 28],
+  UTA: ["UTA", 40],
+};
+
+/**
+ * Build a game document
+ * Season comes from the game ID, and FINAL games default to a regulation finish.
+ * @param {string} gameId - 10-digit NHL game ID
+ * @param {Array} home - [abbreviation, franchiseId] of the home team
+ * @param {Array} away - [abbreviation, franchiseId] of the away team
+ * @param {Object} options - status (default FINAL), score as [home, away],
+ *   startTime as an ISO string; any other fields are copied onto the document
+ */
+function buildGame(gameId, [home, homeFranchise], [away, awayFranchise], options = {}) {
+  const { status = "FINAL", score = [0, 0], startTime = "2025-01-16T00:00:00Z", ...fields } = options;
+  const startYear = Number(gameId.substring(0, 4));
+
+  return {
+    gameid: gameId,
+    season: `${startYear}${startYear + 1}`,
+    status,
+    ...(status === "FINAL" ? { period_type: "REG" } : {}),
+    start_time: Timestamp.fromDate(new Date(startTime)),
+    home_data: { team_id: home, team_name: home, franchise_id: homeFranchise, team_score: score[0] },
+    away_data: { team_id: away, team_name: away, franchise_id: awayFranchise, team_score: score[1] },
+    ...fields,
+  };
+}
+
+/**
+ * Store a game built by buildGame directly, for history the fixtures don't cover
+ * @param {string} gameId - 10-digit NHL game ID
+ * @param {Array} home - [abbreviation, franchiseId] of the home team
+ * @param {Array} away - [abbreviation, franchiseId] of the away team
+ * @param {Object} options - As for buildGame
+ */
+async function insertGame(gameId, home, away, options = {}) {
+  await db.collection("games").doc(gameId).set(buildGame(gameId, home, away, options));
+}
+
+module.exports = {
+  TEAMS,
+  buildGame,
+  insertGame,
+};
@@ -0,0 +1,46 @@
+/**
+ * Shared hooks for suites that run the backend against the Firestore emulator
+ * Each suite gets its own FakeNhlApi with the NHL client pointed at it, and
+ * starts every test from an empty database.
+ */
+
+const { before, after, beforeEach } = require("node:test");
+
+const { FakeNhlApi } = require("./fakeNhlApi");
+const { clearFirestore } = require("./firestore");
+const { nhlApi } = require("../../src/nhlApi");
+
+/**
+ * Register the shared before/after/beforeEach hooks on the enclosing describe()
+ * Hooks the suite registers afterwards run after these, so they can seed data.
+ * @returns {FakeNhlApi} The suite's fake API, for per-test routes and request counts
+ */
+function useFakeBackend() {
+  const fakeApi = new FakeNhlApi();
+
+  before(async () => {
+    await fakeApi.start();
+    nhlApi.configure({
+      webBaseUrl: fakeApi.webBaseUrl,
+      statsBaseUrl: fakeApi.statsBaseUrl,
+      baseDelayMs: 1,
+      maxDelayMs: 10,
+      timeoutMs: 2000,
+    });
+  });
+
+  after(async () => {
+    await fakeApi.stop();
+  });
+
+  beforeEach(async () => {
+    fakeApi.reset();
+    await clearFirestore();
+  });
+
+  return fakeApi;
+}
+
+module.exports = {
+  useFakeBackend,
+};
@@ -0,0 +1,67 @@
+/**
+ * Local HTTP receiver for webhook deliveries
+ * Records every request with its headers and raw body, and can be scripted
+ * to fail so retries and dead-lettering can be tested.
+ */
+
+const http = require("http");
+
+class WebhookReceiver {
+  constructor() {
+    this.received = [];
+    this.responses = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening on a random local port
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, "127.0.0.1", resolve));
+    const { port } = this.server.address();
+    this.url = `http://127.0.0.1:${port}/hooks`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Script the next responses; the last entry repeats (default is 200)
+   * @param {Array<Object>} responses - { status, delayMs }
+   */
+  respondWith(responses) {
+    this.responses = [...responses];
+  }
+
+  /**
+   * Forget received requests and scripted responses
+   */
+  reset() {
+    this.received = [];
+    this.responses = [];
+  }
+
+  handle(req, res) {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      this.received.push({ method: req.method, path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+
+      const next = this.responses.length > 1 ? this.responses.shift() : this.responses[0];
+      const { status = 200, delayMs = 0 } = next || {};
+
+      setTimeout(() => {
+        res.writeHead(status, { "content-type": "text/plain" });
+        res.end("ok");
+      }, delayMs);
+    });
+  }
+}
+
+module.exports = {
+  WebhookReceiver,
+};
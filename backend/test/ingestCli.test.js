@@ -0,0 +1,42 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseArgs } = require("../scripts/ingest");
+
+describe("ingest CLI arguments", () => {
+  it("accepts --name=value, --name value and the bare legacy form", () => {
+    assert.equal(parseArgs(["--backfill=2023"]).backfillYear, 2023);
+    assert.equal(parseArgs(["backfill=2023"]).backfillYear, 2023);
+    assert.equal(parseArgs(["--backfill", "2023"]).backfillYear, 2023);
+    assert.equal(parseArgs(["rebuild-aggregates"]).rebuildAggregates, true);
+    assert.equal(parseArgs(["--rebuild-public-games"]).rebuildPublicGames, true);
+    assert.equal(parseArgs(["--rebuild-leaders"]).rebuildLeaders, true);
+    assert.equal(parseArgs(["--rebuild-shot-maps"]).rebuildShotMaps, true);
+    assert.equal(parseArgs(["--rebuild-playoffs", "--season=2024"]).rebuildPlayoffs, true);
+  });
+
+  it("parses date ranges, seasons and game types", () => {
+    const options = parseArgs([
+      "--from=2024-10-01",
+      "--to=2024-12-31",
+      "--game-type=regular,playoffs",
+      "--dry-run",
+    ]);
+
+    assert.equal(options.from, "2024-10-01");
+    assert.equal(options.to, "2024-12-31");
+    assert.deepEqual(options.gameTypes, [2, 3]);
+    assert.equal(options.dryRun, true);
+    assert.deepEqual(parseArgs(["--season=2023,20242025"]).seasons, ["20232024", "20242025"]);
+  });
+
+  it("rejects invalid combinations", () => {
+    assert.throws(() => parseArgs(["--from=2024-12-01", "--to=2024-10-01"]), /--from must not be after --to/);
+    assert.throws(() => parseArgs(["--season=20242026"]), /Invalid season/);
+    assert.throws(() => parseArgs(["--game-type=exhibition"]), /Invalid game type/);
+    assert.throws(() => parseArgs(["--resume"]), /--resume only applies/);
+    assert.throws(() => parseArgs(["--date=2025-01-15", "--season=2024"]), /cannot be combined/);
+    assert.throws(() => parseArgs(["--frmo=2024-10-01"]), /Unknown option: --frmo/);
+    assert.throws(() => parseArgs(["--rebuild-playoffs"]), /--rebuild-playoffs requires --season/);
+  });
+});
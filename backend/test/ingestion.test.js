@@ -0,0 +1,204 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadFixture } = require("./helpers/fakeNhlApi");
+const { skipWithoutEmulator } = require("./helpers/firestore");
+const { useFakeBackend } = require("./helpers/suite");
+const { NhlApiParseError } = require("../src/nhlApi");
+const { db, ingestData } = require("../src/index");
+
+const SCHEDULE_ROUTE = /^\/v1\/schedule\/([\d-]+)$/;
+const SCORE_ROUTE = /^\/v1\/score\//;
+
+async function getGame(gameId) {
+  return (await db.collection("games").doc(gameId).get()).data();
+}
+
+describe("ingestData", { skip: skipWithoutEmulator }, () => {
+  const fakeApi = useFakeBackend();
+
+  it("creates teams and today's games from the schedule", async () => {
+    const result = await ingestData();
+
+    assert.equal(result.gamesFound, 2);
+    assert.equal(result.gamesCreated, 2);
+
+    const teams = await db.collection("teams").get();
+    assert.equal(teams.size, 5);
+
+    const game = await getGame("2024020501");
+    assert.equal(game.home_data.team_id, "BOS");
+    assert.equal(game.away_data.franchise_id, 5);
+
+    // Public copies are written with the games, before any trigger runs
+    const publicGame = await db.collection("public_games").doc("2024020501").get();
+    assert.equal(publicGame.data().home_data.team_id, "BOS");
+    assert.equal(publicGame.data().raw, undefined);
+  });
+
+  it("skips unchanged games and updates changed scores", async () => {
+    await ingestData();
+
+    const unchanged = await ingestData();
+    assert.equal(unchanged.gamesCreated, 0);
+    assert.equal(unchanged.gamesSkipped, 2);
+
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+    const changed = await ingestData();
+    assert.equal(changed.gamesUpdated, 1);
+
+    const game = await getGame("2024020500");
+    assert.equal(game.home_data.team_score, 2);
+    assert.equal(game.away_data.team_score, 1);
+
+    const publicGame = await db.collection("public_games").doc("2024020500").get();
+    assert.equal(publicGame.data().home_data.team_score, 2);
+  });
+
+  it("backfills a season from the Stats API", async () => {
+    const result = await ingestData({ backfillYear: 2024 });
+
+    assert.equal(result.gamesCreated, 5);
+
+    const regulation = await getGame("2024020100");
+    assert.equal(regulation.status, "FINAL");
+    assert.equal(regulation.period_type, "REG");
+    assert.equal(regulation.home_data.franchise_id, 5);
+    assert.equal(regulation.game_date, "2024-10-26");
+    assert.equal(regulation.season, "20242025");
+
+    // easternStartTime is 7 PM Eastern, which is UTC-4 in October
+    assert.equal(regulation.start_time.toDate().toISOString(), "2024-10-26T23:00:00.000Z");
+
+    assert.equal((await getGame("2024020200")).period_type, "OT");
+    assert.equal((await getGame("2024020300")).period_type, "SO");
+  });
+
+  it("ingests a given NHL game date", async () => {
+    const result = await ingestData({ date: "2025-01-15" });
+
+    assert.equal(result.dateRange, "2025-01-15");
+    assert.equal(result.gamesCreated, 2);
+    assert.equal(fakeApi.requests.find((url) => SCHEDULE_ROUTE.test(url)), "/v1/schedule/2025-01-15");
+  });
+
+  it("ingests a date range", async () => {
+    const result = await ingestData({ from: "2024-10-01", to: "2024-11-15" });
+
+    assert.equal(result.gamesCreated, 2);
+    assert.ok(await getGame("2024020200"));
+    assert.equal(await getGame("2024020300"), undefined);
+  });
+
+  it("filters by season and game type", async () => {
+    const result = await ingestData({ seasons: ["20242025"], gameTypes: [1, 3] });
+
+    assert.equal(result.gamesCreated, 2);
+    assert.equal((await getGame("2024030111")).raw.gameType, 3);
+    assert.equal(await getGame("2024020100"), undefined);
+  });
+
+  it("reports a diff without writing on a dry run", async () => {
+    await ingestData({ seasons: ["20242025"], gameTypes: [2] });
+    await db.collection("games").doc("2024020100").update({ status: "LIVE", "home_data.team_score": 1 });
+
+    const result = await ingestData({ seasons: ["20242025"], dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.gamesCreated, 2);
+    assert.equal(result.gamesUpdated, 1);
+    assert.deepEqual(result.diff.find((entry) => entry.action === "update"), {
+      gameId: "2024020100",
+      action: "update",
+      changes: { status: ["LIVE", "FINAL"], home_score: [1, 4] },
+    });
+    assert.equal(await getGame("2024010050"), undefined);
+    assert.equal((await getGame("2024020100")).status, "LIVE");
+  });
+
+  it("saves a checkpoint after each batch and resumes from it", async () => {
+    const checkpoints = [];
+    const failingRun = ingestData({
+      seasons: ["20242025"],
+      batchSize: 2,
+      onCheckpoint: async (checkpoint) => {
+        checkpoints.push(checkpoint);
+        if (checkpoints.length === 2) {
+          throw new Error("Simulated crash");
+        }
+      },
+    });
+
+    // The second batch was committed before the crash; the third never ran
+    await assert.rejects(failingRun, /Simulated crash/);
+    assert.equal(checkpoints[1].lastGameId, 2024020300);
+    assert.ok(await getGame("2024020300"));
+    assert.equal(await getGame("2024030111"), undefined);
+
+    const resumed = await ingestData({ seasons: ["20242025"], batchSize: 2, checkpoint: checkpoints[1] });
+
+    assert.equal(resumed.gamesFound, 1);
+    assert.equal(resumed.gamesCreated, 1);
+    assert.ok(await getGame("2024030111"));
+
+    await assert.rejects(
+      ingestData({ seasons: ["20232024"], checkpoint: checkpoints[1] }),
+      /different ingestion run/
+    );
+  });
+
+  it("keeps seasons that failed to fetch in the checkpoint and retries them on resume", async () => {
+    const STATS_GAME_ROUTE = /^\/stats\/rest\/en\/game$/;
+    const nextSeason = loadFixture("stats-game-20242025");
+    nextSeason.data = nextSeason.data
+      .filter((game) => game.gameType === 2)
+      .map((game) => ({ ...game, id: game.id + 1000000, season: 20252026 }));
+    fakeApi.setRoute(STATS_GAME_ROUTE, (match, query) => (query.get("cayenneExp") === "season=20242025"
+      ? { status: 500, body: {} }
+      : { body: nextSeason }));
+
+    const checkpoints = [];
+    const onCheckpoint = async (checkpoint) => {
+      checkpoints.push(checkpoint);
+    };
+    const result = await ingestData({ seasons: ["20242025", "20252026"], onCheckpoint });
+    const checkpoint = checkpoints[checkpoints.length - 1];
+
+    assert.deepEqual(result.failedSeasons, ["20242025"]);
+    assert.deepEqual(checkpoint.failedSeasons, ["20242025"]);
+    assert.ok(checkpoint.lastGameId > 2025000000);
+    assert.equal(await getGame("2024020300"), undefined);
+
+    fakeApi.reset();
+    fakeApi.setRoute(STATS_GAME_ROUTE, (match, query) => ({
+      body: query.get("cayenneExp") === "season=20242025" ? loadFixture("stats-game-20242025") : nextSeason,
+    }));
+    const resumed = await ingestData({ seasons: ["20242025", "20252026"], checkpoint, onCheckpoint });
+
+    assert.deepEqual(resumed.failedSeasons, []);
+    assert.equal(resumed.gamesCreated, loadFixture("stats-game-20242025").data.length);
+    assert.ok(await getGame("2024020300"));
+  });
+
+  it("retries a rate-limited schedule request", async () => {
+    fakeApi.setRoute(SCHEDULE_ROUTE, [
+      { status: 429, headers: { "retry-after": "0" } },
+      ([, date]) => {
+        const schedule = loadFixture("schedule-2025-01-15");
+        schedule.gameWeek[0].date = date;
+        return { body: schedule };
+      },
+    ]);
+
+    const result = await ingestData();
+
+    assert.equal(result.gamesCreated, 2);
+    assert.equal(fakeApi.count(SCHEDULE_ROUTE), 2);
+  });
+
+  it("fails on a malformed schedule payload", async () => {
+    fakeApi.setRoute(SCHEDULE_ROUTE, { body: { gameWeek: "closed" } });
+
+    await assert.rejects(ingestData(), NhlApiParseError);
+  });
+});
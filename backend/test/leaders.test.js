@@ -0,0 +1,177 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadFixture } = require("./helpers/fakeNhlApi");
+const { skipWithoutEmulator } = require("./helpers/firestore");
+const { useFakeBackend } = require("./helpers/suite");
+const {
+  db,
+  updateTeams,
+  createGame,
+  fetchGame,
+  fetchGameGoals,
+  applyGameToLeaders,
+  rebuildLeaders,
+  getLeaders,
+} = require("../src/index");
+
+const SCORE_ROUTE = /^\/v1\/score\//;
+
+const MATTHEWS = 8479318;
+const MARNER = 8478483;
+const TAVARES = 8475166;
+const NYLANDER = 8477939;
+
+/**
+ * Read a game and apply it to the leaderboards, as the updateLeaderboards trigger would
+ */
+async function applyStoredGame(gameId) {
+  const gameDoc = await db.collection("games").doc(gameId).get();
+  await applyGameToLeaders(gameId, gameDoc.exists ? { gameid: gameId, ...gameDoc.data() } : null);
+}
+
+describe("leaderboards", { skip: skipWithoutEmulator }, () => {
+  const fakeApi = useFakeBackend();
+
+  beforeEach(async () => {
+    // Both recorded games, final and with their goals stored
+    await updateTeams();
+    const schedule = loadFixture("schedule-2025-01-15");
+    for (const game of schedule.gameWeek[0].games) {
+      await createGame(game, { gameDate: "2025-01-15" });
+    }
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+    for (const gameId of ["2024020500", "2024020501"]) {
+      await fetchGame(gameId);
+      await fetchGameGoals(gameId);
+      await applyStoredGame(gameId);
+    }
+  });
+
+  it("ranks points across games with player names from the roster", async () => {
+    const result = await getLeaders({ category: "points", season: "20242025" });
+
+    assert.equal(result.gameType, 2);
+    assert.deepEqual(result.leaders.slice(0, 2).map((leader) => [leader.rank, leader.playerId, leader.value]), [
+      [1, MATTHEWS, 4],
+      [2, MARNER, 4],
+    ]);
+    assert.equal(result.leaders[0].name, "Auston Matthews");
+    assert.equal(result.leaders[0].goals, 2);
+    assert.equal(result.leaders[0].assists, 2);
+    assert.equal(result.nextPageToken, null);
+  });
+
+  it("counts power-play and game-winning goals", async () => {
+    const powerPlay = await getLeaders({ category: "power_play_goals", season: "20242025" });
+    const gameWinning = await getLeaders({ category: "game_winning_goals", season: "20242025" });
+
+    assert.deepEqual(powerPlay.leaders.map((leader) => [leader.playerId, leader.value]), [[NYLANDER, 1]]);
+
+    // The shootout game has no game-winning goal
+    assert.deepEqual(gameWinning.leaders.map((leader) => [leader.playerId, leader.value]), [[TAVARES, 1]]);
+  });
+
+  it("ranks goalies by most goals against, leaving out empty-net goals", async () => {
+    const result = await getLeaders({ category: "goals_against", season: "20242025" });
+    const goalsAgainst = Object.fromEntries(result.leaders.map((leader) => [leader.playerId, leader.value]));
+
+    assert.equal(goalsAgainst[8480280], 2);
+    assert.equal(goalsAgainst[8478470], 3);
+    assert.equal(goalsAgainst[8479361], 4);
+    assert.ok(result.leaders.every((leader) => leader.gamesPlayed > 0));
+    assert.deepEqual(result.leaders.map((leader) => leader.value), result.leaders.map((leader) => leader.value).sort((a, b) => b - a));
+  });
+
+  it("ranks goalies by goals against per game once they have played enough games", async () => {
+    const before = await getLeaders({ category: "goals_against_average", season: "20242025" });
+    assert.deepEqual(before.leaders, []);
+
+    // Four more appearances for the goalies of one game, as if it had been played again
+    const gameDoc = await db.collection("games").doc("2024020500").get();
+    for (let i = 1; i <= 4; i++) {
+      await applyGameToLeaders(`replay-${i}`, { gameid: "2024020500", ...gameDoc.data() });
+    }
+
+    const result = await getLeaders({ category: "goals_against_average", season: "20242025" });
+
+    assert.ok(result.leaders.length > 0);
+    for (const leader of result.leaders) {
+      assert.ok(leader.gamesPlayed >= 5);
+      assert.equal(leader.value, leader.goalsAgainst / leader.gamesPlayed);
+      assert.equal(leader.goalsAgainstAverage, leader.value);
+    }
+    assert.deepEqual(result.leaders.map((leader) => leader.value), result.leaders.map((leader) => leader.value).sort((a, b) => a - b));
+  });
+
+  it("pages through a leaderboard without gaps or repeats", async () => {
+    const all = await getLeaders({ category: "points", season: "20242025", pageSize: 100 });
+    const paged = [];
+    let pageToken;
+
+    do {
+      const page = await getLeaders({ category: "points", season: "20242025", pageSize: 2, pageToken });
+      assert.ok(page.leaders.length <= 2);
+      paged.push(...page.leaders);
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    assert.deepEqual(paged.map((leader) => [leader.rank, leader.playerId]), all.leaders.map((leader) => [leader.rank, leader.playerId]));
+    await assert.rejects(getLeaders({ category: "points", season: "20242025", pageToken: "not-a-token" }), /Invalid pageToken/);
+  });
+
+  it("filters by team and game type", async () => {
+    const montreal = await getLeaders({ category: "goals", season: "20242025", team: "MTL" });
+    const playoffs = await getLeaders({ category: "goals", season: "20242025", gameType: 3 });
+
+    assert.equal(montreal.team, "MTL");
+    assert.deepEqual(montreal.leaders.map((leader) => leader.playerId).sort(), [8480018, 8481540]);
+    assert.ok(montreal.leaders.every((leader) => leader.teamId === "MTL"));
+    assert.deepEqual(playoffs.leaders, []);
+  });
+
+  it("applies only the difference when a game's goals are corrected", async () => {
+    await db.collection("games").doc("2024020500").update({
+      "goals.P1-05:41.scorerId": MARNER,
+      "goals.P1-05:41.primaryAssistId": MATTHEWS,
+    });
+    await applyStoredGame("2024020500");
+
+    const result = await getLeaders({ category: "goals", season: "20242025" });
+    const goals = Object.fromEntries(result.leaders.map((leader) => [leader.playerId, leader.value]));
+
+    assert.equal(goals[MATTHEWS], 1);
+    assert.equal(goals[MARNER], 2);
+
+    // Applying the same game again changes nothing
+    await applyStoredGame("2024020500");
+    const again = await getLeaders({ category: "goals", season: "20242025" });
+    assert.deepEqual(again.leaders, result.leaders);
+  });
+
+  it("drops a deleted game's goals", async () => {
+    await db.collection("games").doc("2024020500").delete();
+    await applyStoredGame("2024020500");
+
+    const result = await getLeaders({ category: "points", season: "20242025", pageSize: 100 });
+
+    assert.equal(result.leaders.find((leader) => leader.playerId === TAVARES), undefined);
+    assert.equal(result.leaders.find((leader) => leader.playerId === MATTHEWS).value, 1);
+    assert.equal((await db.collection("leader_games").doc("2024020500").get()).exists, false);
+  });
+
+  it("rebuilds the same boards from stored games", async () => {
+    const before = await getLeaders({ category: "points", season: "20242025", pageSize: 100 });
+
+    for (const collection of ["player_season_stats", "leader_games"]) {
+      const snapshot = await db.collection(collection).get();
+      await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+    }
+
+    const result = await rebuildLeaders();
+    const rebuilt = await getLeaders({ category: "points", season: "20242025", pageSize: 100 });
+
+    assert.equal(result.gamesProcessed, 2);
+    assert.deepEqual(rebuilt.leaders, before.leaders);
+  });
+});
@@ -0,0 +1,186 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FakeNhlApi } = require("./helpers/fakeNhlApi");
+const {
+  NhlApiClient,
+  NhlApiHttpError,
+  NhlApiRateLimitError,
+  NhlApiTimeoutError,
+  NhlApiParseError,
+  parseRetryAfter,
+} = require("../src/nhlApi");
+
+describe("NHL API client", () => {
+  const fakeApi = new FakeNhlApi();
+  let client;
+
+  before(async () => {
+    await fakeApi.start();
+    client = new NhlApiClient({
+      webBaseUrl: fakeApi.webBaseUrl,
+      statsBaseUrl: fakeApi.statsBaseUrl,
+      baseDelayMs: 1,
+      maxDelayMs: 20,
+      timeoutMs: 200,
+      maxRetries: 2,
+    });
+  });
+
+  after(async () => {
+    await fakeApi.stop();
+  });
+
+  beforeEach(() => {
+    fakeApi.reset();
+  });
+
+  it("serves fixtures for every endpoint", async () => {
+    const schedule = await client.getSchedule("2025-01-15");
+    const score = await client.getScore("2025-01-15");
+    const playByPlay = await client.getPlayByPlay("2024020500");
+    const boxScore = await client.getBoxScore("2024020500");
+    const teams = await client.getStatsTeams();
+    const franchises = await client.getStatsFranchises();
+    const games = await client.getStatsGames("20242025");
+
+    assert.equal(schedule.gameWeek[0].games.length, 2);
+    assert.equal(score.games.length, 2);
+    assert.ok(playByPlay.plays.length > 0);
+    assert.equal(boxScore.playerByGameStats.homeTeam.goalies.length, 1);
+    assert.equal(teams.data.find((team) => team.triCode === "TOR").franchiseId, 5);
+    assert.equal(franchises.data.find((franchise) => franchise.id === 28).lastSeasonId, 20232024);
+    assert.equal(games.data.length, 5);
+  });
+
+  it("retries a 429 and honors Retry-After", async () => {
+    fakeApi.setRoute(/^\/v1\/score\//, [
+      { status: 429, headers: { "retry-after": "0" } },
+      { status: 429, headers: { "retry-after": "0" } },
+      { body: { games: [] } },
+    ]);
+
+    const score = await client.getScore("2025-01-15");
+
+    assert.deepEqual(score.games, []);
+    assert.equal(fakeApi.count(/^\/v1\/score\//), 3);
+  });
+
+  it("throws a rate limit error once retries run out", async () => {
+    fakeApi.setRoute(/^\/v1\/score\//, { status: 429, headers: { "retry-after": "0" } });
+
+    await assert.rejects(client.getScore("2025-01-15"), NhlApiRateLimitError);
+    assert.equal(fakeApi.count(/^\/v1\/score\//), 3);
+  });
+
+  it("retries server errors", async () => {
+    fakeApi.setRoute(/^\/stats\/rest\/en\/team$/, [
+      { status: 503, body: {} },
+      { body: { data: [] } },
+    ]);
+
+    const teams = await client.getStatsTeams();
+
+    assert.deepEqual(teams.data, []);
+  });
+
+  it("does not retry other client errors", async () => {
+    await assert.rejects(client.getPlayByPlay("2024029999"), (error) => {
+      assert.ok(error instanceof NhlApiHttpError);
+      assert.equal(error.status, 404);
+      return true;
+    });
+    assert.equal(fakeApi.count(/play-by-play/), 1);
+  });
+
+  it("times out slow requests", async () => {
+    fakeApi.setRoute(/^\/v1\/score\//, { delayMs: 500, body: { games: [] } });
+
+    await assert.rejects(client.getScore("2025-01-15"), NhlApiTimeoutError);
+  });
+
+  it("stops retrying once a call's time budget is spent", async () => {
+    fakeApi.setRoute(/^\/v1\/score\//, { delayMs: 500, body: { games: [] } });
+    const started = Date.now();
+
+    await assert.rejects(client.getScore("2025-01-15", { budgetMs: 250 }), NhlApiTimeoutError);
+
+    assert.ok(Date.now() - started < 400);
+    assert.equal(fakeApi.count(/^\/v1\/score\//), 2);
+  });
+
+  it("rejects malformed payloads", async () => {
+    fakeApi.setRoute(/play-by-play/, { body: "<html>Service Unavailable</html>" });
+    await assert.rejects(client.getPlayByPlay("2024020500"), NhlApiParseError);
+
+    fakeApi.setRoute(/play-by-play/, { body: { plays: "not a list" } });
+    await assert.rejects(client.getPlayByPlay("2024020500"), NhlApiParseError);
+
+    fakeApi.setRoute(/boxscore/, { body: { playerByGameStats: "unavailable" } });
+    await assert.rejects(client.getBoxScore("2024020500"), NhlApiParseError);
+  });
+
+  it("accepts an injected fetch implementation", async () => {
+    const calls = [];
+    const stubClient = new NhlApiClient({
+      webBaseUrl: "http://stub/v1",
+      fetchImpl: async (url) => {
+        calls.push(url);
+        return new Response(JSON.stringify({ games: [{ id: 1 }] }), { status: 200 });
+      },
+    });
+
+    const score = await stubClient.getScore();
+
+    assert.deepEqual(calls, ["http://stub/v1/score/now"]);
+    assert.equal(score.games[0].id, 1);
+  });
+
+  it("times out a response whose body stalls, then retries", async () => {
+    let calls = 0;
+    const stubClient = new NhlApiClient({
+      webBaseUrl: "http://stub/v1",
+      baseDelayMs: 1,
+      maxDelayMs: 1,
+      timeoutMs: 50,
+      maxRetries: 1,
+      fetchImpl: async (url, { signal }) => {
+        calls++;
+        if (calls > 1) {
+          return new Response(JSON.stringify({ games: [] }), { status: 200 });
+        }
+        // Headers arrive but the body never finishes until the request is aborted
+        const stream = new ReadableStream({
+          start(controller) {
+            signal.addEventListener("abort", () => controller.error(signal.reason));
+          },
+        });
+        return new Response(stream, { status: 200 });
+      },
+    });
+
+    const score = await stubClient.getScore();
+
+    assert.equal(calls, 2);
+    assert.deepEqual(score.games, []);
+
+    const stalledClient = new NhlApiClient({
+      webBaseUrl: "http://stub/v1",
+      timeoutMs: 50,
+      maxRetries: 0,
+      fetchImpl: async (url, { signal }) => new Response(new ReadableStream({
+        start(controller) {
+          signal.addEventListener("abort", () => controller.error(signal.reason));
+        },
+      }), { status: 200 }),
+    });
+
+    await assert.rejects(stalledClient.getScore(), NhlApiTimeoutError);
+  });
+
+  it("parses Retry-After seconds and dates", () => {
+    assert.equal(parseRetryAfter("3"), 3000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+  });
+});
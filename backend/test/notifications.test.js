@@ -0,0 +1,237 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Timestamp } = require("firebase-admin/firestore");
+
+const { skipWithoutEmulator } = require("./helpers/firestore");
+const { useFakeBackend } = require("./helpers/suite");
+const { TEAMS, buildGame } = require("./helpers/games");
+const { notifier, FcmTransport, RecordingTransport } = require("../src/notifications");
+const {
+  db,
+  updateTeams,
+  detectGameNotifications,
+  subscribeToNotifications,
+  unsubscribeFromNotifications,
+  sendGameNotifications,
+} = require("../src/index");
+
+const NOW = new Date("2025-01-16T01:00:00Z");
+
+/**
+ * The recorded TOR-MTL game in a given state
+ */
+function gameDoc(status, homeScore, awayScore, fields = {}) {
+  return buildGame("2024020500", TEAMS.TOR, TEAMS.MTL, { status, score: [homeScore, awayScore], ...fields });
+}
+
+describe("detectGameNotifications", () => {
+  const detect = (before, after) => detectGameNotifications("2024020500", before, after, NOW)
+    .map((notification) => [notification.key, notification.title, notification.body]);
+
+  it("announces the start and final", () => {
+    assert.deepEqual(detect(gameDoc("FUT", 0, 0), gameDoc("LIVE", 0, 0)), [
+      ["start", "MTL @ TOR", "The game has started"],
+    ]);
+    assert.deepEqual(detect(gameDoc("LIVE", 2, 2), gameDoc("FINAL", 2, 2, { period_type: "SO" })), [
+      ["final", "Final/SO - MTL @ TOR", "MTL 2 - TOR 2"],
+    ]);
+  });
+
+  it("keys goals by score so score changes and goal details match", () => {
+    const [fromScore] = detect(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0));
+    assert.deepEqual(fromScore, ["goal_1-0", "TOR goal!", "MTL 0 - TOR 1"]);
+
+    const goal = {
+      scorer: "A. Matthews",
+      primaryAssist: "M. Marner",
+      periodLabel: "2nd",
+      timeInPeriod: "05:12",
+      isHome: true,
+      homeScore: 1,
+      awayScore: 0,
+    };
+    const [fromGoals] = detect(gameDoc("LIVE", 1, 0), gameDoc("LIVE", 1, 0, { goals: { "P2-05:12": goal } }));
+    assert.deepEqual(fromGoals, ["goal_1-0", "TOR goal!", "A. Matthews (M. Marner), 2nd 05:12 - MTL 0 - TOR 1"]);
+  });
+
+  it("announces the end of a period when the clock enters intermission", () => {
+    const clock = (inIntermission) => ({ raw: { periodDescriptor: { number: 1, periodType: "REG" }, clock: { inIntermission } } });
+
+    assert.deepEqual(detect(gameDoc("LIVE", 1, 0, clock(false)), gameDoc("LIVE", 1, 0, clock(true))), [
+      ["period_end_1", "End of 1st - MTL @ TOR", "MTL 0 - TOR 1"],
+    ]);
+    assert.deepEqual(detect(gameDoc("LIVE", 1, 0, clock(true)), gameDoc("LIVE", 1, 0, clock(true))), []);
+  });
+
+  it("stays quiet for backfilled and finished games", () => {
+    const old = { start_time: Timestamp.fromDate(new Date("2024-10-12T23:00:00Z")) };
+    assert.deepEqual(detect(gameDoc("FUT", 0, 0, old), gameDoc("FINAL", 3, 1, old)), []);
+
+    const goals = { "P1-01:00": { isHome: true, homeScore: 1, awayScore: 0 } };
+    assert.deepEqual(detect(gameDoc("FINAL", 1, 0), gameDoc("FINAL", 1, 0, { goals })), []);
+    assert.deepEqual(detect(null, gameDoc("LIVE", 1, 0)), []);
+  });
+});
+
+describe("FcmTransport", () => {
+  it("multicasts to device tokens and reports stale tokens", async () => {
+    const calls = [];
+    const messaging = {
+      sendEachForMulticast: async (message) => {
+        calls.push(message);
+        return {
+          successCount: 1,
+          failureCount: 1,
+          responses: [
+            { success: true },
+            { success: false, error: { code: "messaging/registration-token-not-registered" } },
+          ],
+        };
+      },
+    };
+    const transport = new FcmTransport({ messaging });
+
+    const result = await transport.send({
+      title: "TOR goal!",
+      body: "MTL 0 - TOR 1",
+      data: { gameId: "2024020500", period: 2, teamId: null },
+      recipients: [{ token: "device-a", userId: "uid-1" }, { token: "device-b", userId: "uid-1" }],
+    });
+
+    assert.deepEqual(result, { successCount: 1, failureCount: 1, staleTokens: ["device-b"] });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].tokens, ["device-a", "device-b"]);
+    assert.deepEqual(calls[0].data, { gameId: "2024020500", period: "2" });
+  });
+});
+
+describe("notification subscriptions", { skip: skipWithoutEmulator }, () => {
+  const recorder = new RecordingTransport();
+
+  useFakeBackend();
+
+  before(() => {
+    notifier.configure({ transport: recorder });
+  });
+
+  beforeEach(async () => {
+    recorder.reset();
+    await updateTeams();
+    await db.collection("games").doc("2024020500").set(gameDoc("LIVE", 0, 0));
+  });
+
+  /**
+   * Run one game update through the notification hook, with start times relative to now
+   */
+  function update(before, after) {
+    const startTime = { start_time: Timestamp.fromMillis(Date.now() - 60 * 60 * 1000) };
+    return sendGameNotifications("2024020500", { ...before, ...startTime }, { ...after, ...startTime });
+  }
+
+  it("delivers to the devices of team and game subscribers who asked for the event", async () => {
+    await subscribeToNotifications({ userId: "uid-1", token: "device-a", team: "tor" });
+    await subscribeToNotifications({ userId: "uid-2", token: "device-c", gameId: "2024020500", events: ["final"] });
+    await subscribeToNotifications({ userId: "uid-2", token: "device-d", team: "BOS" });
+    await subscribeToNotifications({ userId: "uid-3", token: "device-b", team: "BOS" });
+
+    await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0));
+    await update(gameDoc("LIVE", 1, 0), gameDoc("FINAL", 1, 0, { period_type: "REG" }));
+
+    const recipientsOf = (message) => message.recipients.map((recipient) => recipient.token).sort();
+    assert.deepEqual(recorder.sent.map((message) => [message.key, recipientsOf(message)]), [
+      ["goal_1-0", ["device-a"]],
+      ["final", ["device-a", "device-c", "device-d"]],
+    ]);
+
+    const log = (await db.collection("notifications").doc("2024020500_final").get()).data();
+    assert.equal(log.recipients, 3);
+    assert.equal(log.success_count, 3);
+  });
+
+  it("sends each notification once", async () => {
+    await subscribeToNotifications({ userId: "uid-1", token: "device-a", team: "MTL" });
+    await subscribeToNotifications({ userId: "uid-1", gameId: "2024020500" });
+
+    await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 0, 1));
+    await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 0, 1));
+    await update(gameDoc("LIVE", 0, 1), gameDoc("LIVE", 0, 1, {
+      goals: { "P1-03:00": { scorer: "N. Suzuki", periodLabel: "1st", timeInPeriod: "03:00", isHome: false, homeScore: 0, awayScore: 1 } },
+    }));
+
+    assert.equal(recorder.sent.length, 1);
+    assert.deepEqual(recorder.sent[0].recipients, [{ token: "device-a", userId: "uid-1" }]);
+  });
+
+  it("announces a goal that reaches the score of a disallowed one", async () => {
+    await subscribeToNotifications({ userId: "uid-1", token: "device-a", team: "TOR" });
+
+    await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0));
+    await update(gameDoc("LIVE", 1, 0), gameDoc("LIVE", 0, 0));
+    await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0));
+
+    assert.deepEqual(recorder.sent.map((message) => message.key), ["goal_1-0", "goal_1-0"]);
+  });
+
+  it("releases the claim of a failed send so a retry sends it", async () => {
+    await subscribeToNotifications({ userId: "uid-1", token: "device-a", team: "TOR" });
+
+    notifier.configure({
+      transport: { send: async () => { throw new Error("FCM unavailable"); } },
+    });
+    try {
+      await assert.rejects(update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0)), /FCM unavailable/);
+    } finally {
+      notifier.configure({ transport: recorder });
+    }
+    assert.equal((await db.collection("notifications").doc("2024020500_goal_1-0").get()).exists, false);
+
+    await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0));
+
+    assert.deepEqual(recorder.sent.map((message) => message.key), ["goal_1-0"]);
+  });
+
+  it("moves a device to the last user who registers it", async () => {
+    await subscribeToNotifications({ userId: "uid-1", token: "device-a", team: "TOR" });
+    await subscribeToNotifications({ userId: "uid-2", token: "device-a", team: "TOR" });
+
+    await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0));
+
+    assert.deepEqual(recorder.sent[0].recipients, [{ token: "device-a", userId: "uid-2" }]);
+  });
+
+  it("replaces events on resubscribe and removes subscriptions", async () => {
+    const first = await subscribeToNotifications({ userId: "uid-1", team: "TOR", events: ["goal"] });
+    const second = await subscribeToNotifications({ userId: "uid-1", team: "TOR", events: ["final"] });
+
+    assert.equal(first.subscriptionId, second.subscriptionId);
+    assert.deepEqual((await db.collection("subscriptions").get()).docs.map((doc) => doc.data().events), [["final"]]);
+
+    assert.deepEqual(await unsubscribeFromNotifications({ userId: "uid-1", team: "TOR" }), { success: true, removed: true });
+    assert.equal((await db.collection("subscriptions").get()).size, 0);
+  });
+
+  it("drops device tokens the transport reports as stale", async () => {
+    await subscribeToNotifications({ userId: "uid-1", token: "device-a", team: "TOR" });
+    await subscribeToNotifications({ userId: "uid-1", token: "device-b", gameId: "2024020500" });
+
+    notifier.configure({
+      transport: { send: async () => ({ successCount: 1, failureCount: 1, staleTokens: ["device-a"] }) },
+    });
+    try {
+      await update(gameDoc("LIVE", 0, 0), gameDoc("LIVE", 1, 0));
+    } finally {
+      notifier.configure({ transport: recorder });
+    }
+
+    const remaining = (await db.collection("device_tokens").get()).docs.map((doc) => doc.data().token);
+    assert.deepEqual(remaining, ["device-b"]);
+    assert.equal((await db.collection("subscriptions").get()).size, 2);
+  });
+
+  it("rejects invalid subscriptions", async () => {
+    await assert.rejects(subscribeToNotifications({ token: "device-a", team: "TOR" }), /signed-in user/);
+    await assert.rejects(subscribeToNotifications({ userId: "uid-1" }), /either a team or a game/);
+    await assert.rejects(subscribeToNotifications({ userId: "uid-1", team: "TOR", events: ["fight"] }), /events must be/);
+    await assert.rejects(subscribeToNotifications({ userId: "uid-1", gameId: "2024029999" }), /not found/);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const fs = require("fs");
+const path = require("path");
+
+const { PROJECT_ID, skipWithoutEmulator } = require("./helpers/firestore");
+
+const RULES_PATH = path.join(__dirname, "..", "..", "firestore.rules");
+
+describe("firestore rules", { skip: skipWithoutEmulator }, () => {
+  let testEnv;
+  let assertSucceeds;
+  let assertFails;
+  let firestore;
+
+  /**
+   * Firestore client for a signed-in user, or an anonymous visitor without a uid
+   */
+  function clientDb(uid = null) {
+    return (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+  }
+
+  /**
+   * Write documents with rules disabled, as the Admin SDK would
+   */
+  async function seed(documents) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const adminDb = context.firestore();
+      for (const [documentPath, data] of Object.entries(documents)) {
+        await firestore.setDoc(firestore.doc(adminDb, documentPath), data);
+      }
+    });
+  }
+
+  before(async () => {
+    // Only needed here, so the other suites don't load the client SDK
+    const rulesUnitTesting = require("@firebase/rules-unit-testing");
+    ({ assertSucceeds, assertFails } = rulesUnitTesting);
+    firestore = require("firebase/firestore");
+
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(":");
+    testEnv = await rulesUnitTesting.initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host, port: Number(port), rules: fs.readFileSync(RULES_PATH, "utf8") },
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+      "games/2024020500": { gameid: "2024020500", status: "LIVE", raw: {}, locked: true },
+      "games/2024020500/events/1": { type: "goal" },
+      "public_games/2024020500": { gameid: "2024020500", status: "LIVE", period: 2, clock: null },
+      "teams/TOR": { team_id: "TOR", franchise_id: 5 },
+      "franchises/5": { franchise_id: 5, active: true },
+      "team_seasons/5_20242025": { franchise_id: 5, wins: 30 },
+      "team_season_history/5_20232024": { franchise_id: 5, complete: true },
+      "players/8478483": { name: "Mitch Marner" },
+      "player_season_stats/20242025_2_all_8478483": { player_id: 8478483, points: 3 },
+      "playoff_series/20242025_A": { status: "in_progress" },
+      "users/alice": { favorite_teams: ["TOR"] },
+      "subscriptions/abc": { subscriber: "alice" },
+      "device_tokens/abc": { token: "device-token", user_id: "alice" },
+      "webhooks/hook1": { url: "https://example.com", secret: "shh" },
+      "webhooks/hook1/webhook_deliveries/d1": { status: "pending" },
+      "webhook_dead_letters/d1": { status: "dead" },
+      "notifications/2024020500_start": { sent_at: null },
+      "team_season_games/5_2024020500": { wins: 1 },
+      "leader_games/2024020500": { contributions: [] },
+      "shot_maps/2024020500": { shots: [], complete: true },
+      "game_leases/2024020500": { owner: "instance-1" },
+      "game_polls/2024020500": { poll_failures: 0 },
+    });
+  });
+
+  it("keeps games and their events server-only", async () => {
+    for (const uid of [null, "alice"]) {
+      const db = clientDb(uid);
+      await assertFails(firestore.getDoc(firestore.doc(db, "games/2024020500")));
+      await assertFails(firestore.getDocs(firestore.collection(db, "games")));
+      await assertFails(firestore.getDoc(firestore.doc(db, "games/2024020500/events/1")));
+      await assertFails(firestore.setDoc(firestore.doc(db, "games/2024020501"), { status: "FUT" }));
+    }
+  });
+
+  it("lets anyone read public games but not write them", async () => {
+    const db = clientDb();
+
+    await assertSucceeds(firestore.getDoc(firestore.doc(db, "public_games/2024020500")));
+    await assertSucceeds(firestore.getDocs(firestore.query(
+      firestore.collection(db, "public_games"),
+      firestore.where("status", "==", "LIVE")
+    )));
+    await assertFails(firestore.updateDoc(firestore.doc(db, "public_games/2024020500"), { status: "FINAL" }));
+    await assertFails(firestore.setDoc(firestore.doc(clientDb("alice"), "public_games/2024020501"), { status: "FUT" }));
+  });
+
+  it("lets clients list public games with any query", async () => {
+    await seed({ "public_games/2024020501": { gameid: "2024020501", game_date: "2025-01-15", status: "FUT" } });
+    const db = clientDb();
+
+    await assertSucceeds(firestore.getDocs(firestore.collection(db, "public_games")));
+    await assertSucceeds(firestore.getDocs(firestore.query(
+      firestore.collection(db, "public_games"),
+      firestore.where("game_date", "==", "2025-01-15")
+    )));
+  });
+
+  it("lets anyone read league data but not write it", async () => {
+    const db = clientDb("alice");
+
+    for (const documentPath of [
+      "teams/TOR",
+      "franchises/5",
+      "team_seasons/5_20242025",
+      "team_season_history/5_20232024",
+      "players/8478483",
+      "playoff_series/20242025_A",
+    ]) {
+      await assertSucceeds(firestore.getDoc(firestore.doc(clientDb(), documentPath)));
+      await assertFails(firestore.setDoc(firestore.doc(db, documentPath), { edited: true }));
+      await assertFails(firestore.deleteDoc(firestore.doc(db, documentPath)));
+    }
+  });
+
+  it("lets users manage only their own profile", async () => {
+    const alice = clientDb("alice");
+    const bob = clientDb("bob");
+
+    await assertSucceeds(firestore.getDoc(firestore.doc(alice, "users/alice")));
+    await assertSucceeds(firestore.updateDoc(firestore.doc(alice, "users/alice"), { muted_teams: ["BOS"] }));
+    await assertFails(firestore.getDoc(firestore.doc(bob, "users/alice")));
+    await assertFails(firestore.updateDoc(firestore.doc(bob, "users/alice"), { favorite_teams: [] }));
+    await assertFails(firestore.getDoc(firestore.doc(clientDb(), "users/alice")));
+    await assertFails(firestore.updateDoc(firestore.doc(alice, "users/alice"), { admin: true }));
+    await assertFails(firestore.setDoc(firestore.doc(bob, "users/bob"), { time_zone: 5 }));
+    await assertSucceeds(firestore.setDoc(firestore.doc(bob, "users/bob"), { time_zone: "America/Toronto" }));
+  });
+
+  it("denies every backend-only collection", async () => {
+    const db = clientDb("alice");
+    const backendOnly = [
+      "subscriptions/abc",
+      "device_tokens/abc",
+      "webhooks/hook1",
+      "webhooks/hook1/webhook_deliveries/d1",
+      "webhook_dead_letters/d1",
+      "notifications/2024020500_start",
+      "team_season_games/5_2024020500",
+      "leader_games/2024020500",
+      "shot_maps/2024020500",
+      "game_leases/2024020500",
+      "game_polls/2024020500",
+    ];
+
+    for (const documentPath of backendOnly) {
+      await assertFails(firestore.getDoc(firestore.doc(db, documentPath)));
+      await assertFails(firestore.setDoc(firestore.doc(db, documentPath), { edited: true }));
+    }
+
+    await assertFails(firestore.getDocs(firestore.collectionGroup(db, "webhook_deliveries")));
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadFixture } = require("./helpers/fakeNhlApi");
+const { skipWithoutEmulator } = require("./helpers/firestore");
+const { useFakeBackend } = require("./helpers/suite");
+const { TEAMS, insertGame } = require("./helpers/games");
+const { db, updateTeams, rebuildTeamAggregates, getFranchise } = require("../src/index");
+
+const TEAMS_ROUTE = /^\/stats\/rest\/en\/team$/;
+
+const { TOR, BOS, ARI, UTA } = TEAMS;
+
+describe("teams", { skip: skipWithoutEmulator }, () => {
+  const fakeApi = useFakeBackend();
+
+  describe("updateTeams", () => {
+    it("keys teams by abbreviation and franchises by ID", async () => {
+      const result = await updateTeams();
+
+      assert.deepEqual(result.teamsCreated.sort(), ["ARI", "BOS", "MTL", "TOR", "UTA"]);
+      assert.deepEqual(result.franchisesCreated.sort((a, b) => a - b), [1, 5, 6, 28, 40]);
+
+      const tor = (await db.collection("teams").doc("TOR").get()).data();
+      assert.equal(tor.team_name, "Toronto Maple Leafs");
+      assert.equal(tor.franchise_id, 5);
+      assert.equal(tor.stats_team_id, 10);
+
+      const arizona = (await db.collection("franchises").doc("28").get()).data();
+      assert.equal(arizona.active, false);
+      assert.equal(arizona.last_season, "20232024");
+      assert.deepEqual(arizona.teams, ["ARI"]);
+      assert.equal(arizona.successor_franchise_id, 40);
+      assert.equal((await db.collection("franchises").doc("40").get()).data().predecessor_franchise_id, 28);
+    });
+
+    it("leaves unchanged teams alone on a repeat sync", async () => {
+      await updateTeams();
+
+      const result = await updateTeams();
+
+      assert.deepEqual(result.teamsCreated, []);
+      assert.deepEqual(result.teamsUpdated, []);
+      assert.deepEqual(result.franchisesUpdated, []);
+      assert.equal((await db.collection("teams").get()).size, 5);
+    });
+
+    it("updates renamed teams and keeps their former names", async () => {
+      await updateTeams();
+
+      const teams = loadFixture("stats-team");
+      teams.data.push({ id: 68, franchiseId: 40, fullName: "Utah Mammoth", leagueId: 133, rawTricode: "UTA", triCode: "UTA" });
+      fakeApi.setRoute(TEAMS_ROUTE, { body: teams });
+
+      const result = await updateTeams();
+
+      assert.deepEqual(result.teamsUpdated, ["UTA"]);
+
+      const utah = (await db.collection("teams").doc("UTA").get()).data();
+      assert.equal(utah.team_name, "Utah Mammoth");
+      assert.equal(utah.stats_team_id, 68);
+      assert.deepEqual(utah.former_names, ["Utah Hockey Club"]);
+    });
+
+    it("doesn't merge franchises that share an abbreviation", async () => {
+      fakeApi.setFixture(TEAMS_ROUTE, "stats-team-collision");
+
+      const result = await updateTeams();
+
+      assert.ok(result.teamsCreated.includes("ATL"));
+
+      const atlanta = (await db.collection("teams").doc("ATL").get()).data();
+      assert.equal(atlanta.team_name, "Atlanta Flames");
+      assert.equal(atlanta.franchise_id, 21);
+      assert.deepEqual(atlanta.former_names, []);
+    });
+
+    it("keeps the stored franchise when an abbreviation is shared", async () => {
+      await db.collection("teams").doc("ATL").set({ team_id: "ATL", abbreviation: "ATL", team_name: "Atlanta Thrashers", franchise_id: 35 });
+      fakeApi.setFixture(TEAMS_ROUTE, "stats-team-collision");
+
+      await updateTeams();
+
+      const atlanta = (await db.collection("teams").doc("ATL").get()).data();
+      assert.equal(atlanta.franchise_id, 35);
+      assert.equal(atlanta.stats_team_id, 11);
+      assert.deepEqual(atlanta.former_names, []);
+    });
+
+    it("replaces randomly keyed duplicates", async () => {
+      await db.collection("teams").add({ team_id: "TOR", abbreviation: "TOR", team_name: "Toronto", franchise_id: 5 });
+      await db.collection("teams").add({ team_id: "TOR", abbreviation: "TOR", team_name: "Toronto", franchise_id: 5 });
+
+      const result = await updateTeams();
+
+      assert.equal(result.teamsRemoved.length, 2);
+
+      const torDocs = await db.collection("teams").where("abbreviation", "==", "TOR").get();
+      assert.deepEqual(torDocs.docs.map((doc) => doc.id), ["TOR"]);
+      assert.deepEqual(torDocs.docs[0].data().former_names, ["Toronto"]);
+    });
+
+    it("reports changes without writing on a dry run", async () => {
+      const result = await updateTeams({ dryRun: true });
+
+      assert.equal(result.teamsCreated.length, 5);
+      assert.equal((await db.collection("teams").get()).size, 0);
+    });
+  });
+
+  describe("getFranchise", () => {
+    beforeEach(async () => {
+      await updateTeams();
+      await insertGame("2023020100", ARI, TOR, { score: [3, 1], startTime: "2023-10-12T00:00:00Z" });
+      await insertGame("2024020100", UTA, TOR, { score: [4, 2], startTime: "2024-10-12T00:00:00Z" });
+      await insertGame("2024020200", BOS, UTA, { score: [5, 0], startTime: "2024-11-12T00:00:00Z" });
+      await rebuildTeamAggregates();
+    });
+
+    it("links predecessor and successor franchises with combined stats", async () => {
+      const result = await getFranchise({ teamId: "UTA" });
+
+      assert.deepEqual(result.lineage.map((franchise) => franchise.franchiseId), [28, 40]);
+      assert.equal(result.firstSeason, "19791980");
+      assert.equal(result.lastSeason, null);
+      assert.equal(result.active, true);
+
+      const [arizona, utah] = result.lineage;
+      assert.equal(arizona.lastSeason, "20232024");
+      assert.equal(arizona.teams[0].teamName, "Arizona Coyotes");
+      assert.equal(utah.successionSeason, "20242025");
+      assert.equal(utah.regularSeason.gamesPlayed, 2);
+
+      assert.equal(result.combined.regularSeason.gamesPlayed, 3);
+      assert.equal(result.combined.regularSeason.wins, 2);
+      assert.equal(result.combined.regularSeason.points, 4);
+      assert.equal(result.combined.regularSeason.goalsAgainst, 8);
+    });
+
+    it("finds the same lineage from the predecessor", async () => {
+      const result = await getFranchise({ franchiseId: 28 });
+
+      assert.deepEqual(result.lineage.map((franchise) => franchise.franchiseId), [28, 40]);
+      assert.equal(result.name, "Utah Hockey Club");
+    });
+
+    it("returns a single franchise without successions", async () => {
+      const result = await getFranchise({ teamId: "TOR" });
+
+      assert.equal(result.lineage.length, 1);
+      assert.equal(result.combined.regularSeason.gamesPlayed, 2);
+    });
+
+    it("rejects unknown franchises", async () => {
+      await assert.rejects(getFranchise({ franchiseId: 99 }), /Franchise 99 not found/);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { skipWithoutEmulator } = require("./helpers/firestore");
+const { useFakeBackend } = require("./helpers/suite");
+const { TEAMS, insertGame } = require("./helpers/games");
+const {
+  db,
+  updateTeams,
+  rebuildTeamAggregates,
+  getUserProfile,
+  updateUserProfile,
+  getMyFeed,
+} = require("../src/index");
+
+// 10:00 Eastern on January 15th
+const NOW = new Date("2025-01-15T15:00:00Z");
+
+const { TOR, MTL, BOS, UTA } = TEAMS;
+
+describe("user profiles", { skip: skipWithoutEmulator }, () => {
+  useFakeBackend();
+
+  beforeEach(async () => {
+    await updateTeams();
+  });
+
+  it("returns defaults until a profile is saved", async () => {
+    assert.deepEqual(await getUserProfile("uid-1"), {
+      userId: "uid-1",
+      favoriteTeams: [],
+      mutedTeams: [],
+      timeZone: "America/New_York",
+    });
+    assert.equal((await db.collection("users").doc("uid-1").get()).exists, false);
+  });
+
+  it("saves favorite and muted teams, changing only the fields given", async () => {
+    await updateUserProfile("uid-1", { favoriteTeams: ["tor", "MTL", "TOR"], timeZone: "Europe/Helsinki" });
+    const result = await updateUserProfile("uid-1", { mutedTeams: ["BOS"] });
+
+    assert.deepEqual(result.favoriteTeams, ["TOR", "MTL"]);
+    assert.deepEqual(result.mutedTeams, ["BOS"]);
+    assert.equal(result.timeZone, "Europe/Helsinki");
+
+    const stored = (await db.collection("users").doc("uid-1").get()).data();
+    assert.deepEqual(stored.favorite_teams, ["TOR", "MTL"]);
+    assert.ok(stored.created_at);
+  });
+
+  it("rejects unknown teams, conflicts and bad timezones", async () => {
+    await assert.rejects(updateUserProfile("uid-1", { favoriteTeams: ["XXX"] }), /Team XXX not found/);
+    await assert.rejects(
+      updateUserProfile("uid-1", { favoriteTeams: ["TOR"], mutedTeams: ["TOR"] }),
+      /both favorite and muted: TOR/
+    );
+    await assert.rejects(updateUserProfile("uid-1", { timeZone: "Mars/Olympus" }), /Unknown timezone/);
+  });
+
+  describe("getMyFeed", () => {
+    beforeEach(async () => {
+      // TOR's latest result: an overtime loss to BOS
+      await insertGame("2024020400", TOR, BOS, { score: [2, 3], startTime: "2025-01-10T00:00:00Z", period_type: "OT" });
+      await rebuildTeamAggregates();
+
+      await insertGame("2024020500", BOS, UTA, { status: "FUT", startTime: "2025-01-15T23:00:00Z" });
+      await insertGame("2024020501", MTL, BOS, { status: "FUT", startTime: "2025-01-16T00:00:00Z" });
+      await insertGame("2024020600", TOR, MTL, { status: "FUT", startTime: "2025-01-18T00:00:00Z" });
+      await insertGame("2024020700", UTA, TOR, { status: "FUT", startTime: "2025-01-25T00:00:00Z" });
+
+      await updateUserProfile("uid-1", { favoriteTeams: ["TOR", "MTL"], mutedTeams: ["UTA"] });
+    });
+
+    it("puts favorites first and leaves out muted teams", async () => {
+      const feed = await getMyFeed("uid-1", { now: NOW });
+
+      assert.equal(feed.from, "2025-01-15");
+      assert.deepEqual(feed.games.map((game) => [game.gameId, game.favorite_teams]), [
+        ["2024020600", ["TOR", "MTL"]],
+        ["2024020501", ["MTL"]],
+      ]);
+      assert.equal(feed.games[0].local_start_time, "19:00");
+    });
+
+    it("reports each favorite's latest result", async () => {
+      const feed = await getMyFeed("uid-1", { now: NOW });
+      const [tor, mtl] = feed.favorites;
+
+      assert.equal(tor.teamId, "TOR");
+      assert.equal(tor.record.otLosses, 1);
+      assert.deepEqual(
+        [tor.latestResult.gameId, tor.latestResult.opponent, tor.latestResult.result, tor.latestResult.team_score],
+        ["2024020400", "BOS", "OTL", 2]
+      );
+      assert.equal(mtl.latestResult, null);
+    });
+
+    it("covers more days and keeps favorites' games with muted opponents", async () => {
+      const feed = await getMyFeed("uid-1", { now: NOW, days: 14 });
+
+      assert.deepEqual(feed.games.map((game) => game.gameId), ["2024020600", "2024020700", "2024020501"]);
+    });
+
+    it("uses the profile's timezone for today", async () => {
+      await updateUserProfile("uid-1", { timeZone: "Asia/Tokyo", mutedTeams: [] });
+
+      // 00:00 on the 16th in Tokyo: the BOS-UTA game at 08:00 Tokyo time is today's first game
+      const feed = await getMyFeed("uid-1", { now: new Date("2025-01-15T15:00:00Z"), days: 1 });
+
+      assert.equal(feed.from, "2025-01-16");
+      assert.deepEqual(feed.games.map((game) => game.gameId), ["2024020501", "2024020500"]);
+    });
+  });
+});
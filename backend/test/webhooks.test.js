@@ -0,0 +1,345 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Timestamp } = require("firebase-admin/firestore");
+
+const { loadFixture } = require("./helpers/fakeNhlApi");
+const { WebhookReceiver } = require("./helpers/webhookReceiver");
+const { skipWithoutEmulator } = require("./helpers/firestore");
+const { useFakeBackend } = require("./helpers/suite");
+const {
+  webhookClient,
+  WebhookClient,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  isPrivateAddress,
+} = require("../src/webhooks");
+const {
+  db,
+  updateTeams,
+  createGame,
+  fetchGame,
+  fetchGameGoals,
+  registerWebhook,
+  deleteWebhook,
+  dispatchGameWebhooks,
+  retryWebhookDeliveries,
+} = require("../src/index");
+
+const SCORE_ROUTE = /^\/v1\/score\//;
+const SECRET = "0123456789abcdef0123456789abcdef";
+
+describe("webhook signatures", () => {
+  it("signs the timestamp and body with HMAC-SHA256", () => {
+    const body = JSON.stringify({ type: "goal" });
+    const signature = signWebhookPayload(SECRET, 1736985600, body);
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(signature, signWebhookPayload(SECRET, 1736985600, body));
+    assert.notEqual(signature, signWebhookPayload(SECRET, 1736985601, body));
+  });
+
+  it("verifies signatures within the time tolerance", () => {
+    const body = "{}";
+    const headers = { "x-webhook-timestamp": "1736985600", "x-webhook-signature": signWebhookPayload(SECRET, 1736985600, body) };
+
+    assert.equal(verifyWebhookSignature(SECRET, headers, body, 1736985660), true);
+    assert.equal(verifyWebhookSignature("wrong-secret-wrong-secret", headers, body, 1736985660), false);
+    assert.equal(verifyWebhookSignature(SECRET, headers, "{\"changed\":true}", 1736985660), false);
+    assert.equal(verifyWebhookSignature(SECRET, headers, body, 1736995600), false);
+  });
+});
+
+describe("webhook URL checks", () => {
+  it("recognizes loopback, private and link-local addresses", () => {
+    for (const address of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "not-an-ip"]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ["8.8.8.8", "172.32.0.1", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it("refuses hosts that resolve to a private address, at registration and delivery", async () => {
+    const fetched = [];
+    const client = new WebhookClient({
+      lookupImpl: async (hostname) => (hostname === "internal.example.com"
+        ? [{ address: "203.0.113.10" }, { address: "10.0.0.5" }]
+        : [{ address: "203.0.113.10" }]),
+      fetchImpl: async (url) => {
+        fetched.push(url);
+        return new Response(null, { status: 204 });
+      },
+    });
+
+    await assert.rejects(client.checkUrl("http://internal.example.com/hook"), /private address/);
+    await assert.rejects(client.checkUrl("http://169.254.169.254/latest/meta-data"), /private address/);
+    await assert.rejects(client.checkUrl("http://[::1]:8080/hook"), /private address/);
+    await client.checkUrl("https://hooks.example.com/nhl");
+
+    const refused = await client.deliver({ url: "http://internal.example.com/hook", secret: SECRET, body: "{}" });
+    const delivered = await client.deliver({ url: "https://hooks.example.com/nhl", secret: SECRET, body: "{}" });
+
+    assert.equal(refused.ok, false);
+    assert.match(refused.error, /private address/);
+    assert.equal(delivered.ok, true);
+    assert.deepEqual(fetched, ["https://hooks.example.com/nhl"]);
+  });
+});
+
+describe("webhooks", { skip: skipWithoutEmulator }, () => {
+  const fakeApi = useFakeBackend();
+  const receiver = new WebhookReceiver();
+
+  before(async () => {
+    await receiver.start();
+    // The receiver listens on localhost
+    webhookClient.configure({ timeoutMs: 200, allowPrivateAddresses: true });
+  });
+
+  after(async () => {
+    await receiver.stop();
+  });
+
+  beforeEach(async () => {
+    receiver.reset();
+    writeCount = 0;
+    await updateTeams();
+    const schedule = loadFixture("schedule-2025-01-15");
+    for (const game of schedule.gameWeek[0].games) {
+      await createGame(game, { gameDate: "2025-01-15" });
+    }
+  });
+
+  /**
+   * Allow fetchGame to run again straight away
+   */
+  async function allowNextUpdate(gameId) {
+    await db.collection("games").doc(gameId).update({ last_updated: null });
+  }
+
+  let writeCount = 0;
+
+  /**
+   * Run an update and deliver its webhooks, as the sendGameWebhooks trigger would
+   */
+  async function withWebhooks(gameId, update) {
+    const gameRef = db.collection("games").doc(gameId);
+    const before = (await gameRef.get()).data();
+    await update();
+    const after = (await gameRef.get()).data();
+    return dispatchGameWebhooks(gameId, before, after, `write${++writeCount}`);
+  }
+
+  async function getDeliveries(webhookId) {
+    const deliveries = await db.collection("webhooks").doc(webhookId).collection("webhook_deliveries").get();
+    return Object.fromEntries(deliveries.docs.map((doc) => [doc.id, doc.data()]));
+  }
+
+  it("posts signed status, goal and final events for a game's updates", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, secret: SECRET });
+
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+    await withWebhooks("2024020500", () => fetchGame("2024020500"));
+    await allowNextUpdate("2024020500");
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+    await withWebhooks("2024020500", () => fetchGame("2024020500"));
+
+    assert.deepEqual(receiver.received.map((request) => request.json.id), [
+      "2024020500_goal_2-1",
+      "2024020500_status_FUT-LIVE_write1",
+      "2024020500_goal_4-2",
+      "2024020500_status_LIVE-FINAL_write2",
+      "2024020500_final",
+    ]);
+
+    const [goal] = receiver.received;
+    assert.equal(goal.headers["x-webhook-event"], "goal");
+    assert.equal(goal.headers["x-webhook-id"], webhookId);
+    assert.equal(verifyWebhookSignature(SECRET, goal.headers, goal.body), true);
+    assert.deepEqual(goal.json.game.home, { team_id: "TOR", franchise_id: 5, score: 2 });
+
+    const status = receiver.received[1].json;
+    assert.equal(status.previous_status, "FUT");
+    assert.equal(status.status, "LIVE");
+
+    const deliveries = await getDeliveries(webhookId);
+    assert.equal(deliveries["2024020500_final"].status, "delivered");
+    assert.equal(deliveries["2024020500_final"].log[0].status_code, 200);
+  });
+
+  it("filters by event type and team", async () => {
+    await registerWebhook({ url: receiver.url, events: ["final"], teams: ["BOS"] });
+
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+    await withWebhooks("2024020500", () => fetchGame("2024020500"));
+    await withWebhooks("2024020501", () => fetchGame("2024020501"));
+
+    assert.deepEqual(receiver.received.map((request) => request.json.id), ["2024020501_final"]);
+  });
+
+  it("sends goal details from fetchGameGoals without repeating score changes", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, events: ["goal"] });
+
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-live");
+    await withWebhooks("2024020500", () => fetchGame("2024020500"));
+    receiver.reset();
+
+    await withWebhooks("2024020500", () => fetchGameGoals("2024020500"));
+
+    // The 1-0 and 2-1 goals are new; 2-1 was already sent as a score change
+    const goals = receiver.received.map((request) => request.json);
+    assert.ok(goals.length > 0);
+    assert.ok(goals.every((payload) => payload.goal.scorer));
+    assert.ok(!goals.some((payload) => payload.id === "2024020500_goal_2-1"));
+    assert.ok((await getDeliveries(webhookId))["2024020500_goal_2-1"]);
+  });
+
+  it("reports every status change once, even when a status repeats", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, events: ["status"] });
+    const game = (await db.collection("games").doc("2024020500").get()).data();
+    const live = { ...game, status: "LIVE" };
+    const critical = { ...game, status: "CRIT" };
+
+    await dispatchGameWebhooks("2024020500", live, critical, "a");
+    await dispatchGameWebhooks("2024020500", critical, live, "b");
+    await dispatchGameWebhooks("2024020500", live, critical, "c");
+    // A retried trigger run repeats its event ID
+    await dispatchGameWebhooks("2024020500", live, critical, "c");
+
+    assert.deepEqual(Object.keys(await getDeliveries(webhookId)).sort(), [
+      "2024020500_status_CRIT-LIVE_b",
+      "2024020500_status_LIVE-CRIT_a",
+      "2024020500_status_LIVE-CRIT_c",
+    ]);
+    assert.equal(receiver.received.length, 3);
+
+    // Creating a game isn't an event
+    assert.deepEqual(await dispatchGameWebhooks("2024020500", null, live, "d"), []);
+  });
+
+  it("sends a goal that restores a score after a goal was disallowed", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, events: ["goal"] });
+    const game = (await db.collection("games").doc("2024020500").get()).data();
+    const score = (home) => ({ ...game, status: "LIVE", home_data: { ...game.home_data, team_score: home } });
+
+    await dispatchGameWebhooks("2024020500", score(0), score(1), "a");
+    // Taken back after review, then scored again
+    await dispatchGameWebhooks("2024020500", score(1), score(0), "b");
+    assert.deepEqual(await getDeliveries(webhookId), {});
+    await dispatchGameWebhooks("2024020500", score(0), score(1), "c");
+
+    assert.equal(receiver.received.length, 2);
+    assert.ok((await getDeliveries(webhookId))["2024020500_goal_1-0"]);
+  });
+
+  it("keys goals without a recorded score by their goal key", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, events: ["goal"] });
+    const game = { ...(await db.collection("games").doc("2024020500").get()).data(), status: "LIVE" };
+    const withGoal = { ...game, goals: { "P1-05:41": { scorer: "A. Matthews", isHome: true } } };
+
+    await dispatchGameWebhooks("2024020500", game, withGoal, "a");
+
+    assert.deepEqual(Object.keys(await getDeliveries(webhookId)), ["2024020500_goal_P1-05:41"]);
+  });
+
+  it("leaves a delivery due for retry when the first attempt never runs", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, events: ["final"] });
+    const deliver = webhookClient.deliver;
+    webhookClient.deliver = async () => {
+      throw new Error("function timed out");
+    };
+
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+    try {
+      await assert.rejects(withWebhooks("2024020500", () => fetchGame("2024020500")), /timed out/);
+    } finally {
+      webhookClient.deliver = deliver;
+    }
+
+    const result = await retryWebhookDeliveries(new Date(Date.now() + 1000));
+
+    assert.deepEqual(result.results.map((entry) => [entry.webhookId, entry.status]), [[webhookId, "delivered"]]);
+    assert.equal(receiver.received.length, 1);
+  });
+
+  it("retries failed deliveries with backoff, then dead-letters them", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, events: ["final"], secret: SECRET });
+    receiver.respondWith([{ status: 500 }]);
+
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+    await withWebhooks("2024020500", () => fetchGame("2024020500"));
+
+    let delivery = (await getDeliveries(webhookId))["2024020500_final"];
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.last_status_code, 500);
+    const firstRetryAt = delivery.next_attempt_at.toMillis();
+
+    // Not due yet
+    assert.equal((await retryWebhookDeliveries(new Date())).retried, 0);
+
+    for (let attempt = 2; attempt <= 6; attempt++) {
+      delivery = (await getDeliveries(webhookId))["2024020500_final"];
+      await retryWebhookDeliveries(new Date(delivery.next_attempt_at.toMillis() + 1000));
+    }
+
+    delivery = (await getDeliveries(webhookId))["2024020500_final"];
+    assert.equal(delivery.status, "dead");
+    assert.equal(delivery.attempts, 6);
+    assert.equal(delivery.log.length, 6);
+    assert.ok(delivery.log[5].at.toMillis() > 0);
+    assert.ok(firstRetryAt - delivery.log[0].at.toMillis() >= 30 * 1000);
+    assert.equal(receiver.received.length, 6);
+
+    const deadLetter = (await db.collection("webhook_dead_letters").doc(`${webhookId}_2024020500_final`).get()).data();
+    assert.equal(deadLetter.type, "final");
+    assert.equal(JSON.parse(deadLetter.payload).id, "2024020500_final");
+  });
+
+  it("recovers on retry and cancels deliveries of deleted webhooks", async () => {
+    const kept = await registerWebhook({ url: receiver.url, events: ["final"] });
+    const removed = await registerWebhook({ url: receiver.url, events: ["final"] });
+    receiver.respondWith([{ delayMs: 500 }, { delayMs: 500 }, { status: 204 }]);
+
+    fakeApi.setFixture(SCORE_ROUTE, "score-2025-01-15-final");
+    await withWebhooks("2024020500", () => fetchGame("2024020500"));
+    await deleteWebhook(removed.webhookId);
+
+    const later = new Date(Date.now() + 60 * 60 * 1000);
+    const result = await retryWebhookDeliveries(later);
+
+    assert.deepEqual(result.results.map((entry) => [entry.webhookId, entry.status]).sort(), [
+      [kept.webhookId, "delivered"],
+      [removed.webhookId, "cancelled"],
+    ].sort());
+    const delivery = (await getDeliveries(kept.webhookId))["2024020500_final"];
+    assert.match(delivery.log[0].error, /Timed out/);
+    assert.equal(delivery.log[1].status_code, 204);
+  });
+
+  it("rejects invalid registrations", async () => {
+    await assert.rejects(registerWebhook({ url: "ftp://example.com" }), /valid http or https URL/);
+    await assert.rejects(registerWebhook({ url: receiver.url, events: ["fight"] }), /events must be/);
+    await assert.rejects(registerWebhook({ url: receiver.url, teams: ["XXX"] }), /Team XXX not found/);
+    await assert.rejects(deleteWebhook("missing"), /Webhook missing not found/);
+
+    webhookClient.configure({ allowPrivateAddresses: false });
+    try {
+      await assert.rejects(registerWebhook({ url: receiver.url }), /private address/);
+    } finally {
+      webhookClient.configure({ allowPrivateAddresses: true });
+    }
+    assert.equal((await db.collection("webhooks").get()).size, 0);
+  });
+
+  it("lets only the owner or an admin remove a webhook", async () => {
+    const { webhookId } = await registerWebhook({ url: receiver.url, ownerUid: "alice" });
+
+    assert.equal((await db.collection("webhooks").doc(webhookId).get()).data().owner_uid, "alice");
+    await assert.rejects(deleteWebhook(webhookId, { userId: "mallory", isAdmin: false }), /belongs to another user/);
+    await deleteWebhook(webhookId, { userId: "alice", isAdmin: false });
+
+    const other = await registerWebhook({ url: receiver.url, ownerUid: "alice" });
+    await deleteWebhook(other.webhookId, { userId: "admin", isAdmin: true });
+    assert.equal((await db.collection("webhooks").get()).size, 0);
+  });
+});